@@ -6,6 +6,13 @@ const path = require('path');
 const LinkedInDMClient = require('../utils/linkedin-dm-client');
 const TwitterDMClient = require('../utils/twitter-dm-client');
 const TwitterOutreachStrategy = require('../utils/twitter-outreach-strategy');
+const QualificationRules = require('../utils/qualification-rules');
+const cron = require('node-cron');
+const LeadStore = require('../utils/lead-store');
+const SuppressionList = require('../utils/suppression-list');
+const TemplateSchema = require('../utils/template-schema');
+const ComplianceGuard = require('../utils/compliance-guard');
+const EventLog = require('../utils/event-log');
 
 /**
  * DM Dispatcher Agent for Chudi Nnorukam
@@ -17,9 +24,20 @@ class DMDispatcherAgent {
     this.linkedinClient = new LinkedInDMClient();
     this.twitterClient = new TwitterDMClient();
     this.twitterStrategy = new TwitterOutreachStrategy();
+    this.twitterStepQuotas = { research: 'userLookup', follow: 'follow', like: 'like', dmSend: 'dmSend' }; // quota each outreach step uses
+    this.qualificationRules = new QualificationRules();
+    this.leadStore = new LeadStore();
+    this.suppressionList = new SuppressionList();
+    this.eventLog = new EventLog();
     this.templates = new Map();
+    this.templateSchema = new TemplateSchema();
+    this.templateVariables = {}; // campaign-level defaults from config/campaign-variables.json
+    this.complianceGuard = new ComplianceGuard();
     this.campaigns = new Map();
     this.isInitialized = false;
+    this.stopRequested = false;
+    this.followUpTask = null;
+    this.followUpRunning = false;
     this.logPath = path.join(__dirname, '../logs/dm-dispatcher.log');
   }
 
@@ -36,6 +54,9 @@ class DMDispatcherAgent {
       
       // Load message templates
       await this.loadTemplates();
+
+      // Load persistent lead store
+      await this.leadStore.initialize();
       
       this.isInitialized = true;
       console.log('✅ DM Dispatcher Agent initialized successfully');
@@ -60,57 +81,83 @@ class DMDispatcherAgent {
           const templatePath = path.join(templatesDir, file);
           const templateData = await fs.readFile(templatePath, 'utf8');
           const template = JSON.parse(templateData);
+
+          // Reject malformed templates up front instead of failing mid-campaign
+          this.templateSchema.validate(template, file);
           this.templates.set(template.name, template);
         }
       }
       
       console.log(`📋 Loaded ${this.templates.size} message templates`);
+
+      await this.loadTemplateVariables();
     } catch (error) {
       throw new Error(`Failed to load templates: ${error.message}`);
     }
   }
 
   /**
-   * Start outreach campaign
+   * Load campaign-level template variables (service, solution, targetAudience, ...)
+   */
+  async loadTemplateVariables() {
+    try {
+      const configPath = path.join(__dirname, '../config/campaign-variables.json');
+      const configData = await fs.readFile(configPath, 'utf8');
+      this.templateVariables = JSON.parse(configData).variables || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to load campaign variables: ${error.message}`);
+      }
+      this.templateVariables = {};
+    }
+  }
+
+  /**
+   * Start outreach campaign, or resume a saved one when `campaignConfig.id` is given
    */
   async startCampaign(campaignConfig) {
     try {
       if (!this.isInitialized) await this.initialize();
 
-      console.log('🎯 Starting outreach campaign:', campaignConfig.name);
-
-      const campaign = {
-        id: this.generateCampaignId(),
-        name: campaignConfig.name,
-        leads: campaignConfig.leads || [],
-        template: campaignConfig.template,
-        platforms: campaignConfig.platforms || ['linkedin', 'twitter'],
-        settings: {
-          delay: campaignConfig.delay || 300000, // 5 minutes between messages
-          dailyLimit: campaignConfig.dailyLimit || 50,
-          followUpDelay: campaignConfig.followUpDelay || 3, // days
-          maxFollowUps: campaignConfig.maxFollowUps || 2
-        },
-        status: 'active',
-        stats: {
-          sent: 0,
-          delivered: 0,
-          responses: 0,
-          connections: 0
-        },
-        startedAt: new Date().toISOString()
-      };
+      let campaign;
+
+      if (campaignConfig.id) {
+        campaign = await this.loadCampaign(campaignConfig.id);
+        if (!campaign) {
+          throw new Error(`Campaign '${campaignConfig.id}' not found`);
+        }
+
+        if (campaign.status === 'completed') {
+          console.log(`✅ Campaign '${campaign.name}' already completed`);
+          return campaign;
+        }
+
+        console.log('🔁 Resuming outreach campaign:', campaign.name);
+        campaign.resumedAt = new Date().toISOString();
+      } else {
+        console.log('🎯 Starting outreach campaign:', campaignConfig.name);
+        campaign = this.createCampaign(campaignConfig);
+      }
 
+      campaign.status = 'active';
+      this.stopRequested = false;
       this.campaigns.set(campaign.id, campaign);
 
+      // Checkpoint before the first send so the campaign can always be resumed
+      await this.saveCampaign(campaign);
+
       // Process leads
       const results = await this.processLeads(campaign);
 
-      campaign.status = 'completed';
-      campaign.completedAt = new Date().toISOString();
+      if (campaign.status === 'active') {
+        campaign.status = 'completed';
+        campaign.completedAt = new Date().toISOString();
+        console.log(`🎉 Campaign '${campaign.name}' completed`);
+      } else {
+        console.log(`⏸️ Campaign '${campaign.name}' paused - resume with id ${campaign.id}`);
+      }
 
-      console.log(`🎉 Campaign '${campaign.name}' completed`);
-      console.log(`📊 Results: ${results.length} leads processed`);
+      console.log(`📊 Results: ${results.length} outcomes recorded this run`);
 
       await this.saveCampaign(campaign);
       return campaign;
@@ -121,52 +168,230 @@ class DMDispatcherAgent {
     }
   }
 
+  /**
+   * Resume a saved campaign by ID
+   */
+  async resumeCampaign(campaignId) {
+    return this.startCampaign({ id: campaignId });
+  }
+
+  /**
+   * Build a new campaign record from configuration
+   */
+  createCampaign(campaignConfig) {
+    return {
+      id: this.generateCampaignId(),
+      name: campaignConfig.name,
+      leads: campaignConfig.leads || [],
+      template: campaignConfig.template,
+      profileTemplates: campaignConfig.profileTemplates || {}, // target profile -> template name
+      platforms: campaignConfig.platforms || ['linkedin', 'twitter'],
+      variables: campaignConfig.variables || {}, // campaign-level template variables
+      settings: {
+        delay: campaignConfig.delay || 300000, // 5 minutes between messages
+        dailyLimit: campaignConfig.dailyLimit || 50,
+        followUpDelay: campaignConfig.followUpDelay || 3, // days
+        maxFollowUps: campaignConfig.maxFollowUps || 2,
+        followBackDays: campaignConfig.followBackDays || 7, // Twitter leads who don't follow back within this are never DM'd
+        acceptedMessageDelay: campaignConfig.acceptedMessageDelay ?? 24, // hours between a LinkedIn acceptance and the directMessage
+        withdrawInvitationsAfterDays: campaignConfig.withdrawInvitationsAfterDays || null, // withdraw LinkedIn invitations pending this long
+        compliancePolicy: campaignConfig.compliancePolicy || null, // 'skip' or 'truncate' over-length messages
+        allowMultiPlatformContact: campaignConfig.allowMultiPlatformContact || false // contact one person on several platforms
+      },
+      status: 'active',
+      stats: {
+        sent: 0,
+        delivered: 0,
+        responses: 0,
+        connections: 0
+      },
+      progress: {}, // lead key -> checkpoint
+      dailyProgress: { date: null, processed: 0 }, // leads processed on `date` (UTC) across pauses and resumes
+      results: [],
+      startedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Request a graceful stop after the current lead (e.g. on Ctrl-C)
+   */
+  requestStop() {
+    this.stopRequested = true;
+  }
+
   /**
    * Process leads for outreach
+   * Each lead is checkpointed before and after contact so a restart never contacts it twice
    */
   async processLeads(campaign) {
     const results = [];
-    let processed = 0;
 
-    console.log(`📨 Processing ${campaign.leads.length} leads...`);
+    const pendingLeads = campaign.leads.filter(lead =>
+      this.isLeadPending(campaign, lead)
+    );
 
-    for (const lead of campaign.leads) {
-      try {
-        // Check daily limits
-        if (processed >= campaign.settings.dailyLimit) {
-          console.log('📊 Daily limit reached, pausing campaign');
-          break;
-        }
+    console.log(`📨 Processing ${pendingLeads.length} of ${campaign.leads.length} leads...`);
+
+    for (const [index, lead] of pendingLeads.entries()) {
+      const leadKey = this.getCampaignLeadKey(lead);
+
+      // Check for a stop request between leads
+      if (this.stopRequested) {
+        console.log('🛑 Stop requested, pausing campaign');
+        campaign.status = 'paused';
+        break;
+      }
 
+      // Check daily limits, counting leads processed by earlier runs today
+      if (this.getProcessedToday(campaign) >= campaign.settings.dailyLimit) {
+        console.log('📊 Daily limit reached, pausing campaign');
+        campaign.status = 'paused';
+        break;
+      }
+
+      // Mark in progress before any API call
+      await this.checkpointLead(campaign, leadKey, { state: 'in_progress' });
+
+      try {
         // Process lead on appropriate platforms
         const leadResults = await this.processLead(lead, campaign);
         results.push(...leadResults);
 
-        processed++;
+        this.recordProcessedToday(campaign);
         campaign.stats.sent += leadResults.filter(r => r.success).length;
-
-        // Delay between messages for rate limiting
-        if (processed < campaign.leads.length) {
-          console.log(`⏳ Waiting ${campaign.settings.delay / 1000}s before next lead...`);
-          await this.sleep(campaign.settings.delay);
-        }
+        campaign.results.push(...leadResults);
+
+        // Remember the first DM so the follow-up scheduler knows when to nudge,
+        // Twitter follows so the follow-back watcher can send the warm DM
+        // and LinkedIn invitations so the invitation sync can message on acceptance
+        const dmResult = leadResults.find(r => r.dmSent);
+        const followResult = leadResults.find(r => r.awaitingFollowBack);
+        const invitationResult = leadResults.find(r => r.invitation);
+
+        await this.checkpointLead(campaign, leadKey, {
+          state: 'done',
+          success: leadResults.some(r => r.success),
+          template: this.getLeadTemplateName(lead, campaign),
+          ...(dmResult && {
+            platform: dmResult.platform,
+            recipientId: dmResult.personId || dmResult.userId,
+            contactedAt: dmResult.timestamp,
+            followUps: []
+          }),
+          ...(followResult && {
+            followBack: { userId: followResult.userId, followedAt: followResult.timestamp, state: 'waiting' }
+          }),
+          ...(invitationResult && {
+            invitation: { personId: invitationResult.personId, ...invitationResult.invitation, state: 'pending' }
+          })
+        });
 
       } catch (error) {
         console.error(`❌ Failed to process lead ${lead.name}:`, error.message);
         
-        results.push({
-          leadId: lead.id,
+        const errorResult = {
+          leadId: lead.leadId || lead.id,
           platform: 'error',
           success: false,
           error: error.message,
           timestamp: new Date().toISOString()
-        });
+        };
+
+        results.push(errorResult);
+        campaign.results.push(errorResult);
+
+        // Failed leads are not retried automatically - a step may already have reached the platform
+        this.recordProcessedToday(campaign);
+        await this.checkpointLead(campaign, leadKey, { state: 'failed', error: error.message });
+      }
+
+      // Delay between messages for rate limiting
+      if (index < pendingLeads.length - 1 && !this.stopRequested) {
+        console.log(`⏳ Waiting ${campaign.settings.delay / 1000}s before next lead...`);
+        await this.sleep(campaign.settings.delay);
       }
     }
 
     return results;
   }
 
+  /**
+   * Leads this campaign has processed today (UTC), across every run
+   */
+  getProcessedToday(campaign, now = new Date()) {
+    const today = now.toISOString().slice(0, 10);
+    return campaign.dailyProgress?.date === today ? campaign.dailyProgress.processed : 0;
+  }
+
+  /**
+   * Count a processed lead against today's dailyLimit (saved with the lead's checkpoint)
+   */
+  recordProcessedToday(campaign, now = new Date()) {
+    campaign.dailyProgress = {
+      date: now.toISOString().slice(0, 10),
+      processed: this.getProcessedToday(campaign, now) + 1
+    };
+  }
+
+  /**
+   * Key used to checkpoint a lead within a campaign
+   */
+  getCampaignLeadKey(lead) {
+    return lead.leadId || lead.id || lead.profileUrl;
+  }
+
+  /**
+   * Another account of the same person (see IdentityResolver) that we have already contacted
+   * Checks the lead store, this campaign's progress and, for dry runs, the accounts planned so far
+   */
+  findContactedIdentity(lead, campaign, plannedPersons = null) {
+    if (campaign.settings.allowMultiPlatformContact || !lead.personId) return null;
+
+    const leadKey = this.getCampaignLeadKey(lead);
+    const isOtherAccount = other => other.personId === lead.personId && this.getCampaignLeadKey(other) !== leadKey;
+
+    const stored = this.leadStore.getLeadsByPerson(lead.personId)
+      .find(other => isOtherAccount(other) && this.leadStore.hasBeenContacted(other));
+    if (stored) return stored;
+
+    if (plannedPersons && plannedPersons.has(lead.personId)) {
+      return plannedPersons.get(lead.personId);
+    }
+
+    return campaign.leads.find(other =>
+      isOtherAccount(other) && campaign.progress[this.getCampaignLeadKey(other)]?.success) || null;
+  }
+
+  /**
+   * Check whether a lead still needs processing in this campaign
+   */
+  isLeadPending(campaign, lead) {
+    const checkpoint = campaign.progress[this.getCampaignLeadKey(lead)];
+    if (!checkpoint) return true;
+
+    // A lead left in progress by a crash may already have been contacted
+    if (checkpoint.state === 'in_progress') {
+      console.warn(`⚠️ ${lead.name} was interrupted mid-outreach - marking for manual review`);
+      checkpoint.state = 'interrupted';
+      checkpoint.updatedAt = new Date().toISOString();
+    }
+
+    return false;
+  }
+
+  /**
+   * Record a lead checkpoint and persist the campaign immediately
+   */
+  async checkpointLead(campaign, leadKey, checkpoint) {
+    campaign.progress[leadKey] = {
+      ...checkpoint,
+      updatedAt: new Date().toISOString()
+    };
+    campaign.updatedAt = campaign.progress[leadKey].updatedAt;
+
+    await this.saveCampaign(campaign);
+  }
+
   /**
    * Process individual lead
    */
@@ -175,6 +400,35 @@ class DMDispatcherAgent {
 
     console.log(`👤 Processing lead: ${lead.name} (${lead.platform})`);
 
+    // Skip anyone who asked not to be contacted
+    const suppression = await this.suppressionList.isLeadSuppressed(lead);
+    if (suppression) {
+      console.log(`🚫 Skipping ${lead.name} - on suppression list (${suppression.reason})`);
+      results.push({
+        leadId: lead.leadId || lead.id,
+        platform: lead.platform,
+        action: 'skipped',
+        reason: 'suppressed',
+        timestamp: new Date().toISOString()
+      });
+      return results;
+    }
+
+    // Reach each person on one platform only
+    const contactedAccount = this.findContactedIdentity(lead, campaign);
+    if (contactedAccount) {
+      console.log(`🔗 Skipping ${lead.name} - already contacted on ${contactedAccount.platform}`);
+      results.push({
+        leadId: lead.leadId || lead.id,
+        platform: lead.platform,
+        action: 'skipped',
+        reason: 'contacted_on_other_platform',
+        linkedLeadId: contactedAccount.leadId || contactedAccount.id,
+        timestamp: new Date().toISOString()
+      });
+      return results;
+    }
+
     // LinkedIn outreach
     if (campaign.platforms.includes('linkedin') && lead.platform === 'linkedin') {
       try {
@@ -183,7 +437,7 @@ class DMDispatcherAgent {
       } catch (error) {
         console.error('LinkedIn outreach failed:', error.message);
         results.push({
-          leadId: lead.id,
+          leadId: lead.leadId || lead.id,
           platform: 'linkedin',
           success: false,
           error: error.message,
@@ -200,7 +454,7 @@ class DMDispatcherAgent {
       } catch (error) {
         console.error('Twitter outreach failed:', error.message);
         results.push({
-          leadId: lead.id,
+          leadId: lead.leadId || lead.id,
           platform: 'twitter',
           success: false,
           error: error.message,
@@ -212,15 +466,35 @@ class DMDispatcherAgent {
     return results;
   }
 
+  /**
+   * Template name for a lead: the template of its first target profile listed in
+   * campaign.profileTemplates, otherwise the campaign's template
+   */
+  getLeadTemplateName(lead, campaign) {
+    const profile = (lead.matchedProfiles || []).find(name => campaign.profileTemplates?.[name]);
+    return profile ? campaign.profileTemplates[profile] : campaign.template;
+  }
+
+  /**
+   * Loaded template for a lead (see getLeadTemplateName)
+   */
+  getLeadTemplate(lead, campaign) {
+    const templateName = this.getLeadTemplateName(lead, campaign);
+
+    const template = this.templates.get(templateName);
+    if (!template) {
+      throw new Error(`Template '${templateName}' not found`);
+    }
+
+    return template;
+  }
+
   /**
    * Send LinkedIn outreach
    */
   async sendLinkedInOutreach(lead, campaign) {
     try {
-      const template = this.templates.get(campaign.template);
-      if (!template) {
-        throw new Error(`Template '${campaign.template}' not found`);
-      }
+      const template = this.getLeadTemplate(lead, campaign);
 
       // Get LinkedIn profile info for personalization
       const personId = this.extractPersonIdFromProfile(lead.profileUrl);
@@ -229,43 +503,65 @@ class DMDispatcherAgent {
       }
 
       const profileInfo = await this.linkedinClient.getProfileInfo(personId);
-      
+      this.assertRequiredVariables(template, 'linkedin', lead, campaign, profileInfo);
+
       // Check if already connected
       const isConnected = await this.linkedinClient.isAlreadyConnected(personId);
 
+      const messageType = isConnected ? 'directMessage' : 'connectionRequest';
+      const compliance = this.checkCompliance(
+        template,
+        'linkedin',
+        this.renderMessage(template, 'linkedin', messageType, lead, campaign, profileInfo),
+        lead,
+        campaign,
+        this.getMessageHistory(lead, 'linkedin')
+      );
+
+      if (!compliance.allowed) {
+        return this.createComplianceSkip(lead, 'linkedin', compliance.violations);
+      }
+
       let result;
 
       if (isConnected) {
         // Send direct message
-        const message = this.personalizeLinkedInMessage(
-          template.directMessage,
-          profileInfo,
-          lead
-        );
-
-        result = await this.linkedinClient.sendDirectMessage(personId, message);
+        result = await this.linkedinClient.sendDirectMessage(personId, compliance.message);
       } else {
         // Send connection request
-        const message = this.personalizeLinkedInMessage(
-          template.connectionRequest,
-          profileInfo,
-          lead
-        );
+        result = await this.linkedinClient.sendConnectionRequest(personId, compliance.message);
+      }
+
+      const invitation = !isConnected && result.success ?
+        { invitationUrn: result.invitationUrn, sentAt: result.sentAt } : null;
+
+      if (result.success) {
+        await this.recordLeadStatus(lead, isConnected ? 'messaged' : 'engaged', {
+          platform: 'linkedin',
+          action: isConnected ? 'direct_message' : 'connection_request',
+          campaignId: campaign.id
+        });
+      }
 
-        result = await this.linkedinClient.sendConnectionRequest(personId, message);
+      if (invitation) {
+        await this.recordInvitation(lead, { ...invitation, state: 'pending' });
       }
 
       return {
-        leadId: lead.id,
+        leadId: lead.leadId || lead.id,
         platform: 'linkedin',
         action: isConnected ? 'direct_message' : 'connection_request',
         personId,
         success: result.success,
+        dmSent: isConnected && result.success,
         messageId: result.invitationUrn || result.messageUrn,
+        ...(invitation && { invitation }),
+        ...(compliance.violations.length > 0 && { violations: compliance.violations }),
         timestamp: new Date().toISOString()
       };
 
     } catch (error) {
+      if (error.code === 'TEMPLATE_VARIABLES_MISSING') return this.createMissingVariablesSkip(lead, 'linkedin', error);
       throw new Error(`LinkedIn outreach failed: ${error.message}`);
     }
   }
@@ -276,19 +572,24 @@ class DMDispatcherAgent {
   async sendTwitterOutreach(lead, campaign) {
     try {
       // Check if lead is worth engaging with
-      if (!this.twitterStrategy.isWorthEngaging(lead)) {
-        console.log(`⏭️ Skipping ${lead.name} - not worth engaging`);
+      const qualification = this.qualificationRules.evaluate('engage', lead);
+      if (!qualification.qualified) {
+        console.log(`⏭️ Skipping ${lead.name} - not worth engaging (failed: ${qualification.failed.join(', ')})`);
         return {
-          leadId: lead.id,
+          leadId: lead.leadId || lead.id,
           platform: 'twitter',
           action: 'skipped',
           reason: 'low_engagement_potential',
+          failedRules: qualification.failed,
           timestamp: new Date().toISOString()
         };
       }
 
+      const template = this.getLeadTemplate(lead, campaign);
+      this.assertRequiredVariables(template, 'twitter', lead, campaign);
+
       // Get API quota
-      const quota = this.twitterClient.getRemainingQuota();
+      const quota = await this.twitterClient.getRemainingQuota();
       
       // Get optimal outreach sequence
       const sequence = this.twitterStrategy.getOutreachSequence(lead, quota);
@@ -296,7 +597,7 @@ class DMDispatcherAgent {
       if (sequence.length === 0) {
         console.log(`⏭️ Skipping ${lead.name} - no API quota available`);
         return {
-          leadId: lead.id,
+          leadId: lead.leadId || lead.id,
           platform: 'twitter',
           action: 'skipped',
           reason: 'no_api_quota',
@@ -304,178 +605,1376 @@ class DMDispatcherAgent {
         };
       }
 
+      // Render and check the warm DM before engaging so a lead that cannot be messaged is not touched at all
+      let dmViolations = [];
+      if (sequence.some(step => step.action === 'dmSend')) {
+        const compliance = this.checkCompliance(
+          template,
+          'twitter',
+          this.renderMessage(template, 'twitter', this.getTwitterDMType(template), lead, campaign),
+          lead,
+          campaign,
+          this.getMessageHistory(lead, 'twitter')
+        );
+
+        if (!compliance.allowed) {
+          return this.createComplianceSkip(lead, 'twitter', compliance.violations);
+        }
+
+        dmViolations = compliance.violations;
+      }
+
       console.log(`🎯 Twitter outreach sequence for ${lead.name}:`, 
         sequence.map(s => `${s.action} (${s.reason})`).join(' → '));
 
       // Execute sequence
-      let result = { success: false };
+      let followed = false;
+      const skippedSteps = [];
       
       for (const step of sequence) {
+        // No cold DMs: the follow-back watcher sends the warm DM once they follow back
+        if (step.action === 'dmSend') {
+          if (followed) console.log(`💤 DM to ${lead.name} waits for a follow-back`);
+          continue;
+        }
+
         try {
+          // Re-read the shared ledger: earlier steps and other processes use the same quota.
+          // The client reserves the quota itself; this only skips steps that cannot run
+          const remaining = await this.twitterClient.getRemainingQuota();
+          const quotaKey = this.twitterStepQuotas[step.action];
+          if (remaining[quotaKey].remaining <= 0) {
+            console.log(`⏭️ Skipping ${step.action} for ${lead.name} - no ${quotaKey} quota left (resets ${remaining[quotaKey].resetTime})`);
+            skippedSteps.push(step.action);
+            continue;
+          }
+
           switch (step.action) {
             case 'follow':
-              if (quota.follow.remaining > 0) {
-                await this.twitterClient.followUser(lead.id);
-                console.log(`✅ Followed ${lead.name}`);
-              }
+              await this.twitterClient.followUser(lead.id);
+              followed = true;
+              await this.recordLeadStatus(lead, 'engaged', { platform: 'twitter', action: 'follow', campaignId: campaign.id });
+              console.log(`✅ Followed ${lead.name}`);
               break;
               
             case 'like':
-              if (quota.like.remaining > 0 && lead.recentTweets && lead.recentTweets.length > 0) {
+              if (lead.recentTweets && lead.recentTweets.length > 0) {
                 await this.twitterClient.likeTweet(lead.recentTweets[0].id);
+                await this.recordLeadStatus(lead, 'engaged', { platform: 'twitter', action: 'like', campaignId: campaign.id });
                 console.log(`👍 Liked tweet from ${lead.name}`);
               }
               break;
               
-            case 'research':
-              if (quota.userLookup.remaining > 0) {
-                const userInfo = await this.twitterClient.getUserInfo(lead.id);
-                console.log(`🔍 Researched ${lead.name}`);
-              }
-              break;
-              
-            case 'dmSend':
-              if (quota.dmSend.remaining > 0) {
-                const template = this.templates.get(campaign.template);
-                const message = this.personalizeTwitterMessage(
-                  template.twitter.directMessage,
-                  lead,
-                  lead
-                );
-                result = await this.twitterClient.sendDirectMessage(lead.id, message);
-                console.log(`💬 Sent DM to ${lead.name}`);
+            case 'research': {
+              const userInfo = await this.twitterClient.getUserInfo(lead.id);
+              if (userInfo) {
+                await this.recordLeadStatus(lead, 'researched', { platform: 'twitter', campaignId: campaign.id });
               }
+              console.log(`🔍 Researched ${lead.name}`);
               break;
+            }
           }
         } catch (error) {
           console.log(`⚠️ Failed ${step.action} for ${lead.name}: ${error.message}`);
         }
       }
 
-      // Log strategy
-      await this.twitterStrategy.logStrategy(lead, sequence, quota);
+      // Log strategy with the quota left after the steps, not the snapshot it was planned with
+      await this.twitterStrategy.logStrategy(lead, sequence, await this.twitterClient.getRemainingQuota());
 
       return {
-        leadId: lead.id,
+        leadId: lead.leadId || lead.id,
         platform: 'twitter',
         action: sequence.map(s => s.action).join('_'),
         userId: lead.id,
-        success: result.success,
-        messageId: result.messageId,
+        success: followed,
+        dmSent: false,
+        awaitingFollowBack: followed,
+        ...(skippedSteps.length > 0 && { skippedSteps }),
+        ...(dmViolations.length > 0 && { violations: dmViolations }),
         timestamp: new Date().toISOString()
       };
 
     } catch (error) {
+      if (error.code === 'TEMPLATE_VARIABLES_MISSING') return this.createMissingVariablesSkip(lead, 'twitter', error);
       throw new Error(`Twitter outreach failed: ${error.message}`);
     }
   }
 
   /**
-   * Personalize LinkedIn message
+   * Build a per-lead plan for a campaign without calling any platform API
+   * Runs qualification, the outreach sequence and template personalization for every lead
    */
-  personalizeLinkedInMessage(template, profileInfo, lead) {
-    return this.linkedinClient.personalizeMessage(template, profileInfo, lead);
+  async planCampaign(campaignConfig, options = {}) {
+    try {
+      if (this.templates.size === 0) await this.loadTemplates();
+      await this.leadStore.initialize();
+
+      const campaign = this.createCampaign(campaignConfig);
+      for (const templateName of [campaign.template, ...Object.values(campaign.profileTemplates)]) {
+        if (!this.templates.has(templateName)) {
+          throw new Error(`Template '${templateName}' not found`);
+        }
+      }
+
+      // Work on copies so the plan shows how the day's quota would be spent
+      const quotas = {
+        twitter: await this.twitterClient.getRemainingQuota(),
+        linkedin: await this.linkedinClient.getRemainingQuota()
+      };
+
+      const plan = [];
+      const plannedPersons = new Map(); // personId -> lead planned for contact
+
+      for (const [index, lead] of campaign.leads.entries()) {
+        if (index >= campaign.settings.dailyLimit) {
+          plan.push(this.createPlanEntry(lead, { skipped: 'daily_limit' }));
+          continue;
+        }
+
+        const contactedAccount = this.findContactedIdentity(lead, campaign, plannedPersons);
+        if (contactedAccount) {
+          plan.push(this.createPlanEntry(lead, {
+            skipped: 'contacted_on_other_platform',
+            linkedLeadId: contactedAccount.leadId || contactedAccount.id
+          }));
+          continue;
+        }
+
+        try {
+          const entry = await this.planLead(lead, campaign, quotas);
+          if (!entry.skipped && lead.personId) plannedPersons.set(lead.personId, lead);
+          plan.push(entry);
+        } catch (error) {
+          const reason = error.code === 'TEMPLATE_VARIABLES_MISSING' ? 'missing_template_variables' : 'error';
+          plan.push(this.createPlanEntry(lead, { skipped: reason, error: error.message }));
+        }
+      }
+
+      this.printPlan(campaign, plan, quotas);
+
+      if (options.save) {
+        const planFile = path.join(__dirname, `../data/dry-runs/${campaign.id}.json`);
+        await fs.mkdir(path.dirname(planFile), { recursive: true });
+        await fs.writeFile(planFile, JSON.stringify({
+          campaign: { name: campaign.name, template: campaign.template, platforms: campaign.platforms, settings: campaign.settings },
+          plannedAt: new Date().toISOString(),
+          plan,
+          remainingQuota: quotas
+        }, null, 2));
+        console.log(`💾 Dry-run plan saved: ${planFile}`);
+      }
+
+      return plan;
+
+    } catch (error) {
+      console.error('❌ Dry run failed:', error.message);
+      throw error;
+    }
   }
 
   /**
-   * Personalize Twitter message
+   * Plan the actions for one lead
    */
-  personalizeTwitterMessage(template, userInfo, lead) {
-    return this.twitterClient.personalizeMessage(template, userInfo, lead);
+  async planLead(lead, campaign, quotas) {
+    if (!campaign.platforms.includes(lead.platform)) {
+      return this.createPlanEntry(lead, { skipped: 'platform_not_in_campaign' });
+    }
+
+    const template = this.getLeadTemplate(lead, campaign);
+
+    const suppression = await this.suppressionList.isLeadSuppressed(lead);
+    if (suppression) {
+      return this.createPlanEntry(lead, { skipped: 'suppressed' });
+    }
+
+    if (lead.platform === 'linkedin') {
+      const personId = this.extractPersonIdFromProfile(lead.profileUrl || '');
+      if (!personId) {
+        return this.createPlanEntry(lead, { skipped: 'no_linkedin_person_id' });
+      }
+
+      this.assertRequiredVariables(template, 'linkedin', lead, campaign);
+
+      if (quotas.linkedin.connectionRequests <= 0) {
+        return this.createPlanEntry(lead, { skipped: 'no_api_quota' });
+      }
+
+      // Connection status needs the API, so assume a first-time connection request
+      const compliance = this.checkCompliance(
+        template,
+        'linkedin',
+        this.renderMessage(template, 'linkedin', 'connectionRequest', lead, campaign),
+        lead,
+        campaign,
+        this.getMessageHistory(lead, 'linkedin')
+      );
+
+      if (!compliance.allowed) {
+        return this.createPlanEntry(lead, {
+          skipped: 'compliance',
+          error: this.describeViolations(compliance.violations),
+          violations: compliance.violations
+        });
+      }
+
+      quotas.linkedin.connectionRequests--;
+
+      return this.createPlanEntry(lead, {
+        template: template.name,
+        actions: [{
+          action: 'connection_request',
+          quota: 'linkedin.connectionRequests',
+          message: compliance.message,
+          ...(compliance.violations.length > 0 && { violations: compliance.violations })
+        }]
+      });
+    }
+
+    if (lead.platform === 'twitter') {
+      const qualification = this.qualificationRules.evaluate('engage', lead);
+      if (!qualification.qualified) {
+        return this.createPlanEntry(lead, { skipped: 'low_engagement_potential', failedRules: qualification.failed });
+      }
+
+      this.assertRequiredVariables(template, 'twitter', lead, campaign);
+
+      const sequence = this.twitterStrategy.getOutreachSequence(lead, quotas.twitter);
+      if (sequence.length === 0) {
+        return this.createPlanEntry(lead, { skipped: 'no_api_quota' });
+      }
+
+      // Same order as the live path: a DM that cannot be rendered or sent means no engagement either
+      const compliance = sequence.some(step => step.action === 'dmSend') ?
+        this.checkCompliance(
+          template,
+          'twitter',
+          this.renderMessage(template, 'twitter', this.getTwitterDMType(template), lead, campaign),
+          lead,
+          campaign,
+          this.getMessageHistory(lead, 'twitter')
+        ) : null;
+
+      if (compliance && !compliance.allowed) {
+        return this.createPlanEntry(lead, {
+          skipped: 'compliance',
+          error: this.describeViolations(compliance.violations),
+          violations: compliance.violations
+        });
+      }
+
+      const actions = [];
+
+      for (const step of sequence) {
+        const quotaKey = this.twitterStepQuotas[step.action];
+        const action = { action: step.action, reason: step.reason, quota: `twitter.${quotaKey}` };
+
+        // Like the live path, the DM is not sent now: the follow-back watcher sends it later
+        if (step.action === 'dmSend') {
+          action.deferred = 'follow_back';
+          action.message = compliance.message;
+          if (compliance.violations.length > 0) action.violations = compliance.violations;
+          actions.push(action);
+          continue;
+        }
+
+        quotas.twitter[quotaKey].remaining = Math.max(0, quotas.twitter[quotaKey].remaining - 1);
+        quotas.twitter[quotaKey].used++;
+        actions.push(action);
+      }
+
+      return this.createPlanEntry(lead, {
+        template: template.name,
+        actions,
+        awaitingFollowBack: actions.some(action => action.action === 'follow')
+      });
+    }
+
+    return this.createPlanEntry(lead, { skipped: 'unsupported_platform' });
   }
 
   /**
-   * Generate engagement reply for Twitter
+   * Create a dry-run plan entry
    */
-  generateEngagementReply(tweet, userInfo) {
-    const replyTemplates = [
-      `Great insight about ${this.extractTopicFromTweet(tweet.text)}! 👍`,
-      `This resonates with my experience in ${this.extractTopicFromTweet(tweet.text)}. Thanks for sharing!`,
-      `Interesting perspective on ${this.extractTopicFromTweet(tweet.text)}. Would love to hear more about this.`,
-      `Spot on about ${this.extractTopicFromTweet(tweet.text)}! This is exactly what we're seeing too.`
-    ];
-
-    const randomTemplate = replyTemplates[Math.floor(Math.random() * replyTemplates.length)];
-    return randomTemplate;
+  createPlanEntry(lead, details) {
+    return {
+      leadId: lead.leadId || lead.id,
+      name: lead.name,
+      platform: lead.platform,
+      score: lead.score,
+      actions: [],
+      ...details
+    };
   }
 
   /**
-   * Extract topic from tweet for engagement
+   * Print a dry-run plan for human review
    */
-  extractTopicFromTweet(content) {
-    const topics = ['AI', 'automation', 'SaaS', 'marketing', 'sales', 'product', 'growth', 'technology'];
-    
-    for (const topic of topics) {
-      if (content.toLowerCase().includes(topic.toLowerCase())) {
-        return topic;
+  printPlan(campaign, plan, quotas) {
+    console.log('─'.repeat(60));
+    console.log(`🔍 DRY RUN: ${campaign.name} (template: ${campaign.template})`);
+
+    for (const entry of plan) {
+      const templateNote = entry.template && entry.template !== campaign.template ? ` - template ${entry.template}` : '';
+      console.log(`\n👤 ${entry.name} (${entry.platform}, score ${entry.score ?? 'n/a'})${templateNote}`);
+
+      if (entry.skipped) {
+        const failedNote = entry.failedRules ? ` (failed: ${entry.failedRules.join(', ')})` : '';
+        console.log(`   ⏭️ Skip: ${entry.skipped}${failedNote}${entry.error ? ` - ${entry.error}` : ''}`);
+        continue;
+      }
+
+      for (const action of entry.actions) {
+        const deferredNote = action.deferred === 'follow_back' ? ' - deferred until they follow back' : '';
+        console.log(`   • ${action.action} [quota: ${action.quota}]${deferredNote}`);
+        if (action.violations) {
+          console.log(`     ⚠️ ${this.describeViolations(action.violations)}`);
+        }
+        if (action.message) {
+          console.log(action.message.split('\n').map(line => `     │ ${line}`).join('\n'));
+        }
       }
     }
-    
-    return 'this topic';
+
+    const planned = plan.filter(entry => !entry.skipped).length;
+    console.log(`\n📊 ${planned} of ${plan.length} leads would be contacted`);
+    console.log(`📉 Twitter quota left: ${['follow', 'like', 'dmSend', 'userLookup'].map(key => `${key} ${quotas.twitter[key].remaining}`).join(', ')}`);
+    console.log(`📉 LinkedIn connection requests left: ${quotas.linkedin.connectionRequests}`);
+    console.log('─'.repeat(60));
   }
 
   /**
-   * Extract LinkedIn person ID from profile URL
+   * Build LinkedIn profile fields from stored lead data (no API call)
    */
-  extractPersonIdFromProfile(profileUrl) {
-    // Extract person ID from LinkedIn URL
-    // This is a simplified version - actual implementation would be more robust
-    const match = profileUrl.match(/linkedin\.com\/in\/(.+?)(?:\/|$)/);
-    return match ? match[1] : null;
+  getOfflineProfileInfo(lead) {
+    const [firstName, ...rest] = (lead.name || '').split(' ');
+
+    return {
+      firstName,
+      lastName: rest.join(' '),
+      headline: lead.title,
+      industry: lead.industry
+    };
   }
 
   /**
-   * Extract Twitter user ID from profile URL
+   * Render a platform message for a lead
+   * Throws rather than returning a message with unresolved {{placeholders}}
    */
-  async extractUserIdFromProfile(profileUrl) {
-    try {
-      const match = profileUrl.match(/twitter\.com\/(.+?)(?:\/|$)/);
-      if (!match) return null;
+  renderMessage(template, platform, messageType, lead, campaign, profileInfo = null) {
+    const message = this.getPlatformTemplate(template, platform, messageType);
+    const context = `${platform}.${messageType} for ${lead.name}`;
+    const options = {
+      variables: { ...this.templateVariables, ...(campaign.variables || {}) },
+      required: template.variables?.required || [],
+      seed: lead.leadId || lead.id,
+      context
+    };
+
+    const rendered = platform === 'linkedin' ?
+      this.personalizeLinkedInMessage(message, profileInfo || this.getOfflineProfileInfo(lead), lead, options) :
+      this.personalizeTwitterMessage(message, lead, lead, options);
+
+    return this.templateSchema.assertResolved(rendered, template, context);
+  }
 
-      const username = match[1];
-      const userInfo = await this.twitterClient.getUserByUsername(username);
-      return userInfo ? userInfo.id : null;
-    } catch (error) {
-      console.error('Failed to extract Twitter user ID:', error.message);
-      return null;
+  /**
+   * Check a lead against the template's required variables before anything is sent to it
+   * Covers every message the campaign can send the lead on this platform, not just the next one,
+   * so a lead is never engaged and then left without a DM it cannot be sent
+   */
+  assertRequiredVariables(template, platform, lead, campaign, profileInfo = null) {
+    const required = template.variables?.required || [];
+    const messageTypes = platform === 'linkedin' ?
+      ['connectionRequest', 'directMessage', 'followUp'] :
+      [this.getTwitterDMType(template), 'followUp'];
+    const used = new Set(messageTypes.flatMap(messageType =>
+      this.templateSchema.engine.extractVariables(template.templates?.[platform]?.[messageType] || '')));
+
+    const variables = { ...this.templateVariables, ...(campaign.variables || {}) };
+    const context = platform === 'linkedin' ?
+      this.linkedinClient.buildMessageContext(profileInfo || this.getOfflineProfileInfo(lead), lead, variables) :
+      this.twitterClient.buildMessageContext(lead, lead, variables);
+
+    const missing = required.filter(name => used.has(name) &&
+      !this.templateSchema.engine.hasValue(this.templateSchema.engine.lookup(context, name)));
+
+    if (missing.length > 0) {
+      throw this.templateSchema.engine.createMissingVariablesError(missing, required, `${platform} messages for ${lead.name}`);
     }
   }
 
   /**
-   * Schedule follow-up campaigns
+   * Apply the template's compliance rules to a rendered message
+   * Policy: campaign `compliancePolicy`, then the template's `compliance.policy`, then 'skip'
    */
-  async scheduleFollowUps(campaignId, days = 3) {
-    try {
-      const campaign = this.campaigns.get(campaignId);
-      if (!campaign) {
-        throw new Error('Campaign not found');
-      }
+  checkCompliance(template, platform, message, lead, campaign, history = []) {
+    const compliance = template.compliance || {};
+    const check = this.complianceGuard.check({
+      platform,
+      message,
+      compliance,
+      history,
+      policy: campaign.settings?.compliancePolicy || compliance.policy || 'skip'
+    });
+
+    if (check.violations.length > 0) {
+      campaign.stats.complianceViolations = (campaign.stats.complianceViolations || 0) + check.violations.length;
+      console.log(`${check.allowed ? '✂️' : '🚫'} Compliance (${platform}) for ${lead.name}: ${this.describeViolations(check.violations)}`);
+    }
 
-      console.log(`📅 Scheduling follow-ups for campaign '${campaign.name}' in ${days} days`);
+    return check;
+  }
 
-      // This would integrate with a job scheduler like node-cron
-      // For now, just log the intention
-      await this.log(`Follow-up scheduled for campaign ${campaignId} in ${days} days`);
+  /**
+   * Times of messages already sent to a lead on a platform
+   * Uses the campaign checkpoint when there is one, otherwise the lead's stored status history
+   */
+  getMessageHistory(lead, platform, checkpoint = null) {
+    if (checkpoint && checkpoint.contactedAt) {
+      return [
+        checkpoint.contactedAt,
+        ...(checkpoint.followUps || []).filter(followUp => followUp.success).map(followUp => followUp.at)
+      ];
+    }
 
-      return {
-        success: true,
-        followUpDate: new Date(Date.now() + (days * 24 * 60 * 60 * 1000)).toISOString(),
-        message: 'Follow-up scheduled successfully'
-      };
+    return (lead.statusHistory || [])
+      .filter(entry => entry.platform === platform &&
+        ['direct_message', 'connection_request', 'follow_up'].includes(entry.action))
+      .map(entry => entry.at);
+  }
 
-    } catch (error) {
-      console.error('Failed to schedule follow-ups:', error.message);
-      throw error;
-    }
+  /**
+   * Result recorded when a lead lacks a variable its template requires
+   * Checked before anything is sent, so the lead is never contacted with a half-filled message
+   */
+  createMissingVariablesSkip(lead, platform, error) {
+    console.log(`⏭️ Skipping ${lead.name} - ${error.message}`);
+    return {
+      leadId: lead.leadId || lead.id,
+      platform,
+      action: 'skipped',
+      reason: 'missing_template_variables',
+      missingVariables: error.missingVariables,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    };
   }
 
   /**
-   * Get campaign analytics
+   * Result recorded when compliance rules block a send
+   */
+  createComplianceSkip(lead, platform, violations) {
+    return {
+      leadId: lead.leadId || lead.id,
+      platform,
+      action: 'skipped',
+      reason: 'compliance',
+      violations,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * One-line summary of compliance violations
+   */
+  describeViolations(violations) {
+    return violations.map(violation => {
+      const detail = violation.actual !== undefined ?
+        `${violation.actual}/${violation.limit}` : `${violation.limit}, next at ${violation.nextAllowedAt}`;
+      return `${violation.rule} ${violation.action} (${detail})`;
+    }).join(', ');
+  }
+
+  /**
+   * Get a platform message from a template file (templates.<platform>.<messageType>)
+   */
+  getPlatformTemplate(template, platform, messageType) {
+    const message = template.templates?.[platform]?.[messageType];
+    if (!message) {
+      throw new Error(`Template '${template.name}' has no ${platform}.${messageType} message`);
+    }
+    return message;
+  }
+
+  /**
+   * Twitter DM message type: the "warm" follow-back message when the template has one
+   */
+  getTwitterDMType(template) {
+    return template.templates?.twitter?.warm ? 'warm' : 'directMessage';
+  }
+
+  /**
+   * Record a lead status change in the lead store (leads loaded from the store only)
+   */
+  async recordLeadStatus(lead, status, details = {}) {
+    if (!lead.leadId) return;
+
+    try {
+      const updated = await this.leadStore.updateStatus(lead.leadId, status, details);
+      lead.status = updated.status;
+    } catch (error) {
+      console.error(`Failed to record status for ${lead.name}:`, error.message);
+    }
+  }
+
+  /**
+   * Record an event in the shared event log without interrupting the campaign
+   */
+  async logEvent(type, data) {
+    try {
+      await this.eventLog.append(type, data);
+    } catch (error) {
+      console.error(`Failed to log ${type} event:`, error.message);
+    }
+  }
+
+  /**
+   * Personalize LinkedIn message
+   */
+  personalizeLinkedInMessage(template, profileInfo, lead, options = {}) {
+    return this.linkedinClient.personalizeMessage(template, profileInfo, lead, options);
+  }
+
+  /**
+   * Personalize Twitter message
+   */
+  personalizeTwitterMessage(template, userInfo, lead, options = {}) {
+    return this.twitterClient.personalizeMessage(template, userInfo, lead, options);
+  }
+
+  /**
+   * Generate engagement reply for Twitter
+   */
+  generateEngagementReply(tweet, userInfo) {
+    const replyTemplates = [
+      `Great insight about ${this.extractTopicFromTweet(tweet.text)}! 👍`,
+      `This resonates with my experience in ${this.extractTopicFromTweet(tweet.text)}. Thanks for sharing!`,
+      `Interesting perspective on ${this.extractTopicFromTweet(tweet.text)}. Would love to hear more about this.`,
+      `Spot on about ${this.extractTopicFromTweet(tweet.text)}! This is exactly what we're seeing too.`
+    ];
+
+    const randomTemplate = replyTemplates[Math.floor(Math.random() * replyTemplates.length)];
+    return randomTemplate;
+  }
+
+  /**
+   * Extract topic from tweet for engagement
+   */
+  extractTopicFromTweet(content) {
+    return this.qualificationRules.extractTopic(content) || 'this topic';
+  }
+
+  /**
+   * Extract LinkedIn person ID from profile URL
+   */
+  extractPersonIdFromProfile(profileUrl) {
+    // Extract person ID from LinkedIn URL
+    // This is a simplified version - actual implementation would be more robust
+    const match = profileUrl.match(/linkedin\.com\/in\/(.+?)(?:\/|$)/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Extract Twitter user ID from profile URL
+   */
+  async extractUserIdFromProfile(profileUrl) {
+    try {
+      const match = profileUrl.match(/twitter\.com\/(.+?)(?:\/|$)/);
+      if (!match) return null;
+
+      const username = match[1];
+      const userInfo = await this.twitterClient.getUserByUsername(username);
+      return userInfo ? userInfo.id : null;
+    } catch (error) {
+      console.error('Failed to extract Twitter user ID:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Schedule follow-ups for a campaign
+   * Updates the follow-up delay and returns when each contacted lead is next due
+   */
+  async scheduleFollowUps(campaignId, days = null) {
+    try {
+      const campaign = this.campaigns.get(campaignId) || await this.loadCampaign(campaignId);
+      if (!campaign) {
+        throw new Error('Campaign not found');
+      }
+
+      if (days !== null) {
+        campaign.settings.followUpDelay = days;
+      }
+
+      const schedule = [];
+      for (const lead of campaign.leads) {
+        const checkpoint = campaign.progress[this.getCampaignLeadKey(lead)];
+        const dueAt = this.getFollowUpDueDate(checkpoint, campaign.settings);
+
+        if (dueAt && !this.hasLeadReplied(lead, checkpoint)) {
+          schedule.push({ leadId: lead.leadId || lead.id, name: lead.name, dueAt: dueAt.toISOString() });
+        }
+      }
+
+      await this.saveCampaign(campaign);
+
+      console.log(`📅 ${schedule.length} follow-ups scheduled for campaign '${campaign.name}' (every ${campaign.settings.followUpDelay} days, max ${campaign.settings.maxFollowUps})`);
+      await this.log(`Follow-ups scheduled for campaign ${campaignId}: ${schedule.length} leads`);
+
+      return {
+        success: true,
+        followUpDate: schedule.length > 0 ?
+          schedule.map(s => s.dueAt).sort()[0] : null,
+        schedule,
+        message: 'Follow-up scheduled successfully'
+      };
+
+    } catch (error) {
+      console.error('Failed to schedule follow-ups:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Start long-running follow-up mode driven by node-cron
+   */
+  startFollowUpScheduler(cronExpression = '0 * * * *') {
+    if (!cron.validate(cronExpression)) {
+      throw new Error(`Invalid cron expression: ${cronExpression}`);
+    }
+
+    this.stopFollowUpScheduler();
+
+    this.followUpTask = cron.schedule(cronExpression, () => {
+      this.runFollowUps().catch(error => {
+        console.error('❌ Follow-up run failed:', error.message);
+      });
+    });
+
+    console.log(`⏰ Follow-up scheduler running (${cronExpression})`);
+    return this.followUpTask;
+  }
+
+  /**
+   * Stop the follow-up scheduler
+   */
+  stopFollowUpScheduler() {
+    if (this.followUpTask) {
+      this.followUpTask.stop();
+      this.followUpTask = null;
+    }
+  }
+
+  /**
+   * Send every due follow-up across all saved campaigns
+   */
+  async runFollowUps() {
+    // Skip if the previous tick is still sending
+    if (this.followUpRunning) {
+      console.log('⏭️ Previous follow-up run still in progress');
+      return [];
+    }
+
+    this.followUpRunning = true;
+
+    try {
+      if (!this.isInitialized) await this.initialize();
+
+      const results = [];
+      const warmResults = [];
+      const acceptedResults = [];
+      const followBackContext = {}; // one followers lookup for every campaign
+      const invitationContext = {}; // one connections lookup for every campaign
+      const campaignIds = await this.listCampaignIds();
+
+      // Keep the cached LinkedIn connection graph current (a no-op until it is stale)
+      await this.linkedinClient.refreshConnectionGraph().catch(error => {
+        console.warn('⚠️ Could not refresh LinkedIn connections:', error.message);
+      });
+
+      for (const campaignId of campaignIds) {
+        const campaign = await this.loadCampaign(campaignId);
+        if (!campaign || !campaign.progress) continue;
+
+        // Pick up replies first so nobody who answered gets nudged
+        await this.syncCampaignInbox(campaign);
+        warmResults.push(...await this.processFollowBacks(campaign, followBackContext));
+        acceptedResults.push(...await this.processInvitations(campaign, invitationContext));
+        results.push(...await this.processFollowUps(campaign));
+      }
+
+      const sent = results.filter(r => r.success).length;
+      const warmSent = warmResults.filter(r => r.success).length;
+      const acceptedSent = acceptedResults.filter(r => r.success && r.dmSent).length;
+      console.log(`📬 Follow-up run complete: ${sent} sent, ${results.length - sent} failed, ${warmSent} warm DMs after follow-backs, ${acceptedSent} messages after accepted invitations`);
+      await this.log(`Follow-up run complete: ${sent} sent, ${results.length - sent} failed, ${warmSent} warm DMs, ${acceptedSent} post-accept messages`);
+
+      return results;
+
+    } finally {
+      this.followUpRunning = false;
+    }
+  }
+
+  /**
+   * Send due follow-ups for one campaign
+   */
+  async processFollowUps(campaign) {
+    const results = [];
+    const now = new Date();
+
+    for (const lead of campaign.leads) {
+      const leadKey = this.getCampaignLeadKey(lead);
+      const checkpoint = campaign.progress[leadKey];
+      const dueAt = this.getFollowUpDueDate(checkpoint, campaign.settings);
+
+      if (!dueAt || dueAt > now || this.hasLeadReplied(lead, checkpoint)) continue;
+
+      try {
+        const result = await this.sendFollowUp(lead, campaign, checkpoint);
+
+        if (result.skipped) {
+          const skip = this.createComplianceSkip(lead, checkpoint.platform, result.violations);
+          campaign.results.push(skip);
+          results.push({ ...skip, success: false });
+
+          // A cooldown clears by itself; any other violation ends the lead's follow-ups
+          if (!result.violations.every(violation => violation.rule === 'cooldownPeriod')) {
+            checkpoint.followUpError = {
+              at: new Date().toISOString(),
+              skipped: 'compliance',
+              violations: result.violations,
+              retryable: false
+            };
+            await this.checkpointLead(campaign, leadKey, checkpoint);
+          }
+          continue;
+        }
+
+        if (!result.success) {
+          throw new Error(result.reason || result.error || 'Follow-up was not sent');
+        }
+
+        // Only sent follow-ups advance the sequence
+        checkpoint.followUps.push({
+          at: new Date().toISOString(),
+          success: true,
+          messageId: result.messageId || result.messageUrn
+        });
+        delete checkpoint.followUpError;
+        campaign.stats.followUps = (campaign.stats.followUps || 0) + 1;
+
+        console.log(`🔄 Follow-up ${checkpoint.followUps.length}/${campaign.settings.maxFollowUps} sent to ${lead.name}`);
+        results.push({ leadId: lead.leadId || lead.id, platform: checkpoint.platform, success: true });
+
+      } catch (error) {
+        // Quota and transient errors leave the lead due for the next run; anything else ends its follow-ups
+        const retryable = this.isRetryableError(error);
+        console.error(`❌ Follow-up to ${lead.name} failed${retryable ? ' (will retry)' : ''}:`, error.message);
+
+        checkpoint.followUpError = {
+          at: new Date().toISOString(),
+          error: error.message,
+          retryable
+        };
+        results.push({ leadId: lead.leadId || lead.id, platform: checkpoint.platform, success: false, error: error.message, retryable });
+      }
+
+      await this.checkpointLead(campaign, leadKey, checkpoint);
+    }
+
+    return results;
+  }
+
+  /**
+   * Whether a failed send may succeed on a later run: quota used up, rate limits and network or server errors
+   */
+  isRetryableError(error) {
+    return error.code === 'QUOTA_EXHAUSTED' ||
+      [429, 500, 502, 503, 504].includes(error.code) ||
+      ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN'].includes(error.code);
+  }
+
+  /**
+   * Send the platform's follow-up template to a lead
+   */
+  async sendFollowUp(lead, campaign, checkpoint) {
+    const template = this.getLeadTemplate(lead, campaign);
+
+    if (!['linkedin', 'twitter'].includes(checkpoint.platform)) {
+      throw new Error(`Unsupported follow-up platform: ${checkpoint.platform}`);
+    }
+
+    const profileInfo = checkpoint.platform === 'linkedin' ?
+      await this.linkedinClient.getProfileInfo(checkpoint.recipientId) : null;
+
+    const compliance = this.checkCompliance(
+      template,
+      checkpoint.platform,
+      this.renderMessage(template, checkpoint.platform, 'followUp', lead, campaign, profileInfo),
+      lead,
+      campaign,
+      this.getMessageHistory(lead, checkpoint.platform, checkpoint)
+    );
+
+    if (!compliance.allowed) {
+      return { success: false, skipped: true, violations: compliance.violations };
+    }
+
+    if (checkpoint.platform === 'linkedin') {
+      return this.linkedinClient.sendFollowUpMessage(checkpoint.recipientId, compliance.message);
+    }
+
+    // The client's cap on unanswered DMs follows the campaign's maxFollowUps
+    return this.twitterClient.sendFollowUpMessage(checkpoint.recipientId, compliance.message, {
+      maxFollowUps: campaign.settings.maxFollowUps
+    });
+  }
+
+  /**
+   * Check every saved campaign for Twitter leads who followed us back
+   */
+  async checkFollowBacks() {
+    if (!this.isInitialized) await this.initialize();
+
+    const results = [];
+    const context = {};
+    const campaignIds = await this.listCampaignIds();
+
+    for (const campaignId of campaignIds) {
+      const campaign = await this.loadCampaign(campaignId);
+      if (!campaign || !campaign.progress) continue;
+
+      results.push(...await this.processFollowBacks(campaign, context));
+    }
+
+    const sent = results.filter(r => r.success).length;
+    console.log(`🤝 Follow-back check complete: ${sent} warm DMs sent`);
+    await this.log(`Follow-back check complete: ${sent} warm DMs sent`);
+
+    return results;
+  }
+
+  /**
+   * Send the warm DM to campaign leads who followed us back
+   * A follow-back marks the lead warm and counts as engagement in the dm qualification gate.
+   * Leads still not following back after followBackDays are never messaged
+   */
+  async processFollowBacks(campaign, context = {}) {
+    const results = [];
+    const waitMs = (campaign.settings.followBackDays || 7) * 24 * 60 * 60 * 1000;
+
+    for (const lead of campaign.leads) {
+      const leadKey = this.getCampaignLeadKey(lead);
+      const checkpoint = campaign.progress[leadKey];
+      const followBack = checkpoint?.followBack;
+      if (!followBack || !['waiting', 'followed_back'].includes(followBack.state)) continue;
+
+      if (followBack.state === 'waiting') {
+        if (Date.now() - new Date(followBack.followedAt).getTime() > waitMs) {
+          console.log(`⌛ ${lead.name} did not follow back within ${campaign.settings.followBackDays || 7} days - no DM`);
+          followBack.state = 'expired';
+          await this.checkpointLead(campaign, leadKey, checkpoint);
+          continue;
+        }
+
+        // Our newest followers, looked up once per run
+        if (!context.followerIds) {
+          try {
+            context.followerIds = await this.twitterClient.getRecentFollowerIds();
+          } catch (error) {
+            console.error('❌ Could not look up followers:', error.message);
+            return results;
+          }
+        }
+
+        if (!(await this.twitterClient.isFollowingYou(followBack.userId, context.followerIds))) continue;
+
+        console.log(`🤝 ${lead.name} followed back`);
+        followBack.state = 'followed_back';
+        followBack.followedBackAt = new Date().toISOString();
+        await this.markLeadWarm(lead, followBack.followedBackAt);
+        await this.logEvent('followed_back', {
+          platform: 'twitter',
+          recipientId: followBack.userId,
+          leadId: lead.leadId,
+          campaignId: campaign.id
+        });
+      }
+
+      try {
+        const result = await this.sendWarmDM(lead, campaign, checkpoint);
+        if (result) {
+          campaign.results.push(result);
+          results.push(result);
+        }
+      } catch (error) {
+        // Retried on the next run (e.g. after the DM quota resets), three attempts at most
+        console.error(`❌ Warm DM to ${lead.name} failed:`, error.message);
+        followBack.attempts = (followBack.attempts || 0) + 1;
+        followBack.error = error.message;
+        if (followBack.attempts >= 3) followBack.state = 'failed';
+        results.push({ leadId: lead.leadId || lead.id, platform: 'twitter', success: false, error: error.message });
+      }
+
+      await this.checkpointLead(campaign, leadKey, checkpoint);
+    }
+
+    return results;
+  }
+
+  /**
+   * Record that a lead follows us, in the campaign and the lead store
+   */
+  async markLeadWarm(lead, followedBackAt) {
+    const fields = { warm: true, followsUs: true, hasEngagedWithUs: true, followedBackAt };
+    Object.assign(lead, fields);
+
+    if (!lead.leadId) return;
+
+    try {
+      await this.leadStore.updateLead(lead.leadId, fields);
+    } catch (error) {
+      console.error(`Failed to mark ${lead.name} as warm:`, error.message);
+    }
+  }
+
+  /**
+   * Send the warm DM to a lead who followed back, if the raised qualification passes
+   * Returns the campaign result, or null when the lead is not qualified
+   */
+  async sendWarmDM(lead, campaign, checkpoint) {
+    const followBack = checkpoint.followBack;
+
+    const qualification = this.qualificationRules.evaluate('dm', lead);
+    if (!qualification.qualified) {
+      console.log(`⏭️ ${lead.name} followed back but is not qualified for a DM (failed: ${qualification.failed.join(', ')})`);
+      followBack.state = 'not_qualified';
+      followBack.failedRules = qualification.failed;
+      return null;
+    }
+
+    const template = this.getLeadTemplate(lead, campaign);
+    const compliance = this.checkCompliance(
+      template,
+      'twitter',
+      this.renderMessage(template, 'twitter', this.getTwitterDMType(template), lead, campaign),
+      lead,
+      campaign,
+      this.getMessageHistory(lead, 'twitter')
+    );
+
+    if (!compliance.allowed) {
+      followBack.state = 'skipped';
+      return { ...this.createComplianceSkip(lead, 'twitter', compliance.violations), success: false };
+    }
+
+    const result = await this.twitterClient.sendDirectMessage(followBack.userId, compliance.message);
+    const timestamp = new Date().toISOString();
+
+    followBack.state = 'messaged';
+    Object.assign(checkpoint, {
+      success: true,
+      platform: 'twitter',
+      recipientId: followBack.userId,
+      contactedAt: timestamp,
+      followUps: []
+    });
+    campaign.stats.sent++;
+
+    await this.recordLeadStatus(lead, 'messaged', {
+      platform: 'twitter',
+      action: 'direct_message',
+      messageId: result.messageId,
+      campaignId: campaign.id
+    });
+    console.log(`💬 Sent warm DM to ${lead.name}`);
+
+    return {
+      leadId: lead.leadId || lead.id,
+      platform: 'twitter',
+      action: 'warm_dm',
+      userId: followBack.userId,
+      success: true,
+      dmSent: true,
+      messageId: result.messageId,
+      ...(compliance.violations.length > 0 && { violations: compliance.violations }),
+      timestamp
+    };
+  }
+
+  /**
+   * Check every saved campaign for accepted or stale LinkedIn invitations
+   */
+  async syncInvitations() {
+    if (!this.isInitialized) await this.initialize();
+
+    const results = [];
+    const context = {};
+    const campaignIds = await this.listCampaignIds();
+
+    for (const campaignId of campaignIds) {
+      const campaign = await this.loadCampaign(campaignId);
+      if (!campaign || !campaign.progress) continue;
+
+      results.push(...await this.processInvitations(campaign, context));
+    }
+
+    const sent = results.filter(r => r.success && r.dmSent).length;
+    const withdrawn = results.filter(r => r.action === 'invitation_withdrawn').length;
+    console.log(`🤝 Invitation sync complete: ${sent} messages sent, ${withdrawn} invitations withdrawn`);
+    await this.log(`Invitation sync complete: ${sent} messages sent, ${withdrawn} invitations withdrawn`);
+
+    return results;
+  }
+
+  /**
+   * Follow each pending LinkedIn invitation of a campaign through to the post-accept message
+   * Accepted invitations get the template's directMessage acceptedMessageDelay hours later.
+   * With withdrawInvitationsAfterDays set, invitations pending longer than that are withdrawn
+   * to stay under LinkedIn's pending-invitation cap
+   */
+  async processInvitations(campaign, context = {}) {
+    const results = [];
+    const delayMs = (campaign.settings.acceptedMessageDelay ?? 24) * 60 * 60 * 1000;
+    const withdrawDays = campaign.settings.withdrawInvitationsAfterDays;
+
+    for (const lead of campaign.leads) {
+      const leadKey = this.getCampaignLeadKey(lead);
+      const checkpoint = campaign.progress[leadKey];
+      const invitation = checkpoint?.invitation;
+      if (!invitation || !['pending', 'accepted'].includes(invitation.state)) continue;
+
+      try {
+        if (invitation.state === 'pending') {
+          // Our connections, looked up once per run
+          if (!context.connectionIds) {
+            try {
+              context.connectionIds = await this.linkedinClient.getConnectionIds();
+            } catch (error) {
+              console.error('❌ Could not look up connections:', error.message);
+              return results;
+            }
+          }
+
+          if (await this.linkedinClient.isAlreadyConnected(invitation.personId, context.connectionIds)) {
+            console.log(`🤝 ${lead.name} accepted the connection request`);
+            invitation.state = 'accepted';
+            const acceptedAt = new Date();
+            invitation.acceptedAt = acceptedAt.toISOString();
+            invitation.messageDueAt = new Date(acceptedAt.getTime() + delayMs).toISOString();
+            campaign.stats.connections = (campaign.stats.connections || 0) + 1;
+            await this.recordInvitation(lead, invitation);
+            await this.logEvent('invitation_accepted', {
+              platform: 'linkedin',
+              recipientId: invitation.personId,
+              invitationUrn: invitation.invitationUrn,
+              leadId: lead.leadId,
+              campaignId: campaign.id
+            });
+
+          } else if (withdrawDays && Date.now() - new Date(invitation.sentAt).getTime() > withdrawDays * 24 * 60 * 60 * 1000) {
+            await this.linkedinClient.withdrawInvitation(invitation.personId, invitation.invitationUrn);
+            console.log(`↩️ Withdrew invitation to ${lead.name} after ${withdrawDays} days pending`);
+            invitation.state = 'withdrawn';
+            invitation.withdrawnAt = new Date().toISOString();
+            await this.recordInvitation(lead, invitation);
+            results.push({ leadId: lead.leadId || lead.id, platform: 'linkedin', action: 'invitation_withdrawn', personId: invitation.personId, success: true });
+            await this.checkpointLead(campaign, leadKey, checkpoint);
+            continue;
+
+          } else {
+            continue;
+          }
+        }
+
+        if (new Date(invitation.messageDueAt) > new Date()) {
+          await this.checkpointLead(campaign, leadKey, checkpoint);
+          continue;
+        }
+
+        const result = await this.sendAcceptedMessage(lead, campaign, checkpoint);
+        campaign.results.push(result);
+        results.push(result);
+
+      } catch (error) {
+        // Retried on the next run (e.g. after the message quota resets), three attempts at most
+        console.error(`❌ Invitation follow-through for ${lead.name} failed:`, error.message);
+        invitation.attempts = (invitation.attempts || 0) + 1;
+        invitation.error = error.message;
+        if (invitation.attempts >= 3) invitation.state = 'failed';
+        results.push({ leadId: lead.leadId || lead.id, platform: 'linkedin', success: false, error: error.message });
+      }
+
+      await this.checkpointLead(campaign, leadKey, checkpoint);
+    }
+
+    return results;
+  }
+
+  /**
+   * Record a lead's LinkedIn invitation in the lead store
+   */
+  async recordInvitation(lead, invitation) {
+    const fields = { invitation: { ...invitation } };
+    Object.assign(lead, fields);
+
+    if (!lead.leadId) return;
+
+    try {
+      await this.leadStore.updateLead(lead.leadId, fields);
+    } catch (error) {
+      console.error(`Failed to record invitation for ${lead.name}:`, error.message);
+    }
+  }
+
+  /**
+   * Send the template's directMessage to a lead who accepted our connection request
+   * Returns the campaign result; the lead then enters the follow-up schedule
+   */
+  async sendAcceptedMessage(lead, campaign, checkpoint) {
+    const invitation = checkpoint.invitation;
+    const template = this.getLeadTemplate(lead, campaign);
+    const profileInfo = await this.linkedinClient.getProfileInfo(invitation.personId);
+
+    const compliance = this.checkCompliance(
+      template,
+      'linkedin',
+      this.renderMessage(template, 'linkedin', 'directMessage', lead, campaign, profileInfo),
+      lead,
+      campaign,
+      this.getMessageHistory(lead, 'linkedin')
+    );
+
+    if (!compliance.allowed) {
+      // A cooldown clears by itself; any other violation means the message is never sent
+      if (!compliance.violations.every(violation => violation.rule === 'cooldownPeriod')) {
+        invitation.state = 'skipped';
+      }
+      return { ...this.createComplianceSkip(lead, 'linkedin', compliance.violations), success: false };
+    }
+
+    const result = await this.linkedinClient.sendDirectMessage(invitation.personId, compliance.message);
+    const timestamp = new Date().toISOString();
+
+    invitation.state = 'messaged';
+    Object.assign(checkpoint, {
+      platform: 'linkedin',
+      recipientId: invitation.personId,
+      contactedAt: timestamp,
+      followUps: []
+    });
+    campaign.stats.sent++;
+    await this.recordInvitation(lead, invitation);
+
+    await this.recordLeadStatus(lead, 'messaged', {
+      platform: 'linkedin',
+      action: 'direct_message',
+      messageId: result.messageUrn,
+      campaignId: campaign.id
+    });
+    console.log(`💬 Sent post-accept message to ${lead.name}`);
+
+    return {
+      leadId: lead.leadId || lead.id,
+      platform: 'linkedin',
+      action: 'accepted_message',
+      personId: invitation.personId,
+      success: true,
+      dmSent: true,
+      messageId: result.messageUrn,
+      ...(compliance.violations.length > 0 && { violations: compliance.violations }),
+      timestamp
+    };
+  }
+
+  /**
+   * Poll conversation history for every contacted lead across all saved campaigns
+   */
+  async syncInbox() {
+    if (!this.isInitialized) await this.initialize();
+
+    const replies = [];
+    const campaignIds = await this.listCampaignIds();
+
+    for (const campaignId of campaignIds) {
+      const campaign = await this.loadCampaign(campaignId);
+      if (!campaign || !campaign.progress) continue;
+
+      replies.push(...await this.syncCampaignInbox(campaign));
+    }
+
+    console.log(`📥 Inbox sync complete: ${replies.length} new replies`);
+    await this.log(`Inbox sync complete: ${replies.length} new replies`);
+
+    return replies;
+  }
+
+  /**
+   * Record inbound replies for a campaign's contacted leads
+   */
+  async syncCampaignInbox(campaign) {
+    const replies = [];
+
+    for (const lead of campaign.leads) {
+      const leadKey = this.getCampaignLeadKey(lead);
+      const checkpoint = campaign.progress[leadKey];
+      if (!checkpoint || !checkpoint.contactedAt || checkpoint.repliedAt) continue;
+
+      try {
+        const client = checkpoint.platform === 'linkedin' ? this.linkedinClient : this.twitterClient;
+        const history = await client.getConversationHistory(checkpoint.recipientId, 10, { since: checkpoint.contactedAt });
+
+        const inbound = history
+          .map(message => this.normalizeConversationMessage(message))
+          .filter(message => message.senderId === checkpoint.recipientId &&
+            message.at && new Date(message.at) > new Date(checkpoint.contactedAt))
+          .sort((a, b) => new Date(a.at) - new Date(b.at));
+
+        if (inbound.length === 0) continue;
+
+        const reply = inbound[0];
+        checkpoint.repliedAt = reply.at;
+        checkpoint.replies = inbound;
+        campaign.stats.responses = (campaign.stats.responses || 0) + 1;
+        this.updateResponseRate(campaign);
+
+        await this.recordLeadStatus(lead, 'replied', { platform: checkpoint.platform, campaignId: campaign.id, messageId: reply.id });
+        await this.logEvent('reply_received', {
+          platform: checkpoint.platform,
+          recipientId: checkpoint.recipientId,
+          leadId: lead.leadId,
+          campaignId: campaign.id,
+          messageId: reply.id,
+          repliedAt: reply.at
+        });
+
+        if (inbound.some(message => this.suppressionList.containsOptOut(message.text))) {
+          await this.optOutLead(lead, checkpoint, campaign);
+        } else {
+          await this.recordLeadStatus(lead, 'needs-human', { reason: 'reply_received', campaignId: campaign.id });
+          console.log(`💬 ${lead.name} replied on ${checkpoint.platform} - handing off to a human`);
+        }
+
+        await this.checkpointLead(campaign, leadKey, checkpoint);
+        replies.push({ leadId: lead.leadId || lead.id, campaignId: campaign.id, platform: checkpoint.platform, ...reply });
+
+      } catch (error) {
+        console.warn(`Could not sync inbox for ${lead.name}:`, error.message);
+      }
+    }
+
+    return replies;
+  }
+
+  /**
+   * Add a lead who asked to stop to the suppression list
+   */
+  async optOutLead(lead, checkpoint, campaign) {
+    const type = checkpoint.platform === 'linkedin' ? 'linkedin' : 'twitter';
+    await this.suppressionList.add(type, checkpoint.recipientId, 'opt_out_reply', campaign.id);
+
+    if (lead.email) {
+      await this.suppressionList.add('email', lead.email, 'opt_out_reply', campaign.id);
+    }
+
+    checkpoint.optedOut = true;
+    await this.recordLeadStatus(lead, 'opted-out', { reason: 'opt_out_reply', campaignId: campaign.id });
+    await this.logEvent('opted_out', {
+      platform: type,
+      recipientId: checkpoint.recipientId,
+      leadId: lead.leadId,
+      campaignId: campaign.id,
+      reason: 'opt_out_reply'
+    });
+
+    console.log(`🚫 ${lead.name} asked to stop - added to suppression list`);
+    await this.log(`Lead ${lead.leadId || lead.id} opted out via ${checkpoint.platform} reply`);
+  }
+
+  /**
+   * Normalize a Twitter or LinkedIn conversation entry to { id, senderId, text, at }
+   */
+  normalizeConversationMessage(message) {
+    // LinkedIn senders arrive as URNs (urn:li:person:abc123)
+    const sender = message.senderId || message.sender_id || message.from || message.sender || null;
+    const senderId = typeof sender === 'string' ? sender.replace('urn:li:person:', '') : null;
+
+    const createdAt = message.createdAt || message.created_at || message.timestamp || message.created?.time;
+
+    return {
+      id: message.id || message.messageId || message.entityUrn || null,
+      senderId,
+      text: message.text || message.body?.text || message.body || message.messageText || '',
+      at: createdAt ? new Date(createdAt).toISOString() : null
+    };
+  }
+
+  /**
+   * Recalculate a campaign's response rate from its checkpoints
+   */
+  updateResponseRate(campaign) {
+    const contacted = this.countContactedLeads(campaign);
+    campaign.stats.responseRate = contacted > 0 ? campaign.stats.responses / contacted : 0;
+  }
+
+  /**
+   * Leads actually messaged in a campaign - the denominator of every response rate
+   */
+  countContactedLeads(campaign) {
+    return Object.values(campaign.progress || {}).filter(c => c.contactedAt).length;
+  }
+
+  /**
+   * Get the date the next follow-up is due, or null if none is owed
+   */
+  getFollowUpDueDate(checkpoint, settings) {
+    if (!checkpoint || !checkpoint.contactedAt) return null;
+    if (checkpoint.followUpError && !checkpoint.followUpError.retryable) return null;
+
+    const followUps = checkpoint.followUps || [];
+    if (followUps.length >= settings.maxFollowUps) return null;
+
+    const lastTouch = followUps.length > 0 ?
+      followUps[followUps.length - 1].at : checkpoint.contactedAt;
+
+    return new Date(new Date(lastTouch).getTime() + (settings.followUpDelay * 24 * 60 * 60 * 1000));
+  }
+
+  /**
+   * Check whether a lead has replied (or otherwise left the funnel)
+   */
+  hasLeadReplied(lead, checkpoint) {
+    if (checkpoint && checkpoint.repliedAt) return true;
+
+    const storedLead = lead.leadId ? this.leadStore.getLead(lead.leadId) : null;
+    return !!storedLead && ['replied', 'needs-human', 'converted', 'opted-out'].includes(storedLead.status);
+  }
+
+  /**
+   * List saved campaign IDs
+   */
+  async listCampaignIds() {
+    try {
+      const campaignsDir = path.dirname(this.getCampaignPath('campaign'));
+      const files = await fs.readdir(campaignsDir);
+
+      return files
+        .filter(file => file.endsWith('.json'))
+        .map(file => file.replace(/\.json$/, ''));
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Get campaign analytics
    */
   async getCampaignAnalytics(campaignId = null) {
     try {
       if (campaignId) {
-        const campaign = this.campaigns.get(campaignId);
+        const campaign = this.campaigns.get(campaignId) || await this.loadCampaign(campaignId);
         if (!campaign) {
           throw new Error('Campaign not found');
         }
@@ -484,25 +1983,41 @@ class DMDispatcherAgent {
         const linkedinAnalytics = await this.linkedinClient.getOutreachAnalytics();
         const twitterAnalytics = await this.twitterClient.getOutreachAnalytics();
 
+        // Weight each platform's success rate by how much outreach it did
+        const platforms = [linkedinAnalytics, twitterAnalytics].filter(Boolean);
+        const totalOutreach = platforms.reduce((sum, analytics) => sum + analytics.totalOutreach, 0);
+        const successes = platforms.reduce((sum, analytics) => sum + analytics.successRate * analytics.totalOutreach, 0);
+
         return {
           campaign: campaign,
           linkedin: linkedinAnalytics,
           twitter: twitterAnalytics,
           combined: {
-            totalOutreach: (linkedinAnalytics?.totalOutreach || 0) + (twitterAnalytics?.totalOutreach || 0),
-            averageSuccessRate: ((linkedinAnalytics?.successRate || 0) + (twitterAnalytics?.successRate || 0)) / 2
+            totalOutreach,
+            averageSuccessRate: totalOutreach > 0 ? successes / totalOutreach : 0,
+            responses: campaign.stats.responses || 0,
+            responseRate: campaign.stats.responseRate || 0,
+            complianceViolations: campaign.stats.complianceViolations || 0
           }
         };
       } else {
-        // Get overall analytics
+        // Get overall analytics across every saved campaign, not just those loaded in this process
+        for (const id of await this.listCampaignIds()) {
+          if (!this.campaigns.has(id)) await this.loadCampaign(id);
+        }
         const allCampaigns = Array.from(this.campaigns.values());
         const totalLeads = allCampaigns.reduce((sum, c) => sum + c.leads.length, 0);
         const totalSent = allCampaigns.reduce((sum, c) => sum + c.stats.sent, 0);
+        const totalContacted = allCampaigns.reduce((sum, c) => sum + this.countContactedLeads(c), 0);
+        const totalResponses = allCampaigns.reduce((sum, c) => sum + (c.stats.responses || 0), 0);
 
         return {
           totalCampaigns: allCampaigns.length,
           totalLeads,
           totalSent,
+          totalContacted,
+          totalResponses,
+          responseRate: totalContacted > 0 ? totalResponses / totalContacted : 0,
           activeCampaigns: allCampaigns.filter(c => c.status === 'active').length,
           completedCampaigns: allCampaigns.filter(c => c.status === 'completed').length
         };
@@ -521,18 +2036,31 @@ class DMDispatcherAgent {
     return `campaign_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
+  /**
+   * Get campaign file path
+   */
+  getCampaignPath(campaignId) {
+    return path.join(__dirname, `../data/campaigns/${campaignId}.json`);
+  }
+
   /**
    * Save campaign to file
+   * Writes to a temp file and renames so a crash never leaves a half-written checkpoint
    */
   async saveCampaign(campaign) {
     try {
-      const campaignFile = path.join(__dirname, `../data/campaigns/${campaign.id}.json`);
+      const campaignFile = this.getCampaignPath(campaign.id);
+      const tempFile = `${campaignFile}.tmp`;
+
       await fs.mkdir(path.dirname(campaignFile), { recursive: true });
-      await fs.writeFile(campaignFile, JSON.stringify(campaign, null, 2));
+      await fs.writeFile(tempFile, JSON.stringify(campaign, null, 2));
+      await fs.rename(tempFile, campaignFile);
       
       console.log(`💾 Campaign saved: ${campaign.id}`);
     } catch (error) {
       console.error('Failed to save campaign:', error.message);
+      // Without a checkpoint we cannot guarantee leads are not contacted twice
+      throw new Error(`Failed to checkpoint campaign: ${error.message}`);
     }
   }
 
@@ -541,9 +2069,19 @@ class DMDispatcherAgent {
    */
   async loadCampaign(campaignId) {
     try {
-      const campaignFile = path.join(__dirname, `../data/campaigns/${campaignId}.json`);
-      const campaignData = await fs.readFile(campaignFile, 'utf8');
+      const campaignData = await fs.readFile(this.getCampaignPath(campaignId), 'utf8');
       const campaign = JSON.parse(campaignData);
+
+      // Campaigns saved before checkpointing have no progress; treat them as fully processed
+      if (!campaign.progress) {
+        campaign.progress = {};
+        if (campaign.status === 'completed') {
+          for (const lead of campaign.leads || []) {
+            campaign.progress[this.getCampaignLeadKey(lead)] = { state: 'done' };
+          }
+        }
+      }
+      campaign.results = campaign.results || [];
       
       this.campaigns.set(campaignId, campaign);
       return campaign;
@@ -601,10 +2139,20 @@ class DMDispatcherAgent {
           username: 'techfounder',
           name: 'Mike Chen',
           bio: 'Building the future of AI | CEO @StartupCo',
+          industry: 'Technology',
           platform: 'twitter',
           profileUrl: 'https://twitter.com/techfounder',
           score: 78,
-          keywords: ['AI', 'startups']
+          keywords: ['AI', 'startups'],
+          followerCount: 1250,
+          lastActivity: new Date().toISOString(),
+          recentTweets: [
+            {
+              id: 'test_tweet_1',
+              content: 'Just launched our new AI automation feature. Shipping fast beats planning forever.',
+              engagement: { likes: 23, comments: 3 }
+            }
+          ]
         }
       ];
 
@@ -613,6 +2161,10 @@ class DMDispatcherAgent {
         leads: mockLeads,
         template: 'cold-outreach',
         platforms: ['linkedin', 'twitter'],
+        variables: {
+          targetAudience: 'startups and agencies',
+          service: 'AI automation'
+        },
         delay: 5000, // 5 seconds for testing
         dailyLimit: 10
       };
@@ -625,16 +2177,8 @@ class DMDispatcherAgent {
       // Note: This is a dry run - no actual messages sent
       console.log('🔍 DRY RUN - No actual messages will be sent');
       
-      console.log('─'.repeat(60));
+      await this.planCampaign(testCampaign);
       
-      for (const lead of testCampaign.leads) {
-        console.log(`\n👤 Would process: ${lead.name}`);
-        console.log(`   Platform: ${lead.platform}`);
-        console.log(`   Score: ${lead.score}`);
-        console.log(`   Action: ${lead.platform === 'linkedin' ? 'Send connection request' : 'Engage with content'}`);
-      }
-      
-      console.log('─'.repeat(60));
       console.log('🧪 Test completed successfully');
       console.log('💡 To run live campaign, use: agent.startCampaign(config)');
 
@@ -654,6 +2198,47 @@ async function main() {
     
     if (args.includes('--test')) {
       await agent.runTest();
+    } else if (args.includes('--dry-run')) {
+      // Plan outreach for every uncontacted lead in the store without calling any API
+      const leads = await agent.leadStore.queryLeads({ status: ['discovered', 'researched'] });
+      await agent.planCampaign({
+        name: 'Dry Run',
+        leads,
+        template: 'cold-outreach'
+      }, { save: true });
+    } else if (args.includes('--resume')) {
+      // Resume a checkpointed campaign by ID
+      const campaignId = args[args.indexOf('--resume') + 1];
+      if (!campaignId) {
+        throw new Error('Usage: npm start -- --resume <campaignId>');
+      }
+
+      process.on('SIGINT', () => {
+        console.log('\n🛑 Finishing current lead before pausing...');
+        agent.requestStop();
+      });
+
+      await agent.resumeCampaign(campaignId);
+    } else if (args.includes('--sync-inbox')) {
+      // One-off reply detection
+      await agent.syncInbox();
+    } else if (args.includes('--follow-backs')) {
+      // One-off follow-back check (also part of every --cron run)
+      await agent.checkFollowBacks();
+    } else if (args.includes('--sync-invitations')) {
+      // One-off LinkedIn invitation check (also part of every --cron run)
+      await agent.syncInvitations();
+    } else if (args.includes('--cron')) {
+      // Long-running follow-up mode
+      const expression = args[args.indexOf('--cron') + 1];
+      await agent.initialize();
+      await agent.runFollowUps();
+      agent.startFollowUpScheduler(expression && !expression.startsWith('--') ? expression : undefined);
+
+      process.on('SIGINT', () => {
+        agent.stopFollowUpScheduler();
+        process.exit(0);
+      });
     } else {
       // Initialize for interactive use
       await agent.initialize();
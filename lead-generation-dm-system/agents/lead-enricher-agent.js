@@ -0,0 +1,398 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const LeadStore = require('../utils/lead-store');
+const SuppressionList = require('../utils/suppression-list');
+const TwitterDMClient = require('../utils/twitter-dm-client');
+const LinkedInDMClient = require('../utils/linkedin-dm-client');
+
+/**
+ * Lead Enricher Agent for Chudi Nnorukam
+ * Sits between the Lead Hunter and the DM Dispatcher: fills in profile and
+ * recent-activity data for stored leads so qualification has real inputs
+ *
+ * Every enriched field gets a timestamp in lead.enrichedAt, and a field group
+ * is fetched again once it is older than its refresh interval
+ */
+class LeadEnricherAgent {
+  constructor() {
+    this.leadStore = new LeadStore();
+    this.suppressionList = new SuppressionList();
+    this.twitterClient = new TwitterDMClient();
+    this.linkedinClient = new LinkedInDMClient();
+    this.isInitialized = false;
+    this.logPath = path.join(__dirname, '../logs/lead-enricher.log');
+
+    // Fields filled by each lookup, the quota it uses and how long the data stays fresh
+    this.fieldGroups = {
+      twitterProfile: {
+        platform: 'twitter',
+        quota: 'userLookup',
+        maxAge: 7 * 24 * 60 * 60 * 1000,
+        fields: ['username', 'name', 'bio', 'location', 'verified', 'followerCount', 'followingCount', 'tweetCount', 'accountCreatedAt', 'profileUrl', 'website', 'bioUrls']
+      },
+      twitterActivity: {
+        platform: 'twitter',
+        quota: 'tweetLookup',
+        maxAge: 24 * 60 * 60 * 1000,
+        fields: ['recentTweets', 'lastActivity', 'hasEngagedWithUs']
+      },
+      linkedinProfile: {
+        platform: 'linkedin',
+        quota: 'profileViews',
+        maxAge: 14 * 24 * 60 * 60 * 1000,
+        fields: ['firstName', 'lastName', 'headline', 'industry', 'location', 'profileUrl']
+      },
+      linkedinConnections: {
+        platform: 'linkedin',
+        quota: null, // read from the cached connection graph (see hasQuota)
+        maxAge: 24 * 60 * 60 * 1000,
+        fields: ['mutualConnections']
+      }
+    };
+    this.recentTweetCount = 10;
+    this.ownTwitterUsername = (process.env.TWITTER_USERNAME || '').replace(/^@/, '').toLowerCase() || null;
+  }
+
+  /**
+   * Initialize the lead enricher agent
+   */
+  async initialize() {
+    try {
+      console.log('🔬 Initializing Lead Enricher Agent...');
+
+      await this.leadStore.initialize();
+
+      // Lookups only need the app-only bearer token
+      if (process.env.TWITTER_BEARER_TOKEN) {
+        this.twitterClient.initializeSearch();
+      } else {
+        console.warn('⚠️ No TWITTER_BEARER_TOKEN, Twitter leads will not be enriched');
+      }
+
+      if (!process.env.LINKEDIN_ACCESS_TOKEN) {
+        console.warn('⚠️ No LINKEDIN_ACCESS_TOKEN, LinkedIn leads will not be enriched');
+      }
+
+      this.isInitialized = true;
+      console.log('✅ Lead Enricher Agent initialized successfully');
+      await this.log('Lead Enricher Agent initialized');
+
+    } catch (error) {
+      console.error('❌ Failed to initialize Lead Enricher Agent:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Enrich stored leads whose data is missing or stale
+   * Stops fetching a field group once its quota is used up; those leads are picked up next run
+   */
+  async enrichLeads(options = {}) {
+    if (!this.isInitialized) await this.initialize();
+
+    const {
+      status = ['discovered', 'researched', 'engaged'],
+      platform = ['twitter', 'linkedin'],
+      limit = null,
+      force = false
+    } = options;
+
+    const leads = await this.leadStore.queryLeads({ status, platform });
+    const summary = { checked: 0, enriched: 0, fresh: 0, deferred: 0, failed: 0, suppressed: 0 };
+    const exhausted = new Set(); // field groups whose quota ran out this run
+
+    console.log(`🔬 Enriching up to ${limit || leads.length} of ${leads.length} leads...`);
+
+    for (const lead of leads) {
+      if (limit && summary.enriched >= limit) break;
+      summary.checked++;
+
+      if (await this.suppressionList.isLeadSuppressed(lead)) {
+        summary.suppressed++;
+        continue;
+      }
+
+      const staleGroups = this.getStaleGroups(lead, force);
+      if (staleGroups.length === 0) {
+        summary.fresh++;
+        continue;
+      }
+
+      try {
+        const result = await this.enrichLead(lead, staleGroups, exhausted);
+
+        if (result.enriched) summary.enriched++;
+        if (result.deferred) summary.deferred++;
+        if (result.failed) summary.failed++;
+
+      } catch (error) {
+        summary.failed++;
+        console.error(`❌ Failed to enrich ${lead.name || lead.leadId}:`, error.message);
+        await this.log(`Failed to enrich ${lead.leadId}: ${error.message}`);
+      }
+    }
+
+    console.log(`🎉 Enriched ${summary.enriched} leads (${summary.fresh} already fresh, ${summary.deferred} deferred by quota, ${summary.failed} failed)`);
+    await this.log(`Enrichment run: ${JSON.stringify(summary)}`);
+
+    return summary;
+  }
+
+  /**
+   * Field groups for this lead's platform that are missing or older than their refresh interval
+   */
+  getStaleGroups(lead, force = false, now = Date.now()) {
+    const refreshedAt = lead.enrichedAt || {};
+
+    return Object.entries(this.fieldGroups)
+      .filter(([, group]) => group.platform === lead.platform)
+      .filter(([, group]) => force || group.fields.some(field =>
+        !refreshedAt[field] || now - new Date(refreshedAt[field]).getTime() > group.maxAge))
+      .map(([name]) => name);
+  }
+
+  /**
+   * Fetch each stale field group and save the new values with their timestamps
+   */
+  async enrichLead(lead, staleGroups, exhausted) {
+    const updates = {};
+    const refreshed = [];
+    let deferred = false;
+    let failed = false;
+
+    for (const groupName of staleGroups) {
+      if (exhausted.has(groupName) || !(await this.hasQuota(groupName))) {
+        exhausted.add(groupName);
+        deferred = true;
+        continue;
+      }
+
+      const values = await this.fetchGroup(groupName, { ...lead, ...updates });
+      if (!values) {
+        failed = true;
+        continue;
+      }
+
+      Object.assign(updates, values);
+      refreshed.push(...this.fieldGroups[groupName].fields);
+    }
+
+    if (refreshed.length === 0) {
+      return { enriched: false, deferred, failed };
+    }
+
+    const now = new Date().toISOString();
+    const enrichedAt = { ...(lead.enrichedAt || {}) };
+    for (const field of refreshed) enrichedAt[field] = now;
+
+    await this.leadStore.updateLead(lead.leadId, { ...updates, enrichedAt });
+    await this.leadStore.updateStatus(lead.leadId, 'researched', { platform: lead.platform, action: 'enrich' });
+
+    console.log(`✅ Enriched ${updates.name || lead.name || lead.leadId}: ${refreshed.join(', ')}`);
+    return { enriched: true, deferred, failed };
+  }
+
+  /**
+   * Check the shared quota ledger before spending a lookup
+   */
+  async hasQuota(groupName) {
+    const group = this.fieldGroups[groupName];
+
+    // Connection data is read from the cached graph, refreshed first when stale
+    if (groupName === 'linkedinConnections') {
+      const graph = await this.linkedinClient.loadConnectionGraph().catch(error => {
+        console.warn('⚠️ LinkedIn connections unavailable:', error.message);
+        return null;
+      });
+      return Boolean(graph && graph.hasMutualData());
+    }
+
+    if (group.platform === 'twitter') {
+      const quota = await this.twitterClient.getRemainingQuota();
+      return quota[group.quota].remaining > 0;
+    }
+
+    const quota = await this.linkedinClient.getRemainingQuota();
+    return quota[group.quota] > 0;
+  }
+
+  /**
+   * Fetch one field group, returning null when the lookup failed
+   */
+  async fetchGroup(groupName, lead) {
+    switch (groupName) {
+      case 'twitterProfile':
+        return this.fetchTwitterProfile(lead);
+      case 'twitterActivity':
+        return this.fetchTwitterActivity(lead);
+      case 'linkedinProfile':
+        return this.fetchLinkedInProfile(lead);
+      case 'linkedinConnections':
+        return this.fetchLinkedInConnections(lead);
+      default:
+        throw new Error(`Unknown field group: ${groupName}`);
+    }
+  }
+
+  /**
+   * Profile data from the Twitter user lookup
+   */
+  async fetchTwitterProfile(lead) {
+    const userId = this.getTwitterUserId(lead);
+    if (!userId && !lead.username) return null;
+
+    const userData = userId ?
+      await this.twitterClient.getUserInfo(userId) :
+      await this.twitterClient.getUserByUsername(lead.username);
+
+    if (!userData) return null;
+
+    const { id, ...profile } = userData;
+    return { ...profile, twitterUserId: id };
+  }
+
+  /**
+   * Recent tweets, last activity and whether they mentioned or replied to us
+   */
+  async fetchTwitterActivity(lead) {
+    const userId = this.getTwitterUserId(lead);
+    if (!userId) return null;
+
+    const tweets = await this.twitterClient.getRecentTweets(userId, this.recentTweetCount);
+
+    // An empty timeline for someone we have seen tweet means the lookup failed
+    if (tweets.length === 0 && lead.recentTweets?.length > 0) return null;
+
+    const recentTweets = tweets
+      .map(tweet => ({
+        id: tweet.id,
+        content: tweet.text,
+        date: tweet.createdAt,
+        engagement: {
+          retweets: tweet.metrics?.retweet_count || 0,
+          likes: tweet.metrics?.like_count || 0,
+          replies: tweet.metrics?.reply_count || 0
+        }
+      }))
+      .sort((a, b) => new Date(b.date || 0) - new Date(a.date || 0));
+
+    const mentionedUs = this.ownTwitterUsername !== null && tweets.some(tweet =>
+      (tweet.mentions || []).some(username => username.toLowerCase() === this.ownTwitterUsername));
+
+    return {
+      recentTweets,
+      lastActivity: recentTweets[0]?.date || lead.lastActivity || null,
+      // Once someone has engaged with us it stays true
+      hasEngagedWithUs: Boolean(lead.hasEngagedWithUs) || mentionedUs
+    };
+  }
+
+  /**
+   * Profile data from the LinkedIn profile API
+   */
+  async fetchLinkedInProfile(lead) {
+    const personId = this.getLinkedInPersonId(lead);
+    if (!personId) return null;
+
+    const profile = await this.linkedinClient.getProfileInfo(personId);
+    if (!profile) return null;
+
+    // Keep existing values where LinkedIn returned nothing
+    return Object.fromEntries(Object.entries(profile).filter(([, value]) => value !== undefined && value !== null));
+  }
+
+  /**
+   * Connections we share with the lead, from the cached connection graph
+   */
+  async fetchLinkedInConnections(lead) {
+    const personId = this.getLinkedInPersonId(lead);
+    if (!personId) return null;
+
+    const mutualConnections = this.linkedinClient.connectionGraph.getMutualConnections(personId);
+    return mutualConnections ? { mutualConnections } : null;
+  }
+
+  /**
+   * Refresh the cached LinkedIn connection graph now
+   */
+  async refreshConnections(options = {}) {
+    const summary = await this.linkedinClient.refreshConnectionGraph({ ...options, force: true });
+    if (summary.reason === 'quota') {
+      console.log('⚠️ No connectionLookups quota left, connection graph not refreshed');
+    }
+    return summary;
+  }
+
+  /**
+   * Twitter user ID of a lead (hunted Twitter leads use it as their id)
+   */
+  getTwitterUserId(lead) {
+    return lead.twitterUserId || (lead.platform === 'twitter' ? lead.id : null);
+  }
+
+  /**
+   * LinkedIn person ID from the lead's profile URL
+   */
+  getLinkedInPersonId(lead) {
+    if (lead.linkedinPersonId) return lead.linkedinPersonId;
+
+    const match = (lead.profileUrl || '').match(/linkedin\.com\/in\/(.+?)(?:\/|$)/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Log activities
+   */
+  async log(message) {
+    try {
+      const logEntry = {
+        timestamp: new Date().toISOString(),
+        message: message
+      };
+
+      await fs.mkdir(path.dirname(this.logPath), { recursive: true });
+      await fs.appendFile(this.logPath, JSON.stringify(logEntry) + '\n');
+
+    } catch (error) {
+      console.error('Failed to write to log:', error.message);
+    }
+  }
+}
+
+// Main execution
+async function main() {
+  const agent = new LeadEnricherAgent();
+
+  try {
+    const args = process.argv.slice(2);
+    const options = { force: args.includes('--force') };
+
+    if (args.includes('--limit')) {
+      options.limit = parseInt(args[args.indexOf('--limit') + 1], 10);
+    }
+    if (args.includes('--platform')) {
+      options.platform = args[args.indexOf('--platform') + 1];
+    }
+
+    if (args.includes('--refresh-connections')) {
+      await agent.refreshConnections({ full: args.includes('--full') });
+    } else {
+      await agent.enrichLeads(options);
+    }
+
+  } catch (error) {
+    console.error('❌ Lead Enricher execution failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Export for use as module
+module.exports = LeadEnricherAgent;
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(console.error);
+}
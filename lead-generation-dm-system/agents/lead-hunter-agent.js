@@ -3,6 +3,17 @@
 require('dotenv').config();
 const fs = require('fs').promises;
 const path = require('path');
+const LeadStore = require('../utils/lead-store');
+const SuppressionList = require('../utils/suppression-list');
+const TwitterDMClient = require('../utils/twitter-dm-client');
+const TwitterOutreachStrategy = require('../utils/twitter-outreach-strategy');
+const SourceAdapter = require('../utils/source-adapter');
+const FileSourceAdapter = require('../utils/file-source-adapter');
+const HttpSourceAdapter = require('../utils/http-source-adapter');
+const IdentityResolver = require('../utils/identity-resolver');
+const LeadScorer = require('../utils/lead-scorer');
+const EventLog = require('../utils/event-log');
+const ConnectionGraph = require('../utils/connection-graph');
 
 /**
  * Lead Hunter Agent for Chudi Nnorukam
@@ -12,7 +23,24 @@ const path = require('path');
 class LeadHunterAgent {
   constructor() {
     this.config = null;
+    this.sourceAdapters = [];
+    this.sourceAdapterTypes = {
+      file: FileSourceAdapter,
+      http: HttpSourceAdapter
+    };
     this.leads = new Map();
+    this.leadStore = new LeadStore();
+    this.suppressionList = new SuppressionList();
+    this.identityResolver = new IdentityResolver();
+    this.leadScorer = new LeadScorer();
+    this.connectionGraph = new ConnectionGraph(); // cached by the LinkedIn client, read-only here
+    this.eventLog = new EventLog();
+    this.twitterClient = new TwitterDMClient();
+    this.twitterStrategy = new TwitterOutreachStrategy();
+    this.twitterSearchSettings = {
+      maxResults: 50, // results per page (10-100)
+      maxPages: 2     // pages per query, quota permitting
+    };
     this.isInitialized = false;
     this.logPath = path.join(__dirname, '../logs/lead-hunter.log');
   }
@@ -26,6 +54,9 @@ class LeadHunterAgent {
 
       // Load configuration
       await this.loadConfig();
+
+      // Load persistent lead store
+      await this.leadStore.initialize();
       
       this.isInitialized = true;
       console.log('✅ Lead Hunter Agent initialized successfully');
@@ -49,6 +80,76 @@ class LeadHunterAgent {
     } catch (error) {
       throw new Error(`Failed to load lead criteria: ${error.message}`);
     }
+
+    await this.loadSourceAdapters();
+  }
+
+  /**
+   * Create an adapter for every enabled source in config/lead-sources.json
+   */
+  async loadSourceAdapters() {
+    let sources = [];
+
+    try {
+      const sourcesPath = path.join(__dirname, '../config/lead-sources.json');
+      const sourcesData = await fs.readFile(sourcesPath, 'utf8');
+      sources = JSON.parse(sourcesData).sources || [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to load prospect sources: ${error.message}`);
+      }
+    }
+
+    this.sourceAdapters = sources
+      .filter(source => source.enabled)
+      .map(source => this.createSourceAdapter(source));
+
+    if (this.sourceAdapters.length > 0) {
+      console.log(`📋 Prospect sources enabled: ${this.sourceAdapters.map(adapter => adapter.name).join(', ')}`);
+    }
+  }
+
+  /**
+   * Build an adapter from its config entry
+   * "type" is a built-in adapter (file, http) or "module" with a path to a SourceAdapter subclass
+   */
+  createSourceAdapter(source) {
+    if (source.type === 'module') {
+      const AdapterClass = require(path.resolve(__dirname, '..', source.module));
+      if (!(AdapterClass.prototype instanceof SourceAdapter)) {
+        throw new Error(`Prospect source '${source.name}': ${source.module} does not export a SourceAdapter subclass`);
+      }
+      return new AdapterClass(source);
+    }
+
+    const AdapterClass = this.sourceAdapterTypes[source.type];
+    if (!AdapterClass) {
+      throw new Error(`Prospect source '${source.name}' has unknown type '${source.type}' (expected ${Object.keys(this.sourceAdapterTypes).join(', ')}, module)`);
+    }
+
+    return new AdapterClass(source);
+  }
+
+  /**
+   * Hunt criteria for a named target profile: the default criteria with the
+   * profile's titles, keywords, industries and company sizes
+   */
+  buildProfileCriteria(profileName) {
+    if (!this.config) {
+      throw new Error('Lead criteria not loaded - call initialize() first');
+    }
+
+    const profile = this.config.targetProfiles?.[profileName];
+    if (!profile) {
+      const available = Object.keys(this.config.targetProfiles || {}).join(', ');
+      throw new Error(`Unknown target profile '${profileName}' (available: ${available})`);
+    }
+
+    return {
+      ...this.config.defaultCriteria,
+      ...profile,
+      profile: profileName
+    };
   }
 
   /**
@@ -62,6 +163,7 @@ class LeadHunterAgent {
       console.log('🎯 Starting lead hunt with criteria:', searchCriteria);
 
       const leads = [];
+      const fetchedAt = new Date().toISOString();
 
       // 1. LinkedIn People Search (compliant)
       if (searchCriteria.platforms.includes('linkedin')) {
@@ -75,7 +177,7 @@ class LeadHunterAgent {
         leads.push(...twitterLeads);
       }
 
-      // 3. Web scraping (public sources only)
+      // 3. Prospect sources enabled in config/lead-sources.json
       if (searchCriteria.platforms.includes('web')) {
         const webLeads = await this.searchWebProspects(searchCriteria);
         leads.push(...webLeads);
@@ -87,6 +189,14 @@ class LeadHunterAgent {
         leads.push(...companyLeads);
       }
 
+      // Every lead records where it came from and which target profiles it fits
+      for (const lead of leads) {
+        lead.source = lead.source || lead.platform;
+        lead.sourceRecordId = lead.sourceRecordId || String(lead.id);
+        lead.fetchedAt = lead.fetchedAt || fetchedAt;
+        lead.matchedProfiles = this.matchProfiles(lead, searchCriteria.profile);
+      }
+
       // Deduplicate and score leads
       const qualifiedLeads = await this.deduplicateAndScore(leads);
 
@@ -224,15 +334,16 @@ class LeadHunterAgent {
   }
 
   /**
-   * Search Twitter/X for prospects
+   * Search Twitter/X for prospects (API v2, needs TWITTER_BEARER_TOKEN)
    */
   async searchTwitterProspects(criteria) {
     try {
       console.log('🐦 Searching Twitter prospects...');
-      
+
+      this.twitterClient.initializeSearch();
       const prospects = [];
 
-      // Search by keywords in bios and recent tweets
+      // Search recent tweets by keyword
       if (criteria.keywords) {
         for (const keyword of criteria.keywords) {
           const twitterResults = await this.twitterKeywordSearch(keyword, criteria);
@@ -240,6 +351,16 @@ class LeadHunterAgent {
         }
       }
 
+      // Advanced search queries from the outreach strategy
+      const audiences = criteria.targetAudience && criteria.targetAudience.length > 0 ?
+        criteria.targetAudience : [null];
+      const queries = new Set(audiences.flatMap(audience => this.twitterStrategy.getAdvancedSearchQueries(audience)));
+
+      for (const query of queries) {
+        const queryResults = await this.twitterQuerySearch(query, criteria, { source: 'twitter_advanced_search' });
+        prospects.push(...queryResults);
+      }
+
       // Search followers of relevant accounts
       if (criteria.competitorAccounts) {
         for (const account of criteria.competitorAccounts) {
@@ -260,39 +381,37 @@ class LeadHunterAgent {
    * Search Twitter by keyword
    */
   async twitterKeywordSearch(keyword, criteria) {
+    const query = `${keyword.includes(' ') ? `"${keyword}"` : keyword} -is:retweet`;
+    return this.twitterQuerySearch(query, criteria, { source: 'twitter_keyword_search', keywords: [keyword] });
+  }
+
+  /**
+   * Run a recent search query and turn tweet authors into leads
+   */
+  async twitterQuerySearch(query, criteria, details = {}) {
     try {
-      // Use Twitter API v2 search for users mentioning keywords
-      const mockResults = [
-        {
-          platform: 'twitter',
-          id: `twitter_${Date.now()}_1`,
-          username: 'techfounder',
-          name: 'Mike Chen',
-          bio: `Building the future of ${keyword} | CEO @StartupCo`,
-          location: 'Austin, TX',
-          profileUrl: 'https://twitter.com/techfounder',
-          keywords: [keyword],
-          score: 0,
-          source: 'twitter_keyword_search',
-          followerCount: 1250,
-          followingCount: 890,
-          verified: false,
-          recentTweets: [
-            {
-              content: `Just launched our new ${keyword} feature...`,
-              date: new Date().toISOString(),
-              engagement: { retweets: 5, likes: 23, replies: 3 }
-            }
-          ]
-        }
-      ];
+      const { tweets, users } = await this.twitterClient.searchRecentTweets(query, {
+        ...this.twitterSearchSettings,
+        ...criteria.twitterSearch
+      });
 
-      return mockResults.filter(prospect => 
-        this.matchesCriteria(prospect, criteria)
-      );
+      const tweetsByAuthor = new Map();
+      for (const tweet of tweets) {
+        if (!tweetsByAuthor.has(tweet.author_id)) tweetsByAuthor.set(tweet.author_id, []);
+        tweetsByAuthor.get(tweet.author_id).push(tweet);
+      }
+
+      return users
+        .filter(user => tweetsByAuthor.has(user.id))
+        .map(user => this.mapTwitterUserToLead(user, tweetsByAuthor.get(user.id), {
+          source: details.source,
+          keywords: details.keywords || [],
+          searchQuery: query
+        }))
+        .filter(prospect => this.matchesCriteria(prospect, criteria));
 
     } catch (error) {
-      console.error('❌ Twitter keyword search failed:', error.message);
+      console.error(`❌ Twitter search failed for "${query}":`, error.message);
       return [];
     }
   }
@@ -302,74 +421,91 @@ class LeadHunterAgent {
    */
   async twitterFollowerSearch(targetAccount, criteria) {
     try {
-      // Search followers of competitor/relevant accounts
-      const mockResults = [
-        {
-          platform: 'twitter',
-          id: `twitter_follower_${Date.now()}`,
-          username: 'saasbuilder',
-          name: 'Alex Rodriguez',
-          bio: 'Product Manager | SaaS Enthusiast | Building better tools',
-          location: 'Remote',
-          profileUrl: 'https://twitter.com/saasbuilder',
-          keywords: ['saas', 'product'],
-          score: 0,
-          source: 'follower_search',
-          targetAccount: targetAccount,
-          followerCount: 890,
-          followingCount: 1200,
-          verified: false
-        }
-      ];
+      const { users } = await this.twitterClient.getFollowers(targetAccount, {
+        ...this.twitterSearchSettings,
+        maxResults: 100,
+        ...criteria.twitterSearch
+      });
 
-      return mockResults.filter(prospect => 
-        this.matchesCriteria(prospect, criteria)
-      );
+      return users
+        .map(user => this.mapTwitterUserToLead(user, [], {
+          source: 'follower_search',
+          keywords: [],
+          targetAccount
+        }))
+        .filter(prospect => this.matchesCriteria(prospect, criteria));
 
     } catch (error) {
-      console.error('❌ Twitter follower search failed:', error.message);
+      console.error(`❌ Twitter follower search failed for @${targetAccount}:`, error.message);
       return [];
     }
   }
 
   /**
-   * Search web sources for prospects
+   * Map a Twitter API v2 user (and their matching tweets) to the lead shape used by the dispatcher
    */
-  async searchWebProspects(criteria) {
-    try {
-      console.log('🌐 Searching web sources...');
-      
-      // This would integrate with tools like:
-      // - Apollo.io API
-      // - Hunter.io API
-      // - ZoomInfo API
-      // - Company websites (public directories)
-      
-      const mockResults = [
-        {
-          platform: 'web',
-          id: `web_${Date.now()}_1`,
-          name: 'Jennifer Lee',
-          title: 'Chief Technology Officer',
-          company: 'InnovateTech',
-          email: 'jennifer.lee@innovatetech.com',
-          industry: 'Software',
-          location: 'Seattle, WA',
-          source: 'company_website',
-          companySize: '50-200',
-          keywords: criteria.keywords || [],
-          score: 0
+  mapTwitterUserToLead(user, tweets, details) {
+    const recentTweets = tweets
+      .map(tweet => ({
+        id: tweet.id,
+        content: tweet.text,
+        date: tweet.created_at,
+        engagement: {
+          retweets: tweet.public_metrics?.retweet_count || 0,
+          likes: tweet.public_metrics?.like_count || 0,
+          replies: tweet.public_metrics?.reply_count || 0
         }
-      ];
+      }))
+      .sort((a, b) => new Date(b.date || 0) - new Date(a.date || 0));
+
+    return {
+      platform: 'twitter',
+      id: user.id,
+      username: user.username,
+      name: user.name,
+      bio: user.description || '',
+      location: user.location,
+      profileUrl: `https://twitter.com/${user.username}`,
+      score: 0,
+      followerCount: user.public_metrics?.followers_count || 0,
+      followingCount: user.public_metrics?.following_count || 0,
+      tweetCount: user.public_metrics?.tweet_count || 0,
+      verified: user.verified || false,
+      accountCreatedAt: user.created_at,
+      ...this.twitterClient.getUserUrls(user),
+      ...(recentTweets.length > 0 && {
+        recentTweets,
+        lastActivity: recentTweets[0].date
+      }),
+      ...details
+    };
+  }
 
-      return mockResults.filter(prospect => 
-        this.matchesCriteria(prospect, criteria)
-      );
+  /**
+   * Fetch prospects from every enabled source adapter
+   * A failing source is logged and skipped so the others still run
+   */
+  async searchWebProspects(criteria) {
+    const prospects = [];
 
-    } catch (error) {
-      console.error('❌ Web prospect search failed:', error.message);
-      return [];
+    for (const adapter of this.sourceAdapters) {
+      try {
+        console.log(`🌐 Fetching prospects from source '${adapter.name}'...`);
+
+        const leads = await adapter.fetchLeads(criteria);
+        const matching = adapter.config.applyCriteria === false ?
+          leads : leads.filter(prospect => this.matchesCriteria(prospect, criteria));
+
+        console.log(`   ${matching.length} of ${leads.length} records match the criteria`);
+        prospects.push(...matching);
+
+      } catch (error) {
+        console.error(`❌ Prospect source '${adapter.name}' failed:`, error.message);
+        await this.log(`Prospect source '${adapter.name}' failed: ${error.message}`);
+      }
     }
+
+    return prospects;
   }
 
   /**
@@ -431,10 +567,17 @@ class LeadHunterAgent {
    * Check if prospect matches criteria
    */
   matchesCriteria(prospect, criteria) {
+    // Exclusion rules win over everything else
+    if (this.getExclusionMatch(prospect, criteria)) return false;
+
+    // Twitter profiles have no title or industry fields, so match against the bio instead
+    const titleText = prospect.title || prospect.bio;
+    const industryText = prospect.industry || prospect.bio;
+
     // Title matching
     if (criteria.titles && criteria.titles.length > 0) {
       const titleMatch = criteria.titles.some(title => 
-        prospect.title && prospect.title.toLowerCase().includes(title.toLowerCase())
+        titleText && titleText.toLowerCase().includes(title.toLowerCase())
       );
       if (!titleMatch) return false;
     }
@@ -442,7 +585,7 @@ class LeadHunterAgent {
     // Industry matching
     if (criteria.industries && criteria.industries.length > 0) {
       const industryMatch = criteria.industries.some(industry => 
-        prospect.industry && prospect.industry.toLowerCase().includes(industry.toLowerCase())
+        industryText && industryText.toLowerCase().includes(industry.toLowerCase())
       );
       if (!industryMatch) return false;
     }
@@ -455,15 +598,67 @@ class LeadHunterAgent {
       if (!locationMatch) return false;
     }
 
-    // Company size matching (if available)
-    if (criteria.companySize && prospect.companySize) {
-      // Parse company size ranges and match
-      // This is simplified - would need more robust matching
+    // Company size matching (if available) - sizes use the buckets in lead-criteria.json
+    if (criteria.companySize && criteria.companySize.length > 0 && prospect.companySize) {
+      if (!criteria.companySize.includes(prospect.companySize)) return false;
     }
 
     return true;
   }
 
+  /**
+   * The exclusionCriteria rule a prospect hits, or null
+   * A target title that contains the excluded word is allowed ("Volunteer Coordinator" vs "Coordinator")
+   */
+  getExclusionMatch(prospect, criteria) {
+    const exclusions = criteria.exclusionCriteria || this.config?.defaultCriteria?.exclusionCriteria;
+    if (!exclusions) return null;
+
+    const text = fields => fields.map(field => prospect[field]).filter(value => typeof value === 'string').join(' ').toLowerCase();
+    const findTerm = (value, terms) => this.leadScorer.findTerm(value, terms || []);
+
+    const titleText = text(['title', 'headline']);
+    const excludedTitle = findTerm(titleText, exclusions.titles);
+    if (excludedTitle) {
+      const allowedTitles = (criteria.titles || []).filter(title => title.toLowerCase().includes(excludedTitle.toLowerCase()));
+      if (!findTerm(titleText, allowedTitles)) {
+        return { rule: 'titles', value: excludedTitle };
+      }
+    }
+
+    const excludedIndustry = findTerm(text(['industry']), exclusions.industries);
+    if (excludedIndustry) return { rule: 'industries', value: excludedIndustry };
+
+    const excludedCompanyType = findTerm(text(['company', 'companyType']), exclusions.companyTypes);
+    if (excludedCompanyType) return { rule: 'companyTypes', value: excludedCompanyType };
+
+    return null;
+  }
+
+  /**
+   * Names of the target profiles a lead fits
+   * A profile matches on its titles or industries (bio counts for Twitter) when the company size, if known, is in range
+   */
+  matchProfiles(lead, huntedProfile = null) {
+    const profiles = this.config?.targetProfiles || {};
+    const titleText = [lead.title, lead.headline, lead.bio].filter(Boolean).join(' ').toLowerCase();
+    const industryText = [lead.industry, lead.bio].filter(Boolean).join(' ').toLowerCase();
+
+    const matched = Object.entries(profiles)
+      .filter(([, profile]) => !lead.companySize || !profile.companySize || profile.companySize.includes(lead.companySize))
+      .filter(([, profile]) =>
+        this.leadScorer.findTerm(titleText, profile.titles || []) ||
+        this.leadScorer.findTerm(industryText, profile.industries || []))
+      .map(([name]) => name);
+
+    // A lead found by a profile hunt passed that profile's criteria
+    if (huntedProfile && !matched.includes(huntedProfile)) {
+      matched.unshift(huntedProfile);
+    }
+
+    return [...new Set([...(lead.matchedProfiles || []), ...matched])];
+  }
+
   /**
    * Deduplicate and score leads
    */
@@ -471,13 +666,22 @@ class LeadHunterAgent {
     try {
       // Deduplicate by email, LinkedIn profile, or name+company
       const uniqueLeads = new Map();
+      const keyAliases = new Map(); // any key a lead was seen with -> its key in uniqueLeads
+      let suppressed = 0;
 
       for (const lead of leads) {
-        const key = this.generateLeadKey(lead);
-        
+        // Drop anyone on the suppression list before they reach the store
+        if (await this.suppressionList.isLeadSuppressed(lead)) {
+          suppressed++;
+          continue;
+        }
+
+        // A source with the email and one with only the LinkedIn URL still find each other
+        const keys = this.leadStore.getLeadKeys(lead);
+        const seenKey = keys.find(leadKey => keyAliases.has(leadKey));
+        const key = seenKey ? keyAliases.get(seenKey) : keys[0];
+
         if (!uniqueLeads.has(key)) {
-          // Calculate initial score
-          lead.score = this.calculateLeadScore(lead);
           uniqueLeads.set(key, lead);
         } else {
           // Merge data from duplicate sources
@@ -485,82 +689,123 @@ class LeadHunterAgent {
           const merged = this.mergeLeadData(existing, lead);
           uniqueLeads.set(key, merged);
         }
+
+        for (const leadKey of [...keys, ...this.leadStore.getLeadKeys(uniqueLeads.get(key))]) {
+          keyAliases.set(leadKey, key);
+        }
+      }
+
+      // Score once all sources for a lead are merged
+      await this.leadScorer.load();
+      await this.addMutualConnections(Array.from(uniqueLeads.values()));
+      for (const lead of uniqueLeads.values()) {
+        this.scoreLead(lead);
+      }
+
+      if (suppressed > 0) {
+        console.log(`🚫 Skipped ${suppressed} suppressed leads`);
       }
 
       // Convert to array and sort by score
       const scoredLeads = Array.from(uniqueLeads.values())
         .sort((a, b) => b.score - a.score);
 
+      // Link accounts that belong to the same person across platforms
+      await this.resolveIdentities(scoredLeads);
+
       return scoredLeads;
 
     } catch (error) {
+      // Never hand on leads that were not checked against the suppression list or scored
       console.error('❌ Lead deduplication failed:', error.message);
-      return leads;
+      throw error;
     }
   }
 
   /**
-   * Generate unique key for lead
+   * Fill mutualConnections on LinkedIn leads from the cached connection graph
+   * Leads keep the value their source gave when the graph has no mutual-connection data yet
    */
-  generateLeadKey(lead) {
-    if (lead.email) {
-      return lead.email.toLowerCase();
+  async addMutualConnections(leads) {
+    try {
+      await this.connectionGraph.load();
+    } catch (error) {
+      console.warn('⚠️ Could not load LinkedIn connections:', error.message);
+      return;
     }
-    
-    if (lead.profileUrl) {
-      return lead.profileUrl.toLowerCase();
+
+    for (const lead of leads) {
+      if (lead.platform !== 'linkedin') continue;
+
+      const match = (lead.profileUrl || '').match(/linkedin\.com\/in\/(.+?)(?:\/|$)/);
+      const mutualConnections = match && this.connectionGraph.getMutualConnections(match[1]);
+      if (mutualConnections) lead.mutualConnections = mutualConnections;
     }
-    
-    // Fallback to name + company
-    return `${(lead.name || '').toLowerCase()}_${(lead.company || '').toLowerCase()}`;
   }
 
   /**
-   * Calculate lead quality score
+   * Give leads that belong to the same person a shared personId
+   * New leads are matched against each other and against stored leads, so a
+   * LinkedIn profile found today links to the Twitter account found last week
    */
-  calculateLeadScore(lead) {
-    let score = 0;
-
-    // Platform bonus
-    if (lead.platform === 'linkedin') score += 30;
-    if (lead.platform === 'twitter') score += 20;
-    if (lead.platform === 'web') score += 10;
-
-    // Title relevance
-    if (lead.title) {
-      const seniorTitles = ['ceo', 'cto', 'vp', 'director', 'head', 'founder'];
-      if (seniorTitles.some(title => lead.title.toLowerCase().includes(title))) {
-        score += 25;
+  async resolveIdentities(leads) {
+    const newKeys = new Set(leads.flatMap(lead => this.leadStore.getLeadKeys(lead)));
+    const storedLeads = (await this.leadStore.queryLeads())
+      .filter(lead => ![lead.leadKey, ...this.leadStore.getLeadKeys(lead)].some(key => newKeys.has(key)));
+
+    const groups = this.identityResolver.resolve([...leads, ...storedLeads]);
+    let linked = 0;
+
+    for (const group of groups) {
+      // Keep an ID already given to one of these accounts
+      const personId = group.leads.map(lead => lead.personId).filter(Boolean).sort()[0] || group.personId;
+
+      for (const lead of group.leads) {
+        const identityLinks = group.links
+          .filter(link => link.from === lead || link.to === lead)
+          .map(link => {
+            const other = link.from === lead ? link.to : link.from;
+            return {
+              leadKey: other.leadKey || this.generateLeadKey(other),
+              platform: other.platform,
+              confidence: link.confidence,
+              evidence: link.evidence
+            };
+          });
+
+        if (storedLeads.includes(lead)) {
+          if (lead.personId !== personId || JSON.stringify(lead.identityLinks) !== JSON.stringify(identityLinks)) {
+            await this.leadStore.updateLead(lead.leadId, { personId, identityLinks });
+          }
+        } else {
+          lead.personId = personId;
+          lead.identityLinks = identityLinks;
+          linked++;
+        }
       }
     }
 
-    // Recent activity bonus
-    if (lead.lastActivity) {
-      const daysSinceActivity = (Date.now() - new Date(lead.lastActivity)) / (1000 * 60 * 60 * 24);
-      if (daysSinceActivity < 7) score += 15;
-      else if (daysSinceActivity < 30) score += 10;
-    }
-
-    // Mutual connections bonus (LinkedIn)
-    if (lead.mutualConnections) {
-      score += Math.min(lead.mutualConnections * 2, 20);
-    }
-
-    // Follower count bonus (Twitter)
-    if (lead.followerCount) {
-      if (lead.followerCount > 1000) score += 15;
-      else if (lead.followerCount > 500) score += 10;
-      else if (lead.followerCount > 100) score += 5;
+    if (linked > 0) {
+      console.log(`🔗 Linked ${linked} leads to accounts on other platforms`);
     }
+  }
 
-    // Company size bonus
-    if (lead.companySize) {
-      if (lead.companySize.includes('100-500') || lead.companySize.includes('500+')) {
-        score += 10;
-      }
-    }
+  /**
+   * Generate unique key for lead
+   */
+  generateLeadKey(lead) {
+    return this.leadStore.generateLeadKey(lead);
+  }
 
-    return Math.min(score, 100); // Cap at 100
+  /**
+   * Score a lead with the model in config/lead-scoring.json
+   * The breakdown records which rules fired
+   */
+  scoreLead(lead) {
+    const { score, breakdown } = this.leadScorer.score(lead);
+    lead.score = score;
+    lead.scoreBreakdown = breakdown;
+    return score;
   }
 
   /**
@@ -569,20 +814,26 @@ class LeadHunterAgent {
   mergeLeadData(existing, duplicate) {
     const merged = { ...existing };
 
+    // Merge target profiles
+    if (duplicate.matchedProfiles) {
+      merged.matchedProfiles = [...new Set([...(merged.matchedProfiles || []), ...duplicate.matchedProfiles])];
+    }
+
     // Merge keywords
     if (duplicate.keywords) {
       merged.keywords = [...new Set([...merged.keywords, ...duplicate.keywords])];
     }
 
-    // Use highest score
-    merged.score = Math.max(merged.score, duplicate.score || 0);
-
     // Merge recent posts/tweets
     if (duplicate.recentPosts) {
       merged.recentPosts = [...(merged.recentPosts || []), ...duplicate.recentPosts];
     }
     if (duplicate.recentTweets) {
-      merged.recentTweets = [...(merged.recentTweets || []), ...duplicate.recentTweets];
+      const seenTweetIds = new Set((merged.recentTweets || []).map(tweet => tweet.id).filter(Boolean));
+      merged.recentTweets = [
+        ...(merged.recentTweets || []),
+        ...duplicate.recentTweets.filter(tweet => !tweet.id || !seenTweetIds.has(tweet.id))
+      ];
     }
 
     // Update with more complete data
@@ -596,20 +847,41 @@ class LeadHunterAgent {
   }
 
   /**
-   * Save leads to file
+   * Save leads to the persistent lead store
+   * Pass a filename to export a JSON snapshot instead (used by test runs)
    */
   async saveLeads(leads, filename = null) {
     try {
-      const timestamp = new Date().toISOString().split('T')[0];
-      const filepath = filename || path.join(__dirname, `../data/leads-${timestamp}.json`);
-      
-      await fs.mkdir(path.dirname(filepath), { recursive: true });
-      await fs.writeFile(filepath, JSON.stringify(leads, null, 2));
-      
-      console.log(`💾 Saved ${leads.length} leads to ${filepath}`);
-      await this.log(`Saved ${leads.length} leads to ${filepath}`);
-      
-      return filepath;
+      if (filename) {
+        await fs.mkdir(path.dirname(filename), { recursive: true });
+        await fs.writeFile(filename, JSON.stringify(leads, null, 2));
+
+        console.log(`💾 Saved ${leads.length} leads to ${filename}`);
+        await this.log(`Saved ${leads.length} leads to ${filename}`);
+
+        return filename;
+      }
+
+      let created = 0;
+      for (const lead of leads) {
+        const result = await this.leadStore.upsertLead(lead, this.generateLeadKey(lead));
+        if (result.created) {
+          created++;
+          await this.logEvent('lead_discovered', {
+            platform: result.lead.platform,
+            leadId: result.lead.leadId,
+            recipientId: result.lead.id,
+            score: result.lead.score,
+            matchedProfiles: result.lead.matchedProfiles
+          });
+        }
+      }
+
+      const updated = leads.length - created;
+      console.log(`💾 Stored ${leads.length} leads (${created} new, ${updated} updated) in ${this.leadStore.storePath}`);
+      await this.log(`Stored ${leads.length} leads (${created} new, ${updated} updated)`);
+
+      return this.leadStore.storePath;
 
     } catch (error) {
       console.error('❌ Failed to save leads:', error.message);
@@ -617,6 +889,37 @@ class LeadHunterAgent {
     }
   }
 
+  /**
+   * Record an event in the shared event log without interrupting the hunt
+   */
+  async logEvent(type, data) {
+    try {
+      await this.eventLog.append(type, data);
+    } catch (error) {
+      console.error(`Failed to log ${type} event:`, error.message);
+    }
+  }
+
+  /**
+   * Import a legacy dated leads file into the lead store
+   */
+  async importLeads(filePath) {
+    try {
+      if (!this.isInitialized) await this.initialize();
+
+      const result = await this.leadStore.importFile(filePath);
+
+      console.log(`📥 Imported ${result.total} leads from ${filePath} (${result.created} new, ${result.updated} updated)`);
+      await this.log(`Imported ${result.total} leads from ${filePath}`);
+
+      return result;
+
+    } catch (error) {
+      console.error('❌ Failed to import leads:', error.message);
+      throw error;
+    }
+  }
+
   /**
    * Log activities
    */
@@ -689,6 +992,22 @@ async function main() {
     
     if (args.includes('--test')) {
       await agent.runTest();
+    } else if (args.includes('--profile')) {
+      // Hunt for one target profile from lead-criteria.json
+      const profileName = args[args.indexOf('--profile') + 1];
+      if (!profileName) {
+        throw new Error('Usage: npm run hunt -- --profile <targetProfile>');
+      }
+      await agent.initialize();
+      const leads = await agent.huntLeads(agent.buildProfileCriteria(profileName));
+      await agent.saveLeads(leads);
+    } else if (args.includes('--import')) {
+      // Import a legacy leads-YYYY-MM-DD.json file into the lead store
+      const filePath = args[args.indexOf('--import') + 1];
+      if (!filePath) {
+        throw new Error('Usage: npm run hunt -- --import <leads-file.json>');
+      }
+      await agent.importLeads(path.resolve(filePath));
     } else {
       // Custom criteria from command line or config
       const leads = await agent.huntLeads();
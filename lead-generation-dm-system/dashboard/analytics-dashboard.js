@@ -0,0 +1,448 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const LeadStore = require('../utils/lead-store');
+const EventLog = require('../utils/event-log');
+const QuotaLedger = require('../utils/quota-ledger');
+const DMDispatcherAgent = require('../agents/dm-dispatcher-agent');
+
+/**
+ * Analytics Dashboard
+ * Builds a static HTML report from what the system persists - the lead store, saved
+ * campaign files, the event log and the quota ledger - so it works without a running agent:
+ *   - funnels per campaign, platform and target profile
+ *     (discovered → qualified → engaged → DM'd → replied)
+ *   - daily quota usage against the configured limits, and when quotas ran out
+ *   - reply rates per message template
+ * Reports are written to data/reports/.
+ */
+class AnalyticsDashboard {
+  constructor(options = {}) {
+    this.leadStore = options.leadStore || new LeadStore();
+    this.eventLog = options.eventLog || new EventLog();
+    this.quotaLedger = options.quotaLedger || new QuotaLedger();
+    this.dispatcher = options.dispatcher || new DMDispatcherAgent(); // campaign files and template choice
+    this.outputDir = options.outputDir || path.join(__dirname, '../data/reports');
+    this.days = options.days || 14; // quota history shown
+
+    this.stages = ['discovered', 'qualified', 'engaged', 'messaged', 'replied'];
+    this.stageLabels = { discovered: 'Discovered', qualified: 'Qualified', engaged: 'Engaged', messaged: "DM'd", replied: 'Replied' };
+    // Furthest funnel stage implied by each lead store status
+    this.statusStages = { discovered: 0, researched: 1, engaged: 2, messaged: 3, replied: 4, 'needs-human': 4, converted: 4 };
+
+    // Quota actions per platform and the events that consume them
+    this.quotaEvents = {
+      twitter: { dmSend: ['dm_sent'], follow: ['followed'], unfollow: ['unfollowed'], like: ['liked'], reply: ['tweet_replied'] },
+      linkedin: { connectionRequests: ['connection_requested'], messages: ['dm_sent', 'follow_up_sent'] }
+    };
+  }
+
+  /**
+   * Collect everything the report shows
+   */
+  async collect(options = {}) {
+    const now = options.now || Date.now();
+    const leadStages = await this.getLeadStages();
+    const campaigns = await this.loadCampaigns();
+
+    return {
+      generatedAt: new Date(now).toISOString(),
+      funnels: {
+        overall: this.buildFunnel(Array.from(leadStages.values()).map(item => item.stage)),
+        platforms: this.groupFunnels(leadStages, item => [item.lead.platform || 'unknown']),
+        profiles: this.groupFunnels(leadStages, item =>
+          (item.lead.matchedProfiles?.length > 0 ? item.lead.matchedProfiles : ['(no profile)'])),
+        campaigns: campaigns.map(campaign => ({
+          id: campaign.id,
+          name: campaign.name,
+          status: campaign.status,
+          funnel: this.buildFunnel(this.getCampaignStages(campaign))
+        }))
+      },
+      quota: await this.getQuotaUsage(now),
+      templates: this.getTemplatePerformance(campaigns)
+    };
+  }
+
+  /**
+   * Furthest funnel stage of every stored lead, keyed by leadId
+   * Twitter leads the outreach strategy judged worth engaging count as qualified
+   */
+  async getLeadStages() {
+    await this.leadStore.initialize();
+    const stages = new Map();
+    const byTwitterId = new Map();
+
+    for (const lead of await this.leadStore.queryLeads()) {
+      const statuses = [lead.status, ...(lead.statusHistory || []).map(item => item.status)];
+      stages.set(lead.leadId, { lead, stage: this.getStage(statuses) });
+      if (lead.platform === 'twitter' && lead.id) byTwitterId.set(String(lead.id), lead.leadId);
+    }
+
+    for await (const event of this.eventLog.stream({ types: ['strategy_decided'] })) {
+      if (!event.qualification?.worthEngaging) continue;
+      const item = stages.get(event.leadId) || stages.get(byTwitterId.get(String(event.recipientId)));
+      if (item) item.stage = Math.max(item.stage, 1);
+    }
+
+    return stages;
+  }
+
+  /**
+   * Furthest stage reached by a list of statuses
+   */
+  getStage(statuses) {
+    return statuses.reduce((stage, status) => Math.max(stage, this.statusStages[status] ?? 0), 0);
+  }
+
+  /**
+   * Funnel stage of each lead within one campaign
+   * Uses the campaign's checkpoints and results, plus lead store changes recorded for this campaign
+   */
+  getCampaignStages(campaign) {
+    const acted = new Set((campaign.results || [])
+      .filter(result => result.action !== 'skipped' && result.platform !== 'error')
+      .map(result => String(result.leadId)));
+
+    return (campaign.leads || []).map(lead => {
+      const checkpoint = campaign.progress?.[this.dispatcher.getCampaignLeadKey(lead)] || {};
+      const stored = lead.leadId ? this.leadStore.getLead(lead.leadId) : null;
+      const statuses = (stored?.statusHistory || [])
+        .filter(item => item.campaignId === campaign.id)
+        .map(item => item.status);
+
+      let stage = this.getStage(statuses);
+      if (acted.has(String(lead.leadId || lead.id))) stage = Math.max(stage, 1);
+      if (checkpoint.success) stage = Math.max(stage, 2);
+      if (checkpoint.contactedAt) stage = Math.max(stage, 3);
+      if (checkpoint.repliedAt) stage = Math.max(stage, 4);
+      return stage;
+    });
+  }
+
+  /**
+   * Funnel counts and stage-to-stage rates for a list of lead stages
+   * A lead counts in every stage up to the furthest one it reached
+   */
+  buildFunnel(leadStages) {
+    const funnel = { total: leadStages.length, stages: [] };
+
+    this.stages.forEach((name, index) => {
+      const count = leadStages.filter(stage => stage >= index).length;
+      const previous = index > 0 ? funnel.stages[index - 1].count : count;
+      funnel.stages.push({ name, count, rate: previous > 0 ? this.round(count / previous) : 0 });
+    });
+
+    return funnel;
+  }
+
+  /**
+   * Funnels for each group a lead belongs to
+   */
+  groupFunnels(leadStages, getGroups) {
+    const groups = {};
+    for (const item of leadStages.values()) {
+      for (const group of getGroups(item)) {
+        (groups[group] = groups[group] || []).push(item.stage);
+      }
+    }
+
+    return Object.fromEntries(Object.entries(groups)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([group, stages]) => [group, this.buildFunnel(stages)]));
+  }
+
+  /**
+   * Every saved campaign
+   */
+  async loadCampaigns() {
+    const campaigns = [];
+    for (const id of await this.dispatcher.listCampaignIds()) {
+      const campaign = await this.dispatcher.loadCampaign(id);
+      if (campaign) campaigns.push(campaign);
+    }
+
+    return campaigns.sort((a, b) => new Date(a.startedAt || 0) - new Date(b.startedAt || 0));
+  }
+
+  /**
+   * Daily usage of each quota-limited action from the event log, the days quotas ran out,
+   * and the current ledger windows
+   */
+  async getQuotaUsage(now) {
+    const dayMs = 24 * 60 * 60 * 1000;
+    const since = new Date(now - (this.days - 1) * dayMs).toISOString().slice(0, 10);
+    const limits = this.getQuotaLimits();
+
+    const actionsByEvent = {};
+    for (const [platform, actions] of Object.entries(this.quotaEvents)) {
+      for (const [action, types] of Object.entries(actions)) {
+        for (const type of types) actionsByEvent[`${platform}.${type}`] = `${platform}.${action}`;
+      }
+    }
+
+    const days = {};
+    for (let i = 0; i < this.days; i++) {
+      days[new Date(Date.parse(since) + i * dayMs).toISOString().slice(0, 10)] = {};
+    }
+    const exhausted = [];
+
+    const types = [...new Set(Object.values(this.quotaEvents).flatMap(actions => Object.values(actions).flat())), 'quota_exhausted'];
+    for await (const event of this.eventLog.stream({ types, since })) {
+      const date = event.at.slice(0, 10);
+      if (!days[date]) continue;
+
+      if (event.type === 'quota_exhausted') {
+        exhausted.push({ at: event.at, platform: event.platform, action: event.action, window: event.window, limit: event.limit });
+        continue;
+      }
+
+      const key = actionsByEvent[`${event.platform}.${event.type}`];
+      if (key) days[date][key] = (days[date][key] || 0) + 1;
+    }
+
+    const current = {};
+    for (const [platform, platformLimits] of Object.entries(limits)) {
+      current[platform] = await this.quotaLedger.getRemaining(platform, platformLimits);
+    }
+
+    const dailyLimits = {};
+    for (const [platform, actions] of Object.entries(this.quotaEvents)) {
+      for (const action of Object.keys(actions)) {
+        dailyLimits[`${platform}.${action}`] = limits[platform]?.[action]?.daily ?? null;
+      }
+    }
+
+    return {
+      actions: Object.keys(dailyLimits),
+      dailyLimits,
+      days: Object.entries(days).map(([date, usage]) => ({ date, usage })),
+      exhausted,
+      current
+    };
+  }
+
+  /**
+   * Configured limits per platform, in the quota ledger's { action: { window: limit } } form
+   */
+  getQuotaLimits() {
+    const linkedin = {};
+    for (const [action, limit] of Object.entries(this.dispatcher.linkedinClient.dailyLimits)) {
+      linkedin[action] = { daily: limit };
+    }
+
+    return { twitter: this.dispatcher.twitterClient.freeTierLimits, linkedin };
+  }
+
+  /**
+   * Reply rates per message template across all campaigns
+   * Older checkpoints have no template, so it is worked out from the campaign settings
+   */
+  getTemplatePerformance(campaigns) {
+    const templates = {};
+
+    for (const campaign of campaigns) {
+      for (const lead of campaign.leads || []) {
+        const checkpoint = campaign.progress?.[this.dispatcher.getCampaignLeadKey(lead)];
+        if (!checkpoint || checkpoint.state !== 'done') continue;
+
+        const name = checkpoint.template || this.dispatcher.getLeadTemplateName(lead, campaign) || '(none)';
+        const stats = templates[name] = templates[name] || {
+          template: name, campaigns: new Set(), processed: 0, engaged: 0, messaged: 0, followUps: 0, replied: 0, optedOut: 0
+        };
+
+        stats.campaigns.add(campaign.id);
+        stats.processed++;
+        if (checkpoint.success) stats.engaged++;
+        if (checkpoint.contactedAt) stats.messaged++;
+        stats.followUps += (checkpoint.followUps || []).length;
+        if (checkpoint.repliedAt) stats.replied++;
+        if (checkpoint.optedOut) stats.optedOut++;
+      }
+    }
+
+    return Object.values(templates)
+      .map(stats => ({
+        ...stats,
+        campaigns: stats.campaigns.size,
+        replyRate: stats.messaged > 0 ? this.round(stats.replied / stats.messaged) : 0
+      }))
+      .sort((a, b) => b.replyRate - a.replyRate || b.messaged - a.messaged);
+  }
+
+  /**
+   * Render the report as a self-contained HTML page
+   */
+  renderHtml(report) {
+    const escape = value => String(value ?? '').replace(/[&<>"']/g, char =>
+      ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+    const percent = rate => `${Math.round(rate * 100)}%`;
+
+    const funnelTable = (rows) => {
+      const header = this.stages.map(stage => `<th>${this.stageLabels[stage]}</th>`).join('');
+      const body = rows.map(([label, funnel]) => {
+        const cells = funnel.stages.map((stage, index) => {
+          const width = funnel.total > 0 ? Math.round((stage.count / funnel.total) * 100) : 0;
+          const rate = index > 0 ? ` <small>${percent(stage.rate)}</small>` : '';
+          return `<td><div class="bar" style="width:${width}%"></div>${stage.count}${rate}</td>`;
+        }).join('');
+        return `<tr><th>${label}</th>${cells}</tr>`;
+      }).join('\n');
+      return `<table><tr><th></th>${header}</tr>\n${body}</table>`;
+    };
+
+    const { funnels, quota, templates } = report;
+    const campaignRows = funnels.campaigns.map(campaign =>
+      [`${escape(campaign.name || campaign.id)} <small>${escape(campaign.status)}</small>`, campaign.funnel]);
+
+    const quotaHeader = quota.actions.map(action =>
+      `<th>${escape(action)}${quota.dailyLimits[action] !== null ? ` <small>/ ${quota.dailyLimits[action]}</small>` : ''}</th>`).join('');
+    const quotaRows = quota.days.map(day => {
+      const cells = quota.actions.map(action => {
+        const used = day.usage[action] || 0;
+        const limit = quota.dailyLimits[action];
+        const full = limit !== null && used >= limit ? ' class="full"' : '';
+        return `<td${full}>${used}</td>`;
+      }).join('');
+      return `<tr><th>${day.date}</th>${cells}</tr>`;
+    }).join('\n');
+
+    const exhaustedRows = quota.exhausted.map(item =>
+      `<tr><td>${escape(item.at)}</td><td>${escape(item.platform)}</td><td>${escape(item.action)}</td><td>${escape(item.window)}</td><td>${escape(item.limit)}</td></tr>`).join('\n');
+
+    const currentRows = Object.entries(quota.current).flatMap(([platform, actions]) =>
+      Object.entries(actions).flatMap(([action, windows]) =>
+        Object.entries(windows).map(([windowName, window]) =>
+          `<tr><td>${escape(platform)}</td><td>${escape(action)}</td><td>${escape(windowName)}</td><td>${window.used} / ${window.limit}</td><td>${escape(window.resetTime)}</td></tr>`))).join('\n');
+
+    const templateRows = templates.map(item =>
+      `<tr><td>${escape(item.template)}</td><td>${item.campaigns}</td><td>${item.processed}</td><td>${item.engaged}</td><td>${item.messaged}</td><td>${item.followUps}</td><td>${item.replied}</td><td>${percent(item.replyRate)}</td><td>${item.optedOut}</td></tr>`).join('\n');
+
+    const none = columns => `<tr><td colspan="${columns}"><em>No data yet</em></td></tr>`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Lead Generation Analytics</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; margin: 2rem; color: #222; }
+  h1 small, th small, td small { color: #777; font-weight: normal; }
+  table { border-collapse: collapse; margin-bottom: 2rem; }
+  th, td { border: 1px solid #ddd; padding: 0.35rem 0.7rem; text-align: left; vertical-align: top; }
+  td { position: relative; min-width: 5rem; }
+  .bar { position: absolute; left: 0; bottom: 0; height: 3px; background: #3b82f6; }
+  .full { background: #fde2e2; }
+</style>
+</head>
+<body>
+<h1>Lead Generation Analytics <small>${escape(report.generatedAt)}</small></h1>
+
+<h2>Funnel by platform</h2>
+${funnelTable([['All leads', funnels.overall], ...Object.entries(funnels.platforms).map(([platform, funnel]) => [escape(platform), funnel])])}
+
+<h2>Funnel by target profile</h2>
+${funnelTable(Object.entries(funnels.profiles).map(([profile, funnel]) => [escape(profile), funnel]))}
+
+<h2>Funnel by campaign</h2>
+${campaignRows.length > 0 ? funnelTable(campaignRows) : '<p><em>No saved campaigns</em></p>'}
+
+<h2>Template performance</h2>
+<table>
+<tr><th>Template</th><th>Campaigns</th><th>Processed</th><th>Engaged</th><th>DM'd</th><th>Follow-ups</th><th>Replied</th><th>Reply rate</th><th>Opted out</th></tr>
+${templateRows || none(9)}
+</table>
+
+<h2>Daily quota usage <small>last ${quota.days.length} days</small></h2>
+<table>
+<tr><th>Date</th>${quotaHeader}</tr>
+${quotaRows}
+</table>
+
+<h2>Quota exhausted</h2>
+<table>
+<tr><th>At</th><th>Platform</th><th>Action</th><th>Window</th><th>Limit</th></tr>
+${exhaustedRows || none(5)}
+</table>
+
+<h2>Current quota windows</h2>
+<table>
+<tr><th>Platform</th><th>Action</th><th>Window</th><th>Used</th><th>Resets</th></tr>
+${currentRows || none(5)}
+</table>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Short text summary for the console
+   */
+  formatSummary(report) {
+    const funnelLine = funnel => funnel.stages.map(stage => `${this.stageLabels[stage.name]} ${stage.count}`).join(' → ');
+    const lines = [`📊 ${funnelLine(report.funnels.overall)}`];
+
+    for (const [platform, funnel] of Object.entries(report.funnels.platforms)) {
+      lines.push(`   ${platform}: ${funnelLine(funnel)}`);
+    }
+    for (const item of report.templates) {
+      lines.push(`📝 ${item.template}: ${item.replied}/${item.messaged} replied (${Math.round(item.replyRate * 100)}%)`);
+    }
+    if (report.quota.exhausted.length > 0) {
+      lines.push(`⚠️ Quota ran out ${report.quota.exhausted.length} times in the last ${report.quota.days.length} days`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Write the HTML report and return its path
+   */
+  async saveReport(report) {
+    await fs.mkdir(this.outputDir, { recursive: true });
+    const filePath = path.join(this.outputDir, `analytics-${report.generatedAt.slice(0, 10)}.html`);
+    await fs.writeFile(filePath, this.renderHtml(report));
+    return filePath;
+  }
+
+  /**
+   * Round a rate to three decimals
+   */
+  round(value) {
+    return Math.round(value * 1000) / 1000;
+  }
+}
+
+// Command line report
+async function main() {
+  const args = process.argv.slice(2);
+  const daysIndex = args.indexOf('--days');
+  const dashboard = new AnalyticsDashboard({
+    days: daysIndex !== -1 ? parseInt(args[daysIndex + 1], 10) : undefined
+  });
+
+  try {
+    const report = await dashboard.collect();
+
+    if (args.includes('--json')) {
+      console.log(JSON.stringify(report, null, 2));
+      return;
+    }
+
+    console.log(dashboard.formatSummary(report));
+    const filePath = await dashboard.saveReport(report);
+    console.log(`\n💾 Dashboard written to ${path.relative(process.cwd(), filePath)} - open it in a browser`);
+
+  } catch (error) {
+    console.error('❌ Analytics dashboard failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = AnalyticsDashboard;
+
+if (require.main === module) {
+  main().catch(console.error);
+}
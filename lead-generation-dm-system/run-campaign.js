@@ -1,24 +1,51 @@
 #!/usr/bin/env node
 
 require('dotenv').config();
-const fs = require('fs').promises;
-const path = require('path');
 const DMDispatcherAgent = require('./agents/dm-dispatcher-agent');
 
 async function runCampaign() {
   try {
     console.log('🚀 Starting Lead Generation DM Campaign...');
     
-    // Load leads from file
-    const leadsPath = path.join(__dirname, 'data/leads-2025-08-07.json');
-    const leadsData = await fs.readFile(leadsPath, 'utf8');
-    const leads = JSON.parse(leadsData);
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
     
-    console.log(`📨 Loaded ${leads.length} leads from file`);
-    
-    // Initialize agent
+    // Initialize agent (a dry run never touches the APIs)
     const agent = new DMDispatcherAgent();
-    await agent.initialize();
+    if (!dryRun) {
+      await agent.initialize();
+    }
+    
+    // Pause gracefully on Ctrl-C; progress is checkpointed after every lead
+    process.on('SIGINT', () => {
+      console.log('\n🛑 Finishing current lead before pausing...');
+      agent.requestStop();
+    });
+    
+    // Resume an interrupted campaign instead of starting a new one
+    if (args.includes('--resume')) {
+      const campaignId = args[args.indexOf('--resume') + 1];
+      if (!campaignId) {
+        throw new Error('Usage: node run-campaign.js --resume <campaignId>');
+      }
+      
+      const campaign = await agent.resumeCampaign(campaignId);
+      console.log(`✅ Campaign ${campaign.status}: ${campaign.id}`);
+      return;
+    }
+    
+    // Load leads that have not been contacted yet from the lead store
+    const leads = await agent.leadStore.queryLeads({
+      status: ['discovered', 'researched'],
+      platform: ['linkedin', 'twitter']
+    });
+    
+    console.log(`📨 Loaded ${leads.length} uncontacted leads from lead store`);
+    
+    if (leads.length === 0) {
+      console.log('💡 No leads to contact. Run `npm run hunt` or import a file with `npm run hunt -- --import <file>`');
+      return;
+    }
     
     // Create campaign configuration
     const campaignConfig = {
@@ -29,7 +56,8 @@ async function runCampaign() {
       delay: 300000, // 5 minutes between messages
       dailyLimit: 10,
       followUpDelay: 3, // days
-      maxFollowUps: 2
+      maxFollowUps: 2,
+      allowMultiPlatformContact: args.includes('--multi-platform') // otherwise one platform per person
     };
     
     console.log('🎯 Campaign configuration:');
@@ -39,10 +67,21 @@ async function runCampaign() {
     console.log(`  • Template: ${campaignConfig.template}`);
     console.log(`  • Daily Limit: ${campaignConfig.dailyLimit}`);
     
+    // Render the full plan for review instead of sending
+    if (dryRun) {
+      await agent.planCampaign(campaignConfig, { save: true });
+      console.log('🔍 Dry run complete - no API calls were made. Re-run without --dry-run to go live.');
+      return;
+    }
+    
     // Start the campaign
-    await agent.startCampaign(campaignConfig);
+    const campaign = await agent.startCampaign(campaignConfig);
     
-    console.log('✅ Campaign completed successfully!');
+    if (campaign.status === 'completed') {
+      console.log('✅ Campaign completed successfully!');
+    } else {
+      console.log(`⏸️ Campaign paused. Resume with: node run-campaign.js --resume ${campaign.id}`);
+    }
     
   } catch (error) {
     console.error('❌ Campaign failed:', error.message);
@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+
+/**
+ * Analytics Dashboard Test
+ * Builds the dashboard from a lead store, saved campaigns, the event log and the quota ledger
+ */
+
+const assert = require('assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const LeadStore = require('./utils/lead-store');
+const EventLog = require('./utils/event-log');
+const QuotaLedger = require('./utils/quota-ledger');
+const DMDispatcherAgent = require('./agents/dm-dispatcher-agent');
+const AnalyticsDashboard = require('./dashboard/analytics-dashboard');
+
+const now = Date.now();
+const daysAgo = days => new Date(now - days * 24 * 60 * 60 * 1000).toISOString();
+
+async function testAnalyticsDashboard() {
+  console.log('🧪 Testing Analytics Dashboard\n');
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'analytics-dashboard-'));
+
+  try {
+    const leadStore = new LeadStore(path.join(tempDir, 'leads.jsonl'));
+    const eventLog = new EventLog({ logDir: path.join(tempDir, 'events') });
+    const quotaLedger = new QuotaLedger(path.join(tempDir, 'quota-ledger.json'));
+    const dispatcher = new DMDispatcherAgent();
+    dispatcher.getCampaignPath = campaignId => path.join(tempDir, 'campaigns', `${campaignId}.json`);
+    dispatcher.leadStore = leadStore;
+    dispatcher.linkedinClient.eventLog = eventLog;
+    dispatcher.twitterClient.eventLog = eventLog;
+
+    // Four Twitter leads and two LinkedIn leads at different stages
+    const stored = {};
+    const addLead = async (id, platform, statuses, matchedProfiles = []) => {
+      const { lead } = await leadStore.upsertLead({
+        platform, id, name: id, profileUrl: `https://example.com/${id}`, matchedProfiles
+      });
+      for (const status of statuses) await leadStore.updateStatus(lead.leadId, status, { campaignId: 'campaign_a' });
+      stored[id] = leadStore.getLead(lead.leadId);
+    };
+    await addLead('tw_1', 'twitter', ['engaged', 'messaged', 'replied'], ['startupFounders']);
+    await addLead('tw_2', 'twitter', ['engaged', 'messaged'], ['startupFounders']);
+    await addLead('tw_3', 'twitter', [], ['startupFounders', 'marketingLeaders']);
+    await addLead('tw_4', 'twitter', []);
+    await addLead('li_1', 'linkedin', ['engaged'], ['marketingLeaders']);
+    await addLead('li_2', 'linkedin', []);
+
+    // The strategy judged tw_3 worth engaging, and tw_4 not
+    await eventLog.append('strategy_decided', { platform: 'twitter', recipientId: 'tw_3', qualification: { worthEngaging: true } });
+    await eventLog.append('strategy_decided', { platform: 'twitter', recipientId: 'tw_4', qualification: { worthEngaging: false } });
+
+    const campaignA = {
+      id: 'campaign_a',
+      name: 'Founders <beta>',
+      status: 'completed',
+      template: 'cold-outreach',
+      profileTemplates: { marketingLeaders: 'marketing-intro' },
+      startedAt: daysAgo(3),
+      leads: [stored.tw_1, stored.tw_2, stored.tw_3, stored.li_1],
+      stats: { sent: 3, responses: 1 },
+      progress: {
+        [stored.tw_1.leadId]: { state: 'done', success: true, template: 'cold-outreach', contactedAt: daysAgo(3), repliedAt: daysAgo(2), followUps: [] },
+        [stored.tw_2.leadId]: { state: 'done', success: true, template: 'cold-outreach', contactedAt: daysAgo(3), followUps: [{ at: daysAgo(1) }] },
+        [stored.tw_3.leadId]: { state: 'done', success: false },
+        [stored.li_1.leadId]: { state: 'done', success: true }
+      },
+      results: [
+        { leadId: stored.tw_3.leadId, platform: 'twitter', action: 'skipped', reason: 'low_engagement_potential' }
+      ]
+    };
+    const campaignB = {
+      id: 'campaign_b',
+      name: 'Legacy',
+      status: 'completed',
+      template: 'cold-outreach',
+      startedAt: daysAgo(30),
+      leads: [{ platform: 'linkedin', id: 'legacy_1', name: 'Legacy Lead' }],
+      stats: { sent: 0, responses: 0 }
+    };
+    await fs.mkdir(path.join(tempDir, 'campaigns'));
+    for (const campaign of [campaignA, campaignB]) {
+      await fs.writeFile(dispatcher.getCampaignPath(campaign.id), JSON.stringify(campaign));
+    }
+
+    // Quota-limited actions over the last few days
+    await eventLog.append('dm_sent', { platform: 'twitter', recipientId: 'tw_1', at: daysAgo(3) });
+    await eventLog.append('dm_sent', { platform: 'twitter', recipientId: 'tw_2', at: daysAgo(3) });
+    await eventLog.append('followed', { platform: 'twitter', recipientId: 'tw_1', at: daysAgo(4) });
+    await eventLog.append('follow_up_sent', { platform: 'linkedin', recipientId: 'li_1', at: daysAgo(1) });
+    await eventLog.append('dm_sent', { platform: 'linkedin', recipientId: 'li_1', at: daysAgo(1) });
+    await eventLog.append('quota_exhausted', { platform: 'twitter', action: 'dmSend', window: 'daily', limit: 5, at: daysAgo(3) });
+    await eventLog.append('dm_sent', { platform: 'twitter', recipientId: 'old', at: daysAgo(40) });
+    await quotaLedger.consume('twitter', 'dmSend', { daily: 5 });
+
+    const dashboard = new AnalyticsDashboard({ leadStore, eventLog, quotaLedger, dispatcher, outputDir: path.join(tempDir, 'reports'), days: 7 });
+    const report = await dashboard.collect({ now });
+    const counts = funnel => funnel.stages.map(stage => stage.count);
+
+    // Funnels from the lead store and strategy decisions
+    assert.deepStrictEqual(counts(report.funnels.overall), [6, 4, 3, 2, 1]);
+    assert.deepStrictEqual(counts(report.funnels.platforms.twitter), [4, 3, 2, 2, 1]);
+    assert.deepStrictEqual(counts(report.funnels.platforms.linkedin), [2, 1, 1, 0, 0]);
+    assert.deepStrictEqual(counts(report.funnels.profiles.startupFounders), [3, 3, 2, 2, 1]);
+    assert.deepStrictEqual(counts(report.funnels.profiles.marketingLeaders), [2, 2, 1, 0, 0]);
+    assert.deepStrictEqual(counts(report.funnels.profiles['(no profile)']), [2, 0, 0, 0, 0]);
+    assert.strictEqual(report.funnels.platforms.twitter.stages[4].rate, 0.5);
+    console.log('✅ Funnels by platform and target profile');
+
+    // Campaign funnels from checkpoints, results and lead history for that campaign
+    const [legacy, founders] = report.funnels.campaigns;
+    assert.strictEqual(founders.name, 'Founders <beta>');
+    assert.deepStrictEqual(counts(founders.funnel), [4, 3, 3, 2, 1]);
+    assert.deepStrictEqual(counts(legacy.funnel), [1, 0, 0, 0, 0]);
+    console.log('✅ Funnels by campaign from saved campaign files');
+
+    // Template performance, inferring the template where checkpoints predate it
+    const byTemplate = Object.fromEntries(report.templates.map(item => [item.template, item]));
+    assert.deepStrictEqual(
+      [byTemplate['cold-outreach'].processed, byTemplate['cold-outreach'].messaged, byTemplate['cold-outreach'].replied, byTemplate['cold-outreach'].followUps],
+      [3, 2, 1, 1]
+    );
+    assert.strictEqual(byTemplate['cold-outreach'].replyRate, 0.5);
+    assert.strictEqual(byTemplate['cold-outreach'].campaigns, 2);
+    assert.strictEqual(byTemplate['marketing-intro'].processed, 2);
+    console.log('✅ Reply rates per template');
+
+    // Quota usage per day against the configured limits
+    assert.strictEqual(report.quota.days.length, 7);
+    const usageOn = (days, key) => report.quota.days.find(day => day.date === daysAgo(days).slice(0, 10)).usage[key];
+    assert.strictEqual(usageOn(3, 'twitter.dmSend'), 2);
+    assert.strictEqual(usageOn(4, 'twitter.follow'), 1);
+    assert.strictEqual(usageOn(1, 'linkedin.messages'), 2);
+    assert.strictEqual(report.quota.dailyLimits['twitter.dmSend'], 5);
+    assert.strictEqual(report.quota.exhausted.length, 1);
+    assert.strictEqual(report.quota.current.twitter.dmSend.daily.used, 1);
+    console.log('✅ Daily quota usage and exhaustion from the event log');
+
+    // HTML report
+    const reportPath = await dashboard.saveReport(report);
+    const html = await fs.readFile(reportPath, 'utf8');
+    assert.ok(html.includes('Founders &lt;beta&gt;'));
+    assert.ok(!html.includes('Founders <beta>'));
+    assert.ok(html.includes("DM'd"));
+    assert.ok(dashboard.formatSummary(report).includes('cold-outreach: 1/2 replied (50%)'));
+    console.log('✅ HTML dashboard is written to disk');
+
+    // Campaign analytics weight platform success rates and include saved campaigns
+    const analytics = await dispatcher.getCampaignAnalytics();
+    assert.strictEqual(analytics.totalCampaigns, 2);
+    assert.strictEqual(analytics.totalSent, 3);
+
+    await eventLog.append('dm_failed', { platform: 'linkedin', recipientId: 'li_2', error: 'not connected' });
+    const single = await dispatcher.getCampaignAnalytics('campaign_a');
+    // Twitter 2/2 succeeded and LinkedIn 2/3: weighted 4/5, not the plain average of 1 and 0.67
+    assert.strictEqual(single.combined.totalOutreach, 5);
+    assert.strictEqual(single.combined.averageSuccessRate, 0.8);
+    console.log('✅ Campaign analytics weight success rates by volume');
+
+    console.log('\n✅ Analytics Dashboard Test Complete!');
+
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+if (require.main === module) {
+  testAnalyticsDashboard().catch(error => {
+    console.error('❌ Analytics dashboard test failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testAnalyticsDashboard };
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+/**
+ * Compliance Guard Test
+ * Verifies template compliance rules block or truncate messages before sending
+ */
+
+const assert = require('assert');
+const ComplianceGuard = require('./utils/compliance-guard');
+const DMDispatcherAgent = require('./agents/dm-dispatcher-agent');
+
+async function testComplianceGuard() {
+  console.log('🧪 Testing Compliance Guard\n');
+
+  const guard = new ComplianceGuard();
+  const compliance = {
+    maxMessageLength: { linkedin: 40 },
+    cooldownPeriod: { linkedin: '24h' },
+    maxMessagesPerConversation: { linkedin: 2 }
+  };
+  const longMessage = 'Hi Ada, I would love to connect and talk about automation for your agency.';
+
+  // Length: skip or truncate by policy
+  const skipped = guard.check({ platform: 'linkedin', message: longMessage, compliance });
+  assert.strictEqual(skipped.allowed, false);
+  assert.strictEqual(skipped.violations[0].rule, 'maxMessageLength');
+
+  const truncated = guard.check({ platform: 'linkedin', message: longMessage, compliance, policy: 'truncate' });
+  assert.strictEqual(truncated.allowed, true);
+  assert.ok(truncated.message.length <= 40);
+  assert.ok(truncated.message.endsWith('…'));
+  console.log('✅ Over-length messages are skipped or truncated by policy');
+
+  // Cooldown
+  const now = new Date('2025-01-02T12:00:00Z');
+  const cooling = guard.check({ platform: 'linkedin', message: 'Hi', compliance, history: ['2025-01-02T00:00:00Z'], now });
+  assert.strictEqual(cooling.allowed, false);
+  assert.strictEqual(cooling.violations[0].nextAllowedAt, '2025-01-03T00:00:00.000Z');
+  assert.strictEqual(guard.check({ platform: 'linkedin', message: 'Hi', compliance, history: ['2025-01-01T00:00:00Z'], now }).allowed, true);
+  console.log('✅ Cooldown period is enforced');
+
+  // Per-conversation cap
+  const capped = guard.check({ platform: 'linkedin', message: 'Hi', compliance, history: ['2024-12-01', '2024-12-05'], now });
+  assert.deepStrictEqual(capped.violations.map(v => v.rule), ['maxMessagesPerConversation']);
+  console.log('✅ Messages per conversation are capped');
+
+  // Dispatcher dry run reports violations per lead
+  const agent = new DMDispatcherAgent();
+  const lead = {
+    id: 'li_1',
+    name: 'Ada Lovelace',
+    platform: 'linkedin',
+    title: 'Founder and Principal Engineering Consultant for Analytical Engine Programming',
+    company: 'Analytical Co',
+    industry: 'Technology',
+    profileUrl: 'https://linkedin.com/in/ada'
+  };
+
+  const [skipEntry] = await agent.planCampaign({ name: 'Compliance Test', template: 'cold-outreach', platforms: ['linkedin'], leads: [lead] });
+  assert.strictEqual(skipEntry.skipped, 'compliance');
+  assert.strictEqual(skipEntry.violations[0].rule, 'maxMessageLength');
+
+  const [truncateEntry] = await agent.planCampaign({ name: 'Compliance Test', template: 'cold-outreach', platforms: ['linkedin'], leads: [lead], compliancePolicy: 'truncate' });
+  assert.ok(truncateEntry.actions[0].message.length <= 300);
+  assert.strictEqual(truncateEntry.actions[0].violations[0].action, 'truncated');
+  console.log('✅ Campaign plans report compliance violations');
+
+  console.log('\n✅ Compliance Guard Test Complete!');
+}
+
+if (require.main === module) {
+  testComplianceGuard().catch(error => {
+    console.error('❌ Compliance guard test failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testComplianceGuard };
@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+
+/**
+ * Connection Graph Test
+ * Refreshes the cached LinkedIn connection graph against an in-memory connections API:
+ * full pagination, incremental refresh, cached per-lead lookups and mutual connections
+ */
+
+const assert = require('assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const QuotaLedger = require('./utils/quota-ledger');
+const EventLog = require('./utils/event-log');
+const ConnectionGraph = require('./utils/connection-graph');
+const LinkedInDMClient = require('./utils/linkedin-dm-client');
+const LeadScorer = require('./utils/lead-scorer');
+const LeadHunterAgent = require('./agents/lead-hunter-agent');
+
+const person = n => ({ id: `id${n}`, vanityName: `person-${n}`, name: `Person ${n}`, profileUrl: `https://linkedin.com/in/person-${n}` });
+
+async function testConnectionGraph() {
+  console.log('🧪 Testing Connection Graph\n');
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'connection-graph-'));
+  const graphPath = path.join(tempDir, 'linkedin-connections.json');
+
+  try {
+    // Our connections, newest first, and the connections of some of them
+    let ours = Array.from({ length: 7 }, (_, i) => person(7 - i));
+    const theirs = {
+      id1: [{ id: 'lead1', vanityName: 'ada-lead' }, { id: 'lead2', vanityName: 'bo-lead' }],
+      id2: [{ id: 'lead1', vanityName: 'ada-lead' }]
+    };
+    const requests = [];
+
+    const client = new LinkedInDMClient();
+    client.quotaLedger = new QuotaLedger(path.join(tempDir, 'quota-ledger.json'));
+    client.eventLog = new EventLog({ logDir: path.join(tempDir, 'events') });
+    client.connectionGraph = new ConnectionGraph(graphPath);
+    client.log = async () => {};
+    Object.assign(client.connectionGraphSettings, { pageSize: 3, edgeBatchSize: 10 });
+    client.fetchConnectionsPage = async (personId, start, count) => {
+      requests.push([personId, start]);
+      const list = personId === '~' ? ours : (theirs[personId] || []);
+      return { elements: list.slice(start, start + count), total: list.length };
+    };
+
+    // The first refresh pages through every connection, then fetches their own connections
+    const first = await client.refreshConnectionGraph();
+    assert.deepStrictEqual([first.full, first.complete, first.added, first.total], [true, true, 7, 7]);
+    assert.deepStrictEqual(requests.filter(([id]) => id === '~').map(([, start]) => start), [0, 3, 6]);
+    assert.strictEqual(first.edges, 7);
+    assert.strictEqual((await client.getRemainingQuota()).connectionLookups, 100 - 3 - 7);
+    console.log('✅ Full refresh follows pagination past the first page');
+
+    // Per-lead lookups come from the cache, including connections beyond the first page
+    requests.length = 0;
+    assert.strictEqual(await client.isAlreadyConnected('person-1'), true);
+    assert.strictEqual(await client.isAlreadyConnected('urn:li:person:id2'), true);
+    assert.strictEqual(await client.isAlreadyConnected('stranger'), false);
+    assert.ok((await client.getConnectionIds()).has('person-7'));
+    // Vanity names match in any case, from the graph and from a snapshot
+    assert.strictEqual(await client.isAlreadyConnected('Person-1'), true);
+    assert.strictEqual(await client.isAlreadyConnected('PERSON-7', await client.getConnectionIds()), true);
+    assert.strictEqual(requests.length, 0);
+    assert.deepStrictEqual(await client.refreshConnectionGraph(), { refreshed: false });
+    console.log('✅ Connection checks are answered from the cache');
+
+    // The cache is shared through disk
+    const reloaded = new ConnectionGraph(graphPath);
+    await reloaded.load();
+    assert.strictEqual(reloaded.connections.size, 7);
+    assert.ok(reloaded.has('person-4'));
+
+    // Incremental refresh stops at the first page that reaches cached connections
+    ours = [person(9), person(8), ...ours];
+    const incremental = await client.refreshConnectionGraph({ force: true });
+    assert.deepStrictEqual([incremental.full, incremental.added, incremental.total], [false, 2, 9]);
+    assert.deepStrictEqual(requests.filter(([id]) => id === '~').map(([, start]) => start), [0]);
+    assert.ok(await client.isAlreadyConnected('person-9'));
+    console.log('✅ Incremental refresh only reads the newest page');
+
+    // Full refresh drops removed connections and keeps what we know about the rest
+    ours = ours.filter(connection => connection.id !== 'id5');
+    const full = await client.refreshConnectionGraph({ full: true });
+    assert.deepStrictEqual([full.removed, full.total], [1, 8]);
+    assert.strictEqual(await client.isAlreadyConnected('person-5'), false);
+    assert.ok(client.connectionGraph.connections.get('id1').connectionsFetchedAt);
+    console.log('✅ Full refresh drops removed connections');
+
+    // Mutual connections come from the cached connections of our connections
+    const graph = client.connectionGraph;
+    assert.deepStrictEqual(graph.getMutualConnections('ada-lead').map(mutual => mutual.name).sort(), ['Person 1', 'Person 2']);
+    assert.deepStrictEqual(graph.getMutualConnections('lead2').map(mutual => mutual.id), ['id1']);
+    assert.deepStrictEqual(graph.getMutualConnections('Ada-Lead').map(mutual => mutual.id).sort(), ['id1', 'id2']);
+    assert.deepStrictEqual(graph.getMutualConnections('nobody'), []);
+    assert.strictEqual(new ConnectionGraph(path.join(tempDir, 'empty.json')).getMutualConnections('ada-lead'), null);
+
+    // ...and feed lead scoring through the hunter
+    const hunter = new LeadHunterAgent();
+    hunter.connectionGraph = new ConnectionGraph(graphPath);
+    const leads = [
+      { platform: 'linkedin', name: 'Ada', profileUrl: 'https://linkedin.com/in/Ada-Lead' },
+      { platform: 'linkedin', name: 'Cy', profileUrl: 'https://linkedin.com/in/cy-lead', mutualConnections: 4 },
+      { platform: 'twitter', name: 'Dee', mutualConnections: ['someone'] }
+    ];
+    await hunter.addMutualConnections(leads);
+    assert.strictEqual(leads[0].mutualConnections.length, 2);
+    assert.deepStrictEqual(leads[1].mutualConnections, []);
+    assert.deepStrictEqual(leads[2].mutualConnections, ['someone']);
+
+    const scorer = new LeadScorer();
+    await scorer.load();
+    const rule = scorer.score(leads[0]).breakdown.rules.find(item => item.rule === 'mutualConnections');
+    assert.strictEqual(rule.points, 4);
+    console.log('✅ Mutual connections come from the cache and feed the lead score');
+
+    // LinkedIn errors fall back to the cached graph once one exists
+    client.fetchConnectionsPage = async () => { throw new Error('Could not list connections: 503'); };
+    client.connectionGraph.refreshedAt = new Date(0).toISOString();
+    await client.connectionGraph.save();
+    const lookupsBefore = (await client.getRemainingQuota()).connectionLookups;
+    assert.ok(await client.isAlreadyConnected('person-9'));
+    assert.strictEqual((await client.getRemainingQuota()).connectionLookups, lookupsBefore);
+    client.connectionGraph = new ConnectionGraph(path.join(tempDir, 'missing.json'));
+    await assert.rejects(client.getConnectionIds(), /503/);
+    assert.strictEqual(await client.isAlreadyConnected('person-9'), false);
+    console.log('✅ Unreachable LinkedIn falls back to the cache and refunds the page quota');
+
+    console.log('\n✅ Connection Graph Test Complete!');
+
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+if (require.main === module) {
+  testConnectionGraph().catch(error => {
+    console.error('❌ Connection graph test failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testConnectionGraph };
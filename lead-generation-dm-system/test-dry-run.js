@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+
+/**
+ * Dry Run Test
+ * Plans a mixed campaign without API calls: the steps planned per lead, the quota
+ * they would use, every skip reason and the printed plan
+ */
+
+const assert = require('assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const QuotaLedger = require('./utils/quota-ledger');
+const SuppressionList = require('./utils/suppression-list');
+const LeadStore = require('./utils/lead-store');
+const DMDispatcherAgent = require('./agents/dm-dispatcher-agent');
+
+async function testDryRun() {
+  console.log('🧪 Testing Dry Run\n');
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dry-run-'));
+
+  try {
+    const ledger = new QuotaLedger(path.join(tempDir, 'quota-ledger.json'));
+    const dispatcher = new DMDispatcherAgent();
+    await dispatcher.loadTemplates();
+    dispatcher.leadStore = new LeadStore(path.join(tempDir, 'leads.jsonl'));
+    dispatcher.suppressionList = new SuppressionList(path.join(tempDir, 'suppression-list.json'));
+    dispatcher.twitterClient.quotaLedger = ledger;
+    dispatcher.linkedinClient.quotaLedger = ledger;
+
+    // Only two LinkedIn connection requests left today
+    for (let i = 0; i < dispatcher.linkedinClient.dailyLimits.connectionRequests - 2; i++) {
+      await ledger.consume('linkedin', 'connectionRequests', { daily: dispatcher.linkedinClient.dailyLimits.connectionRequests });
+    }
+
+    // A dry run never calls a platform
+    const apiCalls = [];
+    for (const [client, methods] of [
+      [dispatcher.twitterClient, ['followUser', 'likeTweet', 'getUserInfo', 'sendDirectMessage']],
+      [dispatcher.linkedinClient, ['getProfileInfo', 'isAlreadyConnected', 'sendConnectionRequest', 'sendDirectMessage']]
+    ]) {
+      for (const method of methods) client[method] = async () => apiCalls.push(method);
+    }
+
+    await dispatcher.suppressionList.add('twitter', '6004', 'manual');
+
+    const qualified = {
+      platform: 'twitter',
+      bio: 'Building AI automation for small teams',
+      keywords: ['AI automation'],
+      followerCount: 2000,
+      lastActivity: new Date().toISOString(),
+      mutualConnections: [],
+      recentTweets: [{ id: 't_1', content: 'Our SaaS growth playbook', engagement: { likes: 30, comments: 2 } }]
+    };
+    const linkedin = (slug, name) => ({ platform: 'linkedin', id: slug, name, title: 'Founder', company: 'Labs', industry: 'SaaS', profileUrl: `https://linkedin.com/in/${slug}` });
+    const leads = [
+      { ...qualified, id: '6001', name: 'ana', username: 'ana' },
+      linkedin('lin-park', 'Lin Park'),
+      { platform: 'linkedin', id: 'li_x', name: 'No Url', title: 'Founder', company: 'Labs' },
+      { ...qualified, id: '6004', name: 'sam', username: 'sam' },
+      { platform: 'twitter', id: '6005', name: 'low', username: 'low', bio: 'Coffee', followerCount: 3, recentTweets: [] },
+      { platform: 'email', id: 'e_1', name: 'Eve', email: 'eve@example.com' },
+      { ...linkedin('no-name', ''), name: '' },
+      { ...qualified, id: '6008', name: 'cole', username: 'cole', statusHistory: [{ platform: 'twitter', action: 'direct_message', at: new Date().toISOString() }] },
+      linkedin('lou-ng', 'Lou Ng'),
+      linkedin('max-roe', 'Max Roe'),
+      { ...qualified, id: '6011', name: 'over', username: 'over' }
+    ];
+
+    const logged = [];
+    const log = console.log;
+    console.log = (...args) => logged.push(args.join(' '));
+    let plan;
+    try {
+      plan = await dispatcher.planCampaign({
+        name: 'Dry run',
+        template: 'cold-outreach',
+        platforms: ['twitter', 'linkedin'],
+        leads,
+        dailyLimit: 10,
+        compliancePolicy: 'truncate'
+      });
+    } finally {
+      console.log = log;
+    }
+
+    assert.deepStrictEqual(apiCalls, []);
+    assert.strictEqual(plan.length, leads.length);
+
+    // Planned steps
+    const [ana, lin] = plan;
+    assert.deepStrictEqual(ana.actions.map(action => [action.action, action.quota, action.deferred || null]), [
+      ['research', 'twitter.userLookup', null],
+      ['follow', 'twitter.follow', null],
+      ['like', 'twitter.like', null],
+      ['dmSend', 'twitter.dmSend', 'follow_back']
+    ]);
+    assert.ok(ana.actions[3].message.startsWith('Hi ana,'));
+    assert.strictEqual(ana.awaitingFollowBack, true);
+    assert.strictEqual(ana.template, 'cold-outreach');
+
+    assert.deepStrictEqual(lin.actions.map(action => [action.action, action.quota]), [['connection_request', 'linkedin.connectionRequests']]);
+    assert.ok(lin.actions[0].message.startsWith('Hi Lin,'));
+    assert.ok(lin.actions[0].message.length <= 300);
+    assert.strictEqual(plan[8].actions[0].action, 'connection_request');
+    console.log('✅ Each lead gets its planned steps and messages');
+
+    // Skip reasons
+    assert.deepStrictEqual(plan.map(entry => [entry.name, entry.skipped || null]), [
+      ['ana', null],
+      ['Lin Park', null],
+      ['No Url', 'no_linkedin_person_id'],
+      ['sam', 'suppressed'],
+      ['low', 'low_engagement_potential'],
+      ['Eve', 'platform_not_in_campaign'],
+      ['', 'missing_template_variables'],
+      ['cole', 'compliance'],
+      ['Lou Ng', null],
+      ['Max Roe', 'no_api_quota'],
+      ['over', 'daily_limit']
+    ]);
+    assert.ok(plan[4].failedRules.length > 0);
+    assert.deepStrictEqual(plan[7].violations.map(violation => violation.rule), ['cooldownPeriod']);
+    assert.ok(plan.filter(entry => entry.skipped).every(entry => entry.actions.length === 0));
+    console.log('✅ Skipped leads record why');
+
+    // Quota: each planned step uses one unit of a copy; the deferred DM and skipped leads use none
+    const quota = await dispatcher.twitterClient.getRemainingQuota();
+    assert.ok(['userLookup', 'follow', 'like', 'dmSend'].every(key => quota[key].used === 0));
+    const printed = logged.join('\n');
+    assert.match(printed, new RegExp(`Twitter quota left: follow ${quota.follow.remaining - 1}, like ${quota.like.remaining - 1}, dmSend ${quota.dmSend.remaining}, userLookup ${quota.userLookup.remaining - 1}`));
+    assert.match(printed, /LinkedIn connection requests left: 0/);
+    console.log('✅ The plan spends a copy of the day\'s quota');
+
+    // The printed plan
+    assert.match(printed, /DRY RUN: Dry run \(template: cold-outreach\)/);
+    assert.match(printed, /• dmSend \[quota: twitter.dmSend\] - deferred until they follow back/);
+    assert.match(printed, /• connection_request \[quota: linkedin.connectionRequests\]/);
+    assert.match(printed, /👤 low \(twitter, score n\/a\)\n {3}⏭️ Skip: low_engagement_potential \(failed: /);
+    assert.match(printed, /⏭️ Skip: suppressed/);
+    assert.match(printed, /⏭️ Skip: missing_template_variables - Unresolved template variables/);
+    assert.match(printed, /📊 3 of 11 leads would be contacted/);
+    console.log('✅ The printed plan lists steps, messages and skips');
+
+    console.log('\n✅ Dry Run Test Complete!');
+
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+if (require.main === module) {
+  testDryRun().catch(error => {
+    console.error('❌ Dry run test failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testDryRun };
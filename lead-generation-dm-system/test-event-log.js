@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+
+/**
+ * Event Log Test
+ * Checks the shared JSONL event log: schema, concurrent appends, rotation,
+ * streaming analytics and the one-time migration of the old logs/*.json files
+ */
+
+const assert = require('assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const EventLog = require('./utils/event-log');
+const TwitterDMClient = require('./utils/twitter-dm-client');
+const LinkedInDMClient = require('./utils/linkedin-dm-client');
+const TwitterOutreachStrategy = require('./utils/twitter-outreach-strategy');
+
+const run = promisify(execFile);
+
+async function collect(eventLog, filter) {
+  const events = [];
+  for await (const event of eventLog.stream(filter)) events.push(event);
+  return events;
+}
+
+async function testEventLog() {
+  console.log('🧪 Testing Event Log\n');
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'event-log-'));
+
+  try {
+    // Events follow the schema
+    const eventLog = new EventLog({ logDir: path.join(tempDir, 'events') });
+    const sent = await eventLog.append('dm_sent', { platform: 'twitter', recipientId: '42', messageText: 'Hi' });
+    assert.ok(sent.id.startsWith('evt_'));
+    assert.strictEqual(sent.v, 1);
+    await assert.rejects(eventLog.append('dm_sent', { platform: 'twitter' }), /missing recipientId/);
+    await assert.rejects(eventLog.append('waved', { platform: 'twitter' }), /Unknown event type 'waved'/);
+    console.log('✅ Events are validated against the schema');
+
+    // Concurrent writers in separate processes never lose or mangle events
+    const writer = `
+      const EventLog = require(${JSON.stringify(path.join(__dirname, 'utils/event-log'))});
+      const eventLog = new EventLog({ logDir: process.argv[1] });
+      Promise.all(Array.from({ length: 100 }, (_, i) =>
+        eventLog.append('liked', { platform: 'twitter', tweetId: process.argv[2] + i })));
+    `;
+    await Promise.all(['a', 'b'].map(prefix => run(process.execPath, ['-e', writer, eventLog.logDir, prefix], { timeout: 30000 })));
+    const likes = await collect(eventLog, { types: ['liked'] });
+    assert.strictEqual(likes.length, 200);
+    assert.strictEqual(new Set(likes.map(event => event.tweetId)).size, 200);
+    console.log('✅ Concurrent writers append without losing events');
+
+    // A line cut short by a crash is skipped and does not swallow the next event
+    await fs.appendFile(eventLog.logPath, '{"type":"dm_sent","platf');
+    const restarted = new EventLog({ logDir: eventLog.logDir });
+    await restarted.append('followed', { platform: 'twitter', recipientId: '42' });
+    assert.strictEqual((await collect(restarted, { types: ['followed'] })).length, 1);
+    assert.strictEqual((await collect(restarted)).length, 202);
+    console.log('✅ Partial writes damage at most one line');
+
+    // Filters
+    await restarted.append('dm_sent', { platform: 'linkedin', recipientId: 'abc', at: '2020-01-01T00:00:00.000Z' });
+    assert.strictEqual((await collect(restarted, { platform: 'linkedin' })).length, 1);
+    assert.strictEqual((await collect(restarted, { types: ['dm_sent'], since: '2021-01-01' })).length, 1);
+    assert.strictEqual((await collect(restarted, { until: '2021-01-01' })).length, 1);
+
+    // Rotation keeps every event readable, oldest first, and prunes old files only when asked
+    const rotating = new EventLog({ logDir: path.join(tempDir, 'rotating'), maxBytes: 600, maxRotatedFiles: 3 });
+    for (let i = 0; i < 30; i++) {
+      await rotating.append('followed', { platform: 'twitter', recipientId: String(i) });
+    }
+    assert.strictEqual((await rotating.listRotatedFiles()).length, 3);
+    const kept = (await collect(rotating)).map(event => Number(event.recipientId));
+    assert.deepStrictEqual(kept, kept.slice().sort((a, b) => a - b));
+    assert.strictEqual(kept[kept.length - 1], 29);
+    assert.ok(kept[0] > 0);
+
+    const roomy = new EventLog({ logDir: path.join(tempDir, 'roomy'), maxBytes: 600 });
+    for (let i = 0; i < 30; i++) {
+      await roomy.append('followed', { platform: 'twitter', recipientId: String(i) });
+    }
+    assert.strictEqual(roomy.maxRotatedFiles, null);
+    assert.ok((await roomy.listRotatedFiles()).length > 3);
+    assert.strictEqual((await collect(roomy)).length, 30);
+    console.log('✅ The log rotates and streams across rotated files');
+
+    // Analytics stream the log
+    const analyticsLog = new EventLog({ logDir: path.join(tempDir, 'analytics') });
+    const twitter = new TwitterDMClient();
+    twitter.eventLog = analyticsLog;
+    await twitter.logEvent('dm_sent', { recipientId: '1' });
+    await twitter.logEvent('dm_failed', { recipientId: '2', error: 'blocked' });
+    await twitter.logEvent('follow_up_sent', { recipientId: '1' });
+    await twitter.logEvent('followed', { recipientId: '3' });
+    await twitter.logEvent('dm_sent', { recipientId: '4', at: '2020-01-01T00:00:00.000Z' });
+
+    const twitterAnalytics = await twitter.getOutreachAnalytics(30);
+    assert.strictEqual(twitterAnalytics.totalOutreach, 3);
+    assert.strictEqual(twitterAnalytics.directMessages, 2);
+    assert.strictEqual(twitterAnalytics.followUps, 1);
+    assert.strictEqual(twitterAnalytics.follows, 1);
+    assert.strictEqual(twitterAnalytics.uniqueRecipients, 3);
+    assert.strictEqual(Math.round(twitterAnalytics.successRate * 100), 67);
+
+    const linkedin = new LinkedInDMClient();
+    linkedin.eventLog = analyticsLog;
+    await linkedin.logEvent('connection_requested', { recipientId: 'p1' });
+    const linkedinAnalytics = await linkedin.getOutreachAnalytics(30);
+    assert.strictEqual(linkedinAnalytics.totalOutreach, 1);
+    assert.strictEqual(linkedinAnalytics.connectionRequests, 1);
+    assert.strictEqual(linkedinAnalytics.successRate, 1);
+
+    const emptyClient = new LinkedInDMClient();
+    emptyClient.eventLog = new EventLog({ logDir: path.join(tempDir, 'none') });
+    assert.strictEqual((await emptyClient.getOutreachAnalytics()).successRate, 0);
+
+    const strategy = new TwitterOutreachStrategy();
+    strategy.eventLog = analyticsLog;
+    const lead = {
+      id: 'tw_9',
+      leadId: 'lead_9',
+      platform: 'twitter',
+      username: 'builder',
+      keywords: ['AI automation'],
+      followerCount: 1000,
+      lastActivity: new Date().toISOString(),
+      recentTweets: [{ content: 'Shipping AI tools', engagement: { likes: 20, comments: 2 } }]
+    };
+    await strategy.logStrategy(lead, [], {});
+    const [decision] = await collect(analyticsLog, { types: ['strategy_decided'] });
+    assert.strictEqual(decision.leadId, 'lead_9');
+    assert.deepStrictEqual(decision.snapshot, JSON.parse(JSON.stringify(strategy.getQualificationSnapshot(lead))));
+
+    // A lead found by username only is logged under its username
+    await strategy.logStrategy({ ...lead, id: undefined, leadId: 'lead_10' }, [], {});
+    const decisions = await collect(analyticsLog, { types: ['strategy_decided'] });
+    assert.deepStrictEqual(decisions.map(event => event.recipientId), ['tw_9', 'builder']);
+
+    const strategyAnalytics = await strategy.getStrategyAnalytics(30);
+    assert.strictEqual(strategyAnalytics.totalLeads, 2);
+    assert.strictEqual(strategyAnalytics.averageEngagementRate, 2);
+    console.log('✅ Client and strategy analytics stream the event log');
+
+    // One-time migration of the old JSON arrays
+    const legacyDir = path.join(tempDir, 'legacy');
+    await fs.mkdir(legacyDir);
+    await fs.writeFile(path.join(legacyDir, 'twitter-outreach.json'), JSON.stringify([
+      { type: 'direct_message', recipientUserId: '7', messageText: 'Hi', messageId: 'm1', timestamp: '2025-08-01T10:00:00.000Z', success: true },
+      { type: 'direct_message', recipientUserId: '8', timestamp: '2025-08-01T11:00:00.000Z', success: false, error: 'blocked' },
+      { type: 'follow_up', recipientUserId: '7', timestamp: '2025-08-03T10:00:00.000Z', success: true },
+      { type: 'mystery' }
+    ]));
+    await fs.writeFile(path.join(legacyDir, 'linkedin-outreach.json'), JSON.stringify([
+      { action: 'connection_request', recipient: 'p1', timestamp: '2025-08-01T09:00:00.000Z', status: 'simulated' },
+      { type: 'direct_message', recipientPersonId: 'p1', timestamp: '2025-08-02T09:00:00.000Z', success: true }
+    ]));
+    await fs.writeFile(path.join(legacyDir, 'outreach-strategy.json'), JSON.stringify([
+      { timestamp: '2025-08-01T08:00:00.000Z', lead: { id: '7', leadId: 'lead_7', platform: 'twitter' }, qualification: { highlyQualified: true } }
+    ]));
+
+    const migrating = new EventLog({ logDir: path.join(tempDir, 'migrated'), legacyDir });
+    const summary = await migrating.migrateLegacyLogs();
+    assert.strictEqual(summary.events, 6);
+    assert.deepStrictEqual(summary.files['twitter-outreach.json'], { entries: 4, events: 3, skipped: 1 });
+
+    const migrated = await collect(migrating);
+    assert.deepStrictEqual(migrated.map(event => event.type).sort(), [
+      'connection_requested', 'dm_failed', 'dm_sent', 'dm_sent', 'follow_up_sent', 'strategy_decided'
+    ]);
+    const failed = migrated.find(event => event.type === 'dm_failed');
+    assert.deepStrictEqual([failed.recipientId, failed.error, failed.at, failed.migratedFrom],
+      ['8', 'blocked', '2025-08-01T11:00:00.000Z', 'twitter-outreach.json']);
+    assert.strictEqual(migrated.find(event => event.type === 'strategy_decided').leadId, 'lead_7');
+
+    await fs.access(path.join(legacyDir, 'twitter-outreach.json.migrated'));
+    await assert.rejects(fs.access(path.join(legacyDir, 'twitter-outreach.json')));
+    assert.deepStrictEqual(await migrating.migrateLegacyLogs(), { files: {}, events: 0 });
+    assert.strictEqual((await collect(migrating)).length, 6);
+    console.log('✅ Legacy JSON logs are migrated once');
+
+    console.log('\n✅ Event Log Test Complete!');
+
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+if (require.main === module) {
+  testEventLog().catch(error => {
+    console.error('❌ Event log test failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testEventLog };
@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+
+/**
+ * Follow-Back Test
+ * Runs a Twitter campaign against the local v2 stand-in: leads are followed but not DM'd,
+ * leads who follow back get the warm DM and leads who never do get nothing
+ */
+
+const assert = require('assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const TwitterDMStandIn = require('./utils/twitter-dm-stand-in');
+const QuotaLedger = require('./utils/quota-ledger');
+const SuppressionList = require('./utils/suppression-list');
+const EventLog = require('./utils/event-log');
+const LeadStore = require('./utils/lead-store');
+
+async function collect(eventLog, filter) {
+  const events = [];
+  for await (const event of eventLog.stream(filter)) events.push(event);
+  return events;
+}
+
+async function testFollowBacks() {
+  console.log('🧪 Testing Follow-Back Watcher\n');
+
+  const standIn = new TwitterDMStandIn();
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'follow-backs-'));
+
+  process.env.TWITTER_API_BASE_URL = await standIn.start();
+  process.env.TWITTER_API_KEY = 'key';
+  process.env.TWITTER_API_SECRET = 'secret';
+  process.env.TWITTER_ACCESS_TOKEN = 'token';
+  process.env.TWITTER_ACCESS_TOKEN_SECRET = 'token-secret';
+  delete process.env.TWITTER_BEARER_TOKEN;
+
+  try {
+    const DMDispatcherAgent = require('./agents/dm-dispatcher-agent');
+    const eventLog = new EventLog({ logDir: path.join(tempDir, 'events') });
+    const leadStore = new LeadStore(path.join(tempDir, 'leads.jsonl'));
+
+    const dispatcher = new DMDispatcherAgent();
+    dispatcher.isInitialized = true;
+    await dispatcher.loadTemplates();
+    dispatcher.leadStore = leadStore;
+    dispatcher.eventLog = eventLog;
+    dispatcher.twitterStrategy.eventLog = eventLog;
+    dispatcher.suppressionList = new SuppressionList(path.join(tempDir, 'suppression-list.json'));
+    dispatcher.getCampaignPath = campaignId => path.join(tempDir, 'campaigns', `${campaignId}.json`);
+    dispatcher.log = async () => {};
+    Object.assign(dispatcher.twitterClient, {
+      quotaLedger: new QuotaLedger(path.join(tempDir, 'quota-ledger.json')),
+      suppressionList: dispatcher.suppressionList,
+      eventLog,
+      log: async () => {}
+    });
+
+    // Ana qualifies for a DM outright, Ben only once he engages with us, Cat never follows back
+    const addLead = async (id, username, fields) => {
+      standIn.addTweet(`t_${id}`, id, fields.recentTweets[0].content);
+      const { lead } = await leadStore.upsertLead({
+        platform: 'twitter',
+        id,
+        name: username,
+        username,
+        profileUrl: `https://twitter.com/${username}`,
+        followerCount: 2000,
+        lastActivity: new Date().toISOString(),
+        mutualConnections: [],
+        ...fields
+      });
+      return lead;
+    };
+    const qualified = {
+      bio: 'Building AI automation for small teams',
+      keywords: ['AI automation'],
+      recentTweets: [{ content: 'Our SaaS growth playbook', engagement: { likes: 30, comments: 2 } }]
+    };
+    const ana = await addLead('3001', 'ana', { ...qualified, recentTweets: [{ ...qualified.recentTweets[0], id: 't_3001' }] });
+    const ben = await addLead('3002', 'ben', {
+      bio: 'Coffee and weekend hikes',
+      keywords: ['hiking'],
+      recentTweets: [{ id: 't_3002', content: 'Hiking report from Sunday', engagement: { likes: 5, comments: 1 } }]
+    });
+    const cat = await addLead('3003', 'cat', { ...qualified, recentTweets: [{ ...qualified.recentTweets[0], id: 't_3003' }] });
+    assert.strictEqual(dispatcher.qualificationRules.evaluate('dm', ben).qualified, false);
+
+    const campaignConfig = {
+      name: 'Follow-backs',
+      template: 'cold-outreach',
+      platforms: ['twitter'],
+      leads: [ana, ben, cat],
+      delay: 1
+    };
+
+    // The dry run plans what the live run does: the DM is deferred until a follow-back and uses no quota
+    const getRemainingQuota = dispatcher.twitterClient.getRemainingQuota.bind(dispatcher.twitterClient);
+    let plannedQuota = null;
+    dispatcher.twitterClient.getRemainingQuota = async () => (plannedQuota = await getRemainingQuota());
+    const plan = await dispatcher.planCampaign(campaignConfig);
+    dispatcher.twitterClient.getRemainingQuota = getRemainingQuota;
+
+    const anaDMStep = plan[0].actions.find(action => action.action === 'dmSend');
+    assert.strictEqual(anaDMStep.deferred, 'follow_back');
+    assert.ok(anaDMStep.message.startsWith('Hi ana,\n\nThanks for the follow back!'));
+    assert.ok(plan.every(entry => entry.awaitingFollowBack));
+    assert.strictEqual(plannedQuota.dmSend.used, 0);
+    assert.strictEqual(plannedQuota.follow.used, 3);
+
+    const campaign = await dispatcher.startCampaign(campaignConfig);
+
+    // The campaign follows and likes, but sends no DM
+    assert.deepStrictEqual([...standIn.following].sort(), ['3001', '3002', '3003']);
+    assert.strictEqual(standIn.events.length, 0);
+
+    const plannedSteps = action => plan.flatMap(entry => entry.actions.filter(step => step.action === action && !step.deferred));
+    const liveQuota = await dispatcher.twitterClient.getRemainingQuota();
+    assert.deepStrictEqual(
+      [liveQuota.follow.used, liveQuota.like.used, liveQuota.dmSend.used],
+      [plannedSteps('follow').length, plannedSteps('like').length, plannedQuota.dmSend.used]
+    );
+    assert.strictEqual(standIn.likes.size, plannedSteps('like').length);
+    console.log('✅ The dry run matches the live run');
+    assert.ok(campaign.results.every(result => result.awaitingFollowBack && !result.dmSent));
+    assert.deepStrictEqual(Object.values(campaign.progress).map(checkpoint => checkpoint.followBack.state), ['waiting', 'waiting', 'waiting']);
+    assert.ok(Object.values(campaign.progress).every(checkpoint => !checkpoint.contactedAt));
+    console.log('✅ Campaigns follow without a cold DM');
+
+    // Nobody has followed back yet
+    assert.deepStrictEqual(await dispatcher.checkFollowBacks(), []);
+
+    // Ana and Ben follow back: both are marked warm and get the warm template
+    standIn.addFollower('3001');
+    standIn.addFollower('3002');
+    standIn.addFollower('9999');
+    const results = await dispatcher.checkFollowBacks();
+    assert.deepStrictEqual(results.map(result => [result.userId, result.action, result.success]), [['3001', 'warm_dm', true], ['3002', 'warm_dm', true]]);
+
+    const [anaDM] = standIn.getConversation('3001');
+    assert.ok(anaDM.text.startsWith('Hi ana,\n\nThanks for the follow back!'));
+    assert.strictEqual(standIn.getConversation('3003').length, 0);
+
+    const storedAna = leadStore.getLead(ana.leadId);
+    assert.strictEqual(storedAna.warm, true);
+    assert.strictEqual(storedAna.hasEngagedWithUs, true);
+    assert.strictEqual(storedAna.status, 'messaged');
+    assert.strictEqual(leadStore.getLead(ben.leadId).status, 'messaged');
+
+    const saved = await dispatcher.loadCampaign(campaign.id);
+    const anaCheckpoint = saved.progress[ana.leadId];
+    assert.strictEqual(anaCheckpoint.followBack.state, 'messaged');
+    assert.strictEqual(anaCheckpoint.recipientId, '3001');
+    assert.ok(anaCheckpoint.contactedAt);
+    assert.deepStrictEqual(anaCheckpoint.followUps, []);
+    assert.strictEqual(saved.progress[cat.leadId].followBack.state, 'waiting');
+
+    const followedBack = await collect(eventLog, { types: ['followed_back'] });
+    assert.deepStrictEqual(followedBack.map(event => event.recipientId), ['3001', '3002']);
+    console.log('✅ Follow-backs raise qualification and get the warm DM');
+
+    // Nobody is messaged twice
+    assert.deepStrictEqual(await dispatcher.checkFollowBacks(), []);
+    assert.strictEqual(standIn.getConversation('3001').length, 1);
+
+    // Cat's follow-back window runs out: no DM, even if she follows later
+    saved.progress[cat.leadId].followBack.followedAt = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000).toISOString();
+    await fs.writeFile(dispatcher.getCampaignPath(campaign.id), JSON.stringify(saved));
+    await dispatcher.checkFollowBacks();
+    standIn.addFollower('3003');
+    assert.deepStrictEqual(await dispatcher.checkFollowBacks(), []);
+    assert.strictEqual(standIn.getConversation('3003').length, 0);
+    assert.strictEqual((await dispatcher.loadCampaign(campaign.id)).progress[cat.leadId].followBack.state, 'expired');
+    console.log('✅ Leads who never follow back get no DM');
+
+    // One followers lookup per run, only while someone is waiting
+    assert.strictEqual((await dispatcher.twitterClient.getRemainingQuota()).followersLookup.used, 3);
+    console.log('✅ Followers are looked up once per run');
+
+    console.log('\n✅ Follow-Back Watcher Test Complete!');
+
+  } finally {
+    await standIn.stop();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+if (require.main === module) {
+  testFollowBacks().catch(error => {
+    console.error('❌ Follow-back test failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testFollowBacks };
@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+
+/**
+ * Follow-Up Test
+ * Runs the follow-up scheduler over a saved campaign with a stubbed Twitter client:
+ * due dates, the follow-up cap, replies stopping the sequence and failed sends
+ */
+
+const assert = require('assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const SuppressionList = require('./utils/suppression-list');
+const EventLog = require('./utils/event-log');
+const LeadStore = require('./utils/lead-store');
+const DMDispatcherAgent = require('./agents/dm-dispatcher-agent');
+
+const DAY = 24 * 60 * 60 * 1000;
+const daysAgo = days => new Date(Date.now() - days * DAY).toISOString();
+
+async function testFollowUps() {
+  console.log('🧪 Testing Follow-Ups\n');
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'follow-ups-'));
+
+  try {
+    const leadStore = new LeadStore(path.join(tempDir, 'leads.jsonl'));
+
+    const dispatcher = new DMDispatcherAgent();
+    dispatcher.isInitialized = true;
+    await dispatcher.loadTemplates();
+    dispatcher.leadStore = leadStore;
+    dispatcher.eventLog = new EventLog({ logDir: path.join(tempDir, 'events') });
+    dispatcher.suppressionList = new SuppressionList(path.join(tempDir, 'suppression-list.json'));
+    dispatcher.getCampaignPath = campaignId => path.join(tempDir, 'campaigns', `${campaignId}.json`);
+    dispatcher.log = async () => {};
+
+    // Every follow-up goes through this stub; `failures` makes the next sends for a user fail
+    const sent = [];
+    const failures = new Map();
+    dispatcher.twitterClient.sendFollowUpMessage = async (userId, text, options) => {
+      const failure = failures.get(userId);
+      if (failure) {
+        failures.delete(userId);
+        throw failure;
+      }
+      sent.push({ userId, text, options });
+      return { success: true, messageId: `dm_${sent.length}` };
+    };
+
+    const names = ['ana', 'ben', 'cat', 'dan', 'eve', 'fay'];
+    const leads = [];
+    for (const [index, name] of names.entries()) {
+      const { lead } = await leadStore.upsertLead({
+        platform: 'twitter',
+        id: String(4001 + index),
+        name,
+        username: name,
+        title: 'Founder',
+        company: `${name} Labs`,
+        industry: 'SaaS',
+        profileUrl: `https://twitter.com/${name}`
+      });
+      leads.push(lead);
+    }
+    const [ana, ben, cat, dan, eve, fay] = leads;
+
+    const campaign = dispatcher.createCampaign({
+      name: 'Follow-ups',
+      template: 'cold-outreach',
+      platforms: ['twitter'],
+      leads,
+      followUpDelay: 3,
+      maxFollowUps: 2
+    });
+    const contacted = (lead, contactedAt, fields = {}) => {
+      campaign.progress[lead.leadId] = {
+        state: 'done',
+        success: true,
+        platform: 'twitter',
+        recipientId: lead.id,
+        contactedAt,
+        followUps: [],
+        ...fields
+      };
+    };
+    contacted(ana, daysAgo(4));                                          // due
+    contacted(ben, daysAgo(1));                                          // not due yet
+    contacted(cat, daysAgo(10), { followUps: [{ at: daysAgo(7), success: true }, { at: daysAgo(4), success: true }] });
+    contacted(dan, daysAgo(4), { repliedAt: daysAgo(2) });               // replied
+    contacted(eve, daysAgo(4));                                          // hits the DM quota
+    contacted(fay, daysAgo(4));                                          // account gone
+    await dispatcher.saveCampaign(campaign);
+
+    // Due dates follow the last touch and stop at maxFollowUps
+    const settings = campaign.settings;
+    const anaDue = dispatcher.getFollowUpDueDate(campaign.progress[ana.leadId], settings);
+    assert.strictEqual(anaDue.getTime(), new Date(campaign.progress[ana.leadId].contactedAt).getTime() + 3 * DAY);
+    assert.ok(dispatcher.getFollowUpDueDate(campaign.progress[ben.leadId], settings) > new Date());
+    assert.strictEqual(dispatcher.getFollowUpDueDate(campaign.progress[cat.leadId], settings), null);
+    assert.strictEqual(dispatcher.getFollowUpDueDate({ state: 'done', followUps: [] }, settings), null);
+
+    const { schedule } = await dispatcher.scheduleFollowUps(campaign.id);
+    assert.deepStrictEqual(schedule.map(item => item.name), ['ana', 'ben', 'eve', 'fay']);
+    console.log('✅ Due dates follow the delay and the follow-up cap');
+
+    // One run: Ana is followed up, Eve runs into the DM quota, Fay's account is gone
+    const quotaError = new Error('Daily message limit reached');
+    quotaError.code = 'QUOTA_EXHAUSTED';
+    failures.set(eve.id, quotaError);
+    failures.set(fay.id, Object.assign(new Error('User not found'), { code: 404 }));
+
+    let loaded = await dispatcher.loadCampaign(campaign.id);
+    const results = await dispatcher.processFollowUps(loaded);
+    assert.deepStrictEqual(results.map(result => [result.leadId, result.success, !!result.retryable]), [
+      [ana.leadId, true, false],
+      [eve.leadId, false, true],
+      [fay.leadId, false, false]
+    ]);
+    assert.deepStrictEqual(sent.map(message => message.userId), [ana.id]);
+    assert.ok(sent[0].text.startsWith('Hey ana,'));
+    assert.deepStrictEqual(sent[0].options, { maxFollowUps: 2 });
+
+    loaded = await dispatcher.loadCampaign(campaign.id);
+    assert.strictEqual(loaded.stats.followUps, 1);
+    assert.strictEqual(loaded.progress[ana.leadId].followUps.length, 1);
+    assert.strictEqual(loaded.progress[ana.leadId].followUps[0].messageId, 'dm_1');
+    console.log('✅ Due follow-ups are sent; replied, capped and not-yet-due leads are left alone');
+
+    // Failed sends do not count as follow-ups
+    const eveCheckpoint = loaded.progress[eve.leadId];
+    assert.deepStrictEqual(eveCheckpoint.followUps, []);
+    assert.strictEqual(eveCheckpoint.followUpError.retryable, true);
+    assert.ok(dispatcher.getFollowUpDueDate(eveCheckpoint, settings) <= new Date());
+
+    const fayCheckpoint = loaded.progress[fay.leadId];
+    assert.deepStrictEqual(fayCheckpoint.followUps, []);
+    assert.strictEqual(fayCheckpoint.followUpError.error, 'User not found');
+    assert.strictEqual(dispatcher.getFollowUpDueDate(fayCheckpoint, settings), null);
+    console.log('✅ Failed follow-ups are not counted');
+
+    // The next run retries Eve, and only Eve
+    const retry = await dispatcher.processFollowUps(loaded);
+    assert.deepStrictEqual(retry.map(result => [result.leadId, result.success]), [[eve.leadId, true]]);
+    loaded = await dispatcher.loadCampaign(campaign.id);
+    assert.strictEqual(loaded.stats.followUps, 2);
+    assert.strictEqual(loaded.progress[eve.leadId].followUps.length, 1);
+    assert.strictEqual(loaded.progress[eve.leadId].followUpError, undefined);
+    console.log('✅ Retryable failures stay due for the next run');
+
+    // A reply recorded in the lead store stops Ana's sequence
+    assert.deepStrictEqual(await dispatcher.processFollowUps(loaded), []);
+    loaded.progress[ana.leadId].followUps[0].at = daysAgo(4);
+    await leadStore.updateStatus(ana.leadId, 'messaged');
+    await leadStore.updateStatus(ana.leadId, 'replied');
+    assert.deepStrictEqual(await dispatcher.processFollowUps(loaded), []);
+    assert.strictEqual(sent.length, 2);
+    console.log('✅ Replies stop the follow-up sequence');
+
+    console.log('\n✅ Follow-Up Test Complete!');
+
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+if (require.main === module) {
+  testFollowUps().catch(error => {
+    console.error('❌ Follow-up test failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testFollowUps };
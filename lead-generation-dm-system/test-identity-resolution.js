@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+
+/**
+ * Identity Resolution Test
+ * Links Twitter and LinkedIn accounts of the same person and checks campaigns contact them once
+ */
+
+const assert = require('assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const IdentityResolver = require('./utils/identity-resolver');
+const LeadStore = require('./utils/lead-store');
+
+const ana = {
+  twitter: { platform: 'twitter', id: '111', username: 'ana_ortiz', name: 'Ana Ortiz', bio: 'Founder, automation nerd. linkedin.com/in/ana-ortiz', location: 'Austin, TX', profileUrl: 'https://twitter.com/ana_ortiz' },
+  linkedin: { platform: 'linkedin', name: 'Ana Ortíz', title: 'Founder', company: 'Ortiz Labs', location: 'Austin, Texas', profileUrl: 'https://linkedin.com/in/ana-ortiz' }
+};
+
+async function testIdentityResolution() {
+  console.log('🧪 Testing Identity Resolution\n');
+
+  const resolver = new IdentityResolver();
+
+  // Evidence and confidence
+  const [anaGroup] = resolver.resolve([ana.twitter, ana.linkedin]);
+  assert.strictEqual(anaGroup.leads.length, 2);
+  assert.ok(anaGroup.links[0].confidence >= 0.95);
+  assert.ok(anaGroup.links[0].evidence.some(item => item.type === 'profileLink' && item.detail === 'linkedin:ana-ortiz'));
+  assert.ok(anaGroup.links[0].evidence.some(item => item.type === 'nameAndLocation'));
+  console.log('✅ A Twitter bio linking a LinkedIn profile is strong evidence');
+
+  const sam = resolver.compare(
+    resolver.buildProfile({ platform: 'twitter', username: 'samlee', name: 'Sam Lee', bio: 'CTO at Stackly' }),
+    resolver.buildProfile({ platform: 'linkedin', name: 'Sam Lee', company: 'Stackly', profileUrl: 'https://linkedin.com/in/sam-lee-42' })
+  );
+  assert.ok(sam.confidence >= 0.7 && sam.confidence < 0.95);
+  assert.deepStrictEqual(sam.evidence.map(item => item.type), ['similarName', 'nameAndCompany']);
+
+  const handleOnly = resolver.resolve([
+    { platform: 'twitter', username: 'growthguy', name: 'Growth Guy' },
+    { platform: 'linkedin', name: 'Peter Fox', profileUrl: 'https://linkedin.com/in/growthguy' }
+  ]);
+  assert.strictEqual(handleOnly.length, 0);
+
+  const colleagues = resolver.resolve([
+    { platform: 'twitter', username: 'jo_dev', name: 'Jo Park', bio: 'Engineer at https://acme.io' },
+    { platform: 'linkedin', name: 'Kim Ray', website: 'acme.io', profileUrl: 'https://linkedin.com/in/kimray' }
+  ]);
+  assert.strictEqual(colleagues.length, 0);
+
+  const sameName = resolver.resolve([
+    { platform: 'twitter', username: 'jsmith', name: 'John Smith', location: 'London' },
+    { platform: 'linkedin', name: 'John Smith', location: 'Toronto', profileUrl: 'https://linkedin.com/in/john-smith-7' }
+  ]);
+  assert.strictEqual(sameName.length, 0);
+  console.log('✅ Weak evidence on its own does not link accounts');
+
+  // A malformed profile URL is compared as written instead of aborting the run
+  assert.strictEqual(resolver.getLinkedInVanity('https://linkedin.com/in/A%zz'), 'a%zz');
+  const [malformed] = resolver.resolve([
+    { platform: 'twitter', username: 'ana', name: 'Ana Lu', bio: 'https://linkedin.com/in/ana%zz' },
+    { platform: 'linkedin', name: 'Ana Lu', profileUrl: 'https://linkedin.com/in/Ana%zz' }
+  ]);
+  assert.ok(malformed.links[0].evidence.some(item => item.type === 'profileLink' && item.detail === 'linkedin:ana%zz'));
+  console.log('✅ Malformed profile URLs do not stop resolution');
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'identity-resolution-'));
+
+  try {
+    // Hunter links new leads to accounts already in the store
+    const LeadHunterAgent = require('./agents/lead-hunter-agent');
+    const hunter = new LeadHunterAgent();
+    hunter.leadStore = new LeadStore(path.join(tempDir, 'leads.jsonl'));
+
+    const { lead: storedTwitter } = await hunter.leadStore.upsertLead({ ...ana.twitter });
+    const [newLinkedIn] = await hunter.deduplicateAndScore([{ ...ana.linkedin, keywords: [] }]);
+
+    const updatedTwitter = hunter.leadStore.getLead(storedTwitter.leadId);
+    assert.ok(newLinkedIn.personId);
+    assert.strictEqual(updatedTwitter.personId, newLinkedIn.personId);
+    assert.strictEqual(newLinkedIn.identityLinks[0].leadKey, storedTwitter.leadKey);
+    assert.strictEqual(updatedTwitter.identityLinks[0].platform, 'linkedin');
+    assert.ok(updatedTwitter.identityLinks[0].confidence >= 0.95);
+    console.log('✅ Hunted leads are linked to stored accounts with a shared personId');
+
+    // Dispatcher contacts the person on one platform only
+    const DMDispatcherAgent = require('./agents/dm-dispatcher-agent');
+    const dispatcher = new DMDispatcherAgent();
+    const contacted = [];
+    dispatcher.isInitialized = true;
+    dispatcher.leadStore = new LeadStore(path.join(tempDir, 'dispatcher-leads.jsonl'));
+    dispatcher.getCampaignPath = campaignId => path.join(tempDir, `${campaignId}.json`);
+    dispatcher.sendTwitterOutreach = async lead => {
+      contacted.push(lead.id);
+      return { leadId: lead.id, platform: 'twitter', success: true };
+    };
+    dispatcher.sendLinkedInOutreach = async lead => {
+      contacted.push(lead.id);
+      return { leadId: lead.id, platform: 'linkedin', success: true };
+    };
+
+    const personId = newLinkedIn.personId;
+    const leads = [
+      { ...ana.twitter, id: 'tw_ana', personId },
+      { ...ana.linkedin, id: 'li_ana', personId },
+      { platform: 'linkedin', id: 'li_sam', name: 'Sam Lee', profileUrl: 'https://linkedin.com/in/sam-lee-42' }
+    ];
+
+    const campaign = await dispatcher.startCampaign({ name: 'Identity Test', leads, template: 'cold-outreach', delay: 1 });
+    assert.deepStrictEqual(contacted, ['tw_ana', 'li_sam']);
+    const skip = campaign.results.find(result => result.leadId === 'li_ana');
+    assert.strictEqual(skip.reason, 'contacted_on_other_platform');
+    assert.strictEqual(skip.linkedLeadId, 'tw_ana');
+    console.log('✅ A campaign contacts each person on one platform');
+
+    contacted.length = 0;
+    await dispatcher.startCampaign({ name: 'Opt In', leads, template: 'cold-outreach', delay: 1, allowMultiPlatformContact: true });
+    assert.deepStrictEqual(contacted, ['tw_ana', 'li_ana', 'li_sam']);
+    console.log('✅ allowMultiPlatformContact lifts the restriction');
+
+    // Earlier campaigns count too, through the lead store
+    const { lead: messaged } = await dispatcher.leadStore.upsertLead({ ...ana.twitter, personId });
+    await dispatcher.leadStore.updateStatus(messaged.leadId, 'messaged');
+    const { lead: fresh } = await dispatcher.leadStore.upsertLead({ ...ana.linkedin, personId });
+
+    const plan = await dispatcher.planCampaign({ name: 'Dry Run', leads: [fresh], template: 'cold-outreach' });
+    assert.strictEqual(plan[0].skipped, 'contacted_on_other_platform');
+    assert.strictEqual(plan[0].linkedLeadId, messaged.leadId);
+    console.log('✅ Accounts contacted in earlier campaigns block the other platform');
+
+    console.log('\n✅ Identity Resolution Test Complete!');
+
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+if (require.main === module) {
+  testIdentityResolution().catch(error => {
+    console.error('❌ Identity resolution test failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testIdentityResolution };
@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+
+/**
+ * Inbox Sync Test
+ * Syncs a saved campaign against stubbed Twitter and LinkedIn conversation histories:
+ * reply detection, opt-outs, campaign stats and the response rate
+ */
+
+const assert = require('assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const SuppressionList = require('./utils/suppression-list');
+const EventLog = require('./utils/event-log');
+const LeadStore = require('./utils/lead-store');
+const DMDispatcherAgent = require('./agents/dm-dispatcher-agent');
+
+const HOUR = 60 * 60 * 1000;
+const hoursAgo = hours => new Date(Date.now() - hours * HOUR).toISOString();
+
+async function collect(eventLog, filter) {
+  const events = [];
+  for await (const event of eventLog.stream(filter)) events.push(event);
+  return events;
+}
+
+async function testInboxSync() {
+  console.log('🧪 Testing Inbox Sync\n');
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'inbox-sync-'));
+
+  try {
+    const eventLog = new EventLog({ logDir: path.join(tempDir, 'events') });
+    const leadStore = new LeadStore(path.join(tempDir, 'leads.jsonl'));
+
+    const dispatcher = new DMDispatcherAgent();
+    dispatcher.isInitialized = true;
+    dispatcher.leadStore = leadStore;
+    dispatcher.eventLog = eventLog;
+    dispatcher.suppressionList = new SuppressionList(path.join(tempDir, 'suppression-list.json'));
+    dispatcher.getCampaignPath = campaignId => path.join(tempDir, 'campaigns', `${campaignId}.json`);
+    dispatcher.log = async () => {};
+
+    // Normalization of both platforms' message shapes
+    assert.deepStrictEqual(dispatcher.normalizeConversationMessage({
+      id: 'dm_1', senderId: '5001', text: 'Hi', createdAt: '2026-01-02T03:04:05.000Z'
+    }), { id: 'dm_1', senderId: '5001', text: 'Hi', at: '2026-01-02T03:04:05.000Z' });
+    assert.deepStrictEqual(dispatcher.normalizeConversationMessage({
+      entityUrn: 'urn:li:message:9', from: 'urn:li:person:dan-lee', body: { text: 'Hello' }, created: { time: Date.parse('2026-01-02T00:00:00Z') }
+    }), { id: 'urn:li:message:9', senderId: 'dan-lee', text: 'Hello', at: '2026-01-02T00:00:00.000Z' });
+    assert.deepStrictEqual(dispatcher.normalizeConversationMessage({}), { id: null, senderId: null, text: '', at: null });
+    console.log('✅ Twitter and LinkedIn messages are normalized');
+
+    const addLead = async (platform, id, name) => {
+      const { lead } = await leadStore.upsertLead({
+        platform,
+        id,
+        name,
+        profileUrl: platform === 'linkedin' ? `https://linkedin.com/in/${id}` : `https://twitter.com/${name}`
+      });
+      return lead;
+    };
+    const ana = await addLead('twitter', '5001', 'ana');
+    const ben = await addLead('twitter', '5002', 'ben');
+    const cat = await addLead('twitter', '5003', 'cat');
+    const eve = await addLead('twitter', '5005', 'eve');
+    const fay = await addLead('twitter', '5006', 'fay');
+    const dan = await addLead('linkedin', 'dan-lee', 'dan');
+
+    const campaign = dispatcher.createCampaign({ name: 'Inbox', template: 'cold-outreach', leads: [ana, ben, cat, dan, eve, fay] });
+    const contactedAt = hoursAgo(48);
+    for (const [lead, platform] of [[ana, 'twitter'], [ben, 'twitter'], [cat, 'twitter'], [dan, 'linkedin'], [eve, 'twitter']]) {
+      campaign.progress[lead.leadId] = { state: 'done', success: true, platform, recipientId: lead.id, contactedAt, followUps: [] };
+    }
+    campaign.progress[fay.leadId] = { state: 'done', success: true, followBack: { state: 'waiting' } }; // followed, never messaged
+    campaign.stats.sent = 6;
+    await dispatcher.saveCampaign(campaign);
+
+    // Conversations as the clients return them, oldest first
+    const twitterHistory = {
+      5001: [
+        { id: 'a1', senderId: '1000', text: 'Our DM', createdAt: contactedAt },
+        { id: 'a2', senderId: '5001', text: 'Sounds interesting, tell me more', createdAt: hoursAgo(10) },
+        { id: 'a3', senderId: '5001', text: 'Free on Friday?', createdAt: hoursAgo(9) }
+      ],
+      5002: [{ id: 'b1', senderId: '5002', text: 'STOP', createdAt: hoursAgo(5) }],
+      5003: [{ id: 'c1', senderId: '1000', text: 'Our DM', createdAt: contactedAt }],
+      5005: [{ id: 'e1', senderId: '5005', text: 'Written before our DM', createdAt: hoursAgo(72) }]
+    };
+    const lookups = [];
+    dispatcher.twitterClient.getConversationHistory = async (userId, limit, options) => {
+      lookups.push(userId);
+      assert.strictEqual(options.since, contactedAt);
+      return twitterHistory[userId] || [];
+    };
+    dispatcher.linkedinClient.getConversationHistory = async personId => {
+      lookups.push(personId);
+      return [{ entityUrn: 'urn:li:message:d1', from: 'urn:li:person:dan-lee', body: { text: 'Happy to chat' }, created: { time: Date.now() - 3 * HOUR } }];
+    };
+
+    const replies = await dispatcher.syncInbox();
+    assert.deepStrictEqual(replies.map(reply => [reply.leadId, reply.id, reply.platform]), [
+      [ana.leadId, 'a2', 'twitter'],
+      [ben.leadId, 'b1', 'twitter'],
+      [dan.leadId, 'urn:li:message:d1', 'linkedin']
+    ]);
+    assert.deepStrictEqual(lookups, ['5001', '5002', '5003', 'dan-lee', '5005']);
+
+    const saved = await dispatcher.loadCampaign(campaign.id);
+    assert.strictEqual(saved.progress[ana.leadId].repliedAt, twitterHistory[5001][1].createdAt);
+    assert.deepStrictEqual(saved.progress[ana.leadId].replies.map(reply => reply.id), ['a2', 'a3']);
+    assert.strictEqual(saved.progress[cat.leadId].repliedAt, undefined);
+    assert.strictEqual(saved.progress[eve.leadId].repliedAt, undefined);
+    console.log('✅ Replies after our first DM are detected');
+
+    assert.strictEqual(leadStore.getLead(ana.leadId).status, 'needs-human');
+    assert.strictEqual(leadStore.getLead(dan.leadId).status, 'needs-human');
+    assert.strictEqual(leadStore.getLead(ben.leadId).status, 'opted-out');
+    assert.strictEqual(saved.progress[ben.leadId].optedOut, true);
+    assert.strictEqual((await dispatcher.suppressionList.isSuppressed({ twitterUserId: '5002' })).reason, 'opt_out_reply');
+    assert.deepStrictEqual((await collect(eventLog, { types: ['reply_received'] })).map(event => event.recipientId), ['5001', '5002', 'dan-lee']);
+    console.log('✅ Replies hand leads to a human and opt-outs are suppressed');
+
+    // Three of the five leads we messaged replied; fay was only followed
+    assert.strictEqual(saved.stats.responses, 3);
+    assert.strictEqual(saved.stats.responseRate, 3 / 5);
+
+    const overall = await dispatcher.getCampaignAnalytics();
+    assert.deepStrictEqual([overall.totalSent, overall.totalContacted, overall.totalResponses], [6, 5, 3]);
+    assert.strictEqual(overall.responseRate, saved.stats.responseRate);
+    console.log('✅ Campaign and overall response rates count the leads we messaged');
+
+    // Leads who already replied are not looked up again
+    lookups.length = 0;
+    assert.deepStrictEqual(await dispatcher.syncInbox(), []);
+    assert.deepStrictEqual(lookups, ['5003', '5005']);
+    assert.strictEqual((await dispatcher.loadCampaign(campaign.id)).stats.responses, 3);
+    console.log('✅ Replies are recorded once');
+
+    console.log('\n✅ Inbox Sync Test Complete!');
+
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+if (require.main === module) {
+  testInboxSync().catch(error => {
+    console.error('❌ Inbox sync test failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testInboxSync };
@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+
+/**
+ * Lead Enricher Test
+ * Enriches stored leads against a local HTTP stand-in for the Twitter v2 API
+ */
+
+const assert = require('assert');
+const fs = require('fs').promises;
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const LeadStore = require('./utils/lead-store');
+const QuotaLedger = require('./utils/quota-ledger');
+const ConnectionGraph = require('./utils/connection-graph');
+
+const users = {
+  '111': { id: '111', username: 'automation_ana', name: 'Ana Ortiz', description: 'Founder building AI automation for agencies', location: 'Remote', created_at: '2015-03-01T00:00:00.000Z', public_metrics: { followers_count: 2400, following_count: 300, tweet_count: 5100 } },
+  '222': { id: '222', username: 'saas_sam', name: 'Sam Lee', description: 'SaaS growth', public_metrics: { followers_count: 800, following_count: 500, tweet_count: 900 } }
+};
+
+// Minimal stand-in for user lookup and user timelines
+function createStandIn(requests) {
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push(url.pathname);
+
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    const userMatch = url.pathname.match(/^\/2\/users\/(\d+)$/);
+    if (userMatch && users[userMatch[1]]) {
+      return send(200, { data: users[userMatch[1]] });
+    }
+
+    if (url.pathname === '/2/users/111/tweets') {
+      return send(200, {
+        data: [
+          { id: 't1', text: 'Automation tips thread', created_at: '2026-10-18T10:00:00.000Z', public_metrics: { like_count: 30, retweet_count: 2, reply_count: 1 } },
+          { id: 't2', text: '@chudi_builds great post on AI agents', created_at: '2026-10-19T08:00:00.000Z', public_metrics: { like_count: 5 }, entities: { mentions: [{ username: 'Chudi_Builds' }] } }
+        ],
+        meta: { result_count: 2 }
+      });
+    }
+
+    if (url.pathname === '/2/users/222/tweets') {
+      return send(200, { meta: { result_count: 0 } });
+    }
+
+    send(404, { title: 'Not Found', detail: `No stand-in for ${url.pathname}` });
+  });
+}
+
+async function testLeadEnricher() {
+  console.log('🧪 Testing Lead Enricher\n');
+
+  const requests = [];
+  const server = createStandIn(requests);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'lead-enricher-'));
+  process.env.TWITTER_API_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  process.env.TWITTER_BEARER_TOKEN = 'stand-in-token';
+  process.env.TWITTER_USERNAME = '@chudi_builds';
+
+  try {
+    const LeadEnricherAgent = require('./agents/lead-enricher-agent');
+    const agent = new LeadEnricherAgent();
+    agent.log = async () => {};
+    agent.leadStore = new LeadStore(path.join(tempDir, 'leads.jsonl'));
+    agent.twitterClient.quotaLedger = new QuotaLedger(path.join(tempDir, 'quota-ledger.json'));
+    agent.linkedinClient.quotaLedger = new QuotaLedger(path.join(tempDir, 'quota-ledger.json'));
+
+    // LinkedIn's profile API has no stand-in; count calls through the real quota check
+    const profileCalls = [];
+    agent.linkedinClient.getProfileInfo = async (personId) => {
+      if (!(await agent.linkedinClient.checkRateLimit('profile'))) return null;
+      profileCalls.push(personId);
+      return { firstName: 'John', lastName: 'Smith', headline: 'VP Engineering at TechCorp', industry: 'Software', location: undefined };
+    };
+
+    // Our one connection, Jane, is connected to John
+    agent.linkedinClient.connectionGraph = new ConnectionGraph(path.join(tempDir, 'linkedin-connections.json'));
+    agent.linkedinClient.log = async () => {};
+    agent.linkedinClient.fetchConnectionsPage = async personId => ({
+      elements: personId === '~' ?
+        [{ id: 'c1', vanityName: 'jane-doe', name: 'Jane Doe', profileUrl: 'https://linkedin.com/in/jane-doe' }] :
+        [{ id: 'x9', vanityName: 'johnsmith', name: 'John Smith' }],
+      total: 1
+    });
+
+    const { lead: ana } = await agent.leadStore.upsertLead({ platform: 'twitter', id: '111', username: 'automation_ana', name: 'Ana', profileUrl: 'https://twitter.com/automation_ana' });
+    const { lead: sam } = await agent.leadStore.upsertLead({ platform: 'twitter', id: '222', username: 'saas_sam', name: 'Sam', profileUrl: 'https://twitter.com/saas_sam' });
+    const { lead: john } = await agent.leadStore.upsertLead({ platform: 'linkedin', name: 'John Smith', location: 'San Francisco, CA', profileUrl: 'https://linkedin.com/in/johnsmith' });
+
+    // First run fills every field group
+    const first = await agent.enrichLeads();
+    assert.strictEqual(first.enriched, 3);
+
+    const enrichedAna = agent.leadStore.getLead(ana.leadId);
+    assert.strictEqual(enrichedAna.followerCount, 2400);
+    assert.strictEqual(enrichedAna.bio, 'Founder building AI automation for agencies');
+    assert.strictEqual(enrichedAna.twitterUserId, '111');
+    assert.deepStrictEqual(enrichedAna.recentTweets.map(tweet => tweet.id), ['t2', 't1']);
+    assert.strictEqual(enrichedAna.recentTweets[1].engagement.likes, 30);
+    assert.strictEqual(enrichedAna.lastActivity, '2026-10-19T08:00:00.000Z');
+    assert.strictEqual(enrichedAna.hasEngagedWithUs, true);
+    assert.strictEqual(enrichedAna.status, 'researched');
+    assert.ok(enrichedAna.enrichedAt.followerCount && enrichedAna.enrichedAt.recentTweets);
+    console.log('✅ Twitter profile and activity are stored with refresh timestamps');
+
+    const enrichedSam = agent.leadStore.getLead(sam.leadId);
+    assert.deepStrictEqual(enrichedSam.recentTweets, []);
+    assert.strictEqual(enrichedSam.hasEngagedWithUs, false);
+
+    const enrichedJohn = agent.leadStore.getLead(john.leadId);
+    assert.deepStrictEqual(profileCalls, ['johnsmith']);
+    assert.strictEqual(enrichedJohn.headline, 'VP Engineering at TechCorp');
+    assert.strictEqual(enrichedJohn.location, 'San Francisco, CA');
+    assert.deepStrictEqual(enrichedJohn.mutualConnections.map(person => person.name), ['Jane Doe']);
+    console.log('✅ LinkedIn profile data fills in without erasing known fields');
+
+    // Second run: everything is fresh, so no API calls
+    const callsBefore = requests.length;
+    const second = await agent.enrichLeads();
+    assert.strictEqual(second.enriched, 0);
+    assert.strictEqual(second.fresh, 3);
+    assert.strictEqual(requests.length, callsBefore);
+    console.log('✅ Fresh leads are not fetched again');
+
+    // Age one field past its refresh interval: only that group is refetched
+    const stale = agent.leadStore.getLead(ana.leadId);
+    const twoDaysAgo = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString();
+    await agent.leadStore.updateLead(ana.leadId, { enrichedAt: { ...stale.enrichedAt, recentTweets: twoDaysAgo } });
+    assert.deepStrictEqual(agent.getStaleGroups(agent.leadStore.getLead(ana.leadId)), ['twitterActivity']);
+
+    await agent.enrichLeads();
+    assert.deepStrictEqual(requests.slice(callsBefore), ['/2/users/111/tweets']);
+    console.log('✅ Stale field groups are re-enriched on their own');
+
+    // Out of research quota: leads are deferred, not failed
+    agent.twitterClient.freeTierLimits.userLookup = { per15Minutes: 2 };
+    agent.twitterClient.freeTierLimits.tweetLookup = { per15Minutes: 3 };
+    const exhausted = await agent.enrichLeads({ force: true, platform: 'twitter' });
+    assert.strictEqual(exhausted.deferred, 2);
+    assert.strictEqual(exhausted.enriched, 0);
+    assert.strictEqual(requests.length, callsBefore + 1);
+    console.log('✅ Enrichment stays within the research quota');
+
+    console.log('\n✅ Lead Enricher Test Complete!');
+
+  } finally {
+    server.close();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+if (require.main === module) {
+  testLeadEnricher().catch(error => {
+    console.error('❌ Lead enricher test failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testLeadEnricher };
@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+
+/**
+ * Lead Scorer Test
+ * Checks the declarative scoring model, its breakdowns and re-scoring the store
+ */
+
+const assert = require('assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const LeadScorer = require('./utils/lead-scorer');
+const LeadStore = require('./utils/lead-store');
+
+const now = Date.parse('2026-10-19T12:00:00.000Z');
+const daysAgo = days => new Date(now - days * 24 * 60 * 60 * 1000).toISOString();
+
+async function testLeadScorer() {
+  console.log('🧪 Testing Lead Scorer\n');
+
+  const scorer = new LeadScorer();
+  await scorer.load();
+
+  // Every rule that fires is in the breakdown
+  const founder = {
+    platform: 'linkedin',
+    name: 'Ana Ortiz',
+    title: 'Agency Owner',
+    industry: 'Design',
+    companySize: '10-50',
+    lastActivity: daysAgo(2),
+    mutualConnections: 3
+  };
+  const { score, breakdown } = scorer.score(founder, { now });
+  const points = Object.fromEntries(breakdown.rules.map(rule => [rule.rule, rule.points]));
+
+  assert.deepStrictEqual(points, {
+    platform: 30,
+    seniorTitle: 25,
+    targetTitle: 10,
+    targetIndustry: 5,
+    recentActivity: 15,
+    mutualConnections: 6,
+    companySize: 10
+  });
+  assert.strictEqual(breakdown.raw, 101);
+  assert.strictEqual(score, 100);
+  assert.strictEqual(breakdown.profile, null);
+  assert.ok(breakdown.rules.find(rule => rule.rule === 'seniorTitle').detail.includes('owner'));
+  console.log('✅ Score breakdown lists every rule that fired');
+
+  // Company size buckets from lead-criteria.json now score
+  const small = scorer.score({ platform: 'web', companySize: '1-10' }, { now });
+  assert.strictEqual(small.score, 20);
+  console.log('✅ Company size uses the lead criteria buckets');
+
+  // Profile overrides
+  const freelancer = { platform: 'twitter', bio: 'Freelancer and independent consultant', companySize: '1-10', followerCount: 600, matchedProfiles: ['freelancers'] };
+  const asFreelancer = scorer.score(freelancer, { now });
+  assert.strictEqual(asFreelancer.breakdown.profile, 'freelancers');
+  assert.strictEqual(asFreelancer.breakdown.rules.find(rule => rule.rule === 'companySize').points, 15);
+  assert.strictEqual(scorer.score({ ...freelancer, matchedProfiles: [] }, { now }).breakdown.rules.find(rule => rule.rule === 'companySize').points, 10);
+
+  const bestOf = scorer.score({ ...freelancer, matchedProfiles: ['nonprofitLeaders', 'freelancers'] }, { now });
+  assert.strictEqual(bestOf.breakdown.profile, 'freelancers');
+  console.log('✅ Target profile overrides apply and the best profile wins');
+
+  // Exclusions from exclusionCriteria
+  const intern = scorer.score({ platform: 'linkedin', title: 'Marketing Intern', companySize: '1-10' }, { now });
+  assert.strictEqual(intern.score, 0);
+  assert.deepStrictEqual(intern.breakdown.excluded.map(rule => rule.rule), ['exclude:titles']);
+
+  const coordinator = scorer.score({ platform: 'linkedin', title: 'Volunteer Coordinator' }, { now });
+  assert.ok(coordinator.score > 0);
+  assert.strictEqual(coordinator.breakdown.excluded.length, 0);
+
+  const enterprise = scorer.score({ platform: 'linkedin', title: 'CEO', company: 'Enterprise Holdings' }, { now });
+  assert.strictEqual(enterprise.breakdown.rules.find(rule => rule.rule === 'exclude:companyTypes').points, -30);
+  console.log('✅ Exclusion rules disqualify or penalize');
+
+  // Invalid models are rejected at load
+  const criteria = JSON.parse(await fs.readFile(path.join(__dirname, 'config/lead-criteria.json'), 'utf8'));
+  assert.throws(() => new LeadScorer().setModel({ features: [{ name: 'x', type: 'magic' }] }, criteria), /unknown type 'magic'/);
+  assert.throws(() => new LeadScorer().setModel({ features: [], profiles: { ghosts: {} } }, criteria), /'ghosts' is not defined/);
+  console.log('✅ Invalid scoring models are rejected');
+
+  // Re-scoring the store after changing weights
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'lead-scorer-'));
+  try {
+    const store = new LeadStore(path.join(tempDir, 'leads.jsonl'));
+    const { lead } = await store.upsertLead({ platform: 'twitter', name: 'Sam Lee', profileUrl: 'https://twitter.com/samlee', followerCount: 2000, score: 5 });
+
+    const reweighted = new LeadScorer();
+    reweighted.setModel({
+      version: 2,
+      maxScore: 100,
+      features: [{ name: 'followerCount', type: 'range', field: 'followerCount', buckets: [{ min: 1000, points: 40 }] }]
+    }, criteria);
+
+    const preview = await reweighted.rescoreStore(store, { dryRun: true });
+    assert.deepStrictEqual(preview.map(change => [change.from, change.to]), [[5, 40]]);
+    assert.strictEqual(store.getLead(lead.leadId).score, 5);
+
+    await reweighted.rescoreStore(store);
+    const rescored = store.getLead(lead.leadId);
+    assert.strictEqual(rescored.score, 40);
+    assert.strictEqual(rescored.scoreBreakdown.modelVersion, 2);
+    assert.strictEqual((await reweighted.rescoreStore(store)).length, 0);
+    console.log('✅ Stored leads are re-scored after a model change');
+
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+
+  console.log('\n✅ Lead Scorer Test Complete!');
+}
+
+if (require.main === module) {
+  testLeadScorer().catch(error => {
+    console.error('❌ Lead scorer test failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testLeadScorer };
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+
+/**
+ * Lead Store Test
+ * Verifies upserts, stable IDs, status history and queries against a temporary store
+ */
+
+const assert = require('assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const LeadStore = require('./utils/lead-store');
+
+async function testLeadStore() {
+  console.log('🧪 Testing Lead Store\n');
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'lead-store-'));
+  const storePath = path.join(tempDir, 'leads.jsonl');
+
+  try {
+    const store = new LeadStore(storePath);
+    await store.initialize();
+
+    const lead = {
+      platform: 'twitter',
+      id: 'twitter_1',
+      name: 'Mike Chen',
+      username: 'techfounder',
+      profileUrl: 'https://twitter.com/techfounder',
+      score: 70
+    };
+
+    // Upserts keyed on the lead key
+    const first = await store.upsertLead(lead);
+    const second = await store.upsertLead({ ...lead, id: 'twitter_2', score: 75 });
+    assert.strictEqual(first.created, true);
+    assert.strictEqual(second.created, false);
+    assert.strictEqual(first.lead.leadId, second.lead.leadId);
+    assert.strictEqual(second.lead.score, 75);
+    console.log('✅ Duplicate leads merge into one stable record');
+
+    // Status history only moves forward
+    const leadId = first.lead.leadId;
+    await store.updateStatus(leadId, 'engaged', { action: 'follow' });
+    await store.updateStatus(leadId, 'researched');
+    await store.updateStatus(leadId, 'messaged');
+    const stored = store.getLead(leadId);
+    assert.strictEqual(stored.status, 'messaged');
+    assert.deepStrictEqual(stored.statusHistory.map(h => h.status), ['discovered', 'engaged', 'messaged']);
+    console.log('✅ Status history recorded in funnel order');
+
+    // Re-hunting a known lead keeps its status
+    await store.upsertLead({ ...lead, score: 80 });
+    assert.strictEqual(store.getLead(leadId).status, 'messaged');
+    console.log('✅ Re-discovered leads keep their status');
+
+    // Queries
+    await store.upsertLead({ platform: 'linkedin', name: 'John Smith', profileUrl: 'https://linkedin.com/in/johnsmith', score: 85 });
+    const uncontacted = await store.queryLeads({ status: ['discovered', 'researched'] });
+    assert.strictEqual(uncontacted.length, 1);
+    assert.strictEqual(uncontacted[0].platform, 'linkedin');
+    console.log('✅ Queries filter by status');
+
+    // Reload from disk
+    const reloaded = new LeadStore(storePath);
+    await reloaded.initialize();
+    assert.strictEqual(reloaded.getLead(leadId).status, 'messaged');
+    assert.deepStrictEqual(reloaded.getStatusCounts(), { messaged: 1, discovered: 1 });
+    console.log('✅ Store reloads from disk');
+
+    // Compaction keeps only the latest record per lead
+    await reloaded.compact();
+    const lines = (await fs.readFile(storePath, 'utf8')).trim().split('\n');
+    assert.strictEqual(lines.length, 2);
+    console.log('✅ Compaction keeps one record per lead');
+
+    // A store written before LinkedIn keys were normalized still matches re-hunted leads
+    const legacyPath = path.join(tempDir, 'legacy-leads.jsonl');
+    const legacyUrl = 'https://www.linkedin.com/in/JohnSmith';
+    const legacyLead = {
+      platform: 'linkedin',
+      name: 'John Smith',
+      profileUrl: legacyUrl,
+      leadKey: legacyUrl.toLowerCase(),
+      leadId: 'lead_0123456789abcdef',
+      status: 'messaged',
+      statusHistory: [{ status: 'discovered', at: '2026-01-01T00:00:00.000Z' }, { status: 'messaged', at: '2026-01-02T00:00:00.000Z' }],
+      discoveredAt: '2026-01-01T00:00:00.000Z'
+    };
+    await fs.writeFile(legacyPath, JSON.stringify(legacyLead) + '\n');
+
+    const legacy = new LeadStore(legacyPath);
+    const rehunted = await legacy.upsertLead({ platform: 'linkedin', name: 'John Smith', profileUrl: 'https://linkedin.com/in/johnsmith/', score: 90 });
+    assert.strictEqual(rehunted.created, false);
+    assert.strictEqual(rehunted.lead.leadId, legacyLead.leadId);
+    assert.strictEqual(rehunted.lead.leadKey, legacyLead.leadKey);
+    assert.strictEqual(rehunted.lead.status, 'messaged');
+    assert.strictEqual(rehunted.lead.statusHistory.length, 2);
+    assert.strictEqual((await legacy.upsertLead({ platform: 'web', name: 'J. Smith', linkedinUrl: legacyUrl })).created, false);
+    assert.strictEqual(legacy.getLeadByKey('https://linkedin.com/in/johnsmith').leadId, legacyLead.leadId);
+
+    const legacyReloaded = new LeadStore(legacyPath);
+    await legacyReloaded.initialize();
+    assert.strictEqual((await legacyReloaded.queryLeads()).length, 1);
+    console.log('✅ Leads stored under older keys keep their ID and status');
+
+    console.log('\n✅ Lead Store Test Complete!');
+
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+if (require.main === module) {
+  testLeadStore().catch(error => {
+    console.error('❌ Lead store test failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testLeadStore };
@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+
+/**
+ * LinkedIn Invitation Test
+ * Runs a LinkedIn campaign: connection requests are recorded per lead, accepted invitations
+ * get the directMessage after the configured delay and stale invitations are withdrawn
+ */
+
+const assert = require('assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const QuotaLedger = require('./utils/quota-ledger');
+const SuppressionList = require('./utils/suppression-list');
+const EventLog = require('./utils/event-log');
+const LeadStore = require('./utils/lead-store');
+const ConnectionGraph = require('./utils/connection-graph');
+const DMDispatcherAgent = require('./agents/dm-dispatcher-agent');
+
+async function collect(eventLog, filter) {
+  const events = [];
+  for await (const event of eventLog.stream(filter)) events.push(event);
+  return events;
+}
+
+async function testLinkedInInvitations() {
+  console.log('🧪 Testing LinkedIn Invitations\n');
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'linkedin-invitations-'));
+
+  try {
+    const eventLog = new EventLog({ logDir: path.join(tempDir, 'events') });
+    const leadStore = new LeadStore(path.join(tempDir, 'leads.jsonl'));
+
+    const dispatcher = new DMDispatcherAgent();
+    dispatcher.isInitialized = true;
+    await dispatcher.loadTemplates();
+    dispatcher.leadStore = leadStore;
+    dispatcher.eventLog = eventLog;
+    dispatcher.suppressionList = new SuppressionList(path.join(tempDir, 'suppression-list.json'));
+    dispatcher.getCampaignPath = campaignId => path.join(tempDir, 'campaigns', `${campaignId}.json`);
+    dispatcher.log = async () => {};
+    Object.assign(dispatcher.linkedinClient, {
+      isInitialized: true,
+      quotaLedger: new QuotaLedger(path.join(tempDir, 'quota-ledger.json')),
+      suppressionList: dispatcher.suppressionList,
+      eventLog,
+      log: async () => {}
+    });
+
+    // LinkedIn's connections API has no stand-in; serve our connections from a set
+    dispatcher.linkedinClient.connectionGraph = new ConnectionGraph(path.join(tempDir, 'linkedin-connections.json'));
+    dispatcher.linkedinClient.refreshConnectionGraph = async () => ({ refreshed: false });
+    const connections = new Set();
+    let connectionLookups = 0;
+    dispatcher.linkedinClient.getConnectionIds = async () => {
+      connectionLookups++;
+      return new Set(Array.from(connections, key => key.toLowerCase())); // keyed like the graph's index
+    };
+    dispatcher.linkedinClient.getProfileInfo = async personId => ({ firstName: personId.split('-')[0], industry: 'SaaS' });
+
+    const addLead = async (slug, name) => {
+      const { lead } = await leadStore.upsertLead({
+        platform: 'linkedin',
+        name,
+        title: 'Founder',
+        company: `${name} Labs`,
+        profileUrl: `https://linkedin.com/in/${slug}`
+      });
+      return lead;
+    };
+    const ana = await addLead('Ana-ortiz', 'Ana');
+    const ben = await addLead('Ben-lee', 'Ben');
+    const cat = await addLead('Cat-fox', 'Cat');
+
+    const campaign = await dispatcher.startCampaign({
+      name: 'Invitations',
+      template: 'cold-outreach',
+      platforms: ['linkedin'],
+      leads: [ana, ben, cat],
+      delay: 1,
+      acceptedMessageDelay: 2,
+      withdrawInvitationsAfterDays: 14,
+      compliancePolicy: 'truncate'
+    });
+
+    // Every lead gets a connection request, recorded with its invitation URN
+    assert.ok(campaign.results.every(result => result.action === 'connection_request' && !result.dmSent));
+    const anaInvitation = campaign.progress[ana.leadId].invitation;
+    assert.strictEqual(anaInvitation.state, 'pending');
+    assert.strictEqual(anaInvitation.personId, 'Ana-ortiz');
+    assert.ok(anaInvitation.invitationUrn.startsWith('urn:li:invitation:'));
+    assert.ok(anaInvitation.sentAt);
+    assert.ok(!campaign.progress[ana.leadId].contactedAt);
+
+    const storedAna = leadStore.getLead(ana.leadId);
+    assert.strictEqual(storedAna.status, 'engaged');
+    assert.deepStrictEqual(
+      [storedAna.invitation.invitationUrn, storedAna.invitation.sentAt, storedAna.invitation.state],
+      [anaInvitation.invitationUrn, anaInvitation.sentAt, 'pending']
+    );
+    console.log('✅ Invitations are recorded per lead');
+
+    // Nobody has accepted yet
+    assert.deepStrictEqual(await dispatcher.syncInvitations(), []);
+
+    // Ana accepts: the directMessage waits for the configured delay
+    connections.add('Ana-ortiz');
+    assert.deepStrictEqual(await dispatcher.syncInvitations(), []);
+    let saved = await dispatcher.loadCampaign(campaign.id);
+    const accepted = saved.progress[ana.leadId].invitation;
+    assert.strictEqual(accepted.state, 'accepted');
+    assert.strictEqual(new Date(accepted.messageDueAt) - new Date(accepted.acceptedAt), 2 * 60 * 60 * 1000);
+    assert.strictEqual(saved.stats.connections, 1);
+    assert.strictEqual(leadStore.getLead(ana.leadId).invitation.state, 'accepted');
+    const [acceptedEvent] = await collect(eventLog, { types: ['invitation_accepted'] });
+    assert.strictEqual(acceptedEvent.recipientId, 'Ana-ortiz');
+    assert.strictEqual((await collect(eventLog, { types: ['dm_sent'] })).length, 0);
+    console.log('✅ Acceptances are detected and the message is scheduled');
+
+    // Once the delay has passed, the template's directMessage goes out and follow-ups take over
+    accepted.messageDueAt = new Date(Date.now() - 1000).toISOString();
+    await fs.writeFile(dispatcher.getCampaignPath(campaign.id), JSON.stringify(saved));
+    const results = await dispatcher.syncInvitations();
+    assert.deepStrictEqual(results.map(result => [result.personId, result.action, result.success]), [['Ana-ortiz', 'accepted_message', true]]);
+
+    const [dmSent] = await collect(eventLog, { types: ['dm_sent'] });
+    assert.strictEqual(dmSent.recipientId, 'Ana-ortiz');
+    assert.ok(dmSent.messageText.startsWith('Hi Ana,\n\nThanks for connecting!'));
+
+    saved = await dispatcher.loadCampaign(campaign.id);
+    const anaCheckpoint = saved.progress[ana.leadId];
+    assert.strictEqual(anaCheckpoint.invitation.state, 'messaged');
+    assert.strictEqual(anaCheckpoint.recipientId, 'Ana-ortiz');
+    assert.ok(anaCheckpoint.contactedAt);
+    assert.deepStrictEqual(anaCheckpoint.followUps, []);
+    assert.strictEqual(leadStore.getLead(ana.leadId).status, 'messaged');
+
+    // Nobody is messaged twice
+    assert.deepStrictEqual(await dispatcher.syncInvitations(), []);
+    assert.strictEqual((await collect(eventLog, { types: ['dm_sent'] })).length, 1);
+    console.log('✅ The post-accept message is sent after the delay');
+
+    // Cat's invitation is past the withdrawal window; Ben's is not
+    saved.progress[cat.leadId].invitation.sentAt = new Date(Date.now() - 15 * 24 * 60 * 60 * 1000).toISOString();
+    await fs.writeFile(dispatcher.getCampaignPath(campaign.id), JSON.stringify(saved));
+    const withdrawals = await dispatcher.syncInvitations();
+    assert.deepStrictEqual(withdrawals.map(result => [result.personId, result.action]), [['Cat-fox', 'invitation_withdrawn']]);
+
+    saved = await dispatcher.loadCampaign(campaign.id);
+    assert.strictEqual(saved.progress[cat.leadId].invitation.state, 'withdrawn');
+    assert.strictEqual(saved.progress[ben.leadId].invitation.state, 'pending');
+    assert.strictEqual(leadStore.getLead(cat.leadId).invitation.state, 'withdrawn');
+    const [withdrawnEvent] = await collect(eventLog, { types: ['invitation_withdrawn'] });
+    assert.strictEqual(withdrawnEvent.invitationUrn, saved.progress[cat.leadId].invitation.invitationUrn);
+
+    // A withdrawn invitation is never followed up, even if the lead connects later
+    connections.add('Cat-fox');
+    assert.deepStrictEqual(await dispatcher.syncInvitations(), []);
+    console.log('✅ Invitations pending too long are withdrawn');
+
+    // One connections lookup per sync run
+    assert.strictEqual(connectionLookups, 6);
+    console.log('✅ Connections are looked up once per run');
+
+    console.log('\n✅ LinkedIn Invitation Test Complete!');
+
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+if (require.main === module) {
+  testLinkedInInvitations().catch(error => {
+    console.error('❌ LinkedIn invitation test failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testLinkedInInvitations };
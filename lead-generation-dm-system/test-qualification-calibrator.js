@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+
+/**
+ * Qualification Calibrator Test
+ * Replays logged strategy decisions against reply outcomes and checks the proposals
+ */
+
+const assert = require('assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const LeadStore = require('./utils/lead-store');
+const EventLog = require('./utils/event-log');
+const QualificationCalibrator = require('./utils/qualification-calibrator');
+const TwitterOutreachStrategy = require('./utils/twitter-outreach-strategy');
+
+const loggedAt = Date.parse('2026-10-01T12:00:00.000Z');
+const daysBefore = days => new Date(loggedAt - days * 24 * 60 * 60 * 1000).toISOString();
+
+async function testQualificationCalibrator() {
+  console.log('🧪 Testing Qualification Calibrator\n');
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'qualification-calibrator-'));
+
+  try {
+    const leadStore = new LeadStore(path.join(tempDir, 'leads.jsonl'));
+    const eventLog = new EventLog({ logDir: path.join(tempDir, 'events') });
+    const calibrator = new QualificationCalibrator({
+      leadStore,
+      eventLog,
+      outputDir: path.join(tempDir, 'calibration')
+    });
+    const strategy = new TwitterOutreachStrategy();
+    const decide = (recipientId, at, fields = {}) => eventLog.append('strategy_decided', { platform: 'twitter', recipientId, at, qualification: {}, ...fields });
+
+    // Every third lead replied: big accounts that engaged with us and posted recently
+    for (let i = 0; i < 30; i++) {
+      const replied = i % 3 === 0;
+      const lead = {
+        platform: 'twitter',
+        id: `tw_${i}`,
+        username: `prospect${i}`,
+        name: `Prospect ${i}`,
+        profileUrl: `https://twitter.com/prospect${i}`,
+        keywords: ['AI automation'],
+        followerCount: replied ? 80000 : 500,
+        hasEngagedWithUs: replied,
+        lastActivity: daysBefore(replied ? 1 : 20),
+        recentTweets: [{ content: 'Shipping AI tools', engagement: { likes: 2 } }]
+      };
+
+      const { lead: stored } = await leadStore.upsertLead(lead);
+      await leadStore.updateStatus(stored.leadId, 'messaged');
+      if (replied) await leadStore.updateStatus(stored.leadId, 'replied');
+      if (i === 0) await leadStore.updateStatus(stored.leadId, 'converted');
+
+      await decide(lead.id, new Date(loggedAt).toISOString(), {
+        leadId: i % 2 === 0 ? stored.leadId : undefined,
+        snapshot: strategy.getQualificationSnapshot(lead)
+      });
+    }
+
+    // A later decision for the same lead is ignored, as are unknown and uncontacted leads
+    await decide('tw_1', daysBefore(-5), { snapshot: { followerCount: 80000, hasEngagedWithUs: true } });
+    await decide('tw_unknown', daysBefore(0));
+    await leadStore.upsertLead({ platform: 'twitter', id: 'tw_new', profileUrl: 'https://twitter.com/new' });
+    await decide('tw_new', daysBefore(0));
+
+    const { samples, stats } = await calibrator.loadSamples();
+    assert.strictEqual(samples.length, 30);
+    assert.strictEqual(samples.filter(sample => sample.replied).length, 10);
+    assert.strictEqual(samples.filter(sample => sample.converted).length, 1);
+    assert.strictEqual(samples.find(sample => sample.lead.username === 'prospect1').lead.followerCount, 500);
+    assert.deepStrictEqual([stats.unmatched, stats.notContacted, stats.approximated], [1, 1, 0]);
+    console.log('✅ Strategy decisions are joined with lead outcomes');
+
+    const originalRules = JSON.stringify(calibrator.rules.getConfig());
+    const report = await calibrator.calibrate();
+
+    // Rules that predict replies
+    const dmRules = report.gates.dm.rules;
+    const engaged = dmRules.find(item => item.rule === 'hasEngagedWithUs');
+    assert.strictEqual(engaged.verdict, 'predicts replies');
+    assert.strictEqual(engaged.replyRateWhenMet, 1);
+    assert.strictEqual(engaged.replyRateWhenUnmet, 0);
+    assert.strictEqual(dmRules[0].lift, 3);
+    const perfect = dmRules.find(item => item.rule === 'perfectMatch');
+    assert.strictEqual(perfect.verdict, 'too few samples');
+    console.log('✅ Rules are ranked by how well they predict replies');
+
+    // Before/after precision and recall
+    const engaging = report.gates.engage;
+    assert.deepStrictEqual([engaging.before.precision, engaging.before.recall], [0.333, 1]);
+    assert.deepStrictEqual([engaging.after.precision, engaging.after.recall], [1, 1]);
+    assert.ok(Object.keys(engaging.proposedChanges).length > 0);
+
+    const dm = report.gates.dm;
+    assert.deepStrictEqual([dm.before.precision, dm.before.recall], [0.333, 1]);
+    assert.deepStrictEqual([dm.after.precision, dm.after.recall], [1, 1]);
+    assert.deepStrictEqual(report.gates.research.proposedChanges, {});
+    console.log('✅ Proposed thresholds improve precision and recall on history');
+
+    // Proposals are never applied
+    assert.strictEqual(JSON.stringify(calibrator.rules.getConfig()), originalRules);
+
+    const reportPath = await calibrator.saveReport(report);
+    const saved = JSON.parse(await fs.readFile(reportPath, 'utf8'));
+    assert.deepStrictEqual(saved.gates.engage.after, engaging.after);
+    assert.ok(report.warnings.length === 0);
+    assert.ok(calibrator.formatReport(report).includes('proposed:'));
+    console.log('✅ Proposals are saved for review, not applied');
+
+    // Too little history is flagged
+    const empty = new QualificationCalibrator({
+      leadStore: new LeadStore(path.join(tempDir, 'empty.jsonl')),
+      eventLog: new EventLog({ logDir: path.join(tempDir, 'no-events') })
+    });
+    const emptyReport = await empty.calibrate();
+    assert.strictEqual(emptyReport.sample.contacted, 0);
+    assert.ok(emptyReport.warnings[0].includes('need at least'));
+    console.log('✅ Small samples are flagged as unreliable');
+
+    console.log('\n✅ Qualification Calibrator Test Complete!');
+
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+if (require.main === module) {
+  testQualificationCalibrator().catch(error => {
+    console.error('❌ Qualification calibrator test failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testQualificationCalibrator };
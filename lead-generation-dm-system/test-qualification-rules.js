@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+
+/**
+ * Qualification Rules Test
+ * Checks the shared rules engine and that every component decides with it
+ */
+
+const assert = require('assert');
+const QualificationRules = require('./utils/qualification-rules');
+const TwitterOutreachStrategy = require('./utils/twitter-outreach-strategy');
+const TwitterDMClient = require('./utils/twitter-dm-client');
+const DMDispatcherAgent = require('./agents/dm-dispatcher-agent');
+
+const now = Date.parse('2026-10-19T12:00:00.000Z');
+const daysAgo = days => new Date(now - days * 24 * 60 * 60 * 1000).toISOString();
+
+async function testQualificationRules() {
+  console.log('🧪 Testing Qualification Rules\n');
+
+  const rules = new QualificationRules();
+  const lead = {
+    username: 'sarah_ai',
+    bio: 'Building AI automation for small teams',
+    keywords: ['AI automation'],
+    followerCount: 2000,
+    lastActivity: daysAgo(1),
+    recentTweets: [{ content: 'Our SaaS growth playbook', engagement: { likes: 30, comments: 2 } }],
+    hasEngagedWithUs: true,
+    mutualConnections: []
+  };
+
+  // Decisions list the rules that passed and failed
+  const engage = rules.evaluate('engage', lead, { now });
+  assert.strictEqual(engage.qualified, true);
+  assert.deepStrictEqual(engage.failed, []);
+  assert.strictEqual(engage.rules.find(rule => rule.rule === 'goodEngagementRate').detail, '1.5%');
+
+  const dm = rules.evaluate('dm', lead, { now });
+  assert.strictEqual(dm.qualified, true);
+  assert.deepStrictEqual(dm.failed, ['mutualConnections']);
+  assert.strictEqual(dm.minPassed, 4);
+
+  const quiet = rules.evaluate('engage', { ...lead, lastActivity: daysAgo(10), recentTweets: [] }, { now });
+  assert.strictEqual(quiet.qualified, false);
+  assert.deepStrictEqual(quiet.failed, ['hasRecentActivity', 'goodEngagement', 'activeUser', 'goodEngagementRate']);
+  console.log('✅ Decisions report passed and failed rules');
+
+  // Required rules veto regardless of the count
+  const spammy = rules.evaluate('dm', { ...lead, bio: 'AI tips - follow back guaranteed' }, { now });
+  assert.strictEqual(spammy.qualified, false);
+  assert.ok(spammy.failed.includes('noSpamIndicators'));
+  assert.ok(spammy.passed.length >= spammy.minPassed);
+  assert.strictEqual(rules.evaluate('research', { ...lead, username: '' }).qualified, false);
+  console.log('✅ Required rules veto a gate');
+
+  // One keyword list for topics everywhere
+  const strategy = new TwitterOutreachStrategy();
+  const client = new TwitterDMClient();
+  const dispatcher = new DMDispatcherAgent();
+  assert.strictEqual(rules.extractTopic('Scaling startups is hard'), 'startups');
+  assert.strictEqual(strategy.extractTopicFromTweet('Scaling startups is hard'), 'startups');
+  assert.strictEqual(client.extractTopicFromTweet('Scaling startups is hard'), 'startups');
+  assert.strictEqual(dispatcher.extractTopicFromTweet('Scaling startups is hard'), 'startups');
+  assert.strictEqual(strategy.extractTopicFromTweet('Gardening'), 'tech trends');
+  assert.strictEqual(dispatcher.extractTopicFromTweet('Gardening'), 'this topic');
+  console.log('✅ Topic extraction shares one keyword list');
+
+  // Strategy, DM client and dispatcher consult the same gates
+  assert.strictEqual(strategy.isHighlyQualified(lead, { now }), dm.qualified);
+  const userData = { username: lead.username, bio: lead.bio, followerCount: lead.followerCount };
+  const clientDecision = client.getDMQualification(userData, lead, { now });
+  assert.deepStrictEqual(clientDecision.failed, dm.failed);
+  assert.strictEqual(client.isHighlyQualifiedForDM(userData, lead, { now }), true);
+
+  const strict = { ...rules.getGate('engage'), minPassed: 6 };
+  assert.strictEqual(strategy.isWorthEngaging(lead, { now, gate: strict }), true);
+  assert.strictEqual(strategy.isWorthEngaging({ ...lead, recentTweets: [] }, { now, gate: strict }), false);
+
+  dispatcher.isInitialized = true;
+  dispatcher.leadStore.initialize = async () => {};
+  dispatcher.leadStore.hasBeenContacted = () => false;
+  const plan = await dispatcher.planCampaign({
+    name: 'Rules',
+    template: 'cold-outreach',
+    leads: [{ ...lead, id: 'tw_1', platform: 'twitter', name: 'Sarah', recentTweets: [], lastActivity: daysAgo(30), keywords: [] }]
+  });
+  assert.strictEqual(plan[0].skipped, 'low_engagement_potential');
+  assert.deepStrictEqual(plan[0].failedRules, ['hasRecentActivity', 'goodEngagement', 'relevantContent', 'activeUser', 'goodEngagementRate']);
+  console.log('✅ Strategy, DM client and dispatcher decide with the same rules');
+
+  const decisions = strategy.qualify(lead, { now });
+  assert.deepStrictEqual(Object.keys(decisions), ['research', 'engage', 'dm']);
+
+  // Thresholds round-trip for calibration
+  const thresholds = rules.getThresholds('engage');
+  assert.strictEqual(thresholds.minPassed, 3);
+  assert.strictEqual(thresholds['activeUser.maxDays'], 7);
+  const relaxed = rules.withThresholds('engage', { ...thresholds, 'activeUser.maxDays': 30 });
+  assert.strictEqual(relaxed.rules.find(rule => rule.name === 'activeUser').maxDays, 30);
+  assert.strictEqual(rules.getGate('engage').rules.find(rule => rule.name === 'activeUser').maxDays, 7);
+  assert.strictEqual(rules.getThresholdType('engage', 'activeUser.maxDays'), 'recency.maxDays');
+  console.log('✅ Gate thresholds can be replayed with other values');
+
+  // Invalid configs are rejected
+  assert.throws(() => new QualificationRules({ config: { keywords: {}, gates: { x: { rules: [{ name: 'a', type: 'magic' }] } } } }), /unknown type 'magic'/);
+  assert.throws(() => new QualificationRules({ config: { keywords: {}, gates: { x: { rules: [{ name: 'a', type: 'keywords', list: 'nope' }] } } } }), /unknown keyword list 'nope'/);
+  assert.throws(() => new QualificationRules({ config: { keywords: {}, gates: { x: { minPassed: 2, rules: [{ name: 'a', type: 'boolean', field: 'x' }] } } } }), /needs 2 rules/);
+  assert.throws(() => rules.evaluate('nurture', lead), /Unknown qualification gate 'nurture'/);
+  console.log('✅ Invalid rules are rejected');
+
+  console.log('\n✅ Qualification Rules Test Complete!');
+}
+
+if (require.main === module) {
+  testQualificationRules().catch(error => {
+    console.error('❌ Qualification rules test failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testQualificationRules };
@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+
+/**
+ * Quota Ledger Test
+ * Verifies quota survives restarts and is shared by concurrent processes
+ */
+
+const assert = require('assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const QuotaLedger = require('./utils/quota-ledger');
+
+const execFileAsync = promisify(execFile);
+
+// Worker mode: try to consume `attempts` DMs against a shared ledger and print how many were allowed
+async function runWorker(ledgerPath, attempts, limit) {
+  const ledger = new QuotaLedger(ledgerPath);
+  let allowed = 0;
+
+  for (let i = 0; i < attempts; i++) {
+    const result = await ledger.consume('twitter', 'dmSend', { daily: limit });
+    if (result.allowed) allowed++;
+  }
+
+  console.log(allowed);
+}
+
+async function testQuotaLedger() {
+  console.log('🧪 Testing Quota Ledger\n');
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'quota-ledger-'));
+  const ledgerPath = path.join(tempDir, 'quota-ledger.json');
+
+  try {
+    // Daily and 15-minute windows
+    const ledger = new QuotaLedger(ledgerPath);
+    const limits = { daily: 3, per15Minutes: 2 };
+
+    assert.strictEqual((await ledger.consume('twitter', 'userLookup', limits)).allowed, true);
+    assert.strictEqual((await ledger.consume('twitter', 'userLookup', limits)).allowed, true);
+    const blocked = await ledger.consume('twitter', 'userLookup', limits);
+    assert.strictEqual(blocked.allowed, false);
+    assert.strictEqual(blocked.usage.per15Minutes.remaining, 0);
+    assert.strictEqual(blocked.usage.daily.remaining, 1);
+    console.log('✅ The tightest window blocks the action');
+
+    // Usage survives a restart
+    const reloaded = new QuotaLedger(ledgerPath);
+    const remaining = await reloaded.getRemaining('twitter', { userLookup: limits, follow: { daily: 15 } });
+    assert.strictEqual(remaining.userLookup.daily.used, 2);
+    assert.strictEqual(remaining.follow.daily.remaining, 15);
+    console.log('✅ Usage persists across processes');
+
+    // Old events fall out of the window
+    const data = JSON.parse(await fs.readFile(ledgerPath, 'utf8'));
+    data.usage['twitter.userLookup'] = data.usage['twitter.userLookup'].map(at => at - 20 * 60 * 1000);
+    await fs.writeFile(ledgerPath, JSON.stringify(data));
+    assert.strictEqual((await reloaded.consume('twitter', 'userLookup', limits)).allowed, true);
+    console.log('✅ Rolling windows expire old usage');
+
+    // Refunds give back a reservation for an action that failed
+    const reserved = await reloaded.consume('twitter', 'follow', { daily: 1 });
+    assert.strictEqual((await reloaded.consume('twitter', 'follow', { daily: 1 })).allowed, false);
+    assert.strictEqual(await reloaded.refund('twitter', 'follow', reserved.at), 1);
+    assert.strictEqual(await reloaded.refund('twitter', 'follow', reserved.at), 0);
+    assert.strictEqual((await reloaded.consume('twitter', 'follow', { daily: 1 })).allowed, true);
+    console.log('✅ Refunded reservations free their quota');
+
+    // Concurrent processes never exceed the limit together
+    const workers = await Promise.all([1, 2, 3].map(() =>
+      execFileAsync(process.execPath, [__filename, '--worker', ledgerPath, '5', '8'], { timeout: 30000 })
+    ));
+    const totalAllowed = workers.reduce((sum, worker) => sum + parseInt(worker.stdout.trim(), 10), 0);
+    assert.strictEqual(totalAllowed, 8);
+
+    const shared = await reloaded.getRemaining('twitter', { dmSend: { daily: 8 } });
+    assert.strictEqual(shared.dmSend.daily.used, 8);
+    console.log('✅ Concurrent processes share one quota');
+
+    // A lock left by a process that died is broken at once, a live holder's lock is waited for
+    const deadPid = (await execFileAsync(process.execPath, ['-e', 'console.log(process.pid)'], { timeout: 30000 })).stdout.trim();
+    await fs.writeFile(reloaded.lockPath, deadPid);
+    const startedAt = Date.now();
+    assert.strictEqual((await reloaded.consume('twitter', 'like', { daily: 5 })).allowed, true);
+    assert.ok(Date.now() - startedAt < reloaded.staleLockAge);
+
+    await fs.writeFile(reloaded.lockPath, String(process.pid));
+    reloaded.lockTimeout = 200;
+    await assert.rejects(reloaded.consume('twitter', 'like', { daily: 5 }), /Timed out waiting for quota ledger lock/);
+
+    const old = new Date(Date.now() - reloaded.staleLockAge - 1000);
+    await fs.utimes(reloaded.lockPath, old, old);
+    assert.strictEqual((await reloaded.consume('twitter', 'like', { daily: 5 })).allowed, true);
+    assert.ok(new QuotaLedger().lockTimeout > new QuotaLedger().staleLockAge);
+    console.log('✅ Locks of crashed processes are broken');
+
+    // Two writers racing to break the same stale lock never hold it together. The second
+    // writer's move of the stale lock is held back until the first has taken a new lock.
+    const racers = [new QuotaLedger(ledgerPath), new QuotaLedger(ledgerPath)];
+    let holders = 0;
+    let maxHolders = 0;
+    for (const racer of racers) {
+      const read = racer.read.bind(racer);
+      racer.read = async () => {
+        holders++;
+        maxHolders = Math.max(maxHolders, holders);
+        await new Promise(resolve => setTimeout(resolve, 200));
+        holders--;
+        return read();
+      };
+    }
+
+    const { rename, unlink } = fs;
+    let lockMoves = 0;
+    const slowSecondMove = original => async (target, ...args) => {
+      if (target === reloaded.lockPath && ++lockMoves === 2) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+      return original.call(fs, target, ...args);
+    };
+    fs.rename = slowSecondMove(rename);
+    fs.unlink = slowSecondMove(unlink);
+
+    try {
+      for (let round = 0; round < 3; round++) {
+        lockMoves = 0;
+        await fs.writeFile(reloaded.lockPath, `${deadPid}:stale`);
+        await fs.utimes(reloaded.lockPath, old, old);
+        await Promise.all(racers.map(racer => racer.consume('twitter', 'reply', { daily: 100 })));
+      }
+    } finally {
+      Object.assign(fs, { rename, unlink });
+    }
+
+    assert.strictEqual(maxHolders, 1);
+    assert.strictEqual((await reloaded.getRemaining('twitter', { reply: { daily: 100 } })).reply.daily.used, 6);
+    assert.deepStrictEqual((await fs.readdir(tempDir)).filter(name => name.includes('.lock')), []);
+    console.log('✅ Racing writers break a stale lock once and release only their own');
+
+    console.log('\n✅ Quota Ledger Test Complete!');
+
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  const run = args[0] === '--worker' ?
+    runWorker(args[1], parseInt(args[2], 10), parseInt(args[3], 10)) :
+    testQuotaLedger();
+
+  run.catch(error => {
+    console.error('❌ Quota ledger test failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testQuotaLedger };
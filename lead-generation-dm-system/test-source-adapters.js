@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+
+/**
+ * Prospect Source Adapter Test
+ * Imports prospects from CSV/JSON files and a local HTTP JSON endpoint, and how hunts
+ * gate and deduplicate them
+ */
+
+const assert = require('assert');
+const fs = require('fs').promises;
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const FileSourceAdapter = require('./utils/file-source-adapter');
+const HttpSourceAdapter = require('./utils/http-source-adapter');
+const SuppressionList = require('./utils/suppression-list');
+const LeadStore = require('./utils/lead-store');
+
+const csv = [
+  'id,name,title,company,email,industry,keywords',
+  'c-1,Jennifer Lee,Chief Technology Officer,InnovateTech,jennifer@innovatetech.com,Software,AI;automation',
+  'c-2,"Okafor, Ngozi","Founder ""and"" CEO",Bright Agency,ngozi@bright.agency,Marketing,agency',
+  '',
+  ',Tom Baker,Designer,Studio T,tom@studiot.com,Design,'
+].join('\r\n');
+
+const contacts = {
+  page1: [
+    { id: 101, full_name: 'Maya Patel', job_title: 'CTO', email: 'maya@stackly.io', organization: { name: 'Stackly', industry: 'SaaS' } }
+  ],
+  page2: [
+    { id: 102, full_name: 'Leo Brandt', job_title: 'Head of Growth', email: 'leo@shopwise.com', organization: { name: 'Shopwise', industry: 'E-commerce' } }
+  ]
+};
+
+// Minimal paginated JSON endpoint
+function createStandIn(requests) {
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({ path: url.pathname, query: Object.fromEntries(url.searchParams), auth: req.headers.authorization });
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(url.searchParams.get('cursor') === 'next' ?
+      { data: { contacts: contacts.page2 }, meta: {} } :
+      { data: { contacts: contacts.page1 }, meta: { next_cursor: 'next' } }));
+  });
+}
+
+async function testSourceAdapters() {
+  console.log('🧪 Testing Prospect Source Adapters\n');
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'source-adapters-'));
+  const requests = [];
+  const server = createStandIn(requests);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    // CSV import with quoting, blank lines and a missing ID
+    const csvPath = path.join(tempDir, 'prospects.csv');
+    await fs.writeFile(csvPath, csv);
+
+    const csvSource = new FileSourceAdapter({ name: 'manual-import', type: 'file', path: csvPath });
+    const csvLeads = await csvSource.fetchLeads();
+
+    assert.strictEqual(csvLeads.length, 3);
+    assert.strictEqual(csvLeads[1].name, 'Okafor, Ngozi');
+    assert.strictEqual(csvLeads[1].title, 'Founder "and" CEO');
+    assert.deepStrictEqual(csvLeads[0].keywords, ['AI', 'automation']);
+    assert.strictEqual(csvLeads[0].platform, 'web');
+    assert.strictEqual(csvLeads[0].source, 'manual-import');
+    assert.strictEqual(csvLeads[0].sourceRecordId, 'c-1');
+    assert.strictEqual(csvLeads[2].sourceRecordId, 'row_3');
+    assert.ok(!isNaN(Date.parse(csvLeads[0].fetchedAt)));
+    console.log('✅ CSV rows become leads with provenance');
+
+    // JSON import with a records path and field mapping
+    const jsonPath = path.join(tempDir, 'prospects.json');
+    await fs.writeFile(jsonPath, JSON.stringify({ people: contacts.page1 }));
+
+    const jsonSource = new FileSourceAdapter({
+      name: 'json-import',
+      type: 'file',
+      path: jsonPath,
+      recordsPath: 'people',
+      fieldMap: { name: 'full_name', title: 'job_title', company: 'organization.name', phone: 'phone' }
+    });
+    const [maya] = await jsonSource.fetchLeads();
+
+    assert.strictEqual(maya.name, 'Maya Patel');
+    assert.strictEqual(maya.company, 'Stackly');
+    assert.strictEqual(maya.sourceRecordId, '101');
+    assert.ok(!('phone' in maya));
+    assert.ok(!('full_name' in maya));
+    console.log('✅ JSON records are mapped through fieldMap');
+
+    // HTTP endpoint with env headers and cursor pagination
+    process.env.TEST_CRM_TOKEN = 'crm-secret';
+    const httpSource = new HttpSourceAdapter({
+      name: 'crm-export',
+      type: 'http',
+      url: `http://127.0.0.1:${server.address().port}/api/contacts`,
+      headers: { Authorization: 'Bearer ${TEST_CRM_TOKEN}' },
+      params: { segment: 'prospects' },
+      recordsPath: 'data.contacts',
+      pagination: { cursorPath: 'meta.next_cursor', cursorParam: 'cursor', maxPages: 5 },
+      fieldMap: { name: 'full_name', title: 'job_title', company: 'organization.name', industry: 'organization.industry', email: 'email' }
+    });
+    const httpLeads = await httpSource.fetchLeads();
+
+    assert.deepStrictEqual(httpLeads.map(lead => lead.name), ['Maya Patel', 'Leo Brandt']);
+    assert.strictEqual(httpLeads[1].industry, 'E-commerce');
+    assert.strictEqual(httpLeads[1].source, 'crm-export');
+    assert.strictEqual(requests.length, 2);
+    assert.ok(requests.every(r => r.auth === 'Bearer crm-secret' && r.query.segment === 'prospects'));
+    assert.strictEqual(requests[1].query.cursor, 'next');
+    console.log('✅ HTTP source follows pagination with env-based headers');
+
+    delete process.env.TEST_CRM_TOKEN;
+    await assert.rejects(() => httpSource.fetchLeads(), /TEST_CRM_TOKEN/);
+    console.log('✅ Missing environment variables are reported');
+
+    // The hunter runs only enabled sources and keeps going past failures
+    const LeadHunterAgent = require('./agents/lead-hunter-agent');
+    const agent = new LeadHunterAgent();
+    agent.log = async () => {};
+    agent.sourceAdapters = [
+      agent.createSourceAdapter({ name: 'missing-file', type: 'file', path: path.join(tempDir, 'missing.csv') }),
+      csvSource
+    ];
+
+    const prospects = await agent.searchWebProspects({ titles: ['CEO', 'Officer'] });
+    assert.deepStrictEqual(prospects.map(lead => lead.sourceRecordId), ['c-1', 'c-2']);
+
+    assert.throws(() => agent.createSourceAdapter({ name: 'bad', type: 'ftp' }), /unknown type 'ftp'/);
+    console.log('✅ Hunter iterates enabled sources and filters by criteria');
+
+    // Sources are searched only when the hunt's platforms include "web"
+    agent.isInitialized = true;
+    agent.suppressionList = new SuppressionList(path.join(tempDir, 'suppression-list.json'));
+    agent.leadStore = new LeadStore(path.join(tempDir, 'leads.jsonl'));
+    let webSearches = 0;
+    agent.searchWebProspects = async () => {
+      webSearches++;
+      return [];
+    };
+    await agent.huntLeads({ platforms: [] });
+    assert.strictEqual(webSearches, 0);
+    await agent.huntLeads({ platforms: ['web'] });
+    assert.strictEqual(webSearches, 1);
+
+    // The default criteria include "web", so a plain `npm run hunt` reaches enabled sources
+    const defaultHunter = new LeadHunterAgent();
+    defaultHunter.log = async () => {};
+    await defaultHunter.loadConfig();
+    Object.assign(defaultHunter, {
+      isInitialized: true,
+      suppressionList: agent.suppressionList,
+      leadStore: new LeadStore(path.join(tempDir, 'default-leads.jsonl')),
+      sourceAdapters: [{ name: 'recording', config: {}, fetchLeads: async criteria => {
+        fetchedWith.push(criteria);
+        return [];
+      } }],
+      searchLinkedInProspects: async () => [],
+      searchTwitterProspects: async () => [],
+      searchCompanyEmployees: async () => []
+    });
+    const fetchedWith = [];
+    await defaultHunter.huntLeads();
+    assert.strictEqual(fetchedWith.length, 1);
+    assert.strictEqual(fetchedWith[0], defaultHunter.config.defaultCriteria);
+    console.log('✅ Sources run only for hunts that include "web", which the default criteria do');
+
+    // The same LinkedIn person from two sources becomes one lead
+    const merged = await agent.deduplicateAndScore([
+      { platform: 'web', source: 'crm-export', name: 'Maya Patel', email: 'maya@stackly.io', linkedinUrl: 'https://www.linkedin.com/in/Maya-Patel/', keywords: ['AI'] },
+      { platform: 'web', source: 'manual-import', name: 'Maya Patel', company: 'Stackly', linkedinUrl: 'linkedin.com/in/maya-patel?trk=export', keywords: ['SaaS'] },
+      { platform: 'linkedin', source: 'linkedin', name: 'Maya Patel', profileUrl: 'https://linkedin.com/in/maya-patel', keywords: [] },
+      { platform: 'web', source: 'manual-import', name: 'Leo Brandt', linkedinUrl: 'https://linkedin.com/in/leo-brandt', keywords: [] }
+    ]);
+    assert.deepStrictEqual(merged.map(lead => lead.name).sort(), ['Leo Brandt', 'Maya Patel']);
+    const mergedMaya = merged.find(lead => lead.name === 'Maya Patel');
+    assert.strictEqual(mergedMaya.email, 'maya@stackly.io');
+    assert.strictEqual(mergedMaya.company, 'Stackly');
+    assert.deepStrictEqual(mergedMaya.keywords, ['AI', 'SaaS']);
+    assert.strictEqual(agent.leadStore.generateLeadKey({ linkedinUrl: 'https://www.linkedin.com/in/Maya-Patel/' }), 'https://linkedin.com/in/maya-patel');
+    assert.strictEqual(agent.leadStore.generateLeadKey({ linkedinUrl: 'linkedin.com/in/A%zz' }), 'https://linkedin.com/in/a%zz');
+
+    // A malformed URL from a source does not stop the hunt from deduplicating and suppressing
+    await agent.suppressionList.add('email', 'leo@shopwise.com');
+    const withBadUrl = await agent.deduplicateAndScore([
+      { platform: 'web', source: 'manual-import', name: 'Bad Url', profileUrl: 'https://linkedin.com/in/a%zz', keywords: [] },
+      { platform: 'web', source: 'manual-import', name: 'Bad Url', linkedinUrl: 'https://linkedin.com/in/A%zz/', keywords: [] },
+      { platform: 'web', source: 'crm-export', name: 'Leo Brandt', email: 'leo@shopwise.com', keywords: [] }
+    ]);
+    assert.deepStrictEqual(withBadUrl.map(lead => lead.name), ['Bad Url']);
+    assert.strictEqual(typeof withBadUrl[0].score, 'number');
+    console.log('✅ Leads are deduplicated by LinkedIn profile across sources');
+
+    console.log('\n✅ Prospect Source Adapter Test Complete!');
+
+  } finally {
+    server.close();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+if (require.main === module) {
+  testSourceAdapters().catch(error => {
+    console.error('❌ Source adapter test failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testSourceAdapters };
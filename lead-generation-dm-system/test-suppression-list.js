@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+
+/**
+ * Suppression List Test
+ * Opt-out phrase detection, lead lookups, persistence across instances, the command line
+ * and concurrent writers
+ */
+
+const assert = require('assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const SuppressionList = require('./utils/suppression-list');
+
+const execFileAsync = promisify(execFile);
+const cli = path.join(__dirname, 'utils/suppression-list.js');
+
+async function testSuppressionList() {
+  console.log('🧪 Testing Suppression List\n');
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'suppression-list-'));
+  const listPath = path.join(tempDir, 'suppression-list.json');
+
+  try {
+    // Opt-out replies
+    const list = new SuppressionList(listPath);
+    const optOuts = [
+      'STOP',
+      'stop.',
+      '  Stop!  ',
+      'Please stop messaging me',
+      'stop contacting me, thanks',
+      'Unsubscribe',
+      'remove me from your list',
+      'Take me off whatever list this is',
+      'I want to opt out',
+      'Do not contact me again',
+      "don't message me",
+      'Leave me alone'
+    ];
+    for (const reply of optOuts) {
+      assert.strictEqual(list.containsOptOut(reply), true, `expected opt-out: ${reply}`);
+    }
+
+    const conversations = [
+      "Can't stop thinking about this, let's talk",
+      'Stop by anytime if you are in Berlin',
+      'We had to stop the rollout last week',
+      'Non-stop meetings today, reply tomorrow',
+      'Sounds good, happy to chat',
+      '',
+      null
+    ];
+    for (const reply of conversations) {
+      assert.strictEqual(list.containsOptOut(reply), false, `expected no opt-out: ${reply}`);
+    }
+    console.log('✅ Opt-outs are matched as phrases, not on any "stop"');
+
+    // Entries are normalized and matched against lead identifiers
+    assert.strictEqual((await list.add('linkedin', 'urn:li:person:jane-doe', 'opt_out', 'reply')).added, true);
+    assert.strictEqual((await list.add('linkedin', 'jane-doe')).added, false);
+    await list.add('domain', 'https://www.Example.com/about');
+    await list.add('twitter', '1234');
+
+    assert.strictEqual((await list.isLeadSuppressed({ platform: 'linkedin', profileUrl: 'https://linkedin.com/in/jane-doe/' })).reason, 'opt_out');
+    assert.strictEqual((await list.isLeadSuppressed({ platform: 'twitter', id: '1234' })).type, 'twitter');
+    assert.strictEqual((await list.isSuppressed({ email: 'ceo@example.com' })).value, 'example.com');
+    assert.strictEqual(await list.isLeadSuppressed({ platform: 'twitter', id: '5678' }), null);
+    assert.throws(() => list.normalize('phone', '555'), /Unknown suppression type/);
+    console.log('✅ Leads are matched by platform ID, email and domain');
+
+    // Another instance (another process) sees the same list
+    const reloaded = new SuppressionList(listPath);
+    assert.deepStrictEqual((await reloaded.list()).map(entry => `${entry.type}:${entry.value}`), ['linkedin:jane-doe', 'domain:example.com', 'twitter:1234']);
+    assert.strictEqual(await reloaded.remove('twitter', '1234'), true);
+    assert.strictEqual(await list.isSuppressed({ twitterUserId: '1234' }), null);
+    console.log('✅ The list persists across instances');
+
+    // Command line
+    const run = async (...args) => (await execFileAsync(process.execPath, [cli, ...args, '--list', listPath], { timeout: 30000 })).stdout;
+
+    assert.match(await run('add', 'email', 'Jane@Example.org', 'asked', 'by', 'email'), /Suppressed email jane@example\.org/);
+    assert.match(await run('add', 'email', 'jane@example.org'), /already suppressed/);
+
+    const csvPath = path.join(tempDir, 'do-not-contact.csv');
+    await fs.writeFile(csvPath, 'type,value,reason\ntwitter,42,bounced\n# comment\ndomain,spam.io\n');
+    assert.match(await run('import', csvPath), /Imported 2 of 2 entries/);
+
+    assert.match(await run('remove', 'linkedin', 'jane-doe'), /Removed linkedin jane-doe/);
+    const listed = await run('list');
+    assert.match(listed, /email\tjane@example\.org\tasked by email/);
+    assert.match(listed, /twitter\t42\tbounced/);
+    assert.match(listed, /📋 4 suppressed entries/);
+
+    await assert.rejects(run('add', 'phone', '555'), error => /Unknown suppression type/.test(error.stderr));
+    await assert.rejects(run('bogus'), error => error.code === 1);
+    assert.strictEqual((await new SuppressionList(listPath).list()).length, 4);
+    console.log('✅ The command line adds, imports, removes and lists entries');
+
+    // Writers in this process and CLI processes adding at the same time all land
+    const sharedPath = path.join(tempDir, 'shared-list.json');
+    const cliAdds = ['7001', '7002', '7003'].map(id =>
+      execFileAsync(process.execPath, [cli, 'add', 'twitter', id, '--list', sharedPath], { timeout: 30000 }));
+    const replyOptOuts = ['ana', 'ben', 'cat', 'dan', 'eve'].map(slug =>
+      new SuppressionList(sharedPath).add('linkedin', slug, 'opt_out', 'reply'));
+    await Promise.all([...cliAdds, ...replyOptOuts]);
+
+    assert.strictEqual((await new SuppressionList(sharedPath).list()).length, 8);
+    assert.deepStrictEqual((await fs.readdir(tempDir)).filter(name => name.includes('.lock')), []);
+    console.log('✅ Concurrent writers do not lose entries');
+
+    console.log('\n✅ Suppression List Test Complete!');
+
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+if (require.main === module) {
+  testSuppressionList().catch(error => {
+    console.error('❌ Suppression list test failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testSuppressionList };
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+
+/**
+ * Target Profile Test
+ * Checks profile hunts, exclusion criteria, profile tagging and per-profile campaign templates
+ */
+
+const assert = require('assert');
+const LeadHunterAgent = require('./agents/lead-hunter-agent');
+const DMDispatcherAgent = require('./agents/dm-dispatcher-agent');
+
+async function testTargetProfiles() {
+  console.log('🧪 Testing Target Profiles\n');
+
+  const hunter = new LeadHunterAgent();
+  await hunter.loadConfig();
+
+  // Profile criteria replace the default lists
+  const agencyCriteria = hunter.buildProfileCriteria('agencyOwners');
+  assert.strictEqual(agencyCriteria.profile, 'agencyOwners');
+  assert.ok(agencyCriteria.titles.includes('Agency Owner'));
+  assert.ok(!agencyCriteria.titles.includes('Freelancer'));
+  assert.deepStrictEqual(agencyCriteria.platforms, hunter.config.defaultCriteria.platforms);
+  assert.throws(() => hunter.buildProfileCriteria('astronauts'), /Unknown target profile 'astronauts'.*agencyOwners/);
+  console.log('✅ Profile hunts use the profile\'s criteria');
+
+  // Exclusion criteria
+  const defaults = { ...hunter.config.defaultCriteria, locations: [] };
+  assert.ok(hunter.matchesCriteria({ title: 'Agency Owner', industry: 'Design', companySize: '10-50' }, defaults));
+  assert.ok(!hunter.matchesCriteria({ title: 'Marketing Intern', industry: 'Design' }, defaults));
+  assert.ok(!hunter.matchesCriteria({ title: 'Owner', industry: 'Retail' }, defaults));
+  assert.ok(!hunter.matchesCriteria({ title: 'CEO', company: 'Enterprise Holdings', industry: 'Technology' }, defaults));
+  assert.ok(hunter.matchesCriteria({ title: 'Volunteer Coordinator', industry: 'Nonprofit' }, defaults));
+  assert.ok(hunter.matchesCriteria({ bio: 'Freelancer, ex-intern, still learning' }, defaults));
+  assert.deepStrictEqual(hunter.getExclusionMatch({ title: 'Junior Designer' }, defaults), { rule: 'titles', value: 'Junior' });
+  console.log('✅ Exclusion criteria filter out excluded titles, industries and company types');
+
+  // Profile tagging
+  assert.deepStrictEqual(hunter.matchProfiles({ title: 'Agency Owner', industry: 'Design', companySize: '10-50' }), ['agencyOwners', 'smallBusinessOwners']);
+  assert.deepStrictEqual(hunter.matchProfiles({ title: 'Freelancer', companySize: '10-50' }), []);
+  assert.deepStrictEqual(hunter.matchProfiles({ bio: 'Freelance designer and agency principal' }), ['freelancers', 'agencyOwners']);
+  assert.deepStrictEqual(hunter.matchProfiles({ title: 'Copywriter' }, 'freelancers'), ['freelancers']);
+
+  const merged = hunter.mergeLeadData(
+    { keywords: [], matchedProfiles: ['freelancers'] },
+    { keywords: [], matchedProfiles: ['agencyOwners', 'freelancers'] }
+  );
+  assert.deepStrictEqual(merged.matchedProfiles, ['freelancers', 'agencyOwners']);
+  console.log('✅ Leads are tagged with the profiles they match');
+
+  // Campaigns pick templates per profile
+  const dispatcher = new DMDispatcherAgent();
+  await dispatcher.loadTemplates();
+  const coldOutreach = dispatcher.templates.get('cold-outreach');
+  dispatcher.templates.set('agency-outreach', { ...coldOutreach, name: 'agency-outreach' });
+
+  const campaign = dispatcher.createCampaign({
+    name: 'Profile Templates',
+    leads: [],
+    template: 'cold-outreach',
+    profileTemplates: { agencyOwners: 'agency-outreach' }
+  });
+  assert.strictEqual(dispatcher.getLeadTemplate({ matchedProfiles: ['freelancers', 'agencyOwners'] }, campaign).name, 'agency-outreach');
+  assert.strictEqual(dispatcher.getLeadTemplate({ matchedProfiles: ['freelancers'] }, campaign).name, 'cold-outreach');
+  assert.strictEqual(dispatcher.getLeadTemplate({}, campaign).name, 'cold-outreach');
+
+  await assert.rejects(
+    () => dispatcher.planCampaign({ name: 'Bad', leads: [], template: 'cold-outreach', profileTemplates: { freelancers: 'missing' } }),
+    /missing/
+  );
+  console.log('✅ Campaigns choose templates by matched profile');
+
+  console.log('\n✅ Target Profile Test Complete!');
+}
+
+if (require.main === module) {
+  testTargetProfiles().catch(error => {
+    console.error('❌ Target profile test failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testTargetProfiles };
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+
+/**
+ * Template Engine Test
+ * Covers defaults, conditional sections, variants and missing-variable failures
+ */
+
+const assert = require('assert');
+const TemplateEngine = require('./utils/template-engine');
+const TwitterOutreachStrategy = require('./utils/twitter-outreach-strategy');
+
+function testTemplateEngine() {
+  console.log('🧪 Testing Template Engine\n');
+
+  const engine = new TemplateEngine();
+
+  // Defaults
+  assert.strictEqual(engine.render('Hi {{firstName|there}}!', {}), 'Hi there!');
+  assert.strictEqual(engine.render('Hi {{firstName|there}}!', { firstName: 'Ada' }), 'Hi Ada!');
+  console.log('✅ Defaults fill missing variables');
+
+  // Conditional sections
+  const template = 'Hi!{{#recentTopic}} Loved your post about {{recentTopic}}.{{/recentTopic}}{{^recentTopic}} Hope you are well.{{/recentTopic}}';
+  assert.strictEqual(engine.render(template, { recentTopic: 'AI' }), 'Hi! Loved your post about AI.');
+  assert.strictEqual(engine.render(template, {}), 'Hi! Hope you are well.');
+  console.log('✅ Sections render only when their variable is present');
+
+  // Variants are stable per seed
+  const variants = ['Hello {{name}}', 'Hey {{name}}', 'Hi {{name}}'];
+  const first = engine.render(variants, { name: 'Ada' }, { seed: 'lead_1' });
+  assert.ok(['Hello Ada', 'Hey Ada', 'Hi Ada'].includes(first));
+  assert.strictEqual(engine.render(variants, { name: 'Ada' }, { seed: 'lead_1' }), first);
+  console.log('✅ Variants are picked consistently per lead');
+
+  // Missing variables fail hard
+  assert.throws(
+    () => engine.render('I help {{targetAudience}} with {{service}}', { service: 'automation' }, { required: ['targetAudience'] }),
+    error => error.code === 'TEMPLATE_VARIABLES_MISSING' &&
+      error.missingVariables.includes('targetAudience') &&
+      /required: targetAudience/.test(error.message)
+  );
+  console.log('✅ Unresolved variables throw instead of being sent');
+
+  // Context merging keeps scalar values, later sources win
+  const context = engine.buildContext({ service: 'automation', tags: ['a'] }, { service: 'design', empty: '' });
+  assert.deepStrictEqual(context, { service: 'design' });
+  assert.deepStrictEqual(engine.extractVariables('{{a}} {{b|x}} {{#c}}{{/c}}').sort(), ['a', 'b', 'c']);
+  console.log('✅ Context merging and variable extraction');
+
+  // Strategy DMs use campaign variables and never leak placeholders
+  const strategy = new TwitterOutreachStrategy();
+  const dm = strategy.generateDMMessage('initial', { id: '1', username: 'ada' }, null, { solution: 'lead gen tooling' });
+  assert.ok(dm.includes('lead gen tooling'));
+  assert.ok(!dm.includes('{{'));
+  console.log('✅ Outreach strategy renders through the engine');
+
+  console.log('\n✅ Template Engine Test Complete!');
+}
+
+if (require.main === module) {
+  try {
+    testTemplateEngine();
+  } catch (error) {
+    console.error('❌ Template engine test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { testTemplateEngine };
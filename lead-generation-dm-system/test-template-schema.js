@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+
+/**
+ * Template Schema Test
+ * Load-time validation, the unresolved-placeholder guard and per-lead required variables
+ */
+
+const assert = require('assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const TemplateSchema = require('./utils/template-schema');
+const SuppressionList = require('./utils/suppression-list');
+const EventLog = require('./utils/event-log');
+const LeadStore = require('./utils/lead-store');
+const DMDispatcherAgent = require('./agents/dm-dispatcher-agent');
+
+const validTemplate = () => ({
+  schemaVersion: 1,
+  name: 'test-template',
+  templates: {
+    linkedin: {
+      connectionRequest: 'Hi {{firstName}}, I help {{targetAudience}}.',
+      directMessage: ['Thanks {{firstName}}!', 'Hey {{firstName}}, thanks!'],
+      followUp: 'Following up on {{service}}{{#company}} at {{company}}{{/company}}.'
+    },
+    twitter: {
+      directMessage: 'Hi {{username|there}}',
+      followUp: 'Hey {{username|there}}'
+    }
+  },
+  variables: {
+    required: ['firstName', 'targetAudience', 'service'],
+    optional: ['company', 'username']
+  },
+  compliance: { policy: 'skip', maxMessageLength: { linkedin: 300 }, cooldownPeriod: { twitter: '24h' } }
+});
+
+async function testTemplateSchema() {
+  console.log('🧪 Testing Template Schema\n');
+
+  const schema = new TemplateSchema();
+
+  // Valid templates, including the ones shipped in templates/
+  assert.strictEqual(schema.validate(validTemplate()), true);
+  const shipped = JSON.parse(await fs.readFile(path.join(__dirname, 'templates/cold-outreach.json'), 'utf8'));
+  assert.strictEqual(schema.validate(shipped, 'cold-outreach.json'), true);
+  console.log('✅ Valid templates pass');
+
+  // Every problem is reported in one error
+  const broken = validTemplate();
+  delete broken.schemaVersion;
+  broken.name = ' ';
+  delete broken.templates.linkedin.followUp;
+  broken.templates.twitter.directMessage = ['Hi {{firstname}}', ''];
+  broken.templates.email = { body: 'Hi' };
+  delete broken.variables.optional;
+  broken.compliance = { policy: 'ignore', maxMessageLength: { twitter: 0 }, cooldownPeriod: { linkedin: 'soon' } };
+
+  assert.throws(() => schema.validate(broken, 'broken.json'), error => {
+    const expected = [
+      'Invalid template broken.json:',
+      'missing field "schemaVersion"',
+      'missing field "name"',
+      'missing field "templates.linkedin.followUp"',
+      'missing field "templates.twitter.directMessage"',
+      'unknown platform "templates.email"',
+      'missing field "variables.optional"',
+      '"compliance.policy" must be one of',
+      '"compliance.maxMessageLength.twitter" must be a positive integer',
+      '"compliance.cooldownPeriod.linkedin"'
+    ];
+    expected.forEach(text => assert.ok(error.message.includes(text), `missing "${text}" in:\n${error.message}`));
+    return true;
+  });
+
+  const typo = validTemplate();
+  typo.templates.twitter.followUp = 'Hey {{userName}}';
+  assert.throws(() => schema.validate(typo), /"templates.twitter.followUp" uses undeclared variable "userName"/);
+  const defaulted = validTemplate();
+  defaulted.templates.linkedin.directMessage = ['Thanks {{firstName}}!', 'Hey {{firstName|there}}!'];
+  assert.throws(() => schema.validate(defaulted), /"templates.linkedin.directMessage" gives required variable "firstName" a default/);
+  assert.throws(() => schema.validate({ ...validTemplate(), schemaVersion: 2 }), /unsupported schemaVersion 2/);
+  assert.throws(() => schema.validate([]), /expected a JSON object/);
+  console.log('✅ Invalid templates list every problem');
+
+  // Rendered messages may not keep raw placeholders
+  const template = validTemplate();
+  assert.strictEqual(schema.assertResolved('Hi Ada', template), 'Hi Ada');
+  assert.deepStrictEqual(schema.engine.extractPlaceholders('{{ firstName }} {{company}} {{firstName}}'), ['firstName', 'company']);
+  assert.throws(
+    () => schema.assertResolved('Hi {{firstName}} at {{company}}', template, 'linkedin.followUp for Ada'),
+    error => error.code === 'TEMPLATE_VARIABLES_MISSING' &&
+      error.message === 'Unresolved template variables in linkedin.followUp for Ada (required: firstName; optional: company)' &&
+      error.missingVariables.join() === 'firstName,company'
+  );
+  console.log('✅ Unresolved placeholders are caught after rendering');
+
+  // Required variables come from the lead: a default in the message does not satisfy them
+  assert.strictEqual(schema.engine.render('Hi {{firstName|there}}', {}), 'Hi there');
+  assert.throws(
+    () => schema.engine.render('Hi {{firstName|there}}', {}, { required: ['firstName'] }),
+    error => error.code === 'TEMPLATE_VARIABLES_MISSING' && /required: firstName/.test(error.message)
+  );
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'template-schema-'));
+
+  try {
+    const leadStore = new LeadStore(path.join(tempDir, 'leads.jsonl'));
+    const dispatcher = new DMDispatcherAgent();
+    dispatcher.isInitialized = true;
+    await dispatcher.loadTemplates();
+    dispatcher.leadStore = leadStore;
+    dispatcher.eventLog = new EventLog({ logDir: path.join(tempDir, 'events') });
+    dispatcher.suppressionList = new SuppressionList(path.join(tempDir, 'suppression-list.json'));
+    dispatcher.getCampaignPath = campaignId => path.join(tempDir, 'campaigns', `${campaignId}.json`);
+    dispatcher.log = async () => {};
+
+    // Ben's profile has no first name. Cal has no company, which only the later DM uses,
+    // so he is skipped before the connection request rather than after it is accepted
+    const requests = [];
+    const profiles = { 'ana-ortiz': { firstName: 'Ana', industry: 'SaaS' }, 'cal-ray': { firstName: 'Cal', industry: 'SaaS' } };
+    Object.assign(dispatcher.linkedinClient, {
+      getProfileInfo: async personId => profiles[personId] || { industry: 'SaaS' },
+      isAlreadyConnected: async () => false,
+      sendConnectionRequest: async personId => {
+        requests.push(personId);
+        return { success: true, invitationUrn: `urn:li:invitation:${personId}`, sentAt: new Date().toISOString() };
+      }
+    });
+
+    const leads = [];
+    for (const [slug, name, company] of [['ana-ortiz', 'Ana Ortiz', 'Labs'], ['ben-lee', 'Ben Lee', 'Labs'], ['cal-ray', 'Cal Ray']]) {
+      const { lead } = await leadStore.upsertLead({ platform: 'linkedin', name, title: 'Founder', company, profileUrl: `https://linkedin.com/in/${slug}` });
+      leads.push(lead);
+    }
+
+    const campaign = await dispatcher.startCampaign({
+      name: 'Required variables',
+      template: 'cold-outreach',
+      platforms: ['linkedin'],
+      leads,
+      delay: 1,
+      compliancePolicy: 'truncate'
+    });
+
+    assert.deepStrictEqual(requests, ['ana-ortiz']);
+    const skipped = campaign.results.find(result => result.leadId === leads[1].leadId);
+    assert.strictEqual(skipped.action, 'skipped');
+    assert.strictEqual(skipped.reason, 'missing_template_variables');
+    assert.deepStrictEqual(skipped.missingVariables, ['firstName']);
+    assert.strictEqual(leadStore.getLead(leads[1].leadId).status, 'discovered');
+
+    const noCompany = campaign.results.find(result => result.leadId === leads[2].leadId);
+    assert.strictEqual(noCompany.reason, 'missing_template_variables');
+    assert.deepStrictEqual(noCompany.missingVariables, ['company']);
+    assert.match(noCompany.error, /linkedin messages for Cal Ray \(required: company\)/);
+    console.log('✅ Leads missing a required variable are skipped before the send');
+
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+
+  console.log('\n✅ Template Schema Test Complete!');
+}
+
+if (require.main === module) {
+  testTemplateSchema().catch(error => {
+    console.error('❌ Template schema test failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testTemplateSchema };
@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+
+/**
+ * Twitter DM Test
+ * Sends DMs, uploads media and reads paginated history against the local v2 DM stand-in
+ */
+
+const assert = require('assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const TwitterDMStandIn = require('./utils/twitter-dm-stand-in');
+const QuotaLedger = require('./utils/quota-ledger');
+const SuppressionList = require('./utils/suppression-list');
+const EventLog = require('./utils/event-log');
+
+async function collect(eventLog, filter) {
+  const events = [];
+  for await (const event of eventLog.stream(filter)) events.push(event);
+  return events;
+}
+
+async function testTwitterDMs() {
+  console.log('🧪 Testing Twitter DMs\n');
+
+  const standIn = new TwitterDMStandIn({ pageSize: 2 });
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'twitter-dms-'));
+
+  process.env.TWITTER_API_BASE_URL = await standIn.start();
+  process.env.TWITTER_API_KEY = 'key';
+  process.env.TWITTER_API_SECRET = 'secret';
+  process.env.TWITTER_ACCESS_TOKEN = 'token';
+  process.env.TWITTER_ACCESS_TOKEN_SECRET = 'token-secret';
+
+  try {
+    const TwitterDMClient = require('./utils/twitter-dm-client');
+    const client = new TwitterDMClient();
+    client.quotaLedger = new QuotaLedger(path.join(tempDir, 'quota-ledger.json'));
+    client.suppressionList = new SuppressionList(path.join(tempDir, 'suppression-list.json'));
+    client.eventLog = new EventLog({ logDir: path.join(tempDir, 'events') });
+    client.log = async () => {};
+    client.freeTierLimits.dmSend = { daily: 20 };
+
+    // Sending opens the one-to-one conversation through the v2 endpoint
+    const sent = await client.sendDirectMessage('2001', 'Hi Ana, loved your automation thread');
+    assert.strictEqual(sent.success, true);
+    assert.strictEqual(sent.conversationId, '1000-2001');
+    assert.strictEqual(client.userId, '1000');
+    const sendRequest = standIn.requests.find(r => r.path === '/2/dm_conversations/with/2001/messages');
+    assert.deepStrictEqual(sendRequest.body, { text: 'Hi Ana, loved your automation thread' });
+    const [dmSent] = await collect(client.eventLog, { types: ['dm_sent'] });
+    assert.strictEqual(dmSent.messageId, sent.messageId);
+    assert.strictEqual(dmSent.conversationId, '1000-2001');
+    console.log('✅ DMs are sent to dm_conversations/with/:id/messages');
+
+    // Media goes through the v2 chunked upload and is attached by ID
+    const imagePath = path.join(tempDir, 'demo.png');
+    await fs.writeFile(imagePath, Buffer.alloc(2048, 1));
+    const mediaId = await client.uploadMedia(imagePath, 'Workflow diagram');
+    const uploaded = standIn.media.get(mediaId);
+    assert.deepStrictEqual([uploaded.category, uploaded.mediaType, uploaded.altText, uploaded.uploaded], ['dm_image', 'image/png', 'Workflow diagram', true]);
+    assert.ok(uploaded.bytes >= 2048);
+    await assert.rejects(client.uploadMedia(path.join(tempDir, 'notes.txt')), /Unsupported DM attachment type/);
+
+    const withMedia = await client.sendDirectMessage('2002', 'Here is the diagram', mediaId);
+    assert.strictEqual(withMedia.success, true);
+    await assert.rejects(client.sendDirectMessage('2002', 'Broken', '999'), /Media 999 was not uploaded/);
+    console.log('✅ Media is uploaded and attached through the v2 flow');
+
+    // Two-way history, oldest first, across pages of two events
+    standIn.addInboundMessage('2001', 'Thanks! What do you build?');
+    await client.sendDirectMessage('2001', 'Automation for agencies - happy to share examples');
+    standIn.addInboundMessage('2001', 'Sure, send them over');
+
+    const history = await client.getConversationHistory('2001');
+    assert.deepStrictEqual(history.map(message => message.direction), ['outbound', 'inbound', 'outbound', 'inbound']);
+    assert.deepStrictEqual(history.map(message => message.senderId), ['1000', '2001', '1000', '2001']);
+    assert.strictEqual(history[0].id, sent.messageId);
+    assert.strictEqual(history[3].text, 'Sure, send them over');
+    const historyRequests = standIn.requests.filter(r => r.path === '/2/dm_conversations/with/2001/dm_events');
+    assert.strictEqual(historyRequests.length, 2);
+    assert.strictEqual(historyRequests[1].query.pagination_token, 'page_2');
+    assert.ok(historyRequests[0].query['dm_event.fields'].includes('sender_id'));
+    assert.strictEqual((await client.getRemainingQuota()).dmLookup.used, 2);
+
+    const latest = await client.getConversationHistory('2001', 2);
+    assert.deepStrictEqual(latest.map(message => message.text), ['Automation for agencies - happy to share examples', 'Sure, send them over']);
+
+    // Reading stops at the first page that reaches `since`
+    standIn.addMessage('1000', '2004', 'Intro', { at: '2026-01-01T10:00:00.000Z' });
+    standIn.addInboundMessage('2004', 'Old reply', { at: '2026-01-02T10:00:00.000Z' });
+    standIn.addInboundMessage('2004', 'New reply', { at: '2026-02-01T10:00:00.000Z' });
+    const since = await client.getConversationHistory('2004', 10, { since: '2026-01-15T00:00:00.000Z' });
+    assert.deepStrictEqual(since.map(message => message.text), ['New reply']);
+    assert.strictEqual(standIn.requests.filter(r => r.path === '/2/dm_conversations/with/2004/dm_events').length, 1);
+
+    const [attached] = await client.getConversationHistory('2002');
+    assert.deepStrictEqual(attached.attachments, [{ mediaKey: uploaded.media_key, type: 'photo', url: null }]);
+    console.log('✅ History is paginated and attributed to each sender');
+
+    // Follow-ups count what we sent since the recipient last answered, including manual DMs
+    standIn.addMessage('1000', '2003', 'Sent by hand from the app');
+    const followUp = await client.sendFollowUpMessage('2003', 'Just checking in');
+    assert.strictEqual(followUp.success, true);
+    await assert.rejects(client.sendFollowUpMessage('2003', 'One more time?'), /Conversation message limit reached/);
+
+    standIn.addInboundMessage('2003', 'Sorry, was travelling');
+    assert.strictEqual((await client.sendFollowUpMessage('2003', 'No worries!')).success, true);
+    assert.strictEqual((await collect(client.eventLog, { types: ['follow_up_sent'] })).length, 2);
+
+    // A campaign allowing two follow-ups gets both, and no third
+    standIn.addMessage('1000', '2005', 'Intro');
+    assert.strictEqual((await client.sendFollowUpMessage('2005', 'Following up', { maxFollowUps: 2 })).success, true);
+    assert.strictEqual((await client.sendFollowUpMessage('2005', 'Last note from me', { maxFollowUps: 2 })).success, true);
+    await assert.rejects(client.sendFollowUpMessage('2005', 'Third?', { maxFollowUps: 2 }), /Conversation message limit reached/);
+    console.log('✅ Follow-up limits use the real conversation and the campaign cap');
+
+    // API errors fail closed
+    await assert.rejects(client.sendDirectMessage('1000', 'Note to self'), /Cannot send a DM to yourself/);
+    const failures = await collect(client.eventLog, { types: ['dm_failed'] });
+    assert.ok(failures.some(event => /Cannot send a DM to yourself/.test(event.error)));
+    console.log('✅ API errors are logged and surfaced');
+
+    console.log('\n✅ Twitter DM Test Complete!');
+
+  } finally {
+    await standIn.stop();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+if (require.main === module) {
+  testTwitterDMs().catch(error => {
+    console.error('❌ Twitter DM test failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testTwitterDMs };
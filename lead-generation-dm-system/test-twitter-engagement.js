@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+
+/**
+ * Twitter Engagement Quota Test
+ * Follows, likes, unfollows and replies against the local v2 stand-in: every action
+ * reserves quota first, failed calls are refunded and the dispatcher re-reads quota per step
+ */
+
+const assert = require('assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const TwitterDMStandIn = require('./utils/twitter-dm-stand-in');
+const QuotaLedger = require('./utils/quota-ledger');
+const SuppressionList = require('./utils/suppression-list');
+const EventLog = require('./utils/event-log');
+const LeadStore = require('./utils/lead-store');
+
+async function collect(eventLog, filter) {
+  const events = [];
+  for await (const event of eventLog.stream(filter)) events.push(event);
+  return events;
+}
+
+async function testTwitterEngagement() {
+  console.log('🧪 Testing Twitter Engagement Quota\n');
+
+  const standIn = new TwitterDMStandIn();
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'twitter-engagement-'));
+
+  process.env.TWITTER_API_BASE_URL = await standIn.start();
+  process.env.TWITTER_API_KEY = 'key';
+  process.env.TWITTER_API_SECRET = 'secret';
+  process.env.TWITTER_ACCESS_TOKEN = 'token';
+  process.env.TWITTER_ACCESS_TOKEN_SECRET = 'token-secret';
+  delete process.env.TWITTER_BEARER_TOKEN;
+
+  try {
+    const TwitterDMClient = require('./utils/twitter-dm-client');
+    const DMDispatcherAgent = require('./agents/dm-dispatcher-agent');
+    const ledgerPath = path.join(tempDir, 'quota-ledger.json');
+    const eventLog = new EventLog({ logDir: path.join(tempDir, 'events') });
+
+    const setUp = client => {
+      client.quotaLedger = new QuotaLedger(ledgerPath);
+      client.suppressionList = new SuppressionList(path.join(tempDir, 'suppression-list.json'));
+      client.eventLog = eventLog;
+      client.log = async () => {};
+      return client;
+    };
+
+    const client = setUp(new TwitterDMClient());
+    standIn.addTweet('t1', '2001', 'Automation tips');
+    standIn.addTweet('t2', '2002', 'Agency growth');
+
+    // Each action is recorded in the quota ledger and the event log
+    await client.followUser('2001');
+    await client.likeTweet('t1');
+    await client.replyToTweet('t1', 'Great tips!', '2001');
+    await client.unfollowUser('2001');
+
+    let quota = await client.getRemainingQuota();
+    assert.deepStrictEqual(
+      [quota.follow.used, quota.like.used, quota.reply.used, quota.unfollow.used],
+      [1, 1, 1, 1]
+    );
+    assert.deepStrictEqual([quota.follow.limit, quota.like.limit, quota.reply.limit], [15, 25, 5]);
+    assert.ok(standIn.likes.has('t1'));
+    assert.ok(!standIn.following.has('2001'));
+    const logged = await collect(eventLog);
+    assert.deepStrictEqual(logged.map(event => event.type), ['followed', 'liked', 'tweet_replied', 'unfollowed']);
+    console.log('✅ Follows, likes, replies and unfollows use the quota ledger');
+
+    // Replies without the author look the tweet up, which uses tweetLookup quota
+    await client.replyToTweet('t2', 'Love this');
+    quota = await client.getRemainingQuota();
+    assert.strictEqual(quota.tweetLookup.used, 1);
+    assert.strictEqual(quota.reply.used, 2);
+
+    // Failed calls give their reservation back
+    await assert.rejects(client.likeTweet('missing'), /Tweet missing does not exist/);
+    await assert.rejects(client.replyToTweet('missing', 'Hello?', '2001'), /Tweet missing does not exist/);
+    await assert.rejects(client.followUser('1000'), /Cannot follow this user/);
+    quota = await client.getRemainingQuota();
+    assert.deepStrictEqual([quota.like.used, quota.reply.used, quota.follow.used], [1, 2, 1]);
+    console.log('✅ Failed calls refund their quota');
+
+    // The published daily limits are enforced across clients sharing the ledger
+    const other = setUp(new TwitterDMClient());
+    for (let i = 0; i < 3; i++) {
+      await other.replyToTweet('t2', `Reply ${i}`, '2002');
+    }
+    await assert.rejects(client.replyToTweet('t2', 'One too many', '2002'), /Daily reply limit reached/);
+    const exhausted = await collect(eventLog, { types: ['quota_exhausted'] });
+    assert.deepStrictEqual(exhausted.map(event => [event.action, event.limit]), [['reply', 5]]);
+    console.log('✅ Daily reply limit is enforced');
+
+    // The dispatcher re-reads quota before each step instead of trusting a snapshot
+    const dispatcher = new DMDispatcherAgent();
+    await dispatcher.loadTemplates();
+    setUp(dispatcher.twitterClient);
+    dispatcher.twitterStrategy.eventLog = eventLog;
+    dispatcher.leadStore = new LeadStore(path.join(tempDir, 'leads.jsonl'));
+    dispatcher.twitterClient.freeTierLimits.like = { daily: 2 };
+    dispatcher.twitterStrategy.getOutreachSequence = () => [
+      { action: 'follow', reason: 'test' },
+      { action: 'like', reason: 'test' }
+    ];
+
+    // Another process uses the last like while we follow
+    const followUser = dispatcher.twitterClient.followUser.bind(dispatcher.twitterClient);
+    dispatcher.twitterClient.followUser = async userId => {
+      const response = await followUser(userId);
+      await new QuotaLedger(ledgerPath).consume('twitter', 'like', { daily: 2 });
+      return response;
+    };
+
+    const { lead } = await dispatcher.leadStore.upsertLead({
+      platform: 'twitter',
+      id: '2002',
+      name: 'Al',
+      username: 'agency_al',
+      profileUrl: 'https://twitter.com/agency_al',
+      keywords: ['AI automation'],
+      followerCount: 2000,
+      lastActivity: new Date().toISOString(),
+      recentTweets: [{ id: 't2', content: 'Our SaaS growth playbook', engagement: { likes: 30, comments: 2 } }]
+    });
+
+    const result = await dispatcher.sendTwitterOutreach(lead, { id: 'campaign_quota', template: 'cold-outreach' });
+    assert.ok(standIn.following.has('2002'));
+    assert.ok(!standIn.likes.has('t2'));
+    assert.deepStrictEqual(result.skippedSteps, ['like']);
+    const after = await dispatcher.twitterClient.getRemainingQuota();
+    assert.strictEqual(after.like.used, 2);
+
+    // The strategy log records the quota left after the steps
+    const [decision] = await collect(eventLog, { types: ['strategy_decided'] });
+    assert.deepStrictEqual([decision.quota.follow.used, decision.quota.like.used], [after.follow.used, 2]);
+    console.log('✅ The dispatcher skips steps whose quota ran out mid-sequence and logs the quota left');
+
+    console.log('\n✅ Twitter Engagement Quota Test Complete!');
+
+  } finally {
+    await standIn.stop();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+if (require.main === module) {
+  testTwitterEngagement().catch(error => {
+    console.error('❌ Twitter engagement test failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testTwitterEngagement };
@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+
+/**
+ * Twitter Prospect Search Test
+ * Runs the Lead Hunter's Twitter search against a local HTTP stand-in for the v2 API
+ */
+
+const assert = require('assert');
+const fs = require('fs').promises;
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const QuotaLedger = require('./utils/quota-ledger');
+
+const users = {
+  u1: { id: 'u1', username: 'automation_ana', name: 'Ana Ortiz', description: 'Founder building automation for agencies', location: 'Remote', created_at: '2015-03-01T00:00:00.000Z', public_metrics: { followers_count: 2400, following_count: 300, tweet_count: 5100 } },
+  u2: { id: 'u2', username: 'saas_sam', name: 'Sam Lee', description: 'SaaS growth and AI tooling', location: 'Austin, TX', created_at: '2018-06-01T00:00:00.000Z', public_metrics: { followers_count: 800, following_count: 500, tweet_count: 900 } },
+  u3: { id: 'u3', username: 'dev_dana', name: 'Dana Kim', description: 'Freelance developer', location: 'Berlin', created_at: '2019-01-01T00:00:00.000Z', public_metrics: { followers_count: 300, following_count: 200, tweet_count: 400 } },
+  f1: { id: 'f1', username: 'freelance_fio', name: 'Fio Rossi', description: 'Freelance designer', public_metrics: { followers_count: 150 } },
+  f2: { id: 'f2', username: 'agency_al', name: 'Al Green', description: 'Agency owner', public_metrics: { followers_count: 950 } }
+};
+
+function tweet(id, authorId, text, likes) {
+  return { id, author_id: authorId, text, created_at: new Date().toISOString(), public_metrics: { like_count: likes, retweet_count: 1, reply_count: 0 } };
+}
+
+// Minimal stand-in for the endpoints the hunter uses
+function createStandIn(requests) {
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({ path: url.pathname, query: Object.fromEntries(url.searchParams), auth: req.headers.authorization });
+
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (url.pathname === '/2/tweets/search/recent') {
+      if (!url.searchParams.get('query').includes('automation')) {
+        return send(200, { meta: { result_count: 0 } });
+      }
+      if (url.searchParams.get('next_token') === 'page2') {
+        return send(200, {
+          data: [tweet('t3', 'u3', 'Shipping client automation this week', 4)],
+          includes: { users: [users.u3] },
+          meta: { result_count: 1 }
+        });
+      }
+      return send(200, {
+        data: [tweet('t1', 'u1', 'Our automation stack saves 10 hours a week', 40), tweet('t2', 'u2', 'AI automation for SaaS onboarding', 12)],
+        includes: { users: [users.u1, users.u2] },
+        meta: { result_count: 2, next_token: 'page2' }
+      });
+    }
+
+    if (url.pathname === '/2/users/by/username/upwork') {
+      return send(200, { data: { id: '900', username: 'upwork', name: 'Upwork', public_metrics: { followers_count: 500000 } } });
+    }
+
+    if (url.pathname === '/2/users/900/followers') {
+      return url.searchParams.get('pagination_token') === 'followers2' ?
+        send(200, { data: [users.f2], meta: { result_count: 1 } }) :
+        send(200, { data: [users.f1], meta: { result_count: 1, next_token: 'followers2' } });
+    }
+
+    send(404, { title: 'Not Found', detail: `No stand-in for ${url.pathname}` });
+  });
+}
+
+async function testTwitterSearch() {
+  console.log('🧪 Testing Twitter Prospect Search\n');
+
+  const requests = [];
+  const server = createStandIn(requests);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'twitter-search-'));
+  process.env.TWITTER_API_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  process.env.TWITTER_BEARER_TOKEN = 'stand-in-token';
+
+  try {
+    const LeadHunterAgent = require('./agents/lead-hunter-agent');
+    const agent = new LeadHunterAgent();
+    agent.twitterClient.quotaLedger = new QuotaLedger(path.join(tempDir, 'quota-ledger.json'));
+
+    const criteria = {
+      platforms: ['twitter'],
+      keywords: ['automation'],
+      targetAudience: ['developers'],
+      competitorAccounts: ['upwork'],
+      twitterSearch: { maxResults: 10, maxPages: 2 }
+    };
+
+    const prospects = await agent.searchTwitterProspects(criteria);
+    const leads = await agent.deduplicateAndScore(prospects);
+
+    // Queries: the keyword plus the strategy's advanced queries
+    const queries = requests.filter(r => r.path === '/2/tweets/search/recent').map(r => r.query.query);
+    assert.ok(queries.includes('automation -is:retweet'));
+    assert.ok(queries.includes('has:links (from:github OR from:stackoverflow)'));
+    assert.ok(requests.every(r => r.auth === 'Bearer stand-in-token'));
+    console.log('✅ Keyword and advanced queries use recent search');
+
+    // Pagination and user field expansion
+    assert.ok(requests.some(r => r.query.next_token === 'page2'));
+    assert.ok(requests.some(r => r.query.pagination_token === 'followers2'));
+    const searchRequest = requests.find(r => r.path === '/2/tweets/search/recent');
+    assert.strictEqual(searchRequest.query.expansions, 'author_id');
+    assert.ok(searchRequest.query['user.fields'].includes('public_metrics'));
+    assert.ok(searchRequest.query['user.fields'].includes('created_at'));
+    console.log('✅ Results are paginated with user fields expanded');
+
+    // Mapping into the dispatcher's lead shape
+    assert.deepStrictEqual(leads.map(lead => lead.id).sort(), ['f1', 'f2', 'u1', 'u2', 'u3']);
+    const ana = leads.find(lead => lead.id === 'u1');
+    assert.strictEqual(ana.platform, 'twitter');
+    assert.strictEqual(ana.username, 'automation_ana');
+    assert.strictEqual(ana.followerCount, 2400);
+    assert.strictEqual(ana.recentTweets.length, 1);
+    assert.strictEqual(ana.recentTweets[0].id, 't1');
+    assert.strictEqual(ana.recentTweets[0].engagement.likes, 40);
+    assert.ok(ana.lastActivity);
+    assert.ok(ana.keywords.includes('automation'));
+
+    const fio = leads.find(lead => lead.id === 'f1');
+    assert.strictEqual(fio.source, 'follower_search');
+    assert.strictEqual(fio.targetAccount, 'upwork');
+    console.log('✅ Tweets and followers map to leads');
+
+    // Every page counted against the shared quota
+    const quota = await agent.twitterClient.getRemainingQuota();
+    assert.strictEqual(quota.tweetSearch.used, queries.length);
+    assert.strictEqual(quota.followersLookup.used, 2);
+    console.log('✅ Search pages are recorded in the quota ledger');
+
+    console.log('\n✅ Twitter Prospect Search Test Complete!');
+
+  } finally {
+    server.close();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+if (require.main === module) {
+  testTwitterSearch().catch(error => {
+    console.error('❌ Twitter search test failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testTwitterSearch };
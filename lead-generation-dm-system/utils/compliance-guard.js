@@ -0,0 +1,107 @@
+/**
+ * Template Compliance Guard
+ * Enforces a template's declared "compliance" rules before anything is sent:
+ *   maxMessageLength           - per platform character limit (skip or truncate by policy)
+ *   cooldownPeriod             - minimum gap between messages to the same person ("24h", "30m", "2d")
+ *   maxMessagesPerConversation - cap on messages we send to one person
+ */
+class ComplianceGuard {
+  constructor() {
+    this.policies = ['skip', 'truncate'];
+    this.durationUnits = {
+      s: 1000,
+      m: 60 * 1000,
+      h: 60 * 60 * 1000,
+      d: 24 * 60 * 60 * 1000
+    };
+  }
+
+  /**
+   * Check a message against the rules for its platform
+   * `history` lists the times of messages already sent to this person
+   * Returns { allowed, message, violations } where message may be truncated
+   */
+  check({ platform, message, compliance = {}, history = [], policy = 'skip', now = new Date() }) {
+    if (!this.policies.includes(policy)) {
+      throw new Error(`Unknown compliance policy '${policy}' (expected ${this.policies.join(', ')})`);
+    }
+
+    const violations = [];
+    let output = message;
+
+    const maxMessages = compliance.maxMessagesPerConversation?.[platform];
+    if (maxMessages !== undefined && history.length >= maxMessages) {
+      violations.push({
+        rule: 'maxMessagesPerConversation',
+        limit: maxMessages,
+        actual: history.length,
+        action: 'skipped'
+      });
+    }
+
+    const cooldown = compliance.cooldownPeriod?.[platform];
+    if (cooldown !== undefined && history.length > 0) {
+      const lastSentAt = Math.max(...history.map(at => new Date(at).getTime()));
+      const nextAllowedAt = lastSentAt + this.parseDuration(cooldown);
+
+      if (now.getTime() < nextAllowedAt) {
+        violations.push({
+          rule: 'cooldownPeriod',
+          limit: cooldown,
+          lastSentAt: new Date(lastSentAt).toISOString(),
+          nextAllowedAt: new Date(nextAllowedAt).toISOString(),
+          action: 'skipped'
+        });
+      }
+    }
+
+    const maxLength = compliance.maxMessageLength?.[platform];
+    if (maxLength !== undefined && message.length > maxLength) {
+      violations.push({
+        rule: 'maxMessageLength',
+        limit: maxLength,
+        actual: message.length,
+        action: policy === 'truncate' ? 'truncated' : 'skipped'
+      });
+
+      if (policy === 'truncate') {
+        output = this.truncate(message, maxLength);
+      }
+    }
+
+    return {
+      allowed: !violations.some(violation => violation.action === 'skipped'),
+      message: output,
+      violations
+    };
+  }
+
+  /**
+   * Shorten a message to the limit, cutting at a word boundary where possible
+   */
+  truncate(message, maxLength) {
+    if (message.length <= maxLength) return message;
+
+    const cut = message.substring(0, maxLength - 1);
+    const lastSpace = cut.search(/\s\S*$/);
+    const trimmed = lastSpace > maxLength / 2 ? cut.substring(0, lastSpace) : cut;
+
+    return `${trimmed.trimEnd()}…`;
+  }
+
+  /**
+   * Convert a duration such as "24h" to milliseconds
+   */
+  parseDuration(duration) {
+    if (typeof duration === 'number') return duration;
+
+    const match = String(duration).trim().match(/^(\d+(?:\.\d+)?)\s*([smhd])$/);
+    if (!match) {
+      throw new Error(`Invalid duration '${duration}' (expected e.g. 30m, 24h, 2d)`);
+    }
+
+    return parseFloat(match[1]) * this.durationUnits[match[2]];
+  }
+}
+
+module.exports = ComplianceGuard;
@@ -0,0 +1,228 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * LinkedIn Connection Graph Cache
+ * Our first-degree connections and, where fetched, each connection's own connections,
+ * kept on disk so per-lead connection and mutual-connection checks never call the API
+ *
+ * People are matched by LinkedIn ID, person URN or vanity name (the /in/<name> profile slug)
+ */
+class ConnectionGraph {
+  constructor(graphPath = null) {
+    this.graphPath = graphPath || path.join(__dirname, '../data/linkedin-connections.json');
+    this.connections = new Map(); // id -> { id, vanityName, name, profileUrl, firstSeenAt, connections, connectionsFetchedAt }
+    this.refreshedAt = null;      // last complete refresh, incremental or full
+    this.fullRefreshAt = null;    // last complete full refresh
+    this.loadedMtime = null;
+    this.index = null;            // person key -> our connection ID
+    this.mutualIndex = null;      // person key -> IDs of our connections connected to them
+  }
+
+  /**
+   * Load the graph, re-reading it when another process has changed the file
+   */
+  async load() {
+    try {
+      const stats = await fs.stat(this.graphPath);
+      if (this.loadedMtime === stats.mtimeMs) return;
+
+      const data = await fs.readFile(this.graphPath, 'utf8');
+      const graph = JSON.parse(data);
+
+      this.connections = new Map((graph.connections || []).map(person => [person.id, person]));
+      this.refreshedAt = graph.refreshedAt || null;
+      this.fullRefreshAt = graph.fullRefreshAt || null;
+      this.loadedMtime = stats.mtimeMs;
+
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to load connection graph: ${error.message}`);
+      }
+      this.connections = new Map();
+      this.refreshedAt = null;
+      this.fullRefreshAt = null;
+      this.loadedMtime = null;
+    }
+
+    this.index = null;
+    this.mutualIndex = null;
+  }
+
+  /**
+   * Write the graph atomically
+   */
+  async save() {
+    const tempPath = `${this.graphPath}.${process.pid}.tmp`;
+    const graph = {
+      updatedAt: new Date().toISOString(),
+      refreshedAt: this.refreshedAt,
+      fullRefreshAt: this.fullRefreshAt,
+      connections: Array.from(this.connections.values())
+    };
+
+    await fs.mkdir(path.dirname(this.graphPath), { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(graph));
+    await fs.rename(tempPath, this.graphPath);
+
+    this.loadedMtime = (await fs.stat(this.graphPath)).mtimeMs;
+  }
+
+  /**
+   * Whether the graph has ever been fetched
+   */
+  hasData() {
+    return this.refreshedAt !== null;
+  }
+
+  /**
+   * Whether any connection's own connections have been fetched, so mutual connections can be listed
+   */
+  hasMutualData() {
+    return Array.from(this.connections.values()).some(person => person.connectionsFetchedAt);
+  }
+
+  /**
+   * Whether the last complete refresh is older than maxAge
+   */
+  isStale(maxAge, now = Date.now()) {
+    return !this.refreshedAt || now - new Date(this.refreshedAt).getTime() > maxAge;
+  }
+
+  /**
+   * Whether the last complete full refresh is older than maxAge
+   */
+  needsFullRefresh(maxAge, now = Date.now()) {
+    return !this.fullRefreshAt || now - new Date(this.fullRefreshAt).getTime() > maxAge;
+  }
+
+  /**
+   * Keys a person can be looked up by
+   */
+  getKeys(person) {
+    return [person.id, person.vanityName].filter(Boolean).map(key => this.normalizeKey(key));
+  }
+
+  /**
+   * Strip the URN prefix from a person ID and lowercase it, as vanity names match in any case
+   */
+  normalizeKey(personId) {
+    return String(personId).replace(/^urn:li:person:/, '').toLowerCase();
+  }
+
+  /**
+   * Whether a person is one of our connections
+   */
+  has(personId) {
+    return this.getIndex().has(this.normalizeKey(personId));
+  }
+
+  /**
+   * Every key our connections can be looked up by (IDs and vanity names)
+   */
+  getConnectionIds() {
+    return new Set(this.getIndex().keys());
+  }
+
+  /**
+   * Add newly seen connections and update known ones
+   * Returns how many were new
+   */
+  mergeConnections(people, at = new Date().toISOString()) {
+    let added = 0;
+
+    for (const person of people) {
+      const existing = this.connections.get(person.id);
+      if (!existing) added++;
+      this.connections.set(person.id, { firstSeenAt: at, ...existing, ...person });
+    }
+
+    this.index = null;
+    this.mutualIndex = null;
+    return added;
+  }
+
+  /**
+   * Replace the connection list after a full refresh, keeping what we know about those still connected
+   * Returns how many connections were removed
+   */
+  replaceConnections(people, at = new Date().toISOString()) {
+    const current = new Set(people.map(person => person.id));
+    const removed = Array.from(this.connections.keys()).filter(id => !current.has(id));
+
+    for (const id of removed) this.connections.delete(id);
+    this.mergeConnections(people, at);
+
+    return removed.length;
+  }
+
+  /**
+   * Record the connections of one of our connections
+   */
+  setConnectionsOf(connectionId, people, at = new Date().toISOString()) {
+    const connection = this.connections.get(connectionId);
+    if (!connection) return;
+
+    connection.connections = people.map(person => ({ id: person.id, vanityName: person.vanityName || null }));
+    connection.connectionsFetchedAt = at;
+    this.mutualIndex = null;
+  }
+
+  /**
+   * Our connections whose own connections were never fetched or are older than maxAge, oldest first
+   */
+  getEdgeRefreshQueue(limit, maxAge, now = Date.now()) {
+    return Array.from(this.connections.values())
+      .filter(person => !person.connectionsFetchedAt || now - new Date(person.connectionsFetchedAt).getTime() > maxAge)
+      .sort((a, b) => new Date(a.connectionsFetchedAt || 0) - new Date(b.connectionsFetchedAt || 0))
+      .slice(0, limit)
+      .map(person => person.id);
+  }
+
+  /**
+   * Our connections who are connected to a person
+   * Returns null until at least one connection's own connections have been fetched
+   */
+  getMutualConnections(personId) {
+    if (!this.hasMutualData()) return null;
+
+    const ids = this.getMutualIndex().get(this.normalizeKey(personId)) || new Set();
+    return Array.from(ids).map(id => {
+      const { name, vanityName, profileUrl } = this.connections.get(id);
+      return { id, name, vanityName, profileUrl };
+    });
+  }
+
+  /**
+   * Lookup of our connections by every key
+   */
+  getIndex() {
+    if (!this.index) {
+      this.index = new Map();
+      for (const person of this.connections.values()) {
+        for (const key of this.getKeys(person)) this.index.set(key, person.id);
+      }
+    }
+    return this.index;
+  }
+
+  /**
+   * Reverse lookup from a second-degree person to the connections we share with them
+   */
+  getMutualIndex() {
+    if (!this.mutualIndex) {
+      this.mutualIndex = new Map();
+      for (const connection of this.connections.values()) {
+        for (const person of connection.connections || []) {
+          for (const key of this.getKeys(person)) {
+            if (!this.mutualIndex.has(key)) this.mutualIndex.set(key, new Set());
+            this.mutualIndex.get(key).add(connection.id);
+          }
+        }
+      }
+    }
+    return this.mutualIndex;
+  }
+}
+
+module.exports = ConnectionGraph;
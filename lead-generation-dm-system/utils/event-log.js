@@ -0,0 +1,409 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const readline = require('readline');
+const crypto = require('crypto');
+
+/**
+ * Shared Event Log
+ * Append-only JSONL log of everything the system does to or hears from a lead.
+ * Every event is one line written with a single append, so concurrent writers never
+ * rewrite each other's history and a partial write damages at most one line.
+ *
+ * Events are { id, type, at, v, ...fields }; `schema` lists the fields each type requires.
+ * The active file (logs/events/events.jsonl) rotates to events-<timestamp>.jsonl once it
+ * passes maxBytes; stream() reads rotated files oldest first, then the active one. Rotated
+ * files are kept unless maxRotatedFiles is set.
+ */
+class EventLog {
+  constructor(options = {}) {
+    this.logDir = options.logDir || path.join(__dirname, '../logs/events');
+    this.logPath = path.join(this.logDir, 'events.jsonl');
+    this.legacyDir = options.legacyDir || path.join(__dirname, '../logs');
+    this.maxBytes = options.maxBytes || 10 * 1024 * 1024; // rotate at 10MB
+    this.maxRotatedFiles = options.maxRotatedFiles || null; // when set, oldest rotated files are deleted beyond this
+    this.version = 1;
+    this.tailChecked = false;
+
+    // Required fields per event type
+    this.schema = {
+      lead_discovered: ['platform', 'leadId'],
+      strategy_decided: ['platform', 'recipientId', 'qualification'],
+      followed: ['platform', 'recipientId'],
+      unfollowed: ['platform', 'recipientId'],
+      followed_back: ['platform', 'recipientId'],
+      liked: ['platform', 'tweetId'],
+      tweet_replied: ['platform', 'tweetId'],
+      connection_requested: ['platform', 'recipientId'],
+      invitation_accepted: ['platform', 'recipientId'],
+      invitation_withdrawn: ['platform', 'recipientId'],
+      dm_sent: ['platform', 'recipientId'],
+      dm_failed: ['platform', 'recipientId', 'error'],
+      follow_up_sent: ['platform', 'recipientId'],
+      reply_received: ['platform', 'recipientId'],
+      opted_out: ['platform', 'recipientId'],
+      quota_exhausted: ['platform', 'action']
+    };
+
+    // Pre-event-log JSON array files and how their entries map to events
+    this.legacyFiles = {
+      'twitter-outreach.json': entry => this.fromLegacyOutreach('twitter', entry),
+      'linkedin-outreach.json': entry => this.fromLegacyOutreach('linkedin', entry),
+      'outreach-strategy.json': entry => this.fromLegacyStrategy(entry)
+    };
+  }
+
+  /**
+   * Build and validate an event
+   * `data.at` may carry the original time of an imported event
+   */
+  createEvent(type, data = {}) {
+    const required = this.schema[type];
+    if (!required) {
+      throw new Error(`Unknown event type '${type}' (expected ${Object.keys(this.schema).join(', ')})`);
+    }
+
+    const missing = required.filter(field => data[field] === undefined || data[field] === null);
+    if (missing.length > 0) {
+      throw new Error(`Event '${type}' is missing ${missing.join(', ')}`);
+    }
+
+    const { at, ...fields } = data;
+    return {
+      id: `evt_${crypto.randomBytes(8).toString('hex')}`,
+      type,
+      at: at ? new Date(at).toISOString() : new Date().toISOString(),
+      v: this.version,
+      ...fields
+    };
+  }
+
+  /**
+   * Append one event and return it
+   */
+  async append(type, data = {}) {
+    const event = this.createEvent(type, data);
+    await this.write([event]);
+    return event;
+  }
+
+  /**
+   * Append events as JSON lines in a single write, rotating first if the file is full
+   */
+  async write(events) {
+    let lines = events.map(event => JSON.stringify(event) + '\n').join('');
+
+    await fsp.mkdir(this.logDir, { recursive: true });
+    await this.rotateIfNeeded(Buffer.byteLength(lines));
+
+    // A process that crashed mid-write leaves a line without its newline; start on a fresh line
+    if (!this.tailChecked) {
+      if (await this.hasPartialLastLine()) lines = '\n' + lines;
+      this.tailChecked = true;
+    }
+
+    await fsp.appendFile(this.logPath, lines);
+  }
+
+  /**
+   * Whether the active file ends without a newline
+   */
+  async hasPartialLastLine() {
+    let handle;
+    try {
+      handle = await fsp.open(this.logPath, 'r');
+      const { size } = await handle.stat();
+      if (size === 0) return false;
+
+      const buffer = Buffer.alloc(1);
+      await handle.read(buffer, 0, 1, size - 1);
+      return buffer.toString() !== '\n';
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    } finally {
+      if (handle) await handle.close();
+    }
+  }
+
+  /**
+   * Move the active file aside once the next write would take it past maxBytes
+   */
+  async rotateIfNeeded(incomingBytes = 0) {
+    let size;
+    try {
+      ({ size } = await fsp.stat(this.logPath));
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+
+    if (size === 0 || size + incomingBytes <= this.maxBytes) return false;
+
+    // The sequence keeps rotations within one millisecond in order; the random part keeps
+    // two processes rotating at once from overwriting each other's file
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const sameStamp = (await this.listRotatedFiles()).filter(filePath => path.basename(filePath).startsWith(`events-${stamp}-`));
+    const sequence = String(sameStamp.length).padStart(3, '0');
+    const rotatedPath = path.join(this.logDir, `events-${stamp}-${sequence}-${crypto.randomBytes(2).toString('hex')}.jsonl`);
+
+    try {
+      await fsp.rename(this.logPath, rotatedPath);
+    } catch (error) {
+      // Another process rotated it first
+      if (error.code !== 'ENOENT') throw error;
+      return false;
+    }
+
+    if (this.maxRotatedFiles) await this.pruneRotated();
+    return true;
+  }
+
+  /**
+   * Delete the oldest rotated files beyond maxRotatedFiles
+   */
+  async pruneRotated() {
+    const rotated = await this.listRotatedFiles();
+    for (const filePath of rotated.slice(0, Math.max(rotated.length - this.maxRotatedFiles, 0))) {
+      await fsp.rm(filePath, { force: true });
+    }
+  }
+
+  /**
+   * Rotated files, oldest first (timestamped names sort chronologically)
+   */
+  async listRotatedFiles() {
+    let names = [];
+    try {
+      names = await fsp.readdir(this.logDir);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    return names
+      .filter(name => /^events-.+\.jsonl$/.test(name))
+      .sort()
+      .map(name => path.join(this.logDir, name));
+  }
+
+  /**
+   * Every log file, oldest first
+   */
+  async listFiles() {
+    const files = await this.listRotatedFiles();
+    try {
+      await fsp.access(this.logPath);
+      files.push(this.logPath);
+    } catch (error) {
+      // No active file yet
+    }
+    return files;
+  }
+
+  /**
+   * Stream events line by line without loading the log into memory
+   * filter: { types, platform, since, until } - since/until are dates or timestamps
+   * Lines that are not valid JSON (e.g. a write cut short by a crash) are skipped
+   */
+  async *stream(filter = {}) {
+    const types = filter.types ? new Set(filter.types) : null;
+    const since = filter.since ? new Date(filter.since).getTime() : null;
+    const until = filter.until ? new Date(filter.until).getTime() : null;
+
+    for (const filePath of await this.listFiles()) {
+      const input = fs.createReadStream(filePath, { encoding: 'utf8' });
+      const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+      try {
+        for await (const line of lines) {
+          if (!line.trim()) continue;
+
+          let event;
+          try {
+            event = JSON.parse(line);
+          } catch (error) {
+            continue;
+          }
+
+          if (types && !types.has(event.type)) continue;
+          if (filter.platform && event.platform !== filter.platform) continue;
+
+          const at = new Date(event.at).getTime();
+          if (since !== null && !(at >= since)) continue;
+          if (until !== null && !(at < until)) continue;
+
+          yield event;
+        }
+      } catch (error) {
+        // A file rotated away or pruned while we were reading it
+        if (error.code !== 'ENOENT') throw error;
+      } finally {
+        lines.close();
+        input.destroy();
+      }
+    }
+  }
+
+  /**
+   * Event counts by type
+   */
+  async countByType(filter = {}) {
+    const counts = {};
+    for await (const event of this.stream(filter)) {
+      counts[event.type] = (counts[event.type] || 0) + 1;
+    }
+    return counts;
+  }
+
+  /**
+   * One-time import of the old logs/*.json arrays
+   * Each imported file is renamed to <name>.migrated so running this again is a no-op
+   * Returns { files: { name: { entries, events, skipped } }, events }
+   */
+  async migrateLegacyLogs() {
+    const summary = { files: {}, events: 0 };
+
+    for (const [name, convert] of Object.entries(this.legacyFiles)) {
+      const filePath = path.join(this.legacyDir, name);
+
+      let entries;
+      try {
+        entries = JSON.parse(await fsp.readFile(filePath, 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw new Error(`Failed to read ${name}: ${error.message}`);
+      }
+      if (!Array.isArray(entries)) {
+        throw new Error(`Failed to read ${name}: expected a JSON array`);
+      }
+
+      const events = [];
+      for (const entry of entries) {
+        const converted = convert(entry || {});
+        if (!converted) continue;
+        try {
+          events.push(this.createEvent(converted.type, { ...converted.data, migratedFrom: name }));
+        } catch (error) {
+          // Entries too incomplete for the schema are left behind in the .migrated file
+        }
+      }
+
+      if (events.length > 0) await this.write(events);
+      await fsp.rename(filePath, `${filePath}.migrated`);
+
+      summary.files[name] = { entries: entries.length, events: events.length, skipped: entries.length - events.length };
+      summary.events += events.length;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Map an old {twitter,linkedin}-outreach.json entry to { type, data }
+   */
+  fromLegacyOutreach(platform, entry) {
+    const recipientId = entry.recipientUserId || entry.recipientPersonId || entry.recipient;
+    const common = { platform, recipientId, at: entry.timestamp };
+
+    if (entry.action === 'connection_request' || entry.type === 'connection_request') {
+      return { type: 'connection_requested', data: { ...common, message: entry.message, status: entry.status } };
+    }
+
+    if (entry.type === 'follow_up') {
+      return {
+        type: 'follow_up_sent',
+        data: { ...common, messageText: entry.messageText, messageId: entry.messageId || entry.messageUrn, threadUrn: entry.threadUrn }
+      };
+    }
+
+    if (entry.type === 'direct_message') {
+      const data = {
+        ...common,
+        messageText: entry.messageText,
+        messageId: entry.messageId,
+        mediaId: entry.mediaId,
+        subject: entry.subject,
+        status: entry.status,
+        qualification: entry.qualification
+      };
+      return entry.success === false
+        ? { type: 'dm_failed', data: { ...data, error: entry.error || 'unknown error' } }
+        : { type: 'dm_sent', data };
+    }
+
+    return null;
+  }
+
+  /**
+   * Map an old outreach-strategy.json entry to { type, data }
+   */
+  fromLegacyStrategy(entry) {
+    const lead = entry.lead || {};
+    return {
+      type: 'strategy_decided',
+      data: {
+        platform: lead.platform || 'twitter',
+        recipientId: lead.id || lead.username || lead.profileUrl,
+        leadId: lead.leadId,
+        at: entry.timestamp,
+        lead,
+        snapshot: entry.snapshot,
+        sequence: entry.sequence,
+        quota: entry.quota,
+        strategy: entry.strategy,
+        qualification: entry.qualification
+      }
+    };
+  }
+}
+
+// Command line maintenance
+async function main() {
+  const eventLog = new EventLog();
+  const [command] = process.argv.slice(2);
+
+  try {
+    switch (command) {
+      case 'migrate': {
+        const summary = await eventLog.migrateLegacyLogs();
+        const files = Object.entries(summary.files);
+        if (files.length === 0) {
+          console.log('ℹ️ No legacy logs/*.json files to migrate');
+          break;
+        }
+        for (const [name, result] of files) {
+          console.log(`📥 ${name}: ${result.events} events${result.skipped ? `, ${result.skipped} unreadable entries skipped` : ''} (original kept as ${name}.migrated)`);
+        }
+        console.log(`✅ Migrated ${summary.events} events into ${path.relative(process.cwd(), eventLog.logPath)}`);
+        break;
+      }
+
+      case 'stats': {
+        const counts = await eventLog.countByType();
+        Object.entries(counts).sort(([a], [b]) => a.localeCompare(b)).forEach(([type, count]) => {
+          console.log(`${type}\t${count}`);
+        });
+        console.log(`📋 ${Object.values(counts).reduce((sum, count) => sum + count, 0)} events`);
+        break;
+      }
+
+      default:
+        console.log('Usage: npm run events -- <command>');
+        console.log('  migrate   import the old logs/*.json files (one time)');
+        console.log('  stats     event counts by type');
+        if (command) process.exit(1);
+    }
+
+  } catch (error) {
+    console.error('❌ Event log command failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = EventLog;
+
+if (require.main === module) {
+  main().catch(console.error);
+}
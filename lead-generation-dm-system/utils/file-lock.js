@@ -0,0 +1,117 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Cross-process lock file
+ * The file holds "<pid>:<nonce>". A holder only removes the lock while it still holds its
+ * own nonce, and a waiter breaking a stale lock moves it aside first and checks it moved
+ * the stale one, not a lock another waiter has just taken.
+ */
+class FileLock {
+  constructor(lockPath, options = {}) {
+    this.lockPath = lockPath;
+    this.name = options.name || 'file';
+    this.timeout = options.timeout || 15000;  // give up waiting after this long
+    this.staleAge = options.staleAge || 10000; // a lock older than this was left by a crashed process
+  }
+
+  /**
+   * Run `task` while holding the lock
+   */
+  async withLock(task) {
+    const token = await this.acquire();
+
+    try {
+      return await task();
+    } finally {
+      await this.removeIfHeldBy(token);
+    }
+  }
+
+  /**
+   * Create the lock file, waiting for other processes to release it
+   * Returns the token written into it
+   */
+  async acquire() {
+    const startedAt = Date.now();
+    const token = `${process.pid}:${crypto.randomBytes(8).toString('hex')}`;
+    await fs.mkdir(path.dirname(this.lockPath), { recursive: true });
+
+    while (true) {
+      try {
+        await fs.writeFile(this.lockPath, token, { flag: 'wx' });
+        return token;
+
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+
+        if (await this.breakIfStale()) continue;
+
+        if (Date.now() - startedAt > this.timeout) {
+          throw new Error(`Timed out waiting for ${this.name} lock: ${this.lockPath}`);
+        }
+
+        await new Promise(resolve => setTimeout(resolve, 20 + Math.random() * 30));
+      }
+    }
+  }
+
+  /**
+   * Remove a lock left behind by a crashed process: at once if its pid is gone, otherwise once stale
+   * Returns true when the lock was removed
+   */
+  async breakIfStale() {
+    // Read the holder before the age, so a lock replaced in between is compared against the old holder
+    const holder = await fs.readFile(this.lockPath, 'utf8').catch(() => null);
+    const stats = await fs.stat(this.lockPath).catch(() => null);
+    if (holder === null || !stats) return false;
+
+    if (Date.now() - stats.mtimeMs <= this.staleAge && this.isHolderAlive(holder)) return false;
+
+    return this.removeIfHeldBy(holder);
+  }
+
+  /**
+   * Remove the lock only if it still holds `token`
+   * The lock is renamed to a name of our own first, so nobody can take it over between
+   * the check and the removal; a lock that turns out to be someone else's is put back.
+   */
+  async removeIfHeldBy(token) {
+    const claimedPath = `${this.lockPath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}`;
+
+    try {
+      await fs.rename(this.lockPath, claimedPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+
+    const holder = await fs.readFile(claimedPath, 'utf8').catch(() => null);
+    if (holder !== token) {
+      // link() fails if a new lock was taken meanwhile, which then stays the lock
+      await fs.link(claimedPath, this.lockPath).catch(() => {});
+    }
+
+    await fs.unlink(claimedPath).catch(() => {});
+    return holder === token;
+  }
+
+  /**
+   * Whether the process that wrote the lock is still running
+   * A lock without a pid yet is being created, so it counts as held
+   */
+  isHolderAlive(holder) {
+    const pid = parseInt(holder, 10);
+    if (!pid) return true;
+
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      return error.code === 'EPERM';
+    }
+  }
+}
+
+module.exports = FileLock;
@@ -0,0 +1,98 @@
+const fs = require('fs').promises;
+const SourceAdapter = require('./source-adapter');
+
+/**
+ * File Prospect Source
+ * Imports prospects from a CSV (header row required) or JSON file
+ *
+ * Config: { "type": "file", "path": "data/imports/prospects.csv", "recordsPath"?: "people" }
+ */
+class FileSourceAdapter extends SourceAdapter {
+  constructor(config) {
+    super(config);
+
+    if (!config.path) {
+      throw new Error(`Prospect source '${this.name}' is missing a "path"`);
+    }
+
+    this.filePath = this.resolvePath(config.path);
+    this.format = config.format || (this.filePath.toLowerCase().endsWith('.json') ? 'json' : 'csv');
+  }
+
+  /**
+   * Read and parse the file
+   */
+  async fetchRecords() {
+    const data = await fs.readFile(this.filePath, 'utf8');
+
+    if (this.format === 'json') {
+      const parsed = JSON.parse(data);
+      const records = this.config.recordsPath ? this.getValue(parsed, this.config.recordsPath) : parsed;
+
+      if (!Array.isArray(records)) {
+        throw new Error(`Prospect source '${this.name}': expected an array of records in ${this.config.path}`);
+      }
+      return records;
+    }
+
+    return this.parseCsv(data);
+  }
+
+  /**
+   * Parse CSV text into objects keyed by the header row
+   * Handles quoted fields containing commas, quotes and line breaks
+   */
+  parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    const [header, ...dataRows] = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    if (!header) return [];
+
+    const columns = header.map(column => column.trim());
+    return dataRows.map(cells => {
+      const record = {};
+      columns.forEach((column, index) => {
+        record[column] = (cells[index] || '').trim();
+      });
+      return record;
+    });
+  }
+}
+
+module.exports = FileSourceAdapter;
@@ -0,0 +1,70 @@
+const axios = require('axios');
+const SourceAdapter = require('./source-adapter');
+
+/**
+ * HTTP JSON Prospect Source
+ * Fetches prospects from any JSON endpoint (CRM export, enrichment API, ...)
+ *
+ * Config:
+ * {
+ *   "type": "http",
+ *   "url": "https://api.example.com/people",
+ *   "headers": { "Authorization": "Bearer ${CRM_API_TOKEN}" },
+ *   "params": { "segment": "agencies" },
+ *   "recordsPath": "data.people",
+ *   "pagination": { "cursorPath": "meta.next_cursor", "cursorParam": "cursor", "maxPages": 5 }
+ * }
+ */
+class HttpSourceAdapter extends SourceAdapter {
+  constructor(config) {
+    super(config);
+
+    if (!config.url) {
+      throw new Error(`Prospect source '${this.name}' is missing a "url"`);
+    }
+
+    this.timeout = config.timeout || 30000;
+  }
+
+  /**
+   * Fetch every page of records
+   */
+  async fetchRecords() {
+    const headers = {};
+    for (const [name, value] of Object.entries(this.config.headers || {})) {
+      headers[name] = this.interpolateEnv(value);
+    }
+
+    const pagination = this.config.pagination || null;
+    const maxPages = pagination ? (pagination.maxPages || 10) : 1;
+    const records = [];
+    let params = { ...(this.config.params || {}) };
+
+    for (let page = 0; page < maxPages; page++) {
+      const response = await axios({
+        method: this.config.method || 'GET',
+        url: this.interpolateEnv(this.config.url),
+        headers,
+        params,
+        data: this.config.body,
+        timeout: this.timeout
+      });
+
+      const pageRecords = this.config.recordsPath ?
+        this.getValue(response.data, this.config.recordsPath) : response.data;
+
+      if (!Array.isArray(pageRecords)) {
+        throw new Error(`Prospect source '${this.name}': expected an array at "${this.config.recordsPath || '(response body)'}"`);
+      }
+      records.push(...pageRecords);
+
+      const cursor = pagination ? this.getValue(response.data, pagination.cursorPath) : null;
+      if (!cursor) break;
+      params = { ...params, [pagination.cursorParam]: cursor };
+    }
+
+    return records;
+  }
+}
+
+module.exports = HttpSourceAdapter;
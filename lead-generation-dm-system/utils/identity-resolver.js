@@ -0,0 +1,349 @@
+const crypto = require('crypto');
+
+/**
+ * Cross-Platform Identity Resolver
+ * Links leads from different platforms that belong to the same person.
+ * Each link carries a confidence score built from independent pieces of evidence:
+ *   profileLink     - a bio or profile field links to the other account (e.g. a Twitter bio linking a LinkedIn profile)
+ *   sharedWebsite   - both link the same website (colleagues share company sites, so it needs support)
+ *   matchingHandle  - the Twitter handle equals the LinkedIn vanity name
+ *   similarName     - near-identical names
+ *   nameAndCompany  - similar names and the same company
+ *   nameAndLocation - similar names and the same location
+ * Confidence is 1 - product(1 - weight) over the evidence found
+ */
+class IdentityResolver {
+  constructor(options = {}) {
+    this.minConfidence = options.minConfidence !== undefined ? options.minConfidence : 0.7;
+    this.evidenceWeights = {
+      profileLink: 0.95,
+      sharedWebsite: 0.6,
+      matchingHandle: 0.6,
+      similarName: 0.3,
+      nameAndCompany: 0.75,
+      nameAndLocation: 0.5,
+      ...(options.evidenceWeights || {})
+    };
+    this.nameSimilarityThreshold = 0.85;
+
+    // Hosts shared by many people, so a match says nothing about identity
+    this.sharedHosts = ['twitter.com', 'x.com', 't.co', 'linkedin.com', 'lnkd.in', 'bit.ly', 'facebook.com', 'instagram.com', 'youtube.com', 'google.com'];
+    // Hosts where the first path segment identifies the person (linktr.ee/ana)
+    this.profileHosts = ['linktr.ee', 'github.com', 'medium.com', 'calendly.com', 'behance.net', 'dribbble.com'];
+  }
+
+  /**
+   * Group leads into people
+   * Returns [{ personId, leads, links: [{ from, to, confidence, evidence }] }] for groups of two or more
+   */
+  resolve(leads) {
+    const profiles = leads.map(lead => this.buildProfile(lead));
+    const parent = profiles.map((profile, index) => index);
+    const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+    const links = [];
+
+    for (const [i, j] of this.getCandidatePairs(profiles)) {
+      const match = this.compare(profiles[i], profiles[j]);
+      if (match.confidence < this.minConfidence) continue;
+
+      links.push({ from: i, to: j, ...match });
+      parent[find(i)] = find(j);
+    }
+
+    const groups = new Map();
+    profiles.forEach((profile, index) => {
+      const root = find(index);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(index);
+    });
+
+    return Array.from(groups.values())
+      .filter(members => members.length > 1)
+      .map(members => ({
+        personId: this.generatePersonId(members.map(index => profiles[index].key)),
+        leads: members.map(index => leads[index]),
+        links: links
+          .filter(link => members.includes(link.from))
+          .map(link => ({
+            from: leads[link.from],
+            to: leads[link.to],
+            confidence: link.confidence,
+            evidence: link.evidence
+          }))
+      }));
+  }
+
+  /**
+   * Score the evidence that two leads are the same person
+   */
+  compare(a, b) {
+    const evidence = [];
+
+    const linked = [...a.linkedRefs].find(ref => b.selfRefs.has(ref)) ||
+      [...b.linkedRefs].find(ref => a.selfRefs.has(ref));
+    if (linked) {
+      evidence.push({ type: 'profileLink', detail: linked });
+    }
+
+    const website = [...a.urlKeys].find(key => b.urlKeys.has(key));
+    if (website) {
+      evidence.push({ type: 'sharedWebsite', detail: website });
+    }
+
+    const handle = [...a.handles].find(value => b.handles.has(value));
+    if (handle) {
+      evidence.push({ type: 'matchingHandle', detail: handle });
+    }
+
+    const nameSimilarity = a.name && b.name ? this.similarity(a.name, b.name) : 0;
+    if (nameSimilarity >= this.nameSimilarityThreshold) {
+      evidence.push({ type: 'similarName', detail: `${a.name} ~ ${b.name}` });
+
+      if (this.mentionsCompany(a, b) || this.mentionsCompany(b, a)) {
+        evidence.push({ type: 'nameAndCompany', detail: a.company || b.company });
+      }
+
+      if (a.location && a.location === b.location) {
+        evidence.push({ type: 'nameAndLocation', detail: a.location });
+      }
+    }
+
+    const confidence = 1 - evidence.reduce((remaining, item) =>
+      remaining * (1 - this.evidenceWeights[item.type]), 1);
+
+    return {
+      confidence: Math.round(confidence * 100) / 100,
+      evidence: evidence.map(item => ({ ...item, weight: this.evidenceWeights[item.type] }))
+    };
+  }
+
+  /**
+   * Whether `other` works at (or mentions) `profile`'s company
+   */
+  mentionsCompany(profile, other) {
+    if (!profile.company || profile.company.length < 3) return false;
+    return profile.company === other.company || ` ${other.text} `.includes(` ${profile.company} `);
+  }
+
+  /**
+   * Pairs of leads on different platforms that share at least one blocking key
+   * Avoids comparing every lead with every other lead
+   */
+  getCandidatePairs(profiles) {
+    const blocks = new Map();
+
+    profiles.forEach((profile, index) => {
+      for (const key of profile.blockKeys) {
+        if (!blocks.has(key)) blocks.set(key, []);
+        blocks.get(key).push(index);
+      }
+    });
+
+    const pairs = new Map();
+    for (const members of blocks.values()) {
+      for (let x = 0; x < members.length; x++) {
+        for (let y = x + 1; y < members.length; y++) {
+          const [i, j] = [members[x], members[y]];
+          if (profiles[i].platform === profiles[j].platform) continue;
+          pairs.set(`${i}:${j}`, [i, j]);
+        }
+      }
+    }
+
+    return pairs.values();
+  }
+
+  /**
+   * Normalized identity features of one lead
+   */
+  buildProfile(lead) {
+    const selfRefs = new Set();
+    const handles = new Set();
+
+    if (lead.platform === 'twitter' && lead.username) {
+      selfRefs.add(`twitter:${lead.username.toLowerCase()}`);
+      handles.add(this.normalizeHandle(lead.username));
+    }
+
+    const vanity = this.getLinkedInVanity(lead.profileUrl);
+    if (lead.platform === 'linkedin' && vanity) {
+      selfRefs.add(`linkedin:${vanity}`);
+      handles.add(this.normalizeHandle(vanity));
+    }
+
+    const urls = [
+      ...this.extractUrls(lead.bio),
+      ...this.extractUrls(lead.headline),
+      ...this.extractUrls(lead.summary),
+      ...(lead.bioUrls || []),
+      lead.website,
+      lead.linkedinUrl,
+      lead.twitterUrl
+    ].filter(Boolean);
+
+    const linkedRefs = new Set();
+    const urlKeys = new Set();
+
+    for (const url of urls) {
+      const ref = this.getProfileRef(url);
+      if (ref) {
+        linkedRefs.add(ref);
+        continue;
+      }
+
+      const key = this.getUrlKey(url);
+      if (key) urlKeys.add(key);
+    }
+
+    if (lead.twitterUsername) {
+      linkedRefs.add(`twitter:${lead.twitterUsername.replace(/^@/, '').toLowerCase()}`);
+    }
+
+    const name = this.normalizeText(lead.name);
+    const company = this.normalizeText(lead.company);
+    const location = this.normalizeText((lead.location || '').split(',')[0]);
+    const text = this.normalizeText([lead.bio, lead.headline, lead.title, lead.company].filter(Boolean).join(' '));
+
+    const blockKeys = new Set([
+      ...[...selfRefs, ...linkedRefs].map(ref => `ref:${ref}`),
+      ...[...urlKeys].map(key => `url:${key}`),
+      ...[...handles].map(value => `handle:${value}`),
+      ...name.split(' ').filter(token => token.length >= 3).map(token => `name:${token}`)
+    ]);
+
+    return {
+      key: lead.leadKey || lead.profileUrl || lead.email || `${lead.platform}:${lead.id}`,
+      platform: lead.platform,
+      selfRefs,
+      linkedRefs,
+      urlKeys,
+      handles,
+      name,
+      company,
+      location,
+      text,
+      blockKeys
+    };
+  }
+
+  /**
+   * "twitter:<handle>" or "linkedin:<vanity>" for a social profile URL
+   */
+  getProfileRef(url) {
+    const vanity = this.getLinkedInVanity(url);
+    if (vanity) return `linkedin:${vanity}`;
+
+    const twitter = String(url).match(/(?:twitter\.com|x\.com)\/@?(\w{1,15})(?:[/?#]|$)/i);
+    if (twitter && !['home', 'intent', 'share', 'i'].includes(twitter[1].toLowerCase())) {
+      return `twitter:${twitter[1].toLowerCase()}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * LinkedIn vanity name from a profile URL
+   */
+  getLinkedInVanity(url) {
+    const match = String(url || '').match(/linkedin\.com\/in\/([^/?#\s]+)/i);
+    if (!match) return null;
+
+    try {
+      return decodeURIComponent(match[1]).toLowerCase();
+    } catch (error) {
+      // A malformed escape such as "a%zz" is compared as written
+      return match[1].toLowerCase();
+    }
+  }
+
+  /**
+   * Comparable key for a personal website, or null for hosts shared by everyone
+   */
+  getUrlKey(url) {
+    let parsed;
+    try {
+      parsed = new URL(/^https?:\/\//i.test(url) ? url : `https://${url}`);
+    } catch (error) {
+      return null;
+    }
+
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+    if (this.sharedHosts.some(shared => host === shared || host.endsWith(`.${shared}`))) return null;
+
+    if (this.profileHosts.includes(host)) {
+      const segment = parsed.pathname.split('/').filter(Boolean)[0];
+      return segment ? `${host}/${segment.toLowerCase()}` : null;
+    }
+
+    return host;
+  }
+
+  /**
+   * URLs and bare domains mentioned in free text
+   * Bare domains need a common TLD so "node.js" or "next.js" are not taken for websites
+   */
+  extractUrls(text) {
+    if (!text) return [];
+
+    const links = String(text).match(/https?:\/\/[^\s,)]+/gi) || [];
+    const bareDomains = String(text).replace(/https?:\/\/[^\s,)]+/gi, ' ')
+      .match(/\b(?:[a-z0-9-]+\.)+(?:com|io|co|dev|ai|net|org|app|me|xyz|tech|studio|agency|design)(?:\/[^\s,)]*)?/gi) || [];
+
+    return [...links, ...bareDomains];
+  }
+
+  /**
+   * Handles compare without separators or case: ana.ortiz, ana_ortiz and AnaOrtiz all match
+   */
+  normalizeHandle(handle) {
+    return handle.toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  /**
+   * Lowercase, strip accents and punctuation, collapse whitespace
+   */
+  normalizeText(value) {
+    return String(value || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9 ]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Name similarity between 0 and 1 (normalized Levenshtein distance)
+   */
+  similarity(a, b) {
+    if (a === b) return 1;
+
+    const previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+      let diagonal = previous[0];
+      previous[0] = i;
+
+      for (let j = 1; j <= b.length; j++) {
+        const above = previous[j];
+        previous[j] = Math.min(
+          previous[j] + 1,
+          previous[j - 1] + 1,
+          diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+        diagonal = above;
+      }
+    }
+
+    return 1 - previous[b.length] / Math.max(a.length, b.length);
+  }
+
+  /**
+   * Stable person ID derived from the group's lead keys
+   */
+  generatePersonId(keys) {
+    const anchor = [...keys].sort()[0];
+    return `person_${crypto.createHash('sha1').update(anchor).digest('hex').substring(0, 16)}`;
+  }
+}
+
+module.exports = IdentityResolver;
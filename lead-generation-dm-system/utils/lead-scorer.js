@@ -0,0 +1,362 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const LeadStore = require('./lead-store');
+
+/**
+ * Lead Scorer
+ * Scores leads with the declarative model in config/lead-scoring.json:
+ *   features   - weighted rules (map, keywords, criteria, daysSince, count, range, boolean)
+ *   exclusions - rules built from lead-criteria.json's exclusionCriteria (disqualify or penalty)
+ *   profiles   - per-targetProfiles feature overrides
+ * Every score comes with a breakdown listing the rules that fired
+ */
+class LeadScorer {
+  constructor(options = {}) {
+    this.scoringPath = options.scoringPath || path.join(__dirname, '../config/lead-scoring.json');
+    this.criteriaPath = options.criteriaPath || path.join(__dirname, '../config/lead-criteria.json');
+    this.model = null;
+    this.criteria = null;
+    this.featureTypes = ['map', 'keywords', 'criteria', 'daysSince', 'count', 'range', 'boolean'];
+    this.exclusionActions = ['disqualify', 'penalty'];
+  }
+
+  /**
+   * Load and validate the scoring model and lead criteria
+   */
+  async load() {
+    if (this.model) return;
+
+    try {
+      const [scoringData, criteriaData] = await Promise.all([
+        fs.readFile(this.scoringPath, 'utf8'),
+        fs.readFile(this.criteriaPath, 'utf8')
+      ]);
+
+      this.setModel(JSON.parse(scoringData), JSON.parse(criteriaData));
+
+    } catch (error) {
+      throw new Error(`Failed to load lead scoring model: ${error.message}`);
+    }
+  }
+
+  /**
+   * Use an already parsed model (and lead criteria config)
+   */
+  setModel(model, criteria) {
+    this.validate(model, criteria);
+    this.model = model;
+    this.criteria = criteria;
+  }
+
+  /**
+   * Reject a model with unknown feature types, actions or profiles
+   */
+  validate(model, criteria) {
+    const errors = [];
+    const featureNames = new Set();
+
+    for (const feature of model.features || []) {
+      if (!feature.name) errors.push('a feature is missing "name"');
+      if (!this.featureTypes.includes(feature.type)) {
+        errors.push(`feature '${feature.name}' has unknown type '${feature.type}' (expected ${this.featureTypes.join(', ')})`);
+      }
+      if (feature.type === 'criteria' && !feature.list) {
+        errors.push(`feature '${feature.name}' needs a criteria "list"`);
+      }
+      featureNames.add(feature.name);
+    }
+
+    const exclusionCriteria = criteria.defaultCriteria?.exclusionCriteria || {};
+    for (const [name, rule] of Object.entries(model.exclusions || {})) {
+      if (!exclusionCriteria[name]) {
+        errors.push(`exclusion '${name}' has no list in exclusionCriteria`);
+      }
+      if (!this.exclusionActions.includes(rule.action)) {
+        errors.push(`exclusion '${name}' has unknown action '${rule.action}' (expected ${this.exclusionActions.join(', ')})`);
+      }
+    }
+
+    for (const [profileName, profile] of Object.entries(model.profiles || {})) {
+      if (!criteria.targetProfiles?.[profileName]) {
+        errors.push(`profile '${profileName}' is not defined in targetProfiles`);
+      }
+      for (const featureName of Object.keys(profile.features || {})) {
+        if (!featureNames.has(featureName)) {
+          errors.push(`profile '${profileName}' overrides unknown feature '${featureName}'`);
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid scoring model: ${errors.join('; ')}`);
+    }
+  }
+
+  /**
+   * Score a lead, returning { score, breakdown }
+   * With several matched profiles the best-scoring profile is used
+   */
+  score(lead, options = {}) {
+    if (!this.model) {
+      throw new Error('Scoring model not loaded - call load() first');
+    }
+
+    const profiles = options.profile ? [options.profile] :
+      (lead.matchedProfiles || []).filter(name => this.criteria.targetProfiles?.[name]);
+
+    const candidates = profiles.length > 0 ?
+      profiles.map(profile => this.scoreWithProfile(lead, profile, options.now)) :
+      [this.scoreWithProfile(lead, null, options.now)];
+
+    const best = candidates.reduce((top, candidate) => (candidate.score > top.score ? candidate : top));
+    return { score: best.score, breakdown: best };
+  }
+
+  /**
+   * Score a lead with one profile's overrides (or none)
+   */
+  scoreWithProfile(lead, profile, now = Date.now()) {
+    const rules = [];
+    const excluded = [];
+    const overrides = (profile && this.model.profiles?.[profile]?.features) || {};
+
+    for (const baseFeature of this.model.features) {
+      const feature = { ...baseFeature, ...(overrides[baseFeature.name] || {}) };
+      const result = this.evaluateFeature(feature, lead, profile, now);
+
+      if (result && result.points !== 0) {
+        rules.push({ rule: feature.name, points: result.points, detail: result.detail });
+      }
+    }
+
+    for (const [name, rule] of Object.entries(this.model.exclusions || {})) {
+      const match = this.matchExclusion(name, rule, lead);
+      if (!match) continue;
+
+      if (rule.action === 'disqualify') {
+        excluded.push({ rule: `exclude:${name}`, detail: match });
+      } else {
+        rules.push({ rule: `exclude:${name}`, points: rule.points || 0, detail: match });
+      }
+    }
+
+    const raw = rules.reduce((total, rule) => total + rule.points, 0);
+    const maxScore = this.model.maxScore || 100;
+    const score = excluded.length > 0 ? 0 : Math.max(0, Math.min(raw, maxScore));
+
+    return {
+      score,
+      raw,
+      maxScore,
+      profile,
+      rules,
+      excluded,
+      modelVersion: this.model.version,
+      scoredAt: new Date(now).toISOString()
+    };
+  }
+
+  /**
+   * Evaluate one feature, returning { points, detail } or null when it does not fire
+   */
+  evaluateFeature(feature, lead, profile, now) {
+    switch (feature.type) {
+      case 'map': {
+        const value = lead[feature.field];
+        const points = value !== undefined ? feature.points[value] : undefined;
+        return points !== undefined ? { points, detail: `${feature.field}=${value}` } : null;
+      }
+
+      case 'keywords': {
+        const match = this.findTerm(this.getText(lead, feature.fields), feature.values);
+        return match ? { points: feature.points, detail: `matched "${match}"` } : null;
+      }
+
+      case 'criteria': {
+        const list = this.getCriteriaList(feature.list, profile);
+        const match = this.findTerm(this.getText(lead, feature.fields), list);
+        return match ? { points: feature.points, detail: `${feature.list} matched "${match}"` } : null;
+      }
+
+      case 'daysSince': {
+        if (!lead[feature.field]) return null;
+        const days = (now - new Date(lead[feature.field]).getTime()) / (24 * 60 * 60 * 1000);
+        const bucket = feature.buckets.find(candidate => days < candidate.max);
+        return bucket ? { points: bucket.points, detail: `${Math.floor(days)} days ago` } : null;
+      }
+
+      case 'count': {
+        const value = lead[feature.field];
+        const count = Array.isArray(value) ? value.length : Number(value) || 0;
+        if (count <= 0) return null;
+        const points = Math.min(count * feature.pointsEach, feature.cap !== undefined ? feature.cap : Infinity);
+        return { points, detail: `${count} × ${feature.pointsEach}` };
+      }
+
+      case 'range': {
+        const value = Number(lead[feature.field]);
+        if (!Number.isFinite(value)) return null;
+        const bucket = feature.buckets.find(candidate =>
+          (candidate.min === undefined || value >= candidate.min) &&
+          (candidate.max === undefined || value <= candidate.max));
+        return bucket ? { points: bucket.points, detail: `${feature.field}=${value}` } : null;
+      }
+
+      case 'boolean':
+        return lead[feature.field] ? { points: feature.points, detail: feature.field } : null;
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Match an exclusion list from lead-criteria.json against the lead
+   * `unless` names a criteria list whose matching entries contain the excluded term
+   * (so "Volunteer Coordinator" survives a "Coordinator" exclusion)
+   */
+  matchExclusion(name, rule, lead) {
+    const text = this.getText(lead, rule.fields);
+    const terms = this.criteria.defaultCriteria.exclusionCriteria[name] || [];
+    const match = this.findTerm(text, terms);
+    if (!match) return null;
+
+    if (rule.unless) {
+      const allowed = this.getCriteriaList(rule.unless, null)
+        .filter(entry => entry.toLowerCase().includes(match.toLowerCase()));
+      if (this.findTerm(text, allowed)) return null;
+    }
+
+    return `${name} matched "${match}"`;
+  }
+
+  /**
+   * A criteria list from a target profile, falling back to the default criteria
+   */
+  getCriteriaList(listName, profile) {
+    const profileList = profile ? this.criteria.targetProfiles?.[profile]?.[listName] : null;
+    return profileList || this.criteria.defaultCriteria?.[listName] || [];
+  }
+
+  /**
+   * Lowercased text of the given lead fields
+   */
+  getText(lead, fields) {
+    return (Array.isArray(fields) ? fields : [fields])
+      .map(field => lead[field])
+      .filter(value => typeof value === 'string')
+      .join(' ')
+      .toLowerCase();
+  }
+
+  /**
+   * First term found in the text as a whole word or phrase
+   */
+  findTerm(text, terms) {
+    if (!text) return null;
+
+    return terms.find(term => {
+      const escaped = term.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return new RegExp(`(^|[^a-z0-9])${escaped}($|[^a-z0-9])`).test(text);
+    }) || null;
+  }
+
+  /**
+   * Re-score every stored lead with the current model
+   * Returns the leads whose score changed
+   */
+  async rescoreStore(leadStore, options = {}) {
+    await this.load();
+    await leadStore.initialize();
+
+    const changes = [];
+
+    for (const lead of await leadStore.queryLeads()) {
+      const { score, breakdown } = this.score(lead);
+      if (score === lead.score && JSON.stringify(breakdown.rules) === JSON.stringify(lead.scoreBreakdown?.rules)) {
+        continue;
+      }
+
+      changes.push({ leadId: lead.leadId, name: lead.name, from: lead.score, to: score });
+      if (!options.dryRun) {
+        await leadStore.updateLead(lead.leadId, { score, scoreBreakdown: breakdown });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Human-readable breakdown for the CLI
+   */
+  formatBreakdown(lead, breakdown) {
+    const lines = [`${lead.name || lead.leadId} - score ${breakdown.score}/${breakdown.maxScore}${breakdown.profile ? ` (profile ${breakdown.profile})` : ''}`];
+
+    for (const rule of breakdown.rules) {
+      lines.push(`  ${rule.points >= 0 ? '+' : ''}${rule.points}\t${rule.rule}\t${rule.detail}`);
+    }
+    for (const rule of breakdown.excluded) {
+      lines.push(`  ✖\t${rule.rule}\t${rule.detail}`);
+    }
+    if (breakdown.raw > breakdown.maxScore) {
+      lines.push(`  (capped from ${breakdown.raw})`);
+    }
+
+    return lines.join('\n');
+  }
+}
+
+// Command line scoring tools
+async function main() {
+  const scorer = new LeadScorer();
+  const leadStore = new LeadStore();
+  const [command, ...args] = process.argv.slice(2);
+
+  try {
+    switch (command) {
+      case 'rescore': {
+        const dryRun = args.includes('--dry-run');
+        const changes = await scorer.rescoreStore(leadStore, { dryRun });
+
+        changes.forEach(change => {
+          console.log(`${change.leadId}\t${change.from ?? '-'} → ${change.to}\t${change.name || ''}`);
+        });
+        console.log(`${dryRun ? '🔍 Would update' : '📊 Updated'} ${changes.length} of ${leadStore.leads.size} leads`);
+        break;
+      }
+
+      case 'explain': {
+        await scorer.load();
+        await leadStore.initialize();
+
+        const lead = leadStore.getLead(args[0]);
+        if (!lead) {
+          throw new Error(`Lead not found: ${args[0]}`);
+        }
+
+        const { breakdown } = scorer.score(lead, { profile: args[1] });
+        console.log(scorer.formatBreakdown(lead, breakdown));
+        break;
+      }
+
+      default:
+        console.log('Usage: npm run score -- <command>');
+        console.log('  rescore [--dry-run]        re-score every stored lead with config/lead-scoring.json');
+        console.log('  explain <leadId> [profile] show which scoring rules fired for a lead');
+        if (command) process.exit(1);
+    }
+
+  } catch (error) {
+    console.error('❌ Scoring command failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = LeadScorer;
+
+if (require.main === module) {
+  main().catch(console.error);
+}
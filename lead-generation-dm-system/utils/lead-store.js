@@ -0,0 +1,356 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Persistent Lead Store
+ * Append-only JSONL store shared by the Lead Hunter and DM Dispatcher
+ * Keeps stable lead IDs, upserts by lead key and per-lead status history
+ */
+class LeadStore {
+  constructor(storePath = null) {
+    this.storePath = storePath || path.join(__dirname, '../data/leads.jsonl');
+    this.leads = new Map();       // leadId -> lead
+    this.keyIndex = new Map();    // lead key -> leadId
+    this.statusIndex = new Map(); // status -> Set of leadIds
+    this.isInitialized = false;
+
+    // Funnel order - a lead only moves forward unless forced
+    this.statusFlow = [
+      'discovered',
+      'researched',
+      'engaged',
+      'messaged',
+      'replied',
+      'needs-human', // replied and waiting for a human to take over
+      'converted'
+    ];
+    // Terminal states that can be reached from anywhere
+    this.terminalStatuses = ['converted', 'opted-out'];
+  }
+
+  /**
+   * Load the store from disk and rebuild indexes
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    try {
+      const data = await fs.readFile(this.storePath, 'utf8');
+
+      for (const line of data.split('\n')) {
+        if (!line.trim()) continue;
+
+        try {
+          const record = JSON.parse(line);
+          if (record.leadId) this.indexLead(record);
+        } catch (error) {
+          // Skip a partially written line rather than losing the whole store
+          console.warn('⚠️ Skipping corrupt lead store entry');
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to load lead store: ${error.message}`);
+      }
+    }
+
+    this.isInitialized = true;
+  }
+
+  /**
+   * Generate unique key for lead (email, LinkedIn profile, profile URL, then name + company)
+   */
+  generateLeadKey(lead) {
+    if (lead.email) {
+      return lead.email.toLowerCase();
+    }
+
+    const linkedinKey = this.getLinkedInKey(lead);
+    if (linkedinKey) {
+      return linkedinKey;
+    }
+
+    if (lead.profileUrl) {
+      return lead.profileUrl.toLowerCase();
+    }
+
+    // Fallback to name + company
+    return `${(lead.name || '').toLowerCase()}_${(lead.company || '').toLowerCase()}`;
+  }
+
+  /**
+   * LinkedIn profile key from linkedinUrl or a LinkedIn profileUrl, however the source spelled the URL
+   */
+  getLinkedInKey(lead) {
+    const match = String(lead.linkedinUrl || lead.profileUrl || '').match(/linkedin\.com\/in\/([^/?#\s]+)/i);
+    if (!match) return null;
+
+    let slug = match[1];
+    try {
+      slug = decodeURIComponent(slug);
+    } catch (error) {
+      // A malformed escape such as "a%zz" keys on the slug as written
+    }
+
+    return `https://linkedin.com/in/${slug.toLowerCase()}`;
+  }
+
+  /**
+   * Every key a lead can be matched on: its lead key and, if it has one, its LinkedIn profile
+   */
+  getLeadKeys(lead) {
+    return [...new Set([this.generateLeadKey(lead), this.getLinkedInKey(lead)].filter(Boolean))];
+  }
+
+  /**
+   * Derive a stable lead ID from the lead key
+   */
+  generateLeadId(key) {
+    return `lead_${crypto.createHash('sha1').update(key).digest('hex').substring(0, 16)}`;
+  }
+
+  /**
+   * Insert a new lead or merge into the existing record with the same key
+   * Any of the lead's keys finds the record, so leads stored under an older key keep their ID
+   */
+  async upsertLead(lead, key = null) {
+    if (!this.isInitialized) await this.initialize();
+
+    const leadKey = key || this.generateLeadKey(lead);
+    const now = new Date().toISOString();
+    const existingId = [leadKey, ...this.getLeadKeys(lead)]
+      .map(candidate => this.keyIndex.get(candidate))
+      .find(Boolean);
+    const existing = existingId ? this.leads.get(existingId) : null;
+
+    let record;
+
+    if (existing) {
+      record = {
+        ...existing,
+        ...lead,
+        leadId: existing.leadId,
+        leadKey: existing.leadKey || leadKey,
+        status: existing.status,
+        statusHistory: existing.statusHistory,
+        discoveredAt: existing.discoveredAt,
+        updatedAt: now
+      };
+    } else {
+      record = {
+        ...lead,
+        leadId: this.generateLeadId(leadKey),
+        leadKey,
+        status: 'discovered',
+        statusHistory: [{ status: 'discovered', at: now }],
+        discoveredAt: now,
+        updatedAt: now
+      };
+    }
+
+    await this.persist(record);
+    return { lead: record, created: !existing };
+  }
+
+  /**
+   * Update stored fields on a lead without touching its status
+   */
+  async updateLead(leadId, fields) {
+    if (!this.isInitialized) await this.initialize();
+
+    const existing = this.leads.get(leadId);
+    if (!existing) {
+      throw new Error(`Lead not found: ${leadId}`);
+    }
+
+    const record = {
+      ...existing,
+      ...fields,
+      leadId: existing.leadId,
+      leadKey: existing.leadKey,
+      status: existing.status,
+      statusHistory: existing.statusHistory,
+      updatedAt: new Date().toISOString()
+    };
+
+    await this.persist(record);
+    return record;
+  }
+
+  /**
+   * Move a lead to a new status and record it in the history
+   */
+  async updateStatus(leadId, status, details = {}, options = {}) {
+    if (!this.isInitialized) await this.initialize();
+
+    const existing = this.leads.get(leadId);
+    if (!existing) {
+      throw new Error(`Lead not found: ${leadId}`);
+    }
+
+    if (!this.statusFlow.includes(status) && !this.terminalStatuses.includes(status)) {
+      throw new Error(`Unknown lead status: ${status}`);
+    }
+
+    if (!options.force && !this.canTransition(existing.status, status)) {
+      return existing;
+    }
+
+    const now = new Date().toISOString();
+    const record = {
+      ...existing,
+      status,
+      statusHistory: [...(existing.statusHistory || []), { status, at: now, ...details }],
+      updatedAt: now
+    };
+
+    await this.persist(record);
+    return record;
+  }
+
+  /**
+   * Check whether a status change moves the lead forward in the funnel
+   */
+  canTransition(fromStatus, toStatus) {
+    if (fromStatus === toStatus) return false;
+    if (this.terminalStatuses.includes(fromStatus)) return false;
+    if (this.terminalStatuses.includes(toStatus)) return true;
+
+    return this.statusFlow.indexOf(toStatus) > this.statusFlow.indexOf(fromStatus);
+  }
+
+  /**
+   * Get lead by stable ID
+   */
+  getLead(leadId) {
+    return this.leads.get(leadId) || null;
+  }
+
+  /**
+   * Get lead by its dedupe key
+   */
+  getLeadByKey(key) {
+    const leadId = this.keyIndex.get(key);
+    return leadId ? this.leads.get(leadId) : null;
+  }
+
+  /**
+   * All accounts linked to one person by identity resolution
+   */
+  getLeadsByPerson(personId) {
+    if (!personId) return [];
+    return Array.from(this.leads.values()).filter(lead => lead.personId === personId);
+  }
+
+  /**
+   * Whether we have already reached out to this lead (or they opted out)
+   */
+  hasBeenContacted(lead) {
+    return lead.status === 'opted-out' ||
+      this.statusFlow.indexOf(lead.status) >= this.statusFlow.indexOf('engaged');
+  }
+
+  /**
+   * Query leads by status, platform and score
+   */
+  async queryLeads(filter = {}) {
+    if (!this.isInitialized) await this.initialize();
+
+    let candidates;
+
+    if (filter.status) {
+      const statuses = Array.isArray(filter.status) ? filter.status : [filter.status];
+      candidates = [];
+      for (const status of statuses) {
+        for (const leadId of this.statusIndex.get(status) || []) {
+          candidates.push(this.leads.get(leadId));
+        }
+      }
+    } else {
+      candidates = Array.from(this.leads.values());
+    }
+
+    const platforms = filter.platform ?
+      (Array.isArray(filter.platform) ? filter.platform : [filter.platform]) : null;
+
+    const results = candidates
+      .filter(lead => !platforms || platforms.includes(lead.platform))
+      .filter(lead => filter.minScore === undefined || (lead.score || 0) >= filter.minScore)
+      .sort((a, b) => (b.score || 0) - (a.score || 0));
+
+    return filter.limit ? results.slice(0, filter.limit) : results;
+  }
+
+  /**
+   * Count leads per status
+   */
+  getStatusCounts() {
+    const counts = {};
+    for (const [status, ids] of this.statusIndex.entries()) {
+      if (ids.size > 0) counts[status] = ids.size;
+    }
+    return counts;
+  }
+
+  /**
+   * Import leads from a legacy JSON array file (e.g. data/leads-YYYY-MM-DD.json)
+   */
+  async importFile(filePath) {
+    const data = await fs.readFile(filePath, 'utf8');
+    const leads = JSON.parse(data);
+
+    let created = 0;
+    for (const lead of leads) {
+      const result = await this.upsertLead(lead);
+      if (result.created) created++;
+    }
+
+    return { total: leads.length, created, updated: leads.length - created };
+  }
+
+  /**
+   * Rewrite the store keeping only the latest record per lead
+   */
+  async compact() {
+    if (!this.isInitialized) await this.initialize();
+
+    const tempPath = `${this.storePath}.tmp`;
+    const lines = Array.from(this.leads.values()).map(lead => JSON.stringify(lead));
+
+    await fs.mkdir(path.dirname(this.storePath), { recursive: true });
+    await fs.writeFile(tempPath, lines.length > 0 ? lines.join('\n') + '\n' : '');
+    await fs.rename(tempPath, this.storePath);
+  }
+
+  /**
+   * Append the latest lead record and update indexes
+   */
+  async persist(record) {
+    await fs.mkdir(path.dirname(this.storePath), { recursive: true });
+    await fs.appendFile(this.storePath, JSON.stringify(record) + '\n');
+    this.indexLead(record);
+  }
+
+  /**
+   * Update in-memory indexes for a lead record
+   */
+  indexLead(record) {
+    const previous = this.leads.get(record.leadId);
+    if (previous && this.statusIndex.has(previous.status)) {
+      this.statusIndex.get(previous.status).delete(record.leadId);
+    }
+
+    this.leads.set(record.leadId, record);
+    for (const key of [record.leadKey, ...this.getLeadKeys(record)].filter(Boolean)) {
+      this.keyIndex.set(key, record.leadId);
+    }
+
+    if (!this.statusIndex.has(record.status)) {
+      this.statusIndex.set(record.status, new Set());
+    }
+    this.statusIndex.get(record.status).add(record.leadId);
+  }
+}
+
+module.exports = LeadStore;
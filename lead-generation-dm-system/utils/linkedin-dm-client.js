@@ -1,5 +1,10 @@
 const fs = require('fs').promises;
 const path = require('path');
+const SuppressionList = require('./suppression-list');
+const TemplateEngine = require('./template-engine');
+const QuotaLedger = require('./quota-ledger');
+const EventLog = require('./event-log');
+const ConnectionGraph = require('./connection-graph');
 
 /**
  * LinkedIn DM Client for Lead Generation
@@ -11,12 +16,25 @@ class LinkedInDMClient {
     this.isInitialized = false;
     this.rateLimitInfo = {};
     this.logPath = path.join(__dirname, '../logs/linkedin-dm.log');
-    this.messagesSent = 0;
-    this.connectionsRequested = 0;
+    this.suppressionList = new SuppressionList();
+    this.templateEngine = new TemplateEngine();
+    this.quotaLedger = new QuotaLedger(); // usage shared with every other process
+    this.eventLog = new EventLog();
+    this.connectionGraph = new ConnectionGraph(); // cached connections, shared with every other process
     this.dailyLimits = {
       connectionRequests: 100, // LinkedIn daily limit
       messages: 200,           // Conservative daily message limit
-      searches: 300           // Search operations per day
+      searches: 300,          // Search operations per day
+      profileViews: 150,      // Profile lookups per day (research/enrichment)
+      connectionLookups: 100  // Pages of connection lists (connection graph refresh)
+    };
+    this.connectionGraphSettings = {
+      pageSize: 500,
+      refreshInterval: 6 * 60 * 60 * 1000,          // incremental refresh picks up new connections
+      fullRefreshInterval: 7 * 24 * 60 * 60 * 1000, // full refresh also drops removed connections
+      edgeBatchSize: 20,                            // connections whose own connections are fetched per refresh
+      edgeMaxPages: 2,                              // pages fetched per connection's own connections
+      edgeMaxAge: 30 * 24 * 60 * 60 * 1000
     };
   }
 
@@ -76,9 +94,12 @@ class LinkedInDMClient {
     try {
       if (!this.isInitialized) await this.initialize();
 
+      // Never contact suppressed recipients
+      await this.assertNotSuppressed(recipientPersonId);
+
       // Check daily limits
-      if (this.connectionsRequested >= this.dailyLimits.connectionRequests) {
-        throw new Error('Daily connection request limit reached');
+      if (!(await this.checkRateLimit('connection'))) {
+        throw this.createQuotaError('Daily connection request limit reached');
       }
 
       console.log('🤝 Simulating connection request...');
@@ -87,18 +108,18 @@ class LinkedInDMClient {
 
       // For now, we'll simulate the connection request
       // In production, you'd need LinkedIn API with proper scopes
-      this.connectionsRequested++;
-      
-      await this.logOutreach({
-        action: 'connection_request',
-        recipient: recipientPersonId,
+      const invitationUrn = `urn:li:invitation:sim_${Date.now()}`;
+      const sentAt = new Date().toISOString();
+
+      await this.logEvent('connection_requested', {
+        recipientId: recipientPersonId,
         message: message,
-        timestamp: new Date().toISOString(),
+        invitationUrn,
         status: 'simulated'
       });
 
       console.log('✅ Connection request simulated successfully');
-      return { success: true, id: `sim_${Date.now()}` };
+      return { success: true, invitationUrn, sentAt };
 
     } catch (error) {
       console.error('❌ Connection request failed:', error.message);
@@ -106,6 +127,33 @@ class LinkedInDMClient {
     }
   }
 
+  /**
+   * Withdraw a connection request that is still pending
+   * Note: This is a simulation for testing - actual LinkedIn API requires specific scopes
+   */
+  async withdrawInvitation(recipientPersonId, invitationUrn) {
+    try {
+      if (!this.isInitialized) await this.initialize();
+
+      console.log('↩️ Simulating invitation withdrawal...');
+      console.log(`   To: ${recipientPersonId}`);
+      console.log(`   Invitation: ${invitationUrn}`);
+
+      await this.logEvent('invitation_withdrawn', {
+        recipientId: recipientPersonId,
+        invitationUrn,
+        status: 'simulated'
+      });
+
+      console.log('✅ Invitation withdrawal simulated successfully');
+      return { success: true, invitationUrn, withdrawnAt: new Date().toISOString() };
+
+    } catch (error) {
+      console.error('❌ Invitation withdrawal failed:', error.message);
+      throw error;
+    }
+  }
+
   /**
    * Send direct message to existing connection
    * Note: This is a simulation for testing - actual LinkedIn API requires specific scopes
@@ -114,9 +162,12 @@ class LinkedInDMClient {
     try {
       if (!this.isInitialized) await this.initialize();
 
+      // Never contact suppressed recipients
+      await this.assertNotSuppressed(recipientPersonId);
+
       // Check daily limits
-      if (this.messagesSent >= this.dailyLimits.messages) {
-        throw new Error('Daily message limit reached');
+      if (!(await this.checkRateLimit('message'))) {
+        throw this.createQuotaError('Daily message limit reached');
       }
 
       console.log('💬 Simulating direct message...');
@@ -126,16 +177,12 @@ class LinkedInDMClient {
 
       // For now, we'll simulate the direct message
       // In production, you'd need LinkedIn API with proper scopes
-      this.messagesSent++;
 
       // Log the message
-      await this.logOutreach({
-        type: 'direct_message',
-        recipientPersonId,
+      await this.logEvent('dm_sent', {
+        recipientId: recipientPersonId,
         messageText,
         subject,
-        timestamp: new Date().toISOString(),
-        success: true,
         status: 'simulated'
       });
 
@@ -149,13 +196,10 @@ class LinkedInDMClient {
     } catch (error) {
       console.error('❌ Failed to simulate direct message:', error.message);
       
-      await this.logOutreach({
-        type: 'direct_message',
-        recipientPersonId,
+      await this.logEvent('dm_failed', {
+        recipientId: recipientPersonId,
         messageText,
         subject,
-        timestamp: new Date().toISOString(),
-        success: false,
         error: error.message
       });
 
@@ -170,6 +214,14 @@ class LinkedInDMClient {
     try {
       if (!this.isInitialized) await this.initialize();
 
+      // Never contact suppressed recipients
+      await this.assertNotSuppressed(recipientPersonId);
+
+      // Check daily limits
+      if (!(await this.checkRateLimit('message'))) {
+        throw this.createQuotaError('Daily message limit reached');
+      }
+
       console.log('🔄 Sending follow-up message...');
 
       const messageData = {
@@ -200,16 +252,12 @@ class LinkedInDMClient {
       }
 
       const messageUrn = response.headers.get('x-linkedin-id');
-      this.messagesSent++;
 
-      await this.logOutreach({
-        type: 'follow_up',
-        recipientPersonId,
+      await this.logEvent('follow_up_sent', {
+        recipientId: recipientPersonId,
         messageText,
         threadUrn,
-        messageUrn,
-        timestamp: new Date().toISOString(),
-        success: true
+        messageId: messageUrn
       });
 
       console.log(`✅ Follow-up message sent to ${recipientPersonId}`);
@@ -230,6 +278,10 @@ class LinkedInDMClient {
    */
   async getProfileInfo(personId) {
     try {
+      if (!(await this.checkRateLimit('profile'))) {
+        throw this.createQuotaError('Daily profile lookup limit reached');
+      }
+
       const response = await fetch(`https://api.linkedin.com/v2/people/(id:${personId})`, {
         headers: {
           'Authorization': `Bearer ${process.env.LINKEDIN_ACCESS_TOKEN}`,
@@ -259,29 +311,17 @@ class LinkedInDMClient {
   }
 
   /**
-   * Check if user is already connected
+   * Check if user is already connected, using the cached connection graph
+   * Pass the result of getConnectionIds() to check many people against one snapshot
    */
-  async isAlreadyConnected(personId) {
+  async isAlreadyConnected(personId, connectionIds = null) {
     try {
-      // Use connections API to check existing connections
-      const response = await fetch(`https://api.linkedin.com/v2/people/~/connections?q=viewer&count=500`, {
-        headers: {
-          'Authorization': `Bearer ${process.env.LINKEDIN_ACCESS_TOKEN}`,
-          'X-Restli-Protocol-Version': '2.0.0'
-        }
-      });
-
-      if (!response.ok) {
-        console.warn('Could not check connection status');
-        return false;
+      if (connectionIds) {
+        return connectionIds.has(this.connectionGraph.normalizeKey(personId));
       }
 
-      const connectionsData = await response.json();
-      const connections = connectionsData.elements || [];
-      
-      return connections.some(connection => 
-        connection.id === personId || connection.id === `urn:li:person:${personId}`
-      );
+      const graph = await this.loadConnectionGraph();
+      return graph.has(personId);
 
     } catch (error) {
       console.warn('Could not verify connection status:', error.message);
@@ -289,6 +329,146 @@ class LinkedInDMClient {
     }
   }
 
+  /**
+   * IDs and vanity names of our first-degree connections
+   */
+  async getConnectionIds() {
+    const graph = await this.loadConnectionGraph();
+    return graph.getConnectionIds();
+  }
+
+  /**
+   * The cached connection graph, refreshed first when it is stale
+   * Falls back to the cached copy when LinkedIn cannot be reached
+   */
+  async loadConnectionGraph() {
+    try {
+      await this.refreshConnectionGraph();
+    } catch (error) {
+      await this.connectionGraph.load();
+      if (!this.connectionGraph.hasData()) throw error;
+      console.warn(`⚠️ Using cached LinkedIn connections: ${error.message}`);
+    }
+
+    return this.connectionGraph;
+  }
+
+  /**
+   * Bring the cached connection graph up to date
+   * Connections are listed newest first, so an incremental refresh stops at the first page
+   * that reaches connections already cached; a full refresh pages through everything so
+   * removed connections drop out. A batch of connections then get their own connections
+   * fetched, oldest first, for mutual-connection lookups. Every page uses connectionLookups quota
+   */
+  async refreshConnectionGraph(options = {}) {
+    const { full = false, force = false } = options;
+    const settings = this.connectionGraphSettings;
+    const graph = this.connectionGraph;
+
+    await graph.load();
+
+    const isFull = full || graph.needsFullRefresh(settings.fullRefreshInterval);
+    if (!isFull && !force && !graph.isStale(settings.refreshInterval)) {
+      return { refreshed: false };
+    }
+
+    if ((await this.getRemainingQuota()).connectionLookups <= 0) {
+      return { refreshed: false, reason: 'quota' };
+    }
+
+    const people = [];
+    let complete = false;
+
+    while (true) {
+      const page = await this.withQuota('connections', () => this.fetchConnectionsPage('~', people.length, settings.pageSize));
+      if (!page) break;
+      people.push(...page.elements);
+
+      const reachedCached = !isFull && page.elements.some(person => graph.has(person.id));
+      if (reachedCached || page.elements.length < settings.pageSize || people.length >= page.total) {
+        complete = true;
+        break;
+      }
+    }
+
+    const at = new Date().toISOString();
+    let added;
+    let removed = 0;
+
+    if (isFull && complete) {
+      added = people.filter(person => !graph.has(person.id)).length;
+      removed = graph.replaceConnections(people, at);
+      graph.fullRefreshAt = at;
+    } else {
+      added = graph.mergeConnections(people, at);
+      // A partial page run leaves a gap an incremental refresh cannot see; catch it up in full next time
+      if (!complete) graph.fullRefreshAt = null;
+    }
+    if (complete) graph.refreshedAt = at;
+
+    let edges = 0;
+    for (const connectionId of graph.getEdgeRefreshQueue(settings.edgeBatchSize, settings.edgeMaxAge)) {
+      const theirs = await this.fetchAllConnectionsOf(connectionId);
+      if (!theirs) break;
+      graph.setConnectionsOf(connectionId, theirs, at);
+      edges++;
+    }
+
+    await graph.save();
+
+    const summary = { refreshed: true, full: isFull, complete, added, removed, edges, total: graph.connections.size };
+    console.log(`🕸️ LinkedIn connections ${isFull ? 'fully ' : ''}refreshed: ${added} new, ${removed} removed, ${edges} connection lists fetched (${summary.total} cached${complete ? '' : ', incomplete - quota reached'})`);
+    await this.log(`Connection graph refreshed: ${JSON.stringify(summary)}`);
+
+    return summary;
+  }
+
+  /**
+   * Every page of one connection's own connections, up to edgeMaxPages
+   * Returns null when the quota ran out first
+   */
+  async fetchAllConnectionsOf(personId) {
+    const settings = this.connectionGraphSettings;
+    const people = [];
+
+    for (let pages = 0; pages < settings.edgeMaxPages; pages++) {
+      const page = await this.withQuota('connections', () => this.fetchConnectionsPage(personId, people.length, settings.pageSize));
+      if (!page) return pages === 0 ? null : people;
+
+      people.push(...page.elements);
+      if (page.elements.length < settings.pageSize || people.length >= page.total) break;
+    }
+
+    return people;
+  }
+
+  /**
+   * One page of a person's connections ('~' for our own)
+   */
+  async fetchConnectionsPage(personId, start, count) {
+    const person = personId === '~' ? '~' : `(id:${personId})`;
+    const response = await fetch(`https://api.linkedin.com/v2/people/${person}/connections?q=viewer&start=${start}&count=${count}`, {
+      headers: {
+        'Authorization': `Bearer ${process.env.LINKEDIN_ACCESS_TOKEN}`,
+        'X-Restli-Protocol-Version': '2.0.0'
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`Could not list connections: ${response.status}`);
+    }
+
+    const connectionsData = await response.json();
+    const elements = (connectionsData.elements || []).map(connection => ({
+      id: String(connection.id).replace(/^urn:li:person:/, ''),
+      vanityName: connection.vanityName || null,
+      name: [connection.localizedFirstName, connection.localizedLastName].filter(Boolean).join(' ') || null,
+      profileUrl: connection.vanityName ? `https://linkedin.com/in/${connection.vanityName}` : null
+    }));
+
+    return { elements, total: connectionsData.paging?.total ?? start + elements.length };
+  }
+
   /**
    * Get conversation history with a person
    */
@@ -316,42 +496,31 @@ class LinkedInDMClient {
 
   /**
    * Personalize message using profile data
+   * options: { variables (campaign-level), required, seed, context }
    */
-  personalizeMessage(template, profileData, leadData = {}) {
-    let message = template;
-
-    // Replace common variables
-    if (profileData.firstName) {
-      message = message.replace(/{{firstName}}/g, profileData.firstName);
-    }
-    
-    if (profileData.lastName) {
-      message = message.replace(/{{lastName}}/g, profileData.lastName);
-    }
-    
-    if (profileData.headline) {
-      message = message.replace(/{{headline}}/g, profileData.headline);
-    }
-    
-    if (profileData.industry) {
-      message = message.replace(/{{industry}}/g, profileData.industry);
-    }
-
-    // Replace lead-specific data
-    if (leadData.company) {
-      message = message.replace(/{{company}}/g, leadData.company);
-    }
-    
-    if (leadData.title) {
-      message = message.replace(/{{title}}/g, leadData.title);
-    }
-
-    if (leadData.recentPosts && leadData.recentPosts.length > 0) {
-      const recentPost = leadData.recentPosts[0];
-      message = message.replace(/{{recentTopic}}/g, this.extractTopicFromPost(recentPost.content));
-    }
+  personalizeMessage(template, profileData, leadData = {}, options = {}) {
+    return this.templateEngine.render(template, this.buildMessageContext(profileData, leadData, options.variables), options);
+  }
 
-    return message;
+  /**
+   * Template variables for a lead: campaign variables, then lead data, then profile fields
+   */
+  buildMessageContext(profileData, leadData = {}, variables = {}) {
+    const recentPost = (leadData.recentPosts || [])[0];
+
+    return this.templateEngine.buildContext(
+      variables,
+      leadData,
+      {
+        firstName: profileData.firstName,
+        lastName: profileData.lastName,
+        headline: profileData.headline,
+        industry: profileData.industry
+      },
+      {
+        recentTopic: recentPost ? this.extractTopicFromPost(recentPost.content) : null
+      }
+    );
   }
 
   /**
@@ -372,59 +541,103 @@ class LinkedInDMClient {
 
   /**
    * Check rate limits
+   * Records the action in the shared quota ledger when it is allowed
    */
-  checkRateLimit(action) {
-    const now = new Date();
-    const today = now.toDateString();
-    
-    // Reset daily counters if it's a new day
-    if (this.lastResetDate !== today) {
-      this.messagesSent = 0;
-      this.connectionsRequested = 0;
-      this.lastResetDate = today;
-    }
+  async checkRateLimit(action) {
+    return (await this.reserveQuota(action)) !== null;
+  }
+
+  /**
+   * Record one use of an action in the quota ledger before calling the API
+   * Returns a reservation for refundQuota(), or null when the quota is used up
+   */
+  async reserveQuota(action) {
+    const ledgerActions = {
+      connection: 'connectionRequests',
+      message: 'messages',
+      search: 'searches',
+      profile: 'profileViews',
+      connections: 'connectionLookups'
+    };
+    const ledgerAction = ledgerActions[action];
+    if (!ledgerAction) return { action, at: null };
+
+    const result = await this.quotaLedger.consume('linkedin', ledgerAction, { daily: this.dailyLimits[ledgerAction] });
 
-    switch (action) {
-      case 'connection':
-        return this.connectionsRequested < this.dailyLimits.connectionRequests;
-      case 'message':
-        return this.messagesSent < this.dailyLimits.messages;
-      default:
-        return true;
+    if (!result.allowed) {
+      console.log(`⚠️ LinkedIn daily limit reached for ${ledgerAction}: ${result.usage.daily.used}/${result.usage.daily.limit}`);
+      await this.logEvent('quota_exhausted', { action: ledgerAction, window: 'daily', limit: result.usage.daily.limit, resetTime: result.usage.daily.resetTime });
+      return null;
     }
+
+    return { action: ledgerAction, at: result.at };
   }
 
   /**
-   * Get remaining daily quota
+   * Give back a reservation whose API call failed
    */
-  getRemainingQuota() {
-    return {
-      connectionRequests: Math.max(0, this.dailyLimits.connectionRequests - this.connectionsRequested),
-      messages: Math.max(0, this.dailyLimits.messages - this.messagesSent),
-      resetTime: new Date(Date.now() + (24 * 60 * 60 * 1000)).toISOString()
-    };
+  async refundQuota(reservation) {
+    if (!reservation?.at) return;
+
+    try {
+      await this.quotaLedger.refund('linkedin', reservation.action, reservation.at);
+    } catch (error) {
+      console.warn(`⚠️ Could not refund ${reservation.action} quota:`, error.message);
+    }
   }
 
   /**
-   * Log outreach activities
+   * Run an API call under a quota reservation, refunded if the call fails
+   * Returns null without calling when the quota is used up
    */
-  async logOutreach(data) {
+  async withQuota(action, call) {
+    const reservation = await this.reserveQuota(action);
+    if (!reservation) return null;
+
     try {
-      const logFile = path.join(__dirname, '../logs/linkedin-outreach.json');
-      let outreachLog = [];
-
-      try {
-        const existingData = await fs.readFile(logFile, 'utf8');
-        outreachLog = JSON.parse(existingData);
-      } catch (error) {
-        // File doesn't exist yet
-      }
+      return await call();
+    } catch (error) {
+      await this.refundQuota(reservation);
+      throw error;
+    }
+  }
+
+  /**
+   * Error for an action whose quota is used up; callers may retry once the window resets
+   */
+  createQuotaError(message) {
+    const error = new Error(message);
+    error.code = 'QUOTA_EXHAUSTED';
+    return error;
+  }
+
+  /**
+   * Get remaining daily quota from the shared quota ledger
+   */
+  async getRemainingQuota() {
+    const limits = {};
+    for (const [action, limit] of Object.entries(this.dailyLimits)) {
+      limits[action] = { daily: limit };
+    }
 
-      outreachLog.push(data);
+    const usage = await this.quotaLedger.getRemaining('linkedin', limits);
 
-      await fs.mkdir(path.dirname(logFile), { recursive: true });
-      await fs.writeFile(logFile, JSON.stringify(outreachLog, null, 2));
+    return {
+      connectionRequests: usage.connectionRequests.daily.remaining,
+      messages: usage.messages.daily.remaining,
+      searches: usage.searches.daily.remaining,
+      profileViews: usage.profileViews.daily.remaining,
+      connectionLookups: usage.connectionLookups.daily.remaining,
+      resetTime: usage.messages.daily.resetTime
+    };
+  }
 
+  /**
+   * Record an outreach event for LinkedIn in the shared event log
+   */
+  async logEvent(type, data) {
+    try {
+      await this.eventLog.append(type, { platform: 'linkedin', ...data });
     } catch (error) {
       console.error('Failed to log outreach activity:', error.message);
     }
@@ -449,26 +662,25 @@ class LinkedInDMClient {
   }
 
   /**
-   * Get outreach analytics
+   * Get outreach analytics, streamed from the event log
    */
   async getOutreachAnalytics(days = 30) {
     try {
-      const logFile = path.join(__dirname, '../logs/linkedin-outreach.json');
-      const data = await fs.readFile(logFile, 'utf8');
-      const outreachLog = JSON.parse(data);
-
       const cutoffDate = new Date(Date.now() - (days * 24 * 60 * 60 * 1000));
-      const recentOutreach = outreachLog.filter(entry => 
-        new Date(entry.timestamp) > cutoffDate
-      );
+      const counts = { connection_requested: 0, dm_sent: 0, dm_failed: 0, follow_up_sent: 0 };
 
+      for await (const event of this.eventLog.stream({ platform: 'linkedin', types: Object.keys(counts), since: cutoffDate })) {
+        counts[event.type]++;
+      }
+
+      const totalOutreach = Object.values(counts).reduce((sum, count) => sum + count, 0);
       const analytics = {
-        totalOutreach: recentOutreach.length,
-        connectionRequests: recentOutreach.filter(entry => entry.type === 'connection_request').length,
-        directMessages: recentOutreach.filter(entry => entry.type === 'direct_message').length,
-        followUps: recentOutreach.filter(entry => entry.type === 'follow_up').length,
-        successRate: recentOutreach.filter(entry => entry.success).length / recentOutreach.length,
-        dailyAverage: recentOutreach.length / days
+        totalOutreach,
+        connectionRequests: counts.connection_requested,
+        directMessages: counts.dm_sent + counts.dm_failed,
+        followUps: counts.follow_up_sent,
+        successRate: totalOutreach > 0 ? (totalOutreach - counts.dm_failed) / totalOutreach : 0,
+        dailyAverage: totalOutreach / days
       };
 
       return analytics;
@@ -478,6 +690,16 @@ class LinkedInDMClient {
       return null;
     }
   }
+
+  /**
+   * Throw if the recipient is on the global suppression list
+   */
+  async assertNotSuppressed(personId) {
+    const entry = await this.suppressionList.isSuppressed({ linkedinPersonId: personId });
+    if (entry) {
+      throw new Error(`Recipient ${personId} is on the suppression list (${entry.reason})`);
+    }
+  }
 }
 
 module.exports = LinkedInDMClient; 
\ No newline at end of file
@@ -0,0 +1,363 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const LeadStore = require('./lead-store');
+const QualificationRules = require('./qualification-rules');
+const EventLog = require('./event-log');
+
+/**
+ * Qualification Calibrator
+ * Replays past strategy decisions (strategy_decided events) through the gates in
+ * config/qualification-rules.json and compares them with reply and conversion outcomes
+ * in the lead store. Reports which rules predict replies and proposes thresholds with
+ * before/after precision and recall.
+ * Proposals are written to data/calibration/ and never applied automatically.
+ */
+class QualificationCalibrator {
+  constructor(options = {}) {
+    this.eventLog = options.eventLog || new EventLog();
+    this.outputDir = options.outputDir || path.join(__dirname, '../data/calibration');
+    this.leadStore = options.leadStore || new LeadStore();
+    this.rules = options.rules || new QualificationRules();
+
+    this.minSamples = 20;  // below this the proposals are flagged as unreliable
+    this.minReplies = 5;
+    this.minSupport = 5;   // leads needed on each side of a rule to judge it
+    this.maxPasses = 3;
+    this.repliedStatuses = ['replied', 'needs-human', 'converted'];
+
+    // Candidate values per "<rule type>.<param>" threshold
+    // 'engagementRate' candidates come from the rates seen in the samples, 'ruleCount' from the gate size
+    this.thresholdGrid = {
+      minPassed: 'ruleCount',
+      'count.min': [1, 2, 3, 5],
+      'range.min': [0, 50, 100, 250, 500, 1000],
+      'range.max': [5000, 10000, 25000, 50000, 100000, 1000000],
+      'recency.maxDays': [1, 3, 7, 14, 30, 60],
+      'engagementRate.min': 'engagementRate',
+      'tweetEngagement.minLikes': [1, 2, 4, 10, 25],
+      'tweetEngagement.minComments': [1, 2, 5]
+    };
+  }
+
+  /**
+   * Join strategy_decided events with lead outcomes
+   * Each contacted lead contributes one sample: the first decision logged for it
+   */
+  async loadSamples() {
+    const entries = [];
+    for await (const event of this.eventLog.stream({ types: ['strategy_decided'] })) {
+      entries.push({ at: event.at, leadId: event.leadId, recipientId: event.recipientId, snapshot: event.snapshot });
+    }
+
+    await this.leadStore.initialize();
+    const byTwitterId = new Map();
+    for (const lead of await this.leadStore.queryLeads({ platform: 'twitter' })) {
+      if (lead.id) byTwitterId.set(String(lead.id), lead);
+    }
+
+    const stats = { entries: entries.length, unmatched: 0, notContacted: 0, approximated: 0 };
+    const samples = new Map();
+
+    // Migrated and live events may interleave, so order by decision time
+    const ordered = [...entries].sort((a, b) => new Date(a.at) - new Date(b.at));
+    for (const entry of ordered) {
+      const lead = (entry.leadId && this.leadStore.getLead(entry.leadId)) ||
+        byTwitterId.get(String(entry.recipientId));
+
+      if (!lead) {
+        stats.unmatched++;
+        continue;
+      }
+      if (samples.has(lead.leadId)) continue;
+      if (!this.leadStore.hasBeenContacted(lead)) {
+        stats.notContacted++;
+        continue;
+      }
+
+      // Decisions migrated from before snapshots were logged have none, so fall back to the lead as stored today
+      if (!entry.snapshot) stats.approximated++;
+
+      const history = [lead.status, ...(lead.statusHistory || []).map(item => item.status)];
+      samples.set(lead.leadId, {
+        leadId: lead.leadId,
+        at: new Date(entry.at).getTime(),
+        lead: entry.snapshot || lead,
+        replied: history.some(status => this.repliedStatuses.includes(status)),
+        converted: history.includes('converted')
+      });
+    }
+
+    return { samples: Array.from(samples.values()), stats };
+  }
+
+  /**
+   * Replay a gate for one sample, optionally with different thresholds
+   */
+  decide(gateName, sample, thresholds = null) {
+    const gate = thresholds ? this.rules.withThresholds(gateName, thresholds) : undefined;
+    return this.rules.evaluate(gateName, sample.lead, { now: sample.at, gate });
+  }
+
+  /**
+   * Precision and recall of a gate at predicting replies
+   */
+  evaluate(samples, predict) {
+    const counts = { truePositives: 0, falsePositives: 0, falseNegatives: 0, trueNegatives: 0 };
+
+    for (const sample of samples) {
+      const selected = Boolean(predict(sample));
+      if (selected && sample.replied) counts.truePositives++;
+      else if (selected) counts.falsePositives++;
+      else if (sample.replied) counts.falseNegatives++;
+      else counts.trueNegatives++;
+    }
+
+    const selected = counts.truePositives + counts.falsePositives;
+    const replied = counts.truePositives + counts.falseNegatives;
+    const precision = selected > 0 ? counts.truePositives / selected : 0;
+    const recall = replied > 0 ? counts.truePositives / replied : 0;
+    const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+
+    return {
+      selected,
+      ...counts,
+      precision: this.round(precision),
+      recall: this.round(recall),
+      f1: this.round(f1)
+    };
+  }
+
+  /**
+   * Reply rate with and without each rule of a gate
+   */
+  analyzeRules(samples, gateName) {
+    const baseRate = samples.length > 0 ? samples.filter(sample => sample.replied).length / samples.length : 0;
+    const results = new Map();
+
+    for (const sample of samples) {
+      for (const result of this.decide(gateName, sample).rules) {
+        if (!results.has(result.rule)) results.set(result.rule, { met: [], unmet: [] });
+        results.get(result.rule)[result.passed ? 'met' : 'unmet'].push(sample);
+      }
+    }
+
+    const rate = group => (group.length > 0 ? group.filter(sample => sample.replied).length / group.length : null);
+
+    return Array.from(results.entries()).map(([rule, { met, unmet }]) => {
+      const metRate = rate(met);
+      const unmetRate = rate(unmet);
+      const lift = metRate !== null && baseRate > 0 ? metRate / baseRate : null;
+
+      let verdict = 'no signal';
+      if (met.length < this.minSupport || unmet.length < this.minSupport) verdict = 'too few samples';
+      else if (lift >= 1.2) verdict = 'predicts replies';
+      else if (lift <= 0.8) verdict = 'predicts no reply';
+
+      return {
+        rule,
+        met: met.length,
+        unmet: unmet.length,
+        replyRateWhenMet: metRate === null ? null : this.round(metRate),
+        replyRateWhenUnmet: unmetRate === null ? null : this.round(unmetRate),
+        conversionRateWhenMet: met.length > 0 ? this.round(met.filter(sample => sample.converted).length / met.length) : null,
+        lift: lift === null ? null : this.round(lift),
+        verdict
+      };
+    }).sort((a, b) => (b.lift || 0) - (a.lift || 0));
+  }
+
+  /**
+   * Search the gate's threshold grid for the best F1, one threshold at a time
+   * Ties keep the current value so proposals only move when the data says so
+   */
+  proposeThresholds(samples, gateName) {
+    let proposed = this.rules.getThresholds(gateName);
+    let best = this.evaluate(samples, sample => this.decide(gateName, sample, proposed).qualified);
+    const candidates = this.getCandidates(samples, gateName, proposed);
+
+    for (let pass = 0; pass < this.maxPasses; pass++) {
+      let improved = false;
+
+      for (const [key, values] of Object.entries(candidates)) {
+        for (const value of values) {
+          if (value === proposed[key]) continue;
+
+          const trial = { ...proposed, [key]: value };
+          const result = this.evaluate(samples, sample => this.decide(gateName, sample, trial).qualified);
+          if (result.f1 > best.f1 || (result.f1 === best.f1 && result.precision > best.precision)) {
+            proposed = trial;
+            best = result;
+            improved = true;
+          }
+        }
+      }
+
+      if (!improved) break;
+    }
+
+    return { thresholds: proposed, metrics: best };
+  }
+
+  /**
+   * Candidate values for each tunable threshold of a gate
+   */
+  getCandidates(samples, gateName, thresholds) {
+    const ruleCount = this.rules.getGate(gateName).rules.length;
+    const candidates = {};
+
+    for (const key of Object.keys(thresholds)) {
+      const grid = this.thresholdGrid[key === 'minPassed' ? key : this.rules.getThresholdType(gateName, key)];
+      if (grid === 'ruleCount') {
+        candidates[key] = Array.from({ length: ruleCount }, (value, index) => index + 1);
+      } else if (grid === 'engagementRate') {
+        candidates[key] = this.getRateCandidates(samples, thresholds[key]);
+      } else if (grid) {
+        candidates[key] = grid;
+      }
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Engagement rate thresholds worth trying: quantiles of the observed rates
+   */
+  getRateCandidates(samples, current) {
+    const rates = samples
+      .map(sample => this.rules.getEngagementRate(sample.lead))
+      .filter(rate => rate > 0)
+      .sort((a, b) => a - b);
+
+    const quantiles = [0.1, 0.25, 0.5, 0.75, 0.9]
+      .map(q => rates[Math.min(rates.length - 1, Math.floor(q * rates.length))])
+      .filter(rate => rate !== undefined)
+      .map(rate => Number(rate.toPrecision(2)));
+
+    return [...new Set([0, current, ...quantiles])].sort((a, b) => a - b);
+  }
+
+  /**
+   * Build the full calibration report
+   */
+  async calibrate() {
+    const { samples, stats } = await this.loadSamples();
+    const replied = samples.filter(sample => sample.replied).length;
+    const warnings = [];
+
+    if (samples.length < this.minSamples || replied < this.minReplies) {
+      warnings.push(`Only ${samples.length} contacted leads and ${replied} replies - need at least ${this.minSamples} and ${this.minReplies} for reliable proposals`);
+    }
+    if (stats.approximated > 0) {
+      warnings.push(`${stats.approximated} log entries predate qualification snapshots and were replayed with the lead as stored today`);
+    }
+
+    const gates = {};
+    for (const gateName of Object.keys(this.rules.getConfig().gates)) {
+      const current = this.rules.getThresholds(gateName);
+      const before = this.evaluate(samples, sample => this.decide(gateName, sample).qualified);
+      const proposal = this.proposeThresholds(samples, gateName);
+
+      const changes = Object.fromEntries(Object.keys(current)
+        .filter(key => proposal.thresholds[key] !== current[key])
+        .map(key => [key, { from: current[key], to: proposal.thresholds[key] }]));
+
+      gates[gateName] = {
+        description: this.rules.getGate(gateName).description,
+        rules: this.analyzeRules(samples, gateName),
+        before,
+        after: proposal.metrics,
+        proposedChanges: changes
+      };
+    }
+
+    return {
+      generatedAt: new Date().toISOString(),
+      sample: {
+        ...stats,
+        contacted: samples.length,
+        replied,
+        converted: samples.filter(sample => sample.converted).length
+      },
+      warnings,
+      gates
+    };
+  }
+
+  /**
+   * Write the report to data/calibration/ and return its path
+   */
+  async saveReport(report) {
+    await fs.mkdir(this.outputDir, { recursive: true });
+    const filePath = path.join(this.outputDir, `calibration-${report.generatedAt.replace(/[:.]/g, '-')}.json`);
+    await fs.writeFile(filePath, JSON.stringify(report, null, 2));
+    return filePath;
+  }
+
+  /**
+   * Human-readable report for the CLI
+   */
+  formatReport(report) {
+    const percent = value => (value === null ? '-' : `${Math.round(value * 1000) / 10}%`);
+    const lines = [
+      `📊 ${report.sample.contacted} contacted leads, ${report.sample.replied} replied, ${report.sample.converted} converted ` +
+        `(${report.sample.entries} log entries, ${report.sample.unmatched} unmatched, ${report.sample.notContacted} never contacted)`
+    ];
+
+    for (const warning of report.warnings) {
+      lines.push(`⚠️ ${warning}`);
+    }
+
+    for (const [name, gate] of Object.entries(report.gates)) {
+      lines.push('', `${name}${gate.description ? ` (${gate.description})` : ''}`);
+      for (const item of gate.rules) {
+        lines.push(`  ${item.rule}\tmet ${item.met}\treply ${percent(item.replyRateWhenMet)} vs ${percent(item.replyRateWhenUnmet)}\t${item.verdict}`);
+      }
+
+      const metrics = result => `precision ${percent(result.precision)}, recall ${percent(result.recall)}, selects ${result.selected}`;
+      lines.push(`  current:  ${metrics(gate.before)}`);
+
+      const changes = Object.entries(gate.proposedChanges);
+      if (changes.length > 0) {
+        lines.push(`  proposed: ${metrics(gate.after)}`);
+        for (const [key, change] of changes) {
+          lines.push(`    ${key}: ${change.from} → ${change.to}`);
+        }
+      }
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Round a rate to three decimals
+   */
+  round(value) {
+    return Math.round(value * 1000) / 1000;
+  }
+}
+
+// Command line calibration report
+async function main() {
+  const calibrator = new QualificationCalibrator();
+
+  try {
+    const report = await calibrator.calibrate();
+    console.log(calibrator.formatReport(report));
+
+    const filePath = await calibrator.saveReport(report);
+    console.log(`\n💾 Proposal saved to ${path.relative(process.cwd(), filePath)} - review it, then edit config/qualification-rules.json`);
+
+  } catch (error) {
+    console.error('❌ Calibration failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = QualificationCalibrator;
+
+if (require.main === module) {
+  main().catch(console.error);
+}
@@ -0,0 +1,280 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Qualification Rules Engine
+ * The single set of qualification gates in config/qualification-rules.json, used by
+ * the outreach strategy, the Twitter DM client and the dispatcher:
+ *   research - worth spending API calls on
+ *   engage   - worth following and liking
+ *   dm       - highly qualified for a direct message
+ * A gate qualifies a lead when every required rule passes and at least minPassed rules pass.
+ * Every decision lists the rules that passed and failed.
+ */
+class QualificationRules {
+  constructor(options = {}) {
+    this.rulesPath = options.rulesPath || path.join(__dirname, '../config/qualification-rules.json');
+    this.config = null;
+    this.ruleTypes = ['present', 'boolean', 'keywords', 'count', 'range', 'recency', 'engagementRate', 'tweetEngagement'];
+    // Numeric rule parameters that calibration may tune
+    this.thresholdParams = {
+      count: ['min'],
+      range: ['min', 'max'],
+      recency: ['maxDays'],
+      engagementRate: ['min'],
+      tweetEngagement: ['minLikes', 'minComments']
+    };
+
+    if (options.config) this.setConfig(options.config);
+  }
+
+  /**
+   * The rules config, loaded on first use
+   * Read synchronously because qualification runs inside synchronous sequence planning
+   */
+  getConfig() {
+    if (!this.config) {
+      let config;
+      try {
+        config = JSON.parse(fs.readFileSync(this.rulesPath, 'utf8'));
+      } catch (error) {
+        throw new Error(`Failed to load qualification rules: ${error.message}`);
+      }
+      this.setConfig(config);
+    }
+
+    return this.config;
+  }
+
+  /**
+   * Use an already parsed rules config
+   */
+  setConfig(config) {
+    this.validate(config);
+    this.config = config;
+  }
+
+  /**
+   * Reject configs with unknown rule types, keyword lists or impossible gates
+   */
+  validate(config) {
+    const errors = [];
+
+    for (const [gateName, gate] of Object.entries(config.gates || {})) {
+      if (!Array.isArray(gate.rules) || gate.rules.length === 0) {
+        errors.push(`gate '${gateName}' has no rules`);
+        continue;
+      }
+
+      const names = new Set();
+      for (const rule of gate.rules) {
+        if (!rule.name) errors.push(`a rule in gate '${gateName}' is missing "name"`);
+        if (names.has(rule.name)) errors.push(`gate '${gateName}' has two rules named '${rule.name}'`);
+        names.add(rule.name);
+
+        if (!this.ruleTypes.includes(rule.type)) {
+          errors.push(`rule '${gateName}.${rule.name}' has unknown type '${rule.type}' (expected ${this.ruleTypes.join(', ')})`);
+        }
+        if (rule.type === 'keywords' && !config.keywords?.[rule.list]) {
+          errors.push(`rule '${gateName}.${rule.name}' uses unknown keyword list '${rule.list}'`);
+        }
+      }
+
+      if (gate.minPassed !== undefined && gate.minPassed > gate.rules.length) {
+        errors.push(`gate '${gateName}' needs ${gate.minPassed} rules to pass but has only ${gate.rules.length}`);
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid qualification rules: ${errors.join('; ')}`);
+    }
+  }
+
+  /**
+   * A gate's config by name
+   */
+  getGate(gateName) {
+    const gates = this.getConfig().gates || {};
+    if (!gates[gateName]) {
+      throw new Error(`Unknown qualification gate '${gateName}' (available: ${Object.keys(gates).join(', ')})`);
+    }
+    return gates[gateName];
+  }
+
+  /**
+   * Evaluate a gate for a lead
+   * options: { now, gate } - `gate` replaces the configured gate (used by calibration)
+   * Returns { gate, qualified, minPassed, passed, failed, rules: [{ rule, passed, detail, required }] }
+   */
+  evaluate(gateName, lead, options = {}) {
+    const gate = options.gate || this.getGate(gateName);
+    const now = options.now || Date.now();
+
+    const rules = gate.rules.map(rule => ({
+      rule: rule.name,
+      ...this.evaluateRule(rule, lead, now),
+      ...(rule.required && { required: true })
+    }));
+
+    const passed = rules.filter(result => result.passed).map(result => result.rule);
+    const failed = rules.filter(result => !result.passed).map(result => result.rule);
+    const requiredFailed = rules.some(result => result.required && !result.passed);
+    const minPassed = gate.minPassed !== undefined ? gate.minPassed : rules.length;
+
+    return {
+      gate: gateName,
+      qualified: !requiredFailed && passed.length >= minPassed,
+      minPassed,
+      passed,
+      failed,
+      rules
+    };
+  }
+
+  /**
+   * Evaluate one rule, returning { passed, detail }
+   */
+  evaluateRule(rule, lead, now) {
+    switch (rule.type) {
+      case 'present': {
+        const value = lead[rule.field];
+        const passed = value !== undefined && value !== null && String(value).length > 0;
+        return { passed, detail: `${rule.field} ${passed ? 'present' : 'missing'}` };
+      }
+
+      case 'boolean':
+        return { passed: Boolean(lead[rule.field]), detail: `${rule.field}=${Boolean(lead[rule.field])}` };
+
+      case 'keywords': {
+        const match = this.findKeyword(this.getText(lead, rule.fields), rule.list);
+        return {
+          passed: rule.negate ? !match : Boolean(match),
+          detail: match ? `matched ${rule.list} keyword "${match}"` : `no ${rule.list} keywords`
+        };
+      }
+
+      case 'count': {
+        const value = lead[rule.field];
+        const count = Array.isArray(value) ? value.length : Number(value) || 0;
+        return { passed: count >= (rule.min !== undefined ? rule.min : 1), detail: `${count} ${rule.field}` };
+      }
+
+      case 'range': {
+        const value = Number(lead[rule.field]);
+        const passed = lead[rule.field] !== undefined && lead[rule.field] !== null && Number.isFinite(value) &&
+          (rule.min === undefined || value >= rule.min) &&
+          (rule.max === undefined || value <= rule.max);
+        return { passed, detail: `${rule.field}=${lead[rule.field] ?? 'unknown'}` };
+      }
+
+      case 'recency': {
+        if (!lead[rule.field]) return { passed: false, detail: `no ${rule.field}` };
+        const days = (now - new Date(lead[rule.field]).getTime()) / (24 * 60 * 60 * 1000);
+        return { passed: days < rule.maxDays, detail: `${Math.floor(days)} days ago` };
+      }
+
+      case 'engagementRate': {
+        const rate = this.getEngagementRate(lead);
+        return { passed: lead.followerCount > 0 && rate >= rule.min, detail: `${Math.round(rate * 100) / 100}%` };
+      }
+
+      case 'tweetEngagement': {
+        const tweet = (lead.recentTweets || []).find(candidate =>
+          (candidate.engagement?.likes || 0) >= rule.minLikes ||
+          (candidate.engagement?.comments || 0) >= rule.minComments);
+        return {
+          passed: Boolean(tweet),
+          detail: tweet ? `${tweet.engagement.likes || 0} likes, ${tweet.engagement.comments || 0} comments` : 'no engaging tweets'
+        };
+      }
+
+      default:
+        return { passed: false, detail: `unknown rule type '${rule.type}'` };
+    }
+  }
+
+  /**
+   * Likes on recent tweets per follower, in percent
+   */
+  getEngagementRate(lead) {
+    if (!(lead.followerCount > 0)) return 0;
+    const likes = (lead.recentTweets || []).reduce((total, tweet) => total + (tweet.engagement?.likes || 0), 0);
+    return (likes / lead.followerCount) * 100;
+  }
+
+  /**
+   * Lowercased text of the given lead fields
+   * Arrays are joined; tweets contribute their content
+   */
+  getText(lead, fields = []) {
+    return fields
+      .flatMap(field => (Array.isArray(lead[field]) ? lead[field] : [lead[field]]))
+      .map(value => (typeof value === 'string' ? value : value?.content || value?.text))
+      .filter(value => typeof value === 'string')
+      .join(' ')
+      .toLowerCase();
+  }
+
+  /**
+   * First keyword from a configured list that appears in the text
+   */
+  findKeyword(text, listName) {
+    if (!text) return null;
+    const keywords = this.getConfig().keywords[listName] || [];
+    return keywords.find(keyword => text.toLowerCase().includes(keyword.toLowerCase())) || null;
+  }
+
+  /**
+   * Topic of a tweet from the shared topic list, or null
+   */
+  extractTopic(text) {
+    return this.findKeyword(text, 'topics');
+  }
+
+  /**
+   * Numeric thresholds of a gate as a flat map: "minPassed" and "<rule>.<param>"
+   */
+  getThresholds(gateName) {
+    const gate = this.getGate(gateName);
+    const thresholds = gate.minPassed !== undefined ? { minPassed: gate.minPassed } : {};
+
+    for (const rule of gate.rules) {
+      for (const param of this.thresholdParams[rule.type] || []) {
+        if (rule[param] !== undefined) thresholds[`${rule.name}.${param}`] = rule[param];
+      }
+    }
+
+    return thresholds;
+  }
+
+  /**
+   * A copy of a gate with thresholds from getThresholds() applied
+   */
+  withThresholds(gateName, thresholds) {
+    const gate = this.getGate(gateName);
+
+    return {
+      ...gate,
+      ...(thresholds.minPassed !== undefined && { minPassed: thresholds.minPassed }),
+      rules: gate.rules.map(rule => {
+        const updated = { ...rule };
+        for (const param of this.thresholdParams[rule.type] || []) {
+          const key = `${rule.name}.${param}`;
+          if (thresholds[key] !== undefined) updated[param] = thresholds[key];
+        }
+        return updated;
+      })
+    };
+  }
+
+  /**
+   * Rule type of a "<rule>.<param>" threshold key
+   */
+  getThresholdType(gateName, key) {
+    const [ruleName, param] = key.split('.');
+    const rule = this.getGate(gateName).rules.find(candidate => candidate.name === ruleName);
+    return rule ? `${rule.type}.${param}` : key;
+  }
+}
+
+module.exports = QualificationRules;
@@ -0,0 +1,162 @@
+const fs = require('fs').promises;
+const path = require('path');
+const FileLock = require('./file-lock');
+
+/**
+ * Persistent Quota Ledger
+ * Records every rate-limited API action on disk so separate processes
+ * (hunter, dispatcher, cron jobs, CI) share one set of daily and 15-minute windows
+ *
+ * Limits are given per action, e.g. { dmSend: { daily: 5 }, userLookup: { per15Minutes: 30 } }
+ * Windows are rolling: "daily" means the last 24 hours
+ */
+class QuotaLedger {
+  constructor(ledgerPath = null) {
+    this.ledgerPath = ledgerPath || path.join(__dirname, '../data/quota-ledger.json');
+    this.lockPath = `${this.ledgerPath}.lock`;
+    this.windows = {
+      daily: 24 * 60 * 60 * 1000,
+      per15Minutes: 15 * 60 * 1000
+    };
+    this.lockTimeout = 15000;   // give up waiting for the lock after 15s
+    this.staleLockAge = 10000;  // a lock older than this was left by a crashed process (must be below lockTimeout)
+  }
+
+  /**
+   * Atomically record `count` uses of an action if every window has room
+   * Returns { allowed, usage, at } where usage describes each window after the call
+   * and `at` identifies the recorded uses for refund()
+   */
+  async consume(platform, action, limits = {}, count = 1) {
+    return this.withLock(async (ledger) => {
+      const key = `${platform}.${action}`;
+      const now = Date.now();
+      const events = this.prune(ledger.usage[key] || [], now);
+      const usage = this.describeUsage(events, limits, now);
+
+      const blocked = Object.values(usage).find(window => window.remaining < count);
+      if (blocked) {
+        ledger.usage[key] = events;
+        return { allowed: false, usage };
+      }
+
+      for (let i = 0; i < count; i++) events.push(now);
+      ledger.usage[key] = events;
+
+      return { allowed: true, usage: this.describeUsage(events, limits, now), at: now };
+    });
+  }
+
+  /**
+   * Give back uses recorded by consume() for an action that did not happen
+   * Returns how many were refunded (none once they have left every window)
+   */
+  async refund(platform, action, at, count = 1) {
+    return this.withLock(async (ledger) => {
+      const key = `${platform}.${action}`;
+      const events = this.prune(ledger.usage[key] || [], Date.now());
+      let refunded = 0;
+
+      for (let i = events.length - 1; i >= 0 && refunded < count; i--) {
+        if (events[i] === at) {
+          events.splice(i, 1);
+          refunded++;
+        }
+      }
+
+      ledger.usage[key] = events;
+      return refunded;
+    });
+  }
+
+  /**
+   * Remaining quota for each action of a platform
+   */
+  async getRemaining(platform, limitsByAction) {
+    const ledger = await this.read();
+    const now = Date.now();
+    const remaining = {};
+
+    for (const [action, limits] of Object.entries(limitsByAction)) {
+      const events = this.prune(ledger.usage[`${platform}.${action}`] || [], now);
+      remaining[action] = this.describeUsage(events, limits, now);
+    }
+
+    return remaining;
+  }
+
+  /**
+   * Usage of every configured window for a list of event timestamps
+   */
+  describeUsage(events, limits, now) {
+    const usage = {};
+
+    for (const [windowName, limit] of Object.entries(limits)) {
+      const windowMs = this.windows[windowName];
+      if (!windowMs) {
+        throw new Error(`Unknown quota window '${windowName}' (expected ${Object.keys(this.windows).join(', ')})`);
+      }
+
+      const inWindow = events.filter(at => at > now - windowMs);
+      usage[windowName] = {
+        limit,
+        used: inWindow.length,
+        remaining: Math.max(0, limit - inWindow.length),
+        resetTime: new Date(inWindow.length > 0 ? inWindow[0] + windowMs : now).toISOString()
+      };
+    }
+
+    return usage;
+  }
+
+  /**
+   * Drop events older than the longest window
+   */
+  prune(events, now) {
+    const oldest = now - Math.max(...Object.values(this.windows));
+    return events.filter(at => at > oldest);
+  }
+
+  /**
+   * Read the ledger (renames are atomic, so no lock is needed to read)
+   */
+  async read() {
+    try {
+      const data = await fs.readFile(this.ledgerPath, 'utf8');
+      const ledger = JSON.parse(data);
+      return { usage: ledger.usage || {} };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to read quota ledger: ${error.message}`);
+      }
+      return { usage: {} };
+    }
+  }
+
+  /**
+   * Run a read-modify-write under an exclusive lock file
+   */
+  async withLock(update) {
+    const lock = new FileLock(this.lockPath, {
+      name: 'quota ledger',
+      timeout: this.lockTimeout,
+      staleAge: this.staleLockAge
+    });
+
+    return lock.withLock(async () => {
+      const ledger = await this.read();
+      const result = await update(ledger);
+
+      const tempPath = `${this.ledgerPath}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify({
+        updatedAt: new Date().toISOString(),
+        usage: ledger.usage
+      }));
+      await fs.rename(tempPath, this.ledgerPath);
+
+      return result;
+    });
+  }
+}
+
+module.exports = QuotaLedger;
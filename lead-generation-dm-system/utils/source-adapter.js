@@ -0,0 +1,113 @@
+const path = require('path');
+
+/**
+ * Prospect Source Adapter (base class)
+ * Adapters fetch raw records from somewhere (a file, an HTTP endpoint, ...)
+ * and this class maps them to leads with provenance:
+ *   source         - adapter name from config/lead-sources.json
+ *   sourceRecordId - the record's ID in that source
+ *   fetchedAt      - when the record was fetched
+ *
+ * Subclasses implement fetchRecords()
+ */
+class SourceAdapter {
+  constructor(config = {}) {
+    if (!config.name) {
+      throw new Error('Prospect source is missing a "name"');
+    }
+
+    this.name = config.name;
+    this.config = config;
+    this.platform = config.platform || 'web';
+    this.idField = config.idField || 'id';
+    this.fieldMap = config.fieldMap || null; // lead field -> record path, e.g. { "company": "organization.name" }
+    this.rootDir = path.join(__dirname, '..');
+  }
+
+  /**
+   * Fetch raw records - implemented by each adapter
+   * `criteria` is the hunt's search criteria, for sources that can filter server-side
+   */
+  async fetchRecords(criteria) {
+    throw new Error(`Prospect source '${this.name}' does not implement fetchRecords()`);
+  }
+
+  /**
+   * Fetch records and map them to leads
+   */
+  async fetchLeads(criteria = {}) {
+    const records = await this.fetchRecords(criteria);
+    const fetchedAt = new Date().toISOString();
+
+    return records.map((record, index) => this.toLead(record, index, fetchedAt));
+  }
+
+  /**
+   * Map one raw record to the lead shape
+   */
+  toLead(record, index, fetchedAt) {
+    const mapped = {};
+
+    if (this.fieldMap) {
+      for (const [leadField, recordPath] of Object.entries(this.fieldMap)) {
+        const value = this.getValue(record, recordPath);
+        if (value !== undefined && value !== null && value !== '') mapped[leadField] = value;
+      }
+    } else {
+      Object.assign(mapped, record);
+    }
+
+    if (typeof mapped.keywords === 'string') {
+      mapped.keywords = mapped.keywords.split(/[;|,]/).map(keyword => keyword.trim()).filter(Boolean);
+    }
+
+    const recordId = this.getValue(record, this.idField);
+    const sourceRecordId = recordId !== undefined && recordId !== null && recordId !== '' ?
+      String(recordId) : `row_${index + 1}`;
+
+    return {
+      platform: this.platform,
+      keywords: [],
+      score: 0,
+      ...mapped,
+      id: mapped.id ? String(mapped.id) : `${this.name}_${sourceRecordId}`,
+      source: this.name,
+      sourceRecordId,
+      fetchedAt
+    };
+  }
+
+  /**
+   * Read a dotted path such as "organization.name" from a record
+   */
+  getValue(record, recordPath) {
+    if (!recordPath) return undefined;
+    if (Object.prototype.hasOwnProperty.call(record, recordPath)) return record[recordPath];
+
+    return recordPath.split('.').reduce((value, key) =>
+      (value !== undefined && value !== null ? value[key] : undefined), record);
+  }
+
+  /**
+   * Replace ${ENV_VAR} references so secrets stay out of the config file
+   */
+  interpolateEnv(value) {
+    if (typeof value !== 'string') return value;
+
+    return value.replace(/\$\{(\w+)\}/g, (match, name) => {
+      if (process.env[name] === undefined) {
+        throw new Error(`Prospect source '${this.name}' needs environment variable ${name}`);
+      }
+      return process.env[name];
+    });
+  }
+
+  /**
+   * Resolve a path relative to the project root
+   */
+  resolvePath(filePath) {
+    return path.isAbsolute(filePath) ? filePath : path.join(this.rootDir, filePath);
+  }
+}
+
+module.exports = SourceAdapter;
@@ -0,0 +1,327 @@
+#!/usr/bin/env node
+
+const fs = require('fs').promises;
+const path = require('path');
+const FileLock = require('./file-lock');
+
+/**
+ * Global Suppression List
+ * "Never contact this person again" - checked by every send path and by the lead hunter
+ * Entries are keyed by Twitter user ID, LinkedIn person ID, email or domain
+ * Changes are read-modify-writes under the same kind of lock file as the quota ledger,
+ * so an opt-out from the reply poller and a CLI add at the same time both land
+ */
+class SuppressionList {
+  constructor(listPath = null) {
+    this.listPath = listPath || path.join(__dirname, '../data/suppression-list.json');
+    this.lockPath = `${this.listPath}.lock`;
+    this.entries = new Map(); // `${type}:${value}` -> entry
+    this.loadedMtime = null;
+    this.types = ['twitter', 'linkedin', 'email', 'domain'];
+
+    // Reply phrases that opt a recipient out automatically
+    // "stop" only counts as the whole reply or aimed at our messages ("stop by anytime" is not an opt-out)
+    this.optOutPatterns = [
+      /^\W*stop\W*$/i,
+      /\bstop (messaging|contacting|emailing|texting|sending|dm'?ing|spamming|writing to)\b/i,
+      /\bunsubscribe\b/i,
+      /\bremove me\b/i,
+      /\btake me off\b/i,
+      /\bopt[ -]?out\b/i,
+      /\bdo not (contact|message)\b/i,
+      /\bdon'?t (contact|message)\b/i,
+      /\bleave me alone\b/i
+    ];
+  }
+
+  /**
+   * Load the list, re-reading it when another process has changed the file
+   */
+  async load() {
+    try {
+      const stats = await fs.stat(this.listPath);
+      if (this.loadedMtime === stats.mtimeMs) return;
+
+      const data = await fs.readFile(this.listPath, 'utf8');
+      const list = JSON.parse(data);
+
+      this.entries.clear();
+      for (const entry of list.entries || []) {
+        this.entries.set(`${entry.type}:${entry.value}`, entry);
+      }
+      this.loadedMtime = stats.mtimeMs;
+
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to load suppression list: ${error.message}`);
+      }
+      this.entries.clear();
+      this.loadedMtime = null;
+    }
+  }
+
+  /**
+   * Run a change against the latest list on disk under an exclusive lock file
+   */
+  async withLock(update) {
+    const lock = new FileLock(this.lockPath, { name: 'suppression list' });
+
+    return lock.withLock(async () => {
+      this.loadedMtime = null; // always re-read: another process may have written within the same mtime tick
+      await this.load();
+      return update();
+    });
+  }
+
+  /**
+   * Write the list atomically (call under withLock)
+   */
+  async save() {
+    const tempPath = `${this.listPath}.tmp`;
+    const list = {
+      updatedAt: new Date().toISOString(),
+      entries: Array.from(this.entries.values())
+    };
+
+    await fs.mkdir(path.dirname(this.listPath), { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(list, null, 2));
+    await fs.rename(tempPath, this.listPath);
+
+    this.loadedMtime = (await fs.stat(this.listPath)).mtimeMs;
+  }
+
+  /**
+   * Normalize an entry value for its type
+   */
+  normalize(type, value) {
+    if (!this.types.includes(type)) {
+      throw new Error(`Unknown suppression type '${type}' (expected ${this.types.join(', ')})`);
+    }
+
+    let normalized = String(value || '').trim();
+
+    if (type === 'linkedin') {
+      normalized = normalized.replace('urn:li:person:', '');
+    }
+    if (type === 'email' || type === 'domain') {
+      normalized = normalized.toLowerCase();
+    }
+    if (type === 'domain') {
+      normalized = normalized.replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0];
+    }
+
+    if (!normalized) {
+      throw new Error(`Missing ${type} value`);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Add an entry
+   */
+  async add(type, value, reason = 'manual', source = 'cli') {
+    const normalized = this.normalize(type, value);
+    const key = `${type}:${normalized}`;
+
+    return this.withLock(async () => {
+      if (this.entries.has(key)) {
+        return { added: false, entry: this.entries.get(key) };
+      }
+
+      const entry = {
+        type,
+        value: normalized,
+        reason,
+        source,
+        addedAt: new Date().toISOString()
+      };
+
+      this.entries.set(key, entry);
+      await this.save();
+
+      return { added: true, entry };
+    });
+  }
+
+  /**
+   * Remove an entry
+   */
+  async remove(type, value) {
+    const key = `${type}:${this.normalize(type, value)}`;
+
+    return this.withLock(async () => {
+      const removed = this.entries.delete(key);
+
+      if (removed) await this.save();
+      return removed;
+    });
+  }
+
+  /**
+   * Import entries from a JSON array or CSV file (type,value[,reason])
+   */
+  async importFile(filePath) {
+    const data = await fs.readFile(filePath, 'utf8');
+    let rows;
+
+    if (filePath.endsWith('.json')) {
+      rows = JSON.parse(data);
+    } else {
+      rows = data.split('\n')
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#') && !/^type\s*,/i.test(line))
+        .map(line => {
+          const [type, value, ...reason] = line.split(',').map(part => part.trim());
+          return { type, value, reason: reason.join(',') || undefined };
+        });
+    }
+
+    const entries = rows.map(row => ({
+      type: row.type,
+      value: this.normalize(row.type, row.value),
+      reason: row.reason || 'import',
+      source: path.basename(filePath)
+    }));
+
+    return this.withLock(async () => {
+      let added = 0;
+      for (const entry of entries) {
+        const key = `${entry.type}:${entry.value}`;
+
+        if (!this.entries.has(key)) {
+          this.entries.set(key, { ...entry, addedAt: new Date().toISOString() });
+          added++;
+        }
+      }
+
+      if (added > 0) await this.save();
+      return { total: rows.length, added };
+    });
+  }
+
+  /**
+   * Find the entry suppressing any of the given identifiers
+   */
+  async isSuppressed(identifiers = {}) {
+    await this.load();
+    if (this.entries.size === 0) return null;
+
+    const checks = [];
+    if (identifiers.twitterUserId) checks.push(['twitter', identifiers.twitterUserId]);
+    if (identifiers.linkedinPersonId) checks.push(['linkedin', identifiers.linkedinPersonId]);
+    if (identifiers.email) {
+      checks.push(['email', identifiers.email]);
+      checks.push(['domain', identifiers.email.split('@')[1]]);
+    }
+    if (identifiers.domain) checks.push(['domain', identifiers.domain]);
+
+    for (const [type, value] of checks) {
+      if (!value) continue;
+      const entry = this.entries.get(`${type}:${this.normalize(type, value)}`);
+      if (entry) return entry;
+    }
+
+    return null;
+  }
+
+  /**
+   * Check a lead record against the list
+   */
+  async isLeadSuppressed(lead) {
+    return this.isSuppressed(this.getLeadIdentifiers(lead));
+  }
+
+  /**
+   * Extract suppression identifiers from a lead record
+   */
+  getLeadIdentifiers(lead) {
+    const linkedinMatch = (lead.profileUrl || '').match(/linkedin\.com\/in\/(.+?)(?:\/|$)/);
+
+    return {
+      twitterUserId: lead.platform === 'twitter' ? (lead.twitterUserId || lead.id) : lead.twitterUserId,
+      linkedinPersonId: lead.linkedinPersonId || (linkedinMatch ? linkedinMatch[1] : null),
+      email: lead.email,
+      domain: lead.website || lead.domain
+    };
+  }
+
+  /**
+   * Check whether a reply asks us to stop messaging
+   */
+  containsOptOut(text) {
+    if (!text || typeof text !== 'string') return false;
+    return this.optOutPatterns.some(pattern => pattern.test(text));
+  }
+
+  /**
+   * List all entries
+   */
+  async list() {
+    await this.load();
+    return Array.from(this.entries.values());
+  }
+}
+
+// Command line management
+async function main() {
+  const argv = process.argv.slice(2);
+  const listIndex = argv.indexOf('--list');
+  const listPath = listIndex >= 0 ? path.resolve(argv.splice(listIndex, 2)[1]) : null;
+  const list = new SuppressionList(listPath);
+  const [command, ...args] = argv;
+
+  try {
+    switch (command) {
+      case 'add': {
+        const [type, value, ...reason] = args;
+        const result = await list.add(type, value, reason.join(' ') || 'manual');
+        console.log(result.added ?
+          `🚫 Suppressed ${type} ${result.entry.value}` :
+          `ℹ️ ${type} ${result.entry.value} is already suppressed`);
+        break;
+      }
+
+      case 'remove': {
+        const [type, value] = args;
+        const removed = await list.remove(type, value);
+        console.log(removed ? `✅ Removed ${type} ${value}` : `ℹ️ ${type} ${value} was not suppressed`);
+        break;
+      }
+
+      case 'import': {
+        const result = await list.importFile(path.resolve(args[0]));
+        console.log(`📥 Imported ${result.added} of ${result.total} entries`);
+        break;
+      }
+
+      case 'list': {
+        const entries = await list.list();
+        entries.forEach(entry => {
+          console.log(`${entry.type}\t${entry.value}\t${entry.reason}\t${entry.addedAt}`);
+        });
+        console.log(`📋 ${entries.length} suppressed entries`);
+        break;
+      }
+
+      default:
+        console.log('Usage: npm run suppress -- <command>');
+        console.log('  add <twitter|linkedin|email|domain> <value> [reason]');
+        console.log('  remove <twitter|linkedin|email|domain> <value>');
+        console.log('  import <file.csv|file.json>');
+        console.log('  list');
+        console.log('Options: --list <file>  use another suppression list file');
+        if (command) process.exit(1);
+    }
+
+  } catch (error) {
+    console.error('❌ Suppression list command failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = SuppressionList;
+
+if (require.main === module) {
+  main().catch(console.error);
+}
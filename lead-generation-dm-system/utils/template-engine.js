@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+
+/**
+ * Message Template Engine
+ * Shared by the LinkedIn and Twitter clients and the outreach strategy
+ *
+ * Syntax:
+ *   {{firstName}}                 variable
+ *   {{firstName|there}}           variable with a default value
+ *   {{#recentTopic}}...{{/recentTopic}}  section rendered only when the variable has a value
+ *   {{^recentTopic}}...{{/recentTopic}}  section rendered only when it does not
+ *
+ * A message may also be an array of variants; one is picked per lead
+ * (stable for the same seed) instead of using spintax.
+ */
+class TemplateEngine {
+  constructor() {
+    this.variablePattern = /{{\s*([\w.]+)\s*(?:\|([^}]*))?}}/g;
+    this.sectionPattern = /{{\s*([#^])\s*([\w.]+)\s*}}([\s\S]*?){{\s*\/\s*\2\s*}}/g;
+    this.tagPattern = /{{\s*[#^/]?\s*([\w.]+)\s*(?:\|[^}]*)?}}/g;
+    this.placeholderPattern = /{{\s*([^}]+?)\s*}}/g; // any {{...}}, including malformed tags
+  }
+
+  /**
+   * Render a template (string or array of variants) against a variable context
+   * Throws if a variable without a default cannot be resolved, or if a variable listed
+   * in `options.required` has no value (its default does not count)
+   */
+  render(template, context = {}, options = {}) {
+    const text = this.selectVariant(template, options.seed);
+    const sectioned = this.renderSections(text, context);
+    const required = new Set(options.required || []);
+    const missing = new Set();
+
+    const rendered = sectioned.replace(this.variablePattern, (match, name, defaultValue) => {
+      const value = this.lookup(context, name);
+
+      if (this.hasValue(value)) return String(value);
+      if (defaultValue !== undefined && !required.has(name)) return defaultValue;
+
+      missing.add(name);
+      return match;
+    });
+
+    if (missing.size > 0) {
+      throw this.createMissingVariablesError(Array.from(missing), options.required || [], options.context);
+    }
+
+    return rendered;
+  }
+
+  /**
+   * Pick a variant for this seed (the same lead always gets the same variant)
+   */
+  selectVariant(template, seed = null) {
+    if (!Array.isArray(template)) return template;
+    if (template.length === 0) return '';
+
+    const hash = crypto.createHash('md5').update(String(seed || '')).digest();
+    return template[hash.readUInt32BE(0) % template.length];
+  }
+
+  /**
+   * Resolve conditional sections, innermost first
+   */
+  renderSections(text, context) {
+    let previous;
+    let current = text;
+
+    do {
+      previous = current;
+      current = current.replace(this.sectionPattern, (match, type, name, body) => {
+        const present = this.hasValue(this.lookup(context, name));
+        return (type === '#' ? present : !present) ? this.renderSections(body, context) : '';
+      });
+    } while (current !== previous);
+
+    return current;
+  }
+
+  /**
+   * List every variable name referenced by a template (including sections)
+   */
+  extractVariables(template) {
+    const texts = Array.isArray(template) ? template : [template];
+    const names = new Set();
+
+    for (const text of texts) {
+      if (typeof text !== 'string') continue;
+      for (const match of text.matchAll(this.tagPattern)) {
+        names.add(match[1]);
+      }
+    }
+
+    return Array.from(names);
+  }
+
+  /**
+   * List the raw placeholders left in a rendered message
+   */
+  extractPlaceholders(text) {
+    if (typeof text !== 'string') return [];
+
+    const names = new Set();
+    for (const match of text.matchAll(this.placeholderPattern)) {
+      names.add(match[1]);
+    }
+    return Array.from(names);
+  }
+
+  /**
+   * Merge variable sources left to right, keeping only non-empty scalar values
+   */
+  buildContext(...sources) {
+    const context = {};
+
+    for (const source of sources) {
+      if (!source || typeof source !== 'object') continue;
+
+      for (const [name, value] of Object.entries(source)) {
+        if (this.hasValue(value) && ['string', 'number', 'boolean'].includes(typeof value)) {
+          context[name] = value;
+        }
+      }
+    }
+
+    return context;
+  }
+
+  /**
+   * Look up a (possibly dotted) variable name
+   */
+  lookup(context, name) {
+    return name.split('.').reduce((value, key) =>
+      (value !== undefined && value !== null ? value[key] : undefined), context);
+  }
+
+  /**
+   * Check whether a value counts as present
+   */
+  hasValue(value) {
+    if (value === undefined || value === null || value === false) return false;
+    if (typeof value === 'string') return value.trim() !== '';
+    if (Array.isArray(value)) return value.length > 0;
+    return true;
+  }
+
+  /**
+   * Build the error thrown for unresolved variables, here and by TemplateSchema.assertResolved
+   */
+  createMissingVariablesError(missing, required, context) {
+    const requiredSet = new Set(required);
+    const missingRequired = missing.filter(name => requiredSet.has(name));
+    const missingOptional = missing.filter(name => !requiredSet.has(name));
+
+    const details = [];
+    if (missingRequired.length > 0) details.push(`required: ${missingRequired.join(', ')}`);
+    if (missingOptional.length > 0) details.push(`optional: ${missingOptional.join(', ')}`);
+
+    const error = new Error(`Unresolved template variables${context ? ` in ${context}` : ''} (${details.join('; ')})`);
+    error.code = 'TEMPLATE_VARIABLES_MISSING';
+    error.missingVariables = missing;
+    return error;
+  }
+}
+
+module.exports = TemplateEngine;
@@ -0,0 +1,195 @@
+const TemplateEngine = require('./template-engine');
+const ComplianceGuard = require('./compliance-guard');
+
+/**
+ * Message Template Schema
+ * Validates template files at load time and guards rendered messages
+ * so nothing is sent with a raw {{placeholder}} left in it
+ *
+ * Schema version 1:
+ * {
+ *   "schemaVersion": 1,
+ *   "name": "cold-outreach",
+ *   "templates": {
+ *     "linkedin": { "connectionRequest", "directMessage", "followUp" },
+ *     "twitter": { "directMessage", "followUp", "warm"?, "engagement"? }
+ *     ("warm" is the DM sent once a lead follows back, instead of "directMessage")
+ *   },
+ *   (each message is a string or an array of variants)
+ *   "variables": { "required": [...], "optional": [...] },
+ *   "compliance": {
+ *     "policy": "skip" | "truncate"?,
+ *     "maxMessageLength": { <platform>: chars }?,
+ *     "cooldownPeriod": { <platform>: "24h" }?,
+ *     "maxMessagesPerConversation": { <platform>: count }?
+ *   }?
+ * }
+ */
+class TemplateSchema {
+  constructor() {
+    this.supportedVersions = [1];
+
+    // Message types every template must define for each platform it covers
+    this.requiredMessages = {
+      linkedin: ['connectionRequest', 'directMessage', 'followUp'],
+      twitter: ['directMessage', 'followUp']
+    };
+
+    this.engine = new TemplateEngine();
+    this.complianceGuard = new ComplianceGuard();
+  }
+
+  /**
+   * Validate a parsed template file, throwing one error that lists every problem
+   */
+  validate(template, source = 'template') {
+    const errors = [];
+
+    if (!template || typeof template !== 'object' || Array.isArray(template)) {
+      throw new Error(`Invalid template ${source}: expected a JSON object`);
+    }
+
+    if (template.schemaVersion === undefined) {
+      errors.push(`missing field "schemaVersion" (expected one of ${this.supportedVersions.join(', ')})`);
+    } else if (!this.supportedVersions.includes(template.schemaVersion)) {
+      errors.push(`unsupported schemaVersion ${template.schemaVersion} (expected one of ${this.supportedVersions.join(', ')})`);
+    }
+
+    if (typeof template.name !== 'string' || !template.name.trim()) {
+      errors.push('missing field "name"');
+    }
+
+    // Platform messages
+    if (!template.templates || typeof template.templates !== 'object') {
+      errors.push('missing field "templates"');
+    } else {
+      const platforms = Object.keys(template.templates);
+
+      if (platforms.length === 0) {
+        errors.push('"templates" must define at least one platform');
+      }
+
+      for (const platform of platforms) {
+        const messages = template.templates[platform];
+        const required = this.requiredMessages[platform];
+
+        if (!required) {
+          errors.push(`unknown platform "templates.${platform}" (expected ${Object.keys(this.requiredMessages).join(', ')})`);
+          continue;
+        }
+
+        for (const messageType of required) {
+          if (!this.isMessage(messages?.[messageType])) {
+            errors.push(`missing field "templates.${platform}.${messageType}"`);
+          }
+        }
+      }
+    }
+
+    // Declared variables
+    const variables = template.variables || {};
+    for (const list of ['required', 'optional']) {
+      if (!Array.isArray(variables[list])) {
+        errors.push(`missing field "variables.${list}" (array of variable names)`);
+      }
+    }
+
+    // Every placeholder used must be declared, which catches typos like {{firstname}}
+    if (Array.isArray(variables.required) && Array.isArray(variables.optional) && template.templates) {
+      const declared = new Set([...variables.required, ...variables.optional]);
+      const required = new Set(variables.required);
+
+      for (const [platform, messages] of Object.entries(template.templates)) {
+        for (const [messageType, text] of Object.entries(messages || {})) {
+          for (const name of this.engine.extractVariables(text)) {
+            if (!declared.has(name)) {
+              errors.push(`"templates.${platform}.${messageType}" uses undeclared variable "${name}"`);
+            }
+          }
+
+          // A required variable must come from the lead, so a default for it would never be used
+          for (const name of this.getDefaultedVariables(text)) {
+            if (required.has(name)) {
+              errors.push(`"templates.${platform}.${messageType}" gives required variable "${name}" a default`);
+            }
+          }
+        }
+      }
+    }
+
+    if (template.compliance !== undefined) {
+      errors.push(...this.validateCompliance(template.compliance));
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid template ${source}:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return true;
+  }
+
+  /**
+   * Variables given a default ({{name|default}}) anywhere in a message or its variants
+   */
+  getDefaultedVariables(text) {
+    const names = new Set();
+
+    for (const variant of Array.isArray(text) ? text : [text]) {
+      if (typeof variant !== 'string') continue;
+      for (const match of variant.matchAll(this.engine.variablePattern)) {
+        if (match[2] !== undefined) names.add(match[1]);
+      }
+    }
+
+    return Array.from(names);
+  }
+
+  /**
+   * Validate the optional compliance rules block
+   */
+  validateCompliance(compliance) {
+    const errors = [];
+
+    if (compliance.policy !== undefined && !this.complianceGuard.policies.includes(compliance.policy)) {
+      errors.push(`"compliance.policy" must be one of ${this.complianceGuard.policies.join(', ')}`);
+    }
+
+    for (const rule of ['maxMessageLength', 'maxMessagesPerConversation']) {
+      for (const [platform, limit] of Object.entries(compliance[rule] || {})) {
+        if (!Number.isInteger(limit) || limit <= 0) {
+          errors.push(`"compliance.${rule}.${platform}" must be a positive integer`);
+        }
+      }
+    }
+
+    for (const [platform, duration] of Object.entries(compliance.cooldownPeriod || {})) {
+      try {
+        this.complianceGuard.parseDuration(duration);
+      } catch (error) {
+        errors.push(`"compliance.cooldownPeriod.${platform}": ${error.message}`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check that a message is a non-empty string or array of variants
+   */
+  isMessage(message) {
+    const variants = Array.isArray(message) ? message : [message];
+    return variants.length > 0 && variants.every(text => typeof text === 'string' && text.trim());
+  }
+
+  /**
+   * Throw if a rendered message still contains placeholders
+   */
+  assertResolved(message, template, context = 'message') {
+    const unresolved = this.engine.extractPlaceholders(message);
+    if (unresolved.length === 0) return message;
+
+    throw this.engine.createMissingVariablesError(unresolved, template.variables?.required || [], context);
+  }
+}
+
+module.exports = TemplateSchema;
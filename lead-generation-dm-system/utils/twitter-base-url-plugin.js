@@ -0,0 +1,43 @@
+const axios = require('axios');
+
+/**
+ * Twitter API Base URL Plugin
+ * twitter-api-v2 plugin that sends every request to another base URL
+ * (e.g. a local HTTP stand-in for the API) instead of api.x.com
+ *
+ * Enabled by TWITTER_API_BASE_URL, e.g. http://127.0.0.1:8787
+ */
+class TwitterBaseUrlPlugin {
+  constructor(baseUrl) {
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+  }
+
+  /**
+   * Perform the request ourselves and hand twitter-api-v2 the response
+   */
+  async onBeforeRequestConfig({ client, params }) {
+    const args = client.getHttpRequestArgs(params);
+    const url = `${this.baseUrl}${args.url.pathname}${args.url.search}`;
+
+    const response = await axios({
+      method: args.method,
+      url,
+      headers: args.headers,
+      data: args.body,
+      validateStatus: () => true
+    });
+
+    if (response.status >= 400) {
+      const detail = response.data?.detail || response.data?.title || response.statusText;
+      throw new Error(`Twitter API request failed: ${response.status} ${args.method} ${args.url.pathname} - ${detail}`);
+    }
+
+    return {
+      data: response.data,
+      headers: response.headers,
+      rateLimit: undefined
+    };
+  }
+}
+
+module.exports = TwitterBaseUrlPlugin;
@@ -1,42 +1,48 @@
 const { TwitterApi } = require('twitter-api-v2');
 const fs = require('fs').promises;
 const path = require('path');
+const SuppressionList = require('./suppression-list');
+const TemplateEngine = require('./template-engine');
+const QuotaLedger = require('./quota-ledger');
+const TwitterBaseUrlPlugin = require('./twitter-base-url-plugin');
+const QualificationRules = require('./qualification-rules');
+const EventLog = require('./event-log');
 
 /**
  * Twitter DM Client for Lead Generation
  * Extends existing Twitter API client with DM capabilities
- * Follows Twitter API v1.1 DM guidelines and rate limits
+ * Sends and reads DMs through the v2 dm_conversations / dm_events endpoints
  */
 class TwitterDMClient {
   constructor() {
     this.client = null;
     this.v2Client = null;
+    this.apiBaseUrl = process.env.TWITTER_API_BASE_URL || null; // e.g. a local API stand-in for tests
     this.isInitialized = false;
+    this.userId = null; // our own account, to tell sent from received DMs
     this.rateLimitInfo = {};
     this.logPath = path.join(__dirname, '../logs/twitter-dm.log');
-    this.messagesSent = 0;
-    this.dailyLimits = {
-      messages: 5,        // Very conservative: 5 DMs per day (based on $1/day strategy)
-      appMessages: 100    // Conservative app-wide limit
-    };
+    this.suppressionList = new SuppressionList();
+    this.templateEngine = new TemplateEngine();
+    this.quotaLedger = new QuotaLedger(); // usage shared with every other process
+    this.eventLog = new EventLog();
     this.conversationLimits = {
       initial: 1,        // 1 message per conversation per 24h (very conservative)
-      followUp: 1        // 1 follow-up after receiving response
-    };
-    this.apiCallCount = {
-      userLookup: 0,
-      tweetLookup: 0,
-      dmSend: 0,
-      follow: 0,
-      like: 0
+      followUp: 1        // 1 follow-up while the recipient has not answered, unless a campaign allows more
     };
     this.freeTierLimits = {
-      userLookup: 30,    // Conservative: 30 user lookups per 15min
-      tweetLookup: 20,   // Conservative: 20 tweet lookups per 15min
-      dmSend: 5,         // Very conservative: 5 DMs per day
-      follow: 15,        // Conservative: 15 follows per day
-      like: 25           // Conservative: 25 likes per day
+      userLookup: { per15Minutes: 30 },  // Conservative: 30 user lookups per 15min
+      tweetLookup: { per15Minutes: 20 }, // Conservative: 20 tweet lookups per 15min
+      tweetSearch: { per15Minutes: 10 }, // Conservative: 10 recent search pages per 15min
+      followersLookup: { per15Minutes: 5 }, // Conservative: 5 follower pages per 15min
+      dmLookup: { per15Minutes: 15 },    // Conservative: 15 DM history pages per 15min
+      dmSend: { daily: 5 },              // Very conservative: 5 DMs per day (based on $1/day strategy)
+      follow: { daily: 15 },             // Conservative: 15 follows per day
+      unfollow: { daily: 15 },           // Conservative: 15 unfollows per day
+      like: { daily: 25 },               // Conservative: 25 likes per day
+      reply: { daily: 5 }                // Conservative: 5 replies per day
     };
+    this.qualificationRules = new QualificationRules(); // config/qualification-rules.json
   }
 
   /**
@@ -49,8 +55,8 @@ class TwitterDMClient {
         throw new Error('Missing required Twitter API credentials');
       }
 
-      // Initialize main client for DMs (v1.1)
-      this.client = new TwitterApi({
+      // Initialize user-context client for DMs and engagement
+      this.client = this.createApiClient({
         appKey: process.env.TWITTER_API_KEY,
         appSecret: process.env.TWITTER_API_SECRET,
         accessToken: process.env.TWITTER_ACCESS_TOKEN,
@@ -59,7 +65,7 @@ class TwitterDMClient {
 
       // Initialize v2 client for user lookup
       if (process.env.TWITTER_BEARER_TOKEN) {
-        this.v2Client = new TwitterApi(process.env.TWITTER_BEARER_TOKEN);
+        this.v2Client = this.createApiClient(process.env.TWITTER_BEARER_TOKEN);
       }
 
       // Test connection
@@ -81,6 +87,7 @@ class TwitterDMClient {
   async testConnection() {
     try {
       const user = await this.client.v2.me();
+      this.userId = user.data.id;
       console.log(`✅ Connected to Twitter as: @${user.data.username}`);
       return user.data;
     } catch (error) {
@@ -89,63 +96,40 @@ class TwitterDMClient {
   }
 
   /**
-   * Check if user is highly qualified for DM (conservative approach)
+   * Initialize only the app-only v2 client used for search and lookups
+   * Prospect search needs just TWITTER_BEARER_TOKEN, not the DM credentials
    */
-  isHighlyQualifiedForDM(userData, leadData = {}) {
-    // Very strict criteria based on $1/day strategy
-    const criteria = {
-      // Must have reasonable follower count (not too small, not too large)
-      reasonableFollowers: userData.followerCount >= 100 && userData.followerCount <= 50000,
-      
-      // Must have good engagement rate (at least 1%)
-      goodEngagementRate: userData.followerCount > 0 && 
-        (leadData.recentTweets?.reduce((total, tweet) => total + (tweet.engagement?.likes || 0), 0) / userData.followerCount) >= 0.01,
-      
-      // Must have recent activity (within 3 days)
-      recentActivity: leadData.lastActivity && 
-        (new Date() - new Date(leadData.lastActivity)) < (3 * 24 * 60 * 60 * 1000),
-      
-      // Must have relevant keywords in bio or recent tweets
-      relevantContent: (userData.bio && this.hasRelevantKeywords(userData.bio)) ||
-        (leadData.recentTweets && leadData.recentTweets.some(tweet => this.hasRelevantKeywords(tweet.text))),
-      
-      // Must not have spam indicators
-      noSpamIndicators: !this.hasSpamIndicators(userData.username, userData.bio),
-      
-      // Must have engaged with our content (if available)
-      hasEngagedWithUs: leadData.hasEngagedWithUs || false,
-      
-      // Must have mutual connections (if available)
-      hasMutualConnections: leadData.mutualConnections && leadData.mutualConnections.length > 0
-    };
-    
-    // Must meet at least 4 criteria for DM (very conservative)
-    const metCriteria = Object.values(criteria).filter(Boolean).length;
-    return metCriteria >= 4;
+  initializeSearch() {
+    if (this.v2Client) return;
+
+    if (!process.env.TWITTER_BEARER_TOKEN) {
+      throw new Error('Missing TWITTER_BEARER_TOKEN for Twitter search');
+    }
+
+    this.v2Client = this.createApiClient(process.env.TWITTER_BEARER_TOKEN);
   }
 
   /**
-   * Check if content has relevant keywords
+   * Create a twitter-api-v2 client, pointed at TWITTER_API_BASE_URL when set
    */
-  hasRelevantKeywords(content) {
-    if (!content) return false;
-    
-    const relevantKeywords = ['AI', 'automation', 'SaaS', 'marketing', 'sales', 'growth', 'startup', 'tech', 'product'];
-    return relevantKeywords.some(keyword => 
-      content.toLowerCase().includes(keyword.toLowerCase())
-    );
+  createApiClient(credentials) {
+    const settings = this.apiBaseUrl ? { plugins: [new TwitterBaseUrlPlugin(this.apiBaseUrl)] } : {};
+    return new TwitterApi(credentials, settings);
   }
 
   /**
-   * Check for spam indicators
+   * Check if user is highly qualified for DM (conservative approach)
+   * Uses the shared 'dm' qualification gate; `options` as for QualificationRules.evaluate
    */
-  hasSpamIndicators(username, bio) {
-    if (!username && !bio) return false;
-    
-    const spamIndicators = ['spam', 'bot', 'fake', 'buy followers', 'get followers', 'follow back'];
-    const content = `${username || ''} ${bio || ''}`.toLowerCase();
-    
-    return spamIndicators.some(indicator => content.includes(indicator));
+  isHighlyQualifiedForDM(userData, leadData = {}, options = {}) {
+    return this.getDMQualification(userData, leadData, options).qualified;
+  }
+
+  /**
+   * The 'dm' gate decision for a user, with the rules that passed and failed
+   */
+  getDMQualification(userData, leadData = {}, options = {}) {
+    return this.qualificationRules.evaluate('dm', { ...leadData, ...userData }, options);
   }
 
   /**
@@ -155,81 +139,59 @@ class TwitterDMClient {
     try {
       if (!this.isInitialized) await this.initialize();
 
-      // Check rate limits
-      if (!this.checkRateLimit('message')) {
-        throw new Error('Daily message limit reached');
-      }
+      // Never contact suppressed recipients
+      await this.assertNotSuppressed(recipientUserId);
 
       // Check if user is highly qualified (conservative approach)
-      if (userData && !this.isHighlyQualifiedForDM(userData, leadData)) {
-        console.log('⚠️ User not highly qualified for DM - skipping');
+      const qualification = userData ? this.getDMQualification(userData, leadData) : null;
+      if (qualification && !qualification.qualified) {
+        console.log(`⚠️ User not highly qualified for DM (failed: ${qualification.failed.join(', ')}) - skipping`);
         return {
           success: false,
           reason: 'User not highly qualified for DM',
-          message: 'Conservative strategy: only sending DMs to highly qualified users'
+          message: 'Conservative strategy: only sending DMs to highly qualified users',
+          qualification
         };
       }
 
       console.log('💬 Sending Twitter DM...');
 
-      // Prepare message data
-      const messageData = {
-        event: {
-          type: "message_create",
-          message_create: {
-            target: {
-              recipient_id: recipientUserId.toString()
-            },
-            message_data: {
-              text: messageText
-            }
-          }
-        }
-      };
-
-      // Add media attachment if provided
+      // Media is uploaded first (see uploadMedia) and attached by ID
+      const message = { text: messageText };
       if (mediaId) {
-        messageData.event.message_create.message_data.attachment = {
-          type: "media",
-          media: {
-            id: mediaId
-          }
-        };
+        message.attachments = [{ media_id: String(mediaId) }];
       }
 
-      // Send DM using v1.1 API
-      const response = await this.client.v1.post('direct_messages/events/new.json', messageData);
-      this.messagesSent++;
+      // Creates the one-to-one conversation if there is none yet
+      const response = await this.withQuota('dmSend', 'Daily message limit reached', () =>
+        this.client.v2.sendDmToParticipant(String(recipientUserId), message));
+      const { dm_event_id: messageId, dm_conversation_id: conversationId } = response.data || response;
 
       // Log the message
-      await this.logOutreach({
-        type: 'direct_message',
-        recipientUserId,
+      await this.logEvent('dm_sent', {
+        recipientId: recipientUserId,
         messageText,
         mediaId,
-        messageId: response.event.id,
-        timestamp: new Date().toISOString(),
-        success: true,
-        qualification: userData ? this.isHighlyQualifiedForDM(userData, leadData) : null
+        messageId,
+        conversationId,
+        qualification: qualification && { qualified: qualification.qualified, passed: qualification.passed, failed: qualification.failed }
       });
 
       console.log(`✅ Twitter DM sent to ${recipientUserId}`);
       return {
         success: true,
-        messageId: response.event.id,
+        messageId,
+        conversationId,
         message: 'Direct message sent successfully'
       };
 
     } catch (error) {
       console.error('❌ Failed to send Twitter DM:', error.message);
       
-      await this.logOutreach({
-        type: 'direct_message',
-        recipientUserId,
+      await this.logEvent('dm_failed', {
+        recipientId: recipientUserId,
         messageText,
         mediaId,
-        timestamp: new Date().toISOString(),
-        success: false,
         error: error.message
       });
 
@@ -239,14 +201,18 @@ class TwitterDMClient {
 
   /**
    * Send follow-up DM
+   * options.maxFollowUps is the campaign's follow-up cap (default conversationLimits.followUp)
    */
-  async sendFollowUpMessage(recipientUserId, messageText) {
+  async sendFollowUpMessage(recipientUserId, messageText, options = {}) {
     try {
       if (!this.isInitialized) await this.initialize();
 
-      // Check conversation limits
-      const conversationHistory = await this.getConversationHistory(recipientUserId);
-      if (conversationHistory.length >= this.conversationLimits.initial) {
+      // Check conversation limits against the real conversation, including DMs sent by hand:
+      // without an answer we send the initial DM plus at most maxFollowUps more
+      const maxFollowUps = options.maxFollowUps || this.conversationLimits.followUp;
+      const conversationHistory = await this.getConversationHistory(recipientUserId, 20);
+      const unanswered = this.countUnansweredMessages(conversationHistory);
+      if (unanswered >= this.conversationLimits.initial + maxFollowUps) {
         throw new Error('Conversation message limit reached');
       }
 
@@ -254,13 +220,11 @@ class TwitterDMClient {
 
       const result = await this.sendDirectMessage(recipientUserId, messageText);
 
-      await this.logOutreach({
-        type: 'follow_up',
-        recipientUserId,
+      await this.logEvent('follow_up_sent', {
+        recipientId: recipientUserId,
         messageText,
         messageId: result.messageId,
-        timestamp: new Date().toISOString(),
-        success: true
+        conversationId: result.conversationId
       });
 
       return result;
@@ -281,21 +245,15 @@ class TwitterDMClient {
         return null;
       }
 
+      if (!(await this.checkRateLimit('userLookup'))) {
+        throw this.createQuotaError('User lookup limit reached');
+      }
+
       const user = await this.v2Client.v2.user(userId, {
-        'user.fields': ['public_metrics', 'description', 'location', 'verified']
+        'user.fields': ['public_metrics', 'description', 'created_at', 'location', 'verified', 'url', 'entities']
       });
 
-      return {
-        id: user.data.id,
-        username: user.data.username,
-        name: user.data.name,
-        bio: user.data.description,
-        location: user.data.location,
-        verified: user.data.verified,
-        followerCount: user.data.public_metrics?.followers_count || 0,
-        followingCount: user.data.public_metrics?.following_count || 0,
-        profileUrl: `https://twitter.com/${user.data.username}`
-      };
+      return this.formatUserData(user.data);
 
     } catch (error) {
       console.error('❌ Failed to get Twitter user info:', error.message);
@@ -313,8 +271,12 @@ class TwitterDMClient {
         return null;
       }
 
+      if (!(await this.checkRateLimit('userLookup'))) {
+        throw this.createQuotaError('User lookup limit reached');
+      }
+
       const user = await this.v2Client.v2.userByUsername(username, {
-        'user.fields': ['public_metrics', 'description', 'location', 'verified']
+        'user.fields': ['public_metrics', 'description', 'created_at', 'location', 'verified', 'url', 'entities']
       });
 
       return this.formatUserData(user.data);
@@ -338,28 +300,106 @@ class TwitterDMClient {
       verified: userData.verified,
       followerCount: userData.public_metrics?.followers_count || 0,
       followingCount: userData.public_metrics?.following_count || 0,
-      profileUrl: `https://twitter.com/${userData.username}`
+      tweetCount: userData.public_metrics?.tweet_count || 0,
+      accountCreatedAt: userData.created_at,
+      profileUrl: `https://twitter.com/${userData.username}`,
+      ...this.getUserUrls(userData)
     };
   }
 
   /**
-   * Check if user follows you (for DM permissions)
+   * Expanded profile website and bio links (the API shortens both to t.co)
    */
-  async isFollowingYou(userId) {
-    try {
-      if (!this.v2Client) {
-        return false;
-      }
+  getUserUrls(userData) {
+    const expand = urls => (urls || []).map(url => url.expanded_url || url.url).filter(Boolean);
+    const [website] = expand(userData.entities?.url?.urls);
 
-      // Get your own user ID
-      const me = await this.client.v2.me();
-      
-      // Check if user follows you
-      const following = await this.v2Client.v2.following(userId, {
-        max_results: 1000
-      });
+    return {
+      website: website || userData.url || null,
+      bioUrls: expand(userData.entities?.description?.urls)
+    };
+  }
+
+  /**
+   * Search recent tweets (last 7 days) with author profiles expanded
+   * Fetches up to `maxPages` pages while search quota lasts
+   */
+  async searchRecentTweets(query, options = {}) {
+    const { maxResults = 50, maxPages = 1 } = options;
+
+    this.initializeSearch();
+
+    if (!(await this.checkRateLimit('tweetSearch'))) {
+      throw this.createQuotaError('Tweet search limit reached');
+    }
 
-      return following.data?.some(user => user.id === me.data.id) || false;
+    const paginator = await this.v2Client.v2.search(query, {
+      max_results: maxResults,
+      expansions: ['author_id'],
+      'tweet.fields': ['created_at', 'public_metrics', 'author_id'],
+      'user.fields': ['public_metrics', 'description', 'created_at', 'location', 'verified', 'url', 'entities']
+    });
+
+    let pages = 1;
+    while (!paginator.done && pages < maxPages) {
+      if (!(await this.checkRateLimit('tweetSearch'))) break;
+      await paginator.fetchNext();
+      pages++;
+    }
+
+    return {
+      tweets: paginator.tweets,
+      users: paginator.data.includes?.users || [],
+      pages
+    };
+  }
+
+  /**
+   * Get followers of an account by username
+   * Fetches up to `maxPages` pages while followers quota lasts
+   */
+  async getFollowers(username, options = {}) {
+    const { maxResults = 100, maxPages = 1 } = options;
+
+    this.initializeSearch();
+
+    const account = await this.getUserByUsername(username);
+    if (!account) {
+      throw new Error(`Twitter account not found: @${username}`);
+    }
+
+    if (!(await this.checkRateLimit('followersLookup'))) {
+      throw this.createQuotaError('Followers lookup limit reached');
+    }
+
+    const paginator = await this.v2Client.v2.followers(account.id, {
+      asPaginator: true,
+      max_results: maxResults,
+      'user.fields': ['public_metrics', 'description', 'created_at', 'location', 'verified', 'url', 'entities']
+    });
+
+    let pages = 1;
+    while (!paginator.done && pages < maxPages) {
+      if (!(await this.checkRateLimit('followersLookup'))) break;
+      await paginator.fetchNext();
+      pages++;
+    }
+
+    return {
+      account,
+      users: paginator.users,
+      pages
+    };
+  }
+
+  /**
+   * Check if user follows you (for DM permissions)
+   * Pass followerIds from getRecentFollowerIds() to check many users with one lookup
+   */
+  async isFollowingYou(userId, followerIds = null) {
+    try {
+      const followers = followerIds || await this.getRecentFollowerIds();
+      return followers.has(String(userId));
 
     } catch (error) {
       console.warn('Could not verify follower status:', error.message);
@@ -367,6 +407,30 @@ class TwitterDMClient {
     }
   }
 
+  /**
+   * IDs of our newest followers (the API lists followers newest first)
+   * Each page of up to 1000 uses followersLookup quota
+   */
+  async getRecentFollowerIds(maxPages = 3) {
+    if (!this.isInitialized) await this.initialize();
+
+    if (!(await this.checkRateLimit('followersLookup'))) {
+      throw this.createQuotaError('Followers lookup limit reached');
+    }
+
+    const client = this.v2Client || this.client;
+    const paginator = await client.v2.followers(this.userId, { max_results: 1000, asPaginator: true });
+
+    let pages = 1;
+    while (!paginator.done && pages < maxPages) {
+      if (!(await this.checkRateLimit('followersLookup'))) break;
+      await paginator.fetchNext();
+      pages++;
+    }
+
+    return new Set(paginator.users.map(user => user.id));
+  }
+
   /**
    * Get recent tweets from user for personalization
    */
@@ -376,17 +440,22 @@ class TwitterDMClient {
         return [];
       }
 
+      if (!(await this.checkRateLimit('tweetLookup'))) {
+        throw this.createQuotaError('Tweet lookup limit reached');
+      }
+
       const tweets = await this.v2Client.v2.userTimeline(userId, {
         max_results: maxResults,
-        'tweet.fields': ['public_metrics', 'created_at']
+        'tweet.fields': ['public_metrics', 'created_at', 'entities']
       });
 
-      return tweets.data?.map(tweet => ({
+      return tweets.tweets.map(tweet => ({
         id: tweet.id,
         text: tweet.text,
         createdAt: tweet.created_at,
-        metrics: tweet.public_metrics
-      })) || [];
+        metrics: tweet.public_metrics,
+        mentions: (tweet.entities?.mentions || []).map(mention => mention.username)
+      }));
 
     } catch (error) {
       console.warn('Could not get recent tweets:', error.message);
@@ -395,82 +464,109 @@ class TwitterDMClient {
   }
 
   /**
-   * Get conversation history with user
+   * Get conversation history with user from the v2 dm_events API, oldest first
+   * Reads pages (newest first) until `limit` messages, the end of the history or - with
+   * options.since - messages older than that date. Each page uses dmLookup quota.
+   * Returns [{ id, conversationId, senderId, direction, text, createdAt, attachments }]
    */
-  async getConversationHistory(userId, limit = 10) {
-    try {
-      // Note: This requires additional API access for message history
-      // For now, return mock data based on our outreach logs
-      const logFile = path.join(__dirname, '../logs/twitter-outreach.json');
-      
-      try {
-        const data = await fs.readFile(logFile, 'utf8');
-        const outreachLog = JSON.parse(data);
-        
-        return outreachLog
-          .filter(entry => entry.recipientUserId === userId)
-          .slice(-limit);
-          
-      } catch (error) {
-        return [];
-      }
+  async getConversationHistory(userId, limit = 10, options = {}) {
+    if (!this.isInitialized) await this.initialize();
 
-    } catch (error) {
-      console.warn('Could not get conversation history:', error.message);
-      return [];
+    if (!(await this.checkRateLimit('dmLookup'))) {
+      throw this.createQuotaError('DM lookup limit reached');
     }
-  }
 
-  /**
-   * Personalize DM message using user data
-   */
-  personalizeMessage(template, userData, leadData = {}) {
-    let message = template;
+    const paginator = await this.client.v2.listDmEventsWithParticipant(String(userId), {
+      max_results: Math.min(Math.max(limit, 1), 100),
+      event_types: ['MessageCreate'],
+      'dm_event.fields': ['id', 'text', 'event_type', 'created_at', 'sender_id', 'dm_conversation_id', 'attachments'],
+      expansions: ['attachments.media_keys'],
+      'media.fields': ['media_key', 'type', 'url', 'preview_image_url']
+    });
 
-    // Replace Twitter-specific variables
-    if (userData.username) {
-      message = message.replace(/{{username}}/g, userData.username);
-    }
-    
-    if (userData.name) {
-      message = message.replace(/{{name}}/g, userData.name);
-    }
-    
-    if (userData.bio) {
-      message = message.replace(/{{bio}}/g, userData.bio);
-    }
+    const since = options.since ? new Date(options.since).getTime() : null;
+    const reachedSince = () => since !== null && paginator.events.some(event => new Date(event.created_at).getTime() <= since);
 
-    // Replace lead-specific data
-    if (leadData.recentTweets && leadData.recentTweets.length > 0) {
-      const recentTweet = leadData.recentTweets[0];
-      message = message.replace(/{{threadTopic}}/g, this.extractTopicFromTweet(recentTweet.content));
-      message = message.replace(/{{specificInsight}}/g, this.extractInsightFromTweet(recentTweet.content));
+    while (!paginator.done && paginator.events.length < limit && !reachedSince()) {
+      if (!(await this.checkRateLimit('dmLookup'))) break;
+      await paginator.fetchNext();
     }
 
-    if (leadData.keywords && leadData.keywords.length > 0) {
-      message = message.replace(/{{field}}/g, leadData.keywords[0]);
+    const media = new Map((paginator.includes?.media || []).map(item => [item.media_key, item]));
+
+    return paginator.events
+      .filter(event => since === null || new Date(event.created_at).getTime() > since)
+      .slice(0, limit)
+      .map(event => this.formatDmEvent(event, media))
+      .reverse();
+  }
+
+  /**
+   * Format a v2 DM event, attributing it to us or the other participant
+   */
+  formatDmEvent(event, media = new Map()) {
+    return {
+      id: event.id,
+      conversationId: event.dm_conversation_id,
+      senderId: event.sender_id,
+      direction: event.sender_id === this.userId ? 'outbound' : 'inbound',
+      text: event.text || '',
+      createdAt: event.created_at,
+      attachments: (event.attachments?.media_keys || []).map(mediaKey => {
+        const item = media.get(mediaKey) || {};
+        return { mediaKey, type: item.type || null, url: item.url || item.preview_image_url || null };
+      })
+    };
+  }
+
+  /**
+   * Messages we sent since the other participant last wrote
+   */
+  countUnansweredMessages(history) {
+    let count = 0;
+    for (const message of history) {
+      count = message.direction === 'inbound' ? 0 : count + 1;
     }
+    return count;
+  }
 
-    // Replace generic placeholders
-    message = message.replace(/{{solution}}/g, 'AI automation tools');
-    message = message.replace(/{{value}}/g, 'some insights');
+  /**
+   * Personalize DM message using user data
+   * options: { variables (campaign-level), required, seed, context }
+   */
+  personalizeMessage(template, userData, leadData = {}, options = {}) {
+    return this.templateEngine.render(template, this.buildMessageContext(userData, leadData, options.variables), options);
+  }
 
-    return message;
+  /**
+   * Template variables for a lead: campaign variables, then lead data, then user fields
+   */
+  buildMessageContext(userData, leadData = {}, variables = {}) {
+    const recentTweet = (leadData.recentTweets || [])[0];
+    const tweetText = recentTweet ? (recentTweet.content || recentTweet.text || '') : '';
+
+    return this.templateEngine.buildContext(
+      variables,
+      leadData,
+      {
+        username: userData.username,
+        name: userData.name,
+        bio: userData.bio,
+        firstName: (userData.name || '').split(' ')[0]
+      },
+      {
+        threadTopic: tweetText ? this.extractTopicFromTweet(tweetText) : null,
+        specificInsight: tweetText ? this.extractInsightFromTweet(tweetText) : null,
+        field: (leadData.keywords || [])[0]
+      }
+    );
   }
 
   /**
    * Extract topic from tweet content
    */
   extractTopicFromTweet(content) {
-    const topics = ['AI', 'automation', 'SaaS', 'marketing', 'sales', 'product', 'growth', 'technology', 'startups'];
-    
-    for (const topic of topics) {
-      if (content.toLowerCase().includes(topic.toLowerCase())) {
-        return topic;
-      }
-    }
-    
-    return 'tech trends';
+    return this.qualificationRules.extractTopic(content) || 'tech trends';
   }
 
   /**
@@ -487,15 +583,22 @@ class TwitterDMClient {
   }
 
   /**
-   * Upload media for DM attachment
+   * Upload media for DM attachment through the v2 chunked upload
+   * Returns the media ID to pass to sendDirectMessage
    */
   async uploadMedia(filePath, altText = null) {
     try {
-      const mediaId = await this.client.v1.uploadMedia(filePath);
-      
+      if (!this.isInitialized) await this.initialize();
+
+      const mediaType = this.getMediaType(filePath);
+      const mediaCategory = mediaType === 'image/gif' ? 'dm_gif' : mediaType.startsWith('video/') ? 'dm_video' : 'dm_image';
+      const media = await fs.readFile(filePath);
+
+      const mediaId = await this.client.v2.uploadMedia(media, { media_type: mediaType, media_category: mediaCategory });
+
       // Add alt text if provided
       if (altText) {
-        await this.client.v1.createMediaMetadata(mediaId, {
+        await this.client.v2.createMediaMetadata(mediaId, {
           alt_text: { text: altText }
         });
       }
@@ -509,103 +612,124 @@ class TwitterDMClient {
   }
 
   /**
-   * Check rate limits with free tier optimization
+   * MIME type of a DM attachment from its extension
    */
-  checkRateLimit(action) {
-    const now = new Date();
-    const today = now.toDateString();
-    
-    // Reset daily counters if it's a new day
-    if (this.lastResetDate !== today) {
-      this.messagesSent = 0;
-      this.apiCallCount = {
-        userLookup: 0,
-        tweetLookup: 0,
-        dmSend: 0,
-        follow: 0,
-        like: 0
-      };
-      this.lastResetDate = today;
-    }
+  getMediaType(filePath) {
+    const mediaTypes = {
+      '.jpg': 'image/jpeg',
+      '.jpeg': 'image/jpeg',
+      '.png': 'image/png',
+      '.webp': 'image/webp',
+      '.gif': 'image/gif',
+      '.mp4': 'video/mp4'
+    };
 
-    // Check free tier limits
-    const limit = this.freeTierLimits[action];
-    const used = this.apiCallCount[action] || 0;
-    
-    if (limit && used >= limit) {
-      console.log(`⚠️ Free tier limit reached for ${action}: ${used}/${limit}`);
-      return false;
+    const mediaType = mediaTypes[path.extname(filePath).toLowerCase()];
+    if (!mediaType) {
+      throw new Error(`Unsupported DM attachment type: ${path.basename(filePath)} (expected ${Object.keys(mediaTypes).join(', ')})`);
     }
+    return mediaType;
+  }
 
-    // Update usage counter
-    if (this.apiCallCount[action] !== undefined) {
-      this.apiCallCount[action]++;
-    }
+  /**
+   * Check rate limits with free tier optimization
+   * Records the call in the shared quota ledger when it is allowed
+   */
+  async checkRateLimit(action) {
+    return (await this.reserveQuota(action)) !== null;
+  }
 
-    switch (action) {
-      case 'message':
-        return this.messagesSent < this.dailyLimits.messages;
-      default:
-        return true;
+  /**
+   * Record one use of an action in the quota ledger before calling the API
+   * Returns a reservation for refundQuota(), or null when the quota is used up
+   */
+  async reserveQuota(action) {
+    const ledgerAction = action === 'message' ? 'dmSend' : action;
+    const limits = this.freeTierLimits[ledgerAction];
+    if (!limits) return { action: ledgerAction, at: null };
+
+    const result = await this.quotaLedger.consume('twitter', ledgerAction, limits);
+
+    if (!result.allowed) {
+      const [windowName, window] = Object.entries(result.usage).find(([, usage]) => usage.remaining === 0);
+      console.log(`⚠️ Free tier limit reached for ${ledgerAction}: ${window.used}/${window.limit} (${windowName}, resets ${window.resetTime})`);
+      await this.logEvent('quota_exhausted', { action: ledgerAction, window: windowName, limit: window.limit, resetTime: window.resetTime });
+      return null;
     }
+
+    return { action: ledgerAction, at: result.at };
   }
 
   /**
-   * Get remaining daily quota with free tier limits
+   * Error for an action whose quota is used up; callers may retry once the window resets
    */
-  getRemainingQuota() {
-    const quota = {};
-    
-    // Daily limits
-    quota.messages = Math.max(0, this.dailyLimits.messages - this.messagesSent);
-    
-    // Free tier limits
-    for (const [action, limit] of Object.entries(this.freeTierLimits)) {
-      const used = this.apiCallCount[action] || 0;
-      quota[action] = {
-        remaining: Math.max(0, limit - used),
-        used: used,
-        limit: limit
-      };
-    }
-    
-    quota.resetTime = new Date(Date.now() + (24 * 60 * 60 * 1000)).toISOString();
-    return quota;
+  createQuotaError(message) {
+    const error = new Error(message);
+    error.code = 'QUOTA_EXHAUSTED';
+    return error;
   }
 
   /**
-   * Get DM rate limit status
+   * Give back a reservation whose API call failed
    */
-  async getDMRateLimit() {
+  async refundQuota(reservation) {
+    if (!reservation?.at) return;
+
     try {
-      const limits = await this.client.v1.getRateLimitStatus();
-      return limits.resources?.direct_messages || {};
+      await this.quotaLedger.refund('twitter', reservation.action, reservation.at);
     } catch (error) {
-      console.error('Failed to check DM rate limits:', error.message);
-      return {};
+      console.warn(`⚠️ Could not refund ${reservation.action} quota:`, error.message);
     }
   }
 
   /**
-   * Log outreach activities
+   * Run an API call under a quota reservation, refunded if the call fails
    */
-  async logOutreach(data) {
+  async withQuota(action, limitMessage, call) {
+    const reservation = await this.reserveQuota(action);
+    if (!reservation) {
+      throw this.createQuotaError(limitMessage);
+    }
+
     try {
-      const logFile = path.join(__dirname, '../logs/twitter-outreach.json');
-      let outreachLog = [];
-
-      try {
-        const existingData = await fs.readFile(logFile, 'utf8');
-        outreachLog = JSON.parse(existingData);
-      } catch (error) {
-        // File doesn't exist yet
-      }
+      return await call();
+    } catch (error) {
+      await this.refundQuota(reservation);
+      throw error;
+    }
+  }
 
-      outreachLog.push(data);
+  /**
+   * Get remaining quota with free tier limits, as recorded in the shared quota ledger
+   */
+  async getRemainingQuota() {
+    const usage = await this.quotaLedger.getRemaining('twitter', this.freeTierLimits);
+    const quota = {};
 
-      await fs.mkdir(path.dirname(logFile), { recursive: true });
-      await fs.writeFile(logFile, JSON.stringify(outreachLog, null, 2));
+    for (const [action, windows] of Object.entries(usage)) {
+      // The tightest window decides what is left
+      const tightest = Object.values(windows).reduce((current, window) =>
+        (window.remaining < current.remaining ? window : current));
 
+      quota[action] = {
+        remaining: tightest.remaining,
+        used: tightest.used,
+        limit: tightest.limit,
+        resetTime: tightest.resetTime
+      };
+    }
+
+    quota.messages = quota.dmSend.remaining;
+    quota.resetTime = quota.dmSend.resetTime;
+    return quota;
+  }
+
+  /**
+   * Record an outreach event for Twitter in the shared event log
+   */
+  async logEvent(type, data) {
+    try {
+      await this.eventLog.append(type, { platform: 'twitter', ...data });
     } catch (error) {
       console.error('Failed to log outreach activity:', error.message);
     }
@@ -630,26 +754,29 @@ class TwitterDMClient {
   }
 
   /**
-   * Get outreach analytics
+   * Get outreach analytics, streamed from the event log
    */
   async getOutreachAnalytics(days = 30) {
     try {
-      const logFile = path.join(__dirname, '../logs/twitter-outreach.json');
-      const data = await fs.readFile(logFile, 'utf8');
-      const outreachLog = JSON.parse(data);
-
       const cutoffDate = new Date(Date.now() - (days * 24 * 60 * 60 * 1000));
-      const recentOutreach = outreachLog.filter(entry => 
-        new Date(entry.timestamp) > cutoffDate
-      );
+      const counts = { dm_sent: 0, dm_failed: 0, follow_up_sent: 0, followed: 0, liked: 0 };
+      const recipients = new Set();
+
+      for await (const event of this.eventLog.stream({ platform: 'twitter', types: Object.keys(counts), since: cutoffDate })) {
+        counts[event.type]++;
+        if (event.type !== 'liked') recipients.add(event.recipientId);
+      }
 
+      const totalOutreach = counts.dm_sent + counts.dm_failed + counts.follow_up_sent;
       const analytics = {
-        totalOutreach: recentOutreach.length,
-        directMessages: recentOutreach.filter(entry => entry.type === 'direct_message').length,
-        followUps: recentOutreach.filter(entry => entry.type === 'follow_up').length,
-        successRate: recentOutreach.filter(entry => entry.success).length / recentOutreach.length,
-        dailyAverage: recentOutreach.length / days,
-        uniqueRecipients: new Set(recentOutreach.map(entry => entry.recipientUserId)).size
+        totalOutreach,
+        directMessages: counts.dm_sent + counts.dm_failed,
+        followUps: counts.follow_up_sent,
+        follows: counts.followed,
+        likes: counts.liked,
+        successRate: totalOutreach > 0 ? (counts.dm_sent + counts.follow_up_sent) / totalOutreach : 0,
+        dailyAverage: totalOutreach / days,
+        uniqueRecipients: recipients.size
       };
 
       return analytics;
@@ -665,9 +792,14 @@ class TwitterDMClient {
    */
   async followUser(userId) {
     try {
-      const response = await this.client.v2.follow(userId);
-      
+      if (!this.isInitialized) await this.initialize();
+      await this.assertNotSuppressed(userId);
+
+      const response = await this.withQuota('follow', 'Daily follow limit reached', () =>
+        this.client.v2.follow(this.userId, userId));
+
       await this.log(`Followed user: ${userId}`);
+      await this.logEvent('followed', { recipientId: userId });
       return response;
 
     } catch (error) {
@@ -681,9 +813,13 @@ class TwitterDMClient {
    */
   async unfollowUser(userId) {
     try {
-      const response = await this.client.v2.unfollow(userId);
-      
+      if (!this.isInitialized) await this.initialize();
+
+      const response = await this.withQuota('unfollow', 'Daily unfollow limit reached', () =>
+        this.client.v2.unfollow(this.userId, userId));
+
       await this.log(`Unfollowed user: ${userId}`);
+      await this.logEvent('unfollowed', { recipientId: userId });
       return response;
 
     } catch (error) {
@@ -697,9 +833,13 @@ class TwitterDMClient {
    */
   async likeTweet(tweetId) {
     try {
-      const response = await this.client.v2.like(tweetId);
-      
+      if (!this.isInitialized) await this.initialize();
+
+      const response = await this.withQuota('like', 'Daily like limit reached', () =>
+        this.client.v2.like(this.userId, tweetId));
+
       await this.log(`Liked tweet: ${tweetId}`);
+      await this.logEvent('liked', { tweetId });
       return response;
 
     } catch (error) {
@@ -710,14 +850,22 @@ class TwitterDMClient {
 
   /**
    * Reply to a tweet (engagement before DM)
+   * Pass the author's user ID to skip the tweet lookup used for the suppression check
    */
-  async replyToTweet(tweetId, replyText) {
+  async replyToTweet(tweetId, replyText, authorUserId = null) {
     try {
-      const response = await this.client.v2.tweet(replyText, {
-        reply: { in_reply_to_tweet_id: tweetId }
-      });
+      if (!this.isInitialized) await this.initialize();
+
+      const authorId = authorUserId || await this.getTweetAuthorId(tweetId);
+      await this.assertNotSuppressed(authorId);
+
+      const response = await this.withQuota('reply', 'Daily reply limit reached', () =>
+        this.client.v2.tweet(replyText, {
+          reply: { in_reply_to_tweet_id: tweetId }
+        }));
 
       await this.log(`Replied to tweet: ${tweetId}`);
+      await this.logEvent('tweet_replied', { tweetId, recipientId: authorId, replyId: response.data?.id });
       return response;
 
     } catch (error) {
@@ -725,6 +873,31 @@ class TwitterDMClient {
       throw error;
     }
   }
+
+  /**
+   * Look up the author of a tweet
+   */
+  async getTweetAuthorId(tweetId) {
+    if (!(await this.checkRateLimit('tweetLookup'))) {
+      throw this.createQuotaError('Tweet lookup limit reached');
+    }
+
+    const tweet = await this.client.v2.singleTweet(tweetId, {
+      'tweet.fields': ['author_id']
+    });
+
+    return tweet.data?.author_id || null;
+  }
+
+  /**
+   * Throw if the recipient is on the global suppression list
+   */
+  async assertNotSuppressed(userId) {
+    const entry = await this.suppressionList.isSuppressed({ twitterUserId: userId });
+    if (entry) {
+      throw new Error(`Recipient ${userId} is on the suppression list (${entry.reason})`);
+    }
+  }
 }
 
 module.exports = TwitterDMClient; 
\ No newline at end of file
@@ -0,0 +1,329 @@
+#!/usr/bin/env node
+
+const http = require('http');
+
+/**
+ * Twitter DM Stand-In
+ * Local HTTP stand-in for the v2 endpoints TwitterDMClient uses (DMs, media upload,
+ * follows, likes and replies), for tests and dry runs
+ * Point the DM client at it with TWITTER_API_BASE_URL (see utils/twitter-base-url-plugin.js)
+ *
+ * Conversations live in memory; addInboundMessage() plays the other participant,
+ * addTweet() creates tweets that can be liked and replied to and addFollower() follows us
+ */
+class TwitterDMStandIn {
+  constructor(options = {}) {
+    this.user = options.user || { id: '1000', username: 'stand_in', name: 'Stand-In Account' };
+    this.pageSize = options.pageSize || 100; // cap on max_results, to exercise pagination
+    this.events = []; // DM events, oldest first
+    this.media = new Map(); // media_id -> { media_key, type, uploaded, altText }
+    this.tweets = new Map(); // tweet id -> { id, author_id, text, in_reply_to_tweet_id }
+    this.following = new Set(); // user IDs we follow
+    this.likes = new Set(); // tweet IDs we liked
+    this.followers = []; // user IDs following us, newest first
+    this.requests = [];
+    this.server = null;
+    this.sequence = 0;
+  }
+
+  /**
+   * Start listening, returns the base URL for TWITTER_API_BASE_URL
+   */
+  async start(port = 0, host = '127.0.0.1') {
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        this.send(res, 500, { title: 'Stand-in error', detail: error.message });
+      });
+    });
+    await new Promise(resolve => this.server.listen(port, host, resolve));
+    return `http://${host}:${this.server.address().port}`;
+  }
+
+  /**
+   * Stop listening
+   */
+  async stop() {
+    if (!this.server) return;
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  /**
+   * One-to-one conversation ID, in Twitter's "<lower id>-<higher id>" form
+   */
+  getConversationId(participantId) {
+    return [this.user.id, String(participantId)].sort((a, b) => a.localeCompare(b, undefined, { numeric: true })).join('-');
+  }
+
+  /**
+   * Record a message from the other participant
+   */
+  addInboundMessage(participantId, text, options = {}) {
+    return this.addMessage(String(participantId), participantId, text, options);
+  }
+
+  /**
+   * Record a message in the conversation with participantId
+   */
+  addMessage(senderId, participantId, text, options = {}) {
+    const event = {
+      id: options.id || String(1700000000000000000n + BigInt(++this.sequence)),
+      event_type: 'MessageCreate',
+      text,
+      sender_id: senderId,
+      dm_conversation_id: this.getConversationId(participantId),
+      created_at: new Date(options.at || Date.now()).toISOString()
+    };
+    if (options.mediaKeys?.length) {
+      event.attachments = { media_keys: options.mediaKeys };
+    }
+    this.events.push(event);
+    return event;
+  }
+
+  /**
+   * Create a tweet by another user
+   */
+  addTweet(id, authorId, text = '') {
+    const tweet = { id: String(id), author_id: String(authorId), text };
+    this.tweets.set(tweet.id, tweet);
+    return tweet;
+  }
+
+  /**
+   * Another user follows us
+   */
+  addFollower(userId) {
+    this.followers = [String(userId), ...this.followers.filter(id => id !== String(userId))];
+  }
+
+  /**
+   * Events in a conversation, newest first like the API
+   */
+  getConversation(participantId) {
+    const conversationId = this.getConversationId(participantId);
+    return this.events
+      .filter(event => event.dm_conversation_id === conversationId)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at) || b.id.localeCompare(a.id));
+  }
+
+  /**
+   * Route a request
+   */
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const body = await this.readBody(req);
+    this.requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), body });
+
+    let match;
+
+    if (req.method === 'GET' && url.pathname === '/2/users/me') {
+      return this.send(res, 200, { data: this.user });
+    }
+
+    if (req.method === 'POST' && (match = url.pathname.match(/^\/2\/dm_conversations\/with\/([^/]+)\/messages$/))) {
+      return this.createMessage(res, decodeURIComponent(match[1]), body);
+    }
+
+    if (req.method === 'GET' && (match = url.pathname.match(/^\/2\/dm_conversations\/with\/([^/]+)\/dm_events$/))) {
+      return this.sendEventPage(res, this.getConversation(decodeURIComponent(match[1])), url.searchParams);
+    }
+
+    if (req.method === 'GET' && url.pathname === '/2/dm_events') {
+      const events = this.events.slice().sort((a, b) => b.created_at.localeCompare(a.created_at) || b.id.localeCompare(a.id));
+      return this.sendEventPage(res, events, url.searchParams);
+    }
+
+    if (req.method === 'POST' && url.pathname === '/2/media/upload/initialize') {
+      const mediaId = String(1800000000000000000n + BigInt(++this.sequence));
+      const prefix = body.media_category === 'dm_video' ? 7 : body.media_category === 'dm_gif' ? 16 : 3;
+      const type = { 3: 'photo', 7: 'video', 16: 'animated_gif' }[prefix];
+      this.media.set(mediaId, { media_key: `${prefix}_${mediaId}`, type, mediaType: body.media_type, category: body.media_category, bytes: 0, uploaded: false });
+      return this.send(res, 200, { data: { id: mediaId, media_key: `${prefix}_${mediaId}`, expires_after_secs: 86400 } });
+    }
+
+    if (req.method === 'POST' && (match = url.pathname.match(/^\/2\/media\/upload\/([^/]+)\/(append|finalize)$/))) {
+      const media = this.media.get(match[1]);
+      if (!media) return this.send(res, 400, { title: 'Invalid Request', detail: `Unknown media ID ${match[1]}` });
+      if (match[2] === 'append') {
+        media.bytes += Buffer.byteLength(body);
+        return this.send(res, 200, {});
+      }
+      media.uploaded = true;
+      return this.send(res, 200, { data: { id: match[1], media_key: media.media_key, size: media.bytes } });
+    }
+
+    if (req.method === 'POST' && url.pathname === '/2/media/metadata') {
+      const media = this.media.get(String(body.id));
+      if (!media) return this.send(res, 400, { title: 'Invalid Request', detail: `Unknown media ID ${body.id}` });
+      media.altText = body.metadata?.alt_text?.text || null;
+      return this.send(res, 200, { data: { id: String(body.id), associated_metadata: true } });
+    }
+
+    if (req.method === 'GET' && (match = url.pathname.match(/^\/2\/users\/([^/]+)\/followers$/))) {
+      if (decodeURIComponent(match[1]) !== this.user.id) {
+        return this.send(res, 404, { title: 'Not Found', detail: 'The stand-in only knows our own followers' });
+      }
+      const maxResults = Math.min(Number(url.searchParams.get('max_results')) || 100, this.pageSize);
+      const offset = Number(url.searchParams.get('pagination_token')?.replace('page_', '')) || 0;
+      const page = this.followers.slice(offset, offset + maxResults);
+      const body = { meta: { result_count: page.length } };
+      if (page.length > 0) body.data = page.map(id => ({ id, username: `user_${id}`, name: `User ${id}` }));
+      if (offset + maxResults < this.followers.length) body.meta.next_token = `page_${offset + maxResults}`;
+      return this.send(res, 200, body);
+    }
+
+    if (match = url.pathname.match(/^\/2\/users\/([^/]+)\/(following|likes)(?:\/([^/]+))?$/)) {
+      return this.engage(res, req.method, match[2], decodeURIComponent(match[1]), match[3] ? decodeURIComponent(match[3]) : body.target_user_id || body.tweet_id);
+    }
+
+    if (req.method === 'POST' && url.pathname === '/2/tweets') {
+      const parentId = body.reply?.in_reply_to_tweet_id;
+      if (parentId && !this.tweets.has(String(parentId))) {
+        return this.send(res, 400, { title: 'Invalid Request', detail: `Tweet ${parentId} does not exist` });
+      }
+      const tweet = { id: String(1900000000000000000n + BigInt(++this.sequence)), author_id: this.user.id, text: body.text, in_reply_to_tweet_id: parentId };
+      this.tweets.set(tweet.id, tweet);
+      return this.send(res, 201, { data: { id: tweet.id, text: tweet.text } });
+    }
+
+    if (req.method === 'GET' && (match = url.pathname.match(/^\/2\/tweets\/([^/]+)$/))) {
+      const tweet = this.tweets.get(decodeURIComponent(match[1]));
+      if (!tweet) return this.send(res, 404, { title: 'Not Found Error', detail: `Could not find tweet with id: [${match[1]}]` });
+      return this.send(res, 200, { data: tweet });
+    }
+
+    this.send(res, 404, { title: 'Not Found', detail: `No stand-in for ${req.method} ${url.pathname}` });
+  }
+
+  /**
+   * POST /2/users/:id/following, DELETE /2/users/:id/following/:target and POST /2/users/:id/likes
+   */
+  engage(res, method, kind, userId, targetId) {
+    if (userId !== this.user.id) {
+      return this.send(res, 403, { title: 'Forbidden', detail: `You can only act as user ${this.user.id}` });
+    }
+
+    if (kind === 'likes' && method === 'POST') {
+      if (!this.tweets.has(String(targetId))) {
+        return this.send(res, 400, { title: 'Invalid Request', detail: `Tweet ${targetId} does not exist` });
+      }
+      this.likes.add(String(targetId));
+      return this.send(res, 200, { data: { liked: true } });
+    }
+
+    if (kind === 'following' && method === 'POST') {
+      if (!targetId || String(targetId) === this.user.id) {
+        return this.send(res, 400, { title: 'Invalid Request', detail: 'Cannot follow this user' });
+      }
+      this.following.add(String(targetId));
+      return this.send(res, 200, { data: { following: true, pending_follow: false } });
+    }
+
+    if (kind === 'following' && method === 'DELETE') {
+      this.following.delete(String(targetId));
+      return this.send(res, 200, { data: { following: false } });
+    }
+
+    this.send(res, 404, { title: 'Not Found', detail: `No stand-in for ${method} ${kind}` });
+  }
+
+  /**
+   * POST /2/dm_conversations/with/:participant_id/messages
+   */
+  createMessage(res, participantId, body) {
+    if (participantId === this.user.id) {
+      return this.send(res, 400, { title: 'Invalid Request', detail: 'Cannot send a DM to yourself' });
+    }
+    if (!body.text && !body.attachments?.length) {
+      return this.send(res, 400, { title: 'Invalid Request', detail: 'A message needs text or attachments' });
+    }
+
+    const mediaKeys = [];
+    for (const attachment of body.attachments || []) {
+      const media = this.media.get(String(attachment.media_id));
+      if (!media?.uploaded) {
+        return this.send(res, 400, { title: 'Invalid Request', detail: `Media ${attachment.media_id} was not uploaded` });
+      }
+      mediaKeys.push(media.media_key);
+    }
+
+    const event = this.addMessage(this.user.id, participantId, body.text || '', { mediaKeys });
+    this.send(res, 201, { data: { dm_conversation_id: event.dm_conversation_id, dm_event_id: event.id } });
+  }
+
+  /**
+   * One page of DM events with pagination_token / meta.next_token and media includes
+   */
+  sendEventPage(res, events, params) {
+    const types = params.get('event_types')?.split(',');
+    const matching = types ? events.filter(event => types.includes(event.event_type)) : events;
+
+    const maxResults = Math.min(Number(params.get('max_results')) || 100, this.pageSize);
+    const offset = Number(params.get('pagination_token')?.replace('page_', '')) || 0;
+    const page = matching.slice(offset, offset + maxResults);
+
+    const body = { data: page, meta: { result_count: page.length } };
+    if (offset + maxResults < matching.length) {
+      body.meta.next_token = `page_${offset + maxResults}`;
+    }
+
+    const mediaKeys = new Set(page.flatMap(event => event.attachments?.media_keys || []));
+    const media = [...this.media.values()].filter(item => mediaKeys.has(item.media_key));
+    if (media.length > 0) {
+      body.includes = { media: media.map(item => ({ media_key: item.media_key, type: item.type })) };
+    }
+
+    if (page.length === 0) delete body.data;
+    this.send(res, 200, body);
+  }
+
+  /**
+   * Read a request body, parsing JSON
+   */
+  async readBody(req) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const raw = Buffer.concat(chunks);
+    if (!(req.headers['content-type'] || '').includes('application/json')) return raw;
+    try {
+      return JSON.parse(raw.toString('utf8') || '{}');
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Send a JSON response
+   */
+  send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+}
+
+// Run standalone: npm run twitter-stand-in -- --port 8787
+async function main() {
+  const args = process.argv.slice(2);
+  const portIndex = args.indexOf('--port');
+  const port = portIndex >= 0 ? Number(args[portIndex + 1]) : 8787;
+
+  const standIn = new TwitterDMStandIn();
+  const baseUrl = await standIn.start(port);
+  console.log(`🧪 Twitter DM stand-in listening on ${baseUrl}`);
+  console.log(`   Use it with TWITTER_API_BASE_URL=${baseUrl}`);
+
+  process.on('SIGINT', async () => {
+    await standIn.stop();
+    process.exit(0);
+  });
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Twitter DM stand-in failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = TwitterDMStandIn;
@@ -1,5 +1,6 @@
-const fs = require('fs').promises;
-const path = require('path');
+const TemplateEngine = require('./template-engine');
+const QualificationRules = require('./qualification-rules');
+const EventLog = require('./event-log');
 
 /**
  * Conservative Twitter Outreach Strategy
@@ -45,21 +46,16 @@ class TwitterOutreachStrategy {
     };
 
     // Conservative DM templates based on $1/day strategy
+    // The DM sent after a follow-back is the campaign template's twitter.warm message (templates/*.json)
     this.dmTemplates = {
-      initial: "Hi {{username}}! Loved your thread about {{threadTopic}}. Your point about {{specificInsight}} really resonated. I'm building {{solution}} and think you might find {{value}} interesting. Would you be open to a quick chat?",
-      followUp: "Hi {{username}}! Just wanted to follow up on my previous message about {{topic}}. No pressure, but I'd love to share some insights that might be valuable for your work. Cheers!",
-      warm: "Hi {{username}}! Thanks for the follow back. I noticed your recent post about {{recentTopic}} - really insightful! I'm working on similar {{solution}} initiatives and would love to connect. Best regards!"
+      initial: "Hi {{username|there}}! Loved your thread about {{threadTopic|your recent posts}}.{{#specificInsight}} Your point about {{specificInsight}} really resonated.{{/specificInsight}} I'm building {{solution|AI automation tools}} and think you might find {{value|some insights}} interesting. Would you be open to a quick chat?",
+      followUp: "Hi {{username|there}}! Just wanted to follow up on my previous message{{#topic}} about {{topic}}{{/topic}}. No pressure, but I'd love to share some insights that might be valuable for your work. Cheers!"
     };
+    this.templateEngine = new TemplateEngine();
 
-    // Conservative targeting criteria based on Moz research
-    this.targetingCriteria = {
-      minFollowers: 100,
-      maxFollowers: 50000, // Avoid mega-influencers
-      minEngagement: 0.5, // 0.5% engagement rate minimum
-      recentActivity: 7, // Days since last activity
-      relevantKeywords: ['AI', 'automation', 'SaaS', 'marketing', 'sales', 'growth', 'startup', 'tech'],
-      excludeKeywords: ['spam', 'bot', 'fake', 'buy followers']
-    };
+    // Qualification thresholds and keyword lists live in config/qualification-rules.json
+    this.qualificationRules = new QualificationRules();
+    this.eventLog = new EventLog();
   }
 
   /**
@@ -103,7 +99,7 @@ class TwitterOutreachStrategy {
       sequence.push({
         action: 'dmSend',
         priority: 4,
-        reason: 'Direct outreach only to highly qualified leads',
+        reason: 'Warm DM to highly qualified leads once they follow back',
         apiCost: 'high'
       });
     }
@@ -113,71 +109,56 @@ class TwitterOutreachStrategy {
 
   /**
    * Check if lead is worth researching (conservative approach)
+   * `options.now` and `options.gate` let calibration replay past decisions
    */
-  isWorthResearching(lead) {
-    // Basic qualification before spending API calls
-    const basicCriteria = {
-      hasUsername: lead.username && lead.username.length > 0,
-      noSpamKeywords: !this.targetingCriteria.excludeKeywords.some(keyword => 
-        lead.username?.toLowerCase().includes(keyword) || 
-        lead.bio?.toLowerCase().includes(keyword)
-      ),
-      hasRelevantKeywords: lead.keywords && lead.keywords.some(keyword =>
-        this.targetingCriteria.relevantKeywords.some(relevant => 
-          keyword.toLowerCase().includes(relevant.toLowerCase())
-        )
-      )
-    };
-    
-    return Object.values(basicCriteria).every(Boolean);
+  isWorthResearching(lead, options = {}) {
+    return this.qualificationRules.evaluate('research', lead, options).qualified;
   }
 
   /**
    * Check if lead is worth engaging with (conservative approach)
    */
-  isWorthEngaging(lead) {
-    // Conservative engagement criteria based on Moz research
-    const criteria = {
-      hasRecentActivity: lead.recentTweets && lead.recentTweets.length > 0,
-      goodEngagement: lead.recentTweets && lead.recentTweets.some(tweet => 
-        tweet.engagement && (tweet.engagement.likes > 3 || tweet.engagement.comments > 0)
-      ),
-      relevantContent: lead.keywords && lead.keywords.length > 0,
-      activeUser: lead.lastActivity && 
-        (new Date() - new Date(lead.lastActivity)) < (this.targetingCriteria.recentActivity * 24 * 60 * 60 * 1000),
-      reasonableFollowerCount: lead.followerCount >= this.targetingCriteria.minFollowers && 
-        lead.followerCount <= this.targetingCriteria.maxFollowers,
-      goodEngagementRate: lead.followerCount > 0 && 
-        (lead.recentTweets?.reduce((total, tweet) => total + (tweet.engagement?.likes || 0), 0) / lead.followerCount) >= this.targetingCriteria.minEngagement
-    };
-    
-    // Must meet at least 3 criteria for engagement
-    const metCriteria = Object.values(criteria).filter(Boolean).length;
-    return metCriteria >= 3;
+  isWorthEngaging(lead, options = {}) {
+    return this.qualificationRules.evaluate('engage', lead, options).qualified;
   }
 
   /**
    * Check if lead is highly qualified for DM (very conservative)
    */
-  isHighlyQualified(lead) {
-    // Very strict criteria for DMs based on $1/day strategy
-    const strictCriteria = {
-      hasEngagedWithUs: lead.hasEngagedWithUs || false, // They've liked/replied to our content
-      mutualConnections: lead.mutualConnections && lead.mutualConnections.length > 0,
-      highEngagementRate: lead.followerCount > 0 && 
-        (lead.recentTweets?.reduce((total, tweet) => total + (tweet.engagement?.likes || 0), 0) / lead.followerCount) >= 1.0, // 1% engagement
-      veryRecentActivity: lead.lastActivity && 
-        (new Date() - new Date(lead.lastActivity)) < (3 * 24 * 60 * 60 * 1000), // 3 days
-      perfectMatch: lead.keywords && lead.keywords.some(keyword =>
-        ['AI', 'automation', 'SaaS'].some(perfect => 
-          keyword.toLowerCase().includes(perfect.toLowerCase())
-        )
-      )
+  isHighlyQualified(lead, options = {}) {
+    return this.qualificationRules.evaluate('dm', lead, options).qualified;
+  }
+
+  /**
+   * Every gate's decision for a lead, with the rules that passed and failed
+   */
+  qualify(lead, options = {}) {
+    return {
+      research: this.qualificationRules.evaluate('research', lead, options),
+      engage: this.qualificationRules.evaluate('engage', lead, options),
+      dm: this.qualificationRules.evaluate('dm', lead, options)
+    };
+  }
+
+  /**
+   * The lead fields qualification reads, as they were when the decision was made
+   * Logged with each strategy decision so calibration can replay it later
+   */
+  getQualificationSnapshot(lead) {
+    return {
+      username: lead.username,
+      bio: lead.bio,
+      keywords: lead.keywords,
+      followerCount: lead.followerCount,
+      lastActivity: lead.lastActivity,
+      hasEngagedWithUs: lead.hasEngagedWithUs,
+      mutualConnections: lead.mutualConnections,
+      recentTweets: (lead.recentTweets || []).map(tweet => ({
+        content: tweet.content || tweet.text,
+        date: tweet.date,
+        engagement: tweet.engagement
+      }))
     };
-    
-    // Must meet at least 2 strict criteria for DM
-    const metCriteria = Object.values(strictCriteria).filter(Boolean).length;
-    return metCriteria >= 2;
   }
 
   /**
@@ -208,52 +189,29 @@ class TwitterOutreachStrategy {
 
   /**
    * Generate personalized DM message (conservative approach)
+   * `variables` are campaign-level values (solution, value, ...) that override the defaults
    */
-  generateDMMessage(type, lead, tweetData = null) {
+  generateDMMessage(type, lead, tweetData = null, variables = {}) {
     const template = this.dmTemplates[type];
     if (!template) return null;
-    
-    let message = template;
-    
-    // Replace Twitter-specific variables
-    if (lead.username) {
-      message = message.replace(/{{username}}/g, lead.username);
-    }
-    
-    if (tweetData && tweetData.text) {
-      const threadTopic = this.extractTopicFromTweet(tweetData.text);
-      const specificInsight = this.extractInsight(tweetData.text);
-      
-      message = message.replace('{{threadTopic}}', threadTopic);
-      message = message.replace('{{specificInsight}}', specificInsight);
-    }
-    
-    // Replace lead-specific data
-    if (lead.keywords && lead.keywords.length > 0) {
-      message = message.replace('{{topic}}', lead.keywords[0]);
-      message = message.replace('{{field}}', lead.keywords[0]);
-    }
-    
-    // Replace generic placeholders with conservative values
-    message = message.replace('{{solution}}', 'AI automation tools');
-    message = message.replace('{{value}}', 'some insights');
-    
-    return message;
+
+    const tweetText = tweetData && tweetData.text;
+    const context = this.templateEngine.buildContext(variables, {
+      username: lead.username,
+      threadTopic: tweetText ? this.extractTopicFromTweet(tweetText) : null,
+      specificInsight: tweetText ? this.extractInsight(tweetText) : null,
+      topic: (lead.keywords || [])[0],
+      field: (lead.keywords || [])[0]
+    });
+
+    return this.templateEngine.render(template, context, { seed: lead.id, context: `${type} DM for ${lead.username}` });
   }
 
   /**
    * Extract topic from tweet content
    */
   extractTopicFromTweet(content) {
-    const topics = ['AI', 'automation', 'SaaS', 'marketing', 'sales', 'product', 'growth', 'technology', 'startups'];
-    
-    for (const topic of topics) {
-      if (content.toLowerCase().includes(topic.toLowerCase())) {
-        return topic;
-      }
-    }
-    
-    return 'tech trends';
+    return this.qualificationRules.extractTopic(content) || 'tech trends';
   }
 
   /**
@@ -295,23 +253,23 @@ class TwitterOutreachStrategy {
   getAdvancedSearchQueries(targetAudience) {
     const queries = [];
     
-    // Based on Moz research: search for shared URLs from influential users
+    // Based on Moz research: search for shared URLs from influential users (v2 recent search syntax)
     if (targetAudience === 'marketers') {
-      queries.push('filter:links from:randfish OR from:neilpatel OR from:brianclark');
+      queries.push('has:links (from:randfish OR from:neilpatel OR from:brianclark)');
     }
     
     if (targetAudience === 'developers') {
-      queries.push('filter:links from:github OR from:stackoverflow');
+      queries.push('has:links (from:github OR from:stackoverflow)');
     }
     
     if (targetAudience === 'entrepreneurs') {
-      queries.push('filter:links from:naval OR from:paulg OR from:ycombinator');
+      queries.push('has:links (from:naval OR from:paulg OR from:ycombinator)');
     }
     
     // Generic queries for tech/startup audience
-    queries.push('AI automation (filter:links)');
-    queries.push('SaaS growth (filter:links)');
-    queries.push('startup marketing (filter:links)');
+    queries.push('AI automation has:links -is:retweet');
+    queries.push('SaaS growth has:links -is:retweet');
+    queries.push('startup marketing has:links -is:retweet');
     
     return queries;
   }
@@ -321,73 +279,66 @@ class TwitterOutreachStrategy {
    */
   async logStrategy(lead, sequence, quota) {
     try {
-      const logEntry = {
-        timestamp: new Date().toISOString(),
+      const decisions = this.qualify(lead);
+      await this.eventLog.append('strategy_decided', {
+        platform: lead.platform || 'twitter',
+        recipientId: lead.id || lead.username || lead.profileUrl, // leads not yet looked up have no ID
+        leadId: lead.leadId,
         lead: {
           id: lead.id,
+          leadId: lead.leadId,
           name: lead.name,
           username: lead.username,
           platform: lead.platform,
           score: lead.score,
           followerCount: lead.followerCount,
-          engagementRate: lead.followerCount > 0 ? 
-            (lead.recentTweets?.reduce((total, tweet) => total + (tweet.engagement?.likes || 0), 0) / lead.followerCount) : 0
+          engagementRate: this.qualificationRules.getEngagementRate(lead)
         },
+        snapshot: this.getQualificationSnapshot(lead),
         sequence: sequence,
         quota: quota,
         strategy: 'conservative_engagement_first',
         qualification: {
-          worthResearching: this.isWorthResearching(lead),
-          worthEngaging: this.isWorthEngaging(lead),
-          highlyQualified: this.isHighlyQualified(lead)
+          worthResearching: decisions.research.qualified,
+          worthEngaging: decisions.engage.qualified,
+          highlyQualified: decisions.dm.qualified,
+          rules: Object.fromEntries(Object.entries(decisions).map(([gate, decision]) =>
+            [gate, { passed: decision.passed, failed: decision.failed }]))
         }
-      };
-      
-      const logFile = path.join(__dirname, '../logs/outreach-strategy.json');
-      let strategyLog = [];
-      
-      try {
-        const existingData = await fs.readFile(logFile, 'utf8');
-        strategyLog = JSON.parse(existingData);
-      } catch (error) {
-        // File doesn't exist yet
-      }
-      
-      strategyLog.push(logEntry);
-      await fs.mkdir(path.dirname(logFile), { recursive: true });
-      await fs.writeFile(logFile, JSON.stringify(strategyLog, null, 2));
-      
+      });
+
     } catch (error) {
       console.error('Failed to log strategy:', error.message);
     }
   }
 
   /**
-   * Get analytics for conservative strategy performance
+   * Get analytics for conservative strategy performance, streamed from the event log
    */
   async getStrategyAnalytics(days = 30) {
     try {
-      const logFile = path.join(__dirname, '../logs/outreach-strategy.json');
-      const data = await fs.readFile(logFile, 'utf8');
-      const strategyLog = JSON.parse(data);
-
       const cutoffDate = new Date(Date.now() - (days * 24 * 60 * 60 * 1000));
-      const recentStrategy = strategyLog.filter(entry => 
-        new Date(entry.timestamp) > cutoffDate
-      );
+      const totals = { leads: 0, research: 0, engage: 0, dm: 0, engagementRate: 0, followerCount: 0 };
+
+      for await (const event of this.eventLog.stream({ types: ['strategy_decided'], since: cutoffDate })) {
+        totals.leads++;
+        if (event.qualification.worthResearching) totals.research++;
+        if (event.qualification.worthEngaging) totals.engage++;
+        if (event.qualification.highlyQualified) totals.dm++;
+        totals.engagementRate += event.lead?.engagementRate || 0;
+        totals.followerCount += event.lead?.followerCount || 0;
+      }
 
       const analytics = {
-        totalLeads: recentStrategy.length,
-        qualifiedForResearch: recentStrategy.filter(entry => entry.qualification.worthResearching).length,
-        qualifiedForEngagement: recentStrategy.filter(entry => entry.qualification.worthEngaging).length,
-        highlyQualifiedForDM: recentStrategy.filter(entry => entry.qualification.highlyQualified).length,
-        averageEngagementRate: recentStrategy.reduce((sum, entry) => sum + entry.lead.engagementRate, 0) / recentStrategy.length,
-        averageFollowerCount: recentStrategy.reduce((sum, entry) => sum + entry.lead.followerCount, 0) / recentStrategy.length,
+        totalLeads: totals.leads,
+        qualifiedForResearch: totals.research,
+        qualifiedForEngagement: totals.engage,
+        highlyQualifiedForDM: totals.dm,
+        averageEngagementRate: totals.leads > 0 ? totals.engagementRate / totals.leads : 0,
+        averageFollowerCount: totals.leads > 0 ? totals.followerCount / totals.leads : 0,
         strategyEfficiency: {
-          researchToEngagement: recentStrategy.filter(entry => entry.qualification.worthEngaging).length / 
-            Math.max(recentStrategy.filter(entry => entry.qualification.worthResearching).length, 1),
-          engagementToDM: recentStrategy.filter(entry => entry.qualification.highlyQualified).length / 
-            Math.max(recentStrategy.filter(entry => entry.qualification.worthEngaging).length, 1)
+          researchToEngagement: totals.engage / Math.max(totals.research, 1),
+          engagementToDM: totals.dm / Math.max(totals.engage, 1)
         }
       };
 